@@ -1,30 +1,150 @@
 import { useState, useEffect } from "react";
-import axios from "axios";
+import { client, loadSession, saveSession, clearSession, loadWorkspaceId, saveWorkspaceId, onUnauthorized, downloadFile } from "./api.js";
+import SchemaEditor from "./components/SchemaEditor.jsx";
+import BatchView from "./components/BatchView.jsx";
+import HistoryPanel from "./components/HistoryPanel.jsx";
+import LoginForm from "./components/LoginForm.jsx";
+import TeamView from "./components/TeamView.jsx";
+import WebhooksView from "./components/WebhooksView.jsx";
+import DocumentViewer from "./components/DocumentViewer.jsx";
+import VersionHistory from "./components/VersionHistory.jsx";
+import DuplicateWarning from "./components/DuplicateWarning.jsx";
+import DashboardView from "./components/DashboardView.jsx";
+import DocumentChat from "./components/DocumentChat.jsx";
+import ContractClauses from "./components/ContractClauses.jsx";
+import CompareView from "./components/CompareView.jsx";
+import ReviewPanel from "./components/ReviewPanel.jsx";
+import ModelPanel from "./components/ModelPanel.jsx";
+import PiiNotice from "./components/PiiNotice.jsx";
+import SplitParts from "./components/SplitParts.jsx";
+import { DOCUMENT_LOCALES, LANGUAGE_NAMES } from "./locales.js";
+
+// Formats the server can ingest (PDF, Word, text, HTML and images via OCR)
+const ACCEPTED_FILE_TYPES = ".pdf,.docx,.txt,.md,.html,.htm,.png,.jpg,.jpeg";
+
+const VIEWS = [
+  { id: "analyzer", label: "Analyzer" },
+  { id: "batch", label: "Batch" },
+  { id: "dashboard", label: "Dashboard" },
+  { id: "compare", label: "Compare" },
+  { id: "schemas", label: "Document Types" },
+  { id: "team", label: "Team" },
+];
+
+// Opens and scrolls to a clause panel rendered by ContractClauses.
+const openClause = (clauseId) => {
+  const element = document.getElementById(`clause-${clauseId}`);
+  if (!element) return;
+  element.open = true;
+  element.scrollIntoView({ behavior: "smooth", block: "center" });
+};
 
 function App() {
+  const [session, setSession] = useState(loadSession);
+  const [workspaceId, setWorkspaceId] = useState(loadWorkspaceId);
   const [file, setFile] = useState(null);
   const [analysisResult, setAnalysisResult] = useState(null);
-  const [history, setHistory] = useState([]);
+  const [historyVersion, setHistoryVersion] = useState(0);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [selectedHistoryId, setSelectedHistoryId] = useState(null);
   const [originalFileName, setOriginalFileName] = useState("");
+  const [engines, setEngines] = useState([]);
+  const [engine, setEngine] = useState("");
+  const [locale, setLocale] = useState("");
+  const [splitPdfs, setSplitPdfs] = useState(true);
+  const [view, setView] = useState("analyzer");
+  const [comparePair, setComparePair] = useState(null);
+  const [redactReports, setRedactReports] = useState(false);
+
+  const workspaces = session?.workspaces || [];
+  const workspace = workspaces.find((w) => String(w.id) === String(workspaceId)) || workspaces[0];
+  const canAnalyze = workspace?.role === "analyst" || workspace?.role === "admin";
+
+  const resetAnalysis = () => {
+    setAnalysisResult(null);
+    setSelectedHistoryId(null);
+    setOriginalFileName("");
+    setError(null);
+  };
+
+  const handleLogin = (data) => {
+    saveSession(data);
+    if (data.workspaces.length > 0) {
+      saveWorkspaceId(data.workspaces[0].id);
+      setWorkspaceId(String(data.workspaces[0].id));
+    }
+    setSession(data);
+  };
 
-  // Function to fetch the analysis history from the backend
-  const fetchHistory = async () => {
+  const handleLogout = async () => {
     try {
-      const res = await axios.get("http://localhost:5000/history");
-      setHistory(res.data);
+      await client.logout();
     } catch (err) {
-      console.error("Failed to fetch history:", err);
+      console.error("Logout failed:", err);
     }
+    clearSession();
+    setSession(null);
+    resetAnalysis();
   };
 
-  // Fetch initial history when the component mounts
+  const handleWorkspaceChange = (id) => {
+    saveWorkspaceId(id);
+    setWorkspaceId(String(id));
+    resetAnalysis();
+  };
+
+  // Keeps the session's copy of a workspace in step with its saved settings
+  const handleWorkspaceUpdated = (updatedWorkspace) => {
+    const updated = { ...session, workspaces: workspaces.map((w) => (w.id === updatedWorkspace.id ? { ...w, ...updatedWorkspace } : w)) };
+    saveSession(updated);
+    setSession(updated);
+  };
+
+  // Adds a newly created workspace to the session and switches to it
+  const handleWorkspaceCreated = (created) => {
+    const updated = { ...session, workspaces: [...workspaces, created] };
+    saveSession(updated);
+    setSession(updated);
+    handleWorkspaceChange(created.id);
+  };
+
+  // Sign out locally whenever the server rejects the stored token
   useEffect(() => {
-    fetchHistory();
+    onUnauthorized(() => setSession(null));
   }, []);
 
+  // Refresh the user's workspaces and roles, which may have changed since login
+  useEffect(() => {
+    if (!session?.token) return;
+    client
+      .getMe()
+      .then((res) => {
+        const updated = { ...loadSession(), ...res.data };
+        saveSession(updated);
+        setSession(updated);
+      })
+      .catch((err) => console.error("Failed to refresh the session:", err));
+  }, [session?.token]);
+
+  // Asks the history panel to reload (after an analysis or a delete)
+  const fetchHistory = () => setHistoryVersion((version) => version + 1);
+
+  // Function to fetch the available analysis engines (regex + configured LLM providers)
+  const fetchEngines = async () => {
+    try {
+      const res = await client.listEngines();
+      setEngines(res.data.engines);
+    } catch (err) {
+      console.error("Failed to fetch engines:", err);
+    }
+  };
+
+  // Fetch the available engines once signed in
+  useEffect(() => {
+    if (session?.token) fetchEngines();
+  }, [session?.token]);
+
   const handleFileChange = (e) => {
       const selectedFile = e.target.files[0];
       setFile(selectedFile);
@@ -45,21 +165,34 @@ function App() {
 
     const formData = new FormData();
     formData.append("file", file);
+    if (engine) {
+      formData.append("provider", engine);
+    }
+    if (locale) {
+      formData.append("locale", locale);
+    }
+    if (!splitPdfs) {
+      formData.append("split", "false");
+    }
 
     try {
-      const res = await axios.post("http://localhost:5000/analyze", formData, {
-        headers: { "Content-Type": "multipart/form-data" },
-      });
+      const res = await client.analyzeDocument(formData);
       setAnalysisResult(res.data);
       fetchHistory();
     } catch (err) {
       console.error("Analysis failed:", err);
-      setError("Failed to analyze the document. Please check the server logs.");
+      setError(err.response?.data?.error || "Failed to analyze the document. Please check the server logs.");
     } finally {
       setLoading(false);
     }
   };
 
+  // Shows a reviewer's corrections and refreshes the history list
+  const handleReviewUpdated = (data) => {
+    setAnalysisResult(data);
+    fetchHistory();
+  };
+
   const handleHistoryClick = async (id) => {
     setLoading(true);
     setError(null);
@@ -67,16 +200,9 @@ function App() {
     setSelectedHistoryId(id);
 
     try {
-        const res = await axios.get(`http://localhost:5000/history/${id}`);
-        const data = res.data;
-        setOriginalFileName(data.filename); // Set filename from history
-        setAnalysisResult({
-            text: data.content,
-            docType: { type: data.doc_type, confidence: data.confidence },
-            missing: { missing_fields: data.missing_fields },
-            recommendations: data.recommendations,
-            extractedFields: data.extracted_fields
-        });
+        const res = await client.getDocument(id);
+        setOriginalFileName(res.data.filename); // Set filename from history
+        setAnalysisResult(res.data);
     } catch (err) {
         console.error("Failed to fetch history detail:", err);
         setError("Failed to load the selected analysis.");
@@ -88,7 +214,7 @@ function App() {
   const handleDelete = async (idToDelete, event) => {
     event.stopPropagation();
     try {
-      await axios.delete(`http://localhost:5000/history/${idToDelete}`);
+      await client.deleteDocument(idToDelete);
       fetchHistory();
       if (selectedHistoryId === idToDelete) {
         setAnalysisResult(null);
@@ -105,200 +231,472 @@ function App() {
     return name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
   };
 
-  // **REVISED:** Function to generate a report in a new window for printing to PDF
-  const handleDownloadReport = () => {
-    if (!analysisResult) return;
-
-    const detailsHTML = analysisResult.extractedFields && Object.keys(analysisResult.extractedFields).length > 0
-      ? `<h2>Extracted Details</h2>
-         <ul>
-           ${Object.entries(analysisResult.extractedFields).map(([key, value]) => `<li><strong>${formatFieldName(key)}:</strong> ${value}</li>`).join('')}
-         </ul>`
-      : '';
-
-    const missingHTML = analysisResult.missing.missing_fields.length > 0
-      ? `<h2>Missing Fields Analysis</h2>
-         <ul>
-           ${analysisResult.missing.missing_fields.map(field => `<li>- ${formatFieldName(field)}</li>`).join('')}
-         </ul>`
-      : '';
-
-    const recommendationsHTML = analysisResult.recommendations && analysisResult.recommendations.length > 0
-      ? `<h2>Improvement Checklist</h2>
-         <ul>
-           ${analysisResult.recommendations.map(rec => `<li>${rec}</li>`).join('')}
-         </ul>`
-      : '';
-
-    const reportHTML = `
-      <html>
-        <head>
-          <title>Document Analysis Report</title>
-          <style>
-            body { font-family: sans-serif; margin: 2em; }
-            h1 { text-align: center; color: #333; }
-            h2 { color: #555; border-bottom: 1px solid #ccc; padding-bottom: 5px; }
-            ul { list-style-type: none; padding-left: 0; }
-            li { margin-bottom: 0.5em; }
-            strong { color: #444; }
-          </style>
-        </head>
-        <body>
-          <h1>Document Analysis Report</h1>
-          <p><strong>Original File:</strong> ${originalFileName}</p>
-          ${detailsHTML}
-          ${missingHTML}
-          ${recommendationsHTML}
-        </body>
-      </html>
-    `;
-
-    const reportWindow = window.open('', '_blank');
-    reportWindow.document.write(reportHTML);
-    reportWindow.document.close();
-    reportWindow.print();
+  // Renders a typed value from normalizedFields (ISO date, money, party, identifier)
+  const formatNormalizedValue = (value) => {
+    if (value === null || value === undefined) return "";
+    if (typeof value !== "object") return String(value);
+    if ("amount" in value) return `${value.amount.toFixed(2)}${value.currency ? ` ${value.currency}` : ""}`;
+    if ("name" in value) return value.address ? `${value.name} — ${value.address}` : value.name;
+    return JSON.stringify(value);
+  };
+
+  const formatAmount = (value) => (value === null || value === undefined ? "—" : value.toFixed(2));
+
+  // Downloads the server-generated report for the analysis being shown
+  const handleDownloadReport = async (format) => {
+    if (!analysisResult?.id) return;
+    try {
+      await downloadFile((config) => client.downloadDocumentReport(analysisResult.id, { format, ...(redactReports && { redact: "true" }) }, config), `analysis-report.${format}`);
+    } catch (err) {
+      console.error("Report download failed:", err);
+      setError("Failed to generate the report. Please try again.");
+    }
   };
 
+  if (!session?.token) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex flex-col items-center justify-center py-10">
+        <LoginForm onLogin={handleLogin} />
+      </div>
+    );
+  }
+
+  if (!workspace) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex flex-col items-center justify-center py-10 gap-4">
+        <p className="text-gray-600">You are not a member of any workspace yet. Ask an admin to add you.</p>
+        <button onClick={handleLogout} className="text-blue-600 hover:underline">Sign out</button>
+      </div>
+    );
+  }
+
   return (
-    <div className="min-h-screen bg-gray-100 flex justify-center py-10">
-      <div className="w-full max-w-6xl grid grid-cols-1 lg:grid-cols-2 gap-8 px-4">
-        
-        <div className="w-full bg-white rounded-2xl shadow-lg p-8 space-y-6 h-fit">
-          <h1 className="text-3xl font-bold text-center text-blue-600 mb-6">
-            LLM Document Analyzer
-          </h1>
-
-          <div className="flex flex-col items-center gap-4 border-b pb-6">
-            <input
-              type="file"
-              accept="application/pdf"
-              className="block w-full max-w-xs text-sm border border-amber-200 rounded-lg cursor-pointer bg-gray-300 focus:outline-none focus:ring-2 focus:ring-amber-300 p-4"
-              onChange={handleFileChange}
-            />
+    <div className="min-h-screen bg-gray-100 flex flex-col items-center py-10 gap-6">
+      <div className="w-full max-w-6xl px-4 flex flex-wrap items-center justify-between gap-4">
+        <nav className="flex gap-2 bg-white rounded-full shadow p-1">
+          {VIEWS.map(({ id, label }) => (
             <button
-              onClick={handleAnalyze}
-              disabled={!file || loading}
-              className="px-8 py-3 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors duration-300 text-lg"
+              key={id}
+              onClick={() => setView(id)}
+              className={`px-5 py-2 rounded-full text-sm font-semibold transition-colors duration-200 ${
+                view === id ? "bg-blue-600 text-white" : "text-gray-600 hover:bg-gray-100"
+              }`}
             >
-              {loading ? "Analyzing..." : "Analyze Document"}
+              {label}
             </button>
+          ))}
+        </nav>
+        <div className="flex items-center gap-3 text-sm text-gray-600">
+          <select
+            value={workspace.id}
+            onChange={(e) => handleWorkspaceChange(e.target.value)}
+            className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+            aria-label="Workspace"
+          >
+            {workspaces.map((w) => (
+              <option key={w.id} value={w.id}>{w.name}</option>
+            ))}
+          </select>
+          <span>
+            {session.user.username} <span className="text-xs bg-gray-200 rounded-full px-2 py-0.5">{workspace.role}</span>
+          </span>
+          <button onClick={handleLogout} className="text-blue-600 hover:underline">Sign out</button>
+        </div>
+      </div>
+
+      {/* Keyed by workspace so every view reloads its data after a switch */}
+      <div key={workspace.id} className="w-full flex flex-col items-center">
+        {view === "schemas" && (
+          <div className="w-full flex flex-col items-center gap-6">
+            <SchemaEditor readOnly={!session.user.operator} />
+            <ModelPanel canManage={session.user.operator} />
           </div>
+        )}
 
-          {error && (
-              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-center">
-                  {error}
+        {view === "dashboard" && (
+          <DashboardView
+            onOpenDocument={(id) => {
+              setView("analyzer");
+              handleHistoryClick(id);
+            }}
+          />
+        )}
+
+        {view === "compare" && (
+          <CompareView
+            key={comparePair ? `${comparePair.a}-${comparePair.b}` : "empty"}
+            initialPair={comparePair}
+            onOpenDocument={(id) => {
+              setView("analyzer");
+              handleHistoryClick(id);
+            }}
+          />
+        )}
+
+        {view === "team" && (
+          <TeamView
+            workspace={workspace}
+            currentUserId={session.user.id}
+            onWorkspaceCreated={handleWorkspaceCreated}
+            onWorkspaceUpdated={handleWorkspaceUpdated}
+          />
+        )}
+        {view === "team" && workspace.role === "admin" && (
+          <div className="w-full flex justify-center mt-6">
+            <WebhooksView />
+          </div>
+        )}
+
+        {view === "batch" && (
+          <BatchView
+            canUpload={canAnalyze}
+            workspaceLocale={workspace.locale}
+            onOpenDocument={(id) => {
+              setView("analyzer");
+              fetchHistory();
+              handleHistoryClick(id);
+            }}
+          />
+        )}
+
+        {view === "analyzer" && (
+        <div className="w-full max-w-6xl grid grid-cols-1 lg:grid-cols-2 gap-8 px-4">
+          
+          <div className="w-full bg-white rounded-2xl shadow-lg p-8 space-y-6 h-fit">
+            <h1 className="text-3xl font-bold text-center text-blue-600 mb-6">
+              LLM Document Analyzer
+            </h1>
+
+            {canAnalyze ? (
+              <div className="flex flex-col items-center gap-4 border-b pb-6">
+                <input
+                  type="file"
+                  accept={ACCEPTED_FILE_TYPES}
+                  className="block w-full max-w-xs text-sm border border-amber-200 rounded-lg cursor-pointer bg-gray-300 focus:outline-none focus:ring-2 focus:ring-amber-300 p-4"
+                  onChange={handleFileChange}
+                />
+                {engines.length > 0 && (
+                  <label className="text-sm text-gray-600">
+                    Engine:{" "}
+                    <select
+                      value={engine}
+                      onChange={(e) => setEngine(e.target.value)}
+                      className="ml-1 border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                    >
+                      <option value="">Server default</option>
+                      {engines.map((name) => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                <label className="text-sm text-gray-600">
+                  Number &amp; date format:{" "}
+                  <select
+                    value={locale}
+                    onChange={(e) => setLocale(e.target.value)}
+                    className="ml-1 border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                  >
+                    <option value="">{workspace.locale ? `Workspace default (${workspace.locale})` : "By detected language"}</option>
+                    {DOCUMENT_LOCALES.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-sm text-gray-600 flex items-center gap-1">
+                  <input type="checkbox" checked={splitPdfs} onChange={(e) => setSplitPdfs(e.target.checked)} />
+                  Split PDFs holding several documents
+                </label>
+                <button
+                  onClick={handleAnalyze}
+                  disabled={!file || loading}
+                  className="px-8 py-3 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors duration-300 text-lg"
+                >
+                  {loading ? "Analyzing..." : "Analyze Document"}
+                </button>
               </div>
-          )}
-
-          {analysisResult && (
-            <div className="space-y-6">
-               <div className="text-center">
-                 <button
-                   onClick={handleDownloadReport}
-                   className="px-6 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 transition-colors duration-300"
-                 >
-                   Download Report
-                 </button>
-               </div>
-              <div>
-                <h3 className="text-xl font-semibold mb-2 text-gray-700">Extracted Text</h3>
-                <div className="bg-gray-50 p-3 rounded-lg h-40 overflow-y-auto border border-gray-200 text-sm text-gray-600 whitespace-pre-wrap">
-                  {analysisResult.text}
+            ) : (
+              <p className="text-center text-sm text-gray-500 border-b pb-6">
+                You have view-only access to this workspace. Pick an analysis from the history to review it.
+              </p>
+            )}
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-center">
+                    {error}
                 </div>
-              </div>
-              <div>
-                <h3 className="text-xl font-semibold mb-2 text-gray-700">Document Type</h3>
-                <p className="text-gray-800 bg-gray-50 p-3 rounded-lg border">
-                  Type: <span className="font-bold text-green-600">{analysisResult.docType.type}</span>{" "}
-                  (Confidence: <span className="font-bold text-blue-600">{(analysisResult.docType.confidence * 100).toFixed(0)}%</span>)
-                </p>
-              </div>
+            )}
 
-              {analysisResult.extractedFields && Object.keys(analysisResult.extractedFields).length > 0 && (
+            {analysisResult && (
+              <div className="space-y-6">
+                 <div className="text-center space-y-1">
+                   <button
+                     onClick={() => handleDownloadReport("pdf")}
+                     className="px-6 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 transition-colors duration-300"
+                   >
+                     Download Report
+                   </button>
+                   <p className="text-xs text-gray-500 space-x-2">
+                     <span>Also as</span>
+                     {["csv", "xlsx", "json"].map((format) => (
+                       <button key={format} onClick={() => handleDownloadReport(format)} className="text-blue-600 hover:underline uppercase">
+                         {format}
+                       </button>
+                     ))}
+                     <label className="inline-flex items-center gap-1">
+                       <input type="checkbox" checked={redactReports} onChange={(e) => setRedactReports(e.target.checked)} />
+                       mask personal data
+                     </label>
+                   </p>
+                 </div>
                 <div>
-                  <h3 className="text-xl font-semibold mb-2 text-gray-700">Extracted Details</h3>
-                  <div className="bg-blue-50 p-3 rounded-lg border border-blue-200 text-sm text-gray-800 space-y-2">
-                      {Object.entries(analysisResult.extractedFields).map(([key, value]) => (
-                          <div key={key} className="grid grid-cols-3 gap-2">
-                              <strong className="text-gray-600 col-span-1">{formatFieldName(key)}:</strong>
-                              <span className="text-gray-800 col-span-2">{value}</span>
-                          </div>
-                      ))}
-                  </div>
+                  <h3 className="text-xl font-semibold mb-2 text-gray-700">Document</h3>
+                  {analysisResult.sourceFormat && (
+                    <p className="text-xs text-gray-500 mb-1">
+                      Source: {analysisResult.sourceFormat.toUpperCase()} ({analysisResult.extractionMethod})
+                    </p>
+                  )}
+                  {analysisResult.uploadId && (
+                    <SplitParts
+                      key={`split-${analysisResult.id}`}
+                      uploadId={analysisResult.uploadId}
+                      documentId={analysisResult.id}
+                      onOpen={handleHistoryClick}
+                    />
+                  )}
+                  <PiiNotice
+                    key={`pii-${analysisResult.id}`}
+                    documentId={analysisResult.id}
+                    pii={analysisResult.pii}
+                    piiPolicy={analysisResult.piiPolicy}
+                    canReveal={canAnalyze}
+                  />
+                  {analysisResult.contentPurgedAt ? (
+                    <p className="text-sm text-gray-500 bg-gray-50 p-3 rounded-lg border border-gray-200">
+                      The text and original file were purged on {analysisResult.contentPurgedAt.slice(0, 10)} under the workspace's
+                      retention policy; the extracted fields below are kept.
+                    </p>
+                  ) : (
+                    <DocumentViewer
+                      key={analysisResult.id}
+                      documentId={analysisResult.id}
+                      filename={originalFileName}
+                      text={analysisResult.text}
+                      highlights={analysisResult.highlights}
+                      sourceFormat={analysisResult.sourceFormat}
+                      originalAvailable={analysisResult.originalAvailable && (canAnalyze || !analysisResult.originalRestricted)}
+                      pageStart={analysisResult.pageStart}
+                      pageEnd={analysisResult.pageEnd}
+                    />
+                  )}
+                </div>
+                <div>
+                  <h3 className="text-xl font-semibold mb-2 text-gray-700">Document Type</h3>
+                  <p className="text-gray-800 bg-gray-50 p-3 rounded-lg border">
+                    Type: <span className="font-bold text-green-600">{analysisResult.docType}</span>{" "}
+                    (Confidence: <span className="font-bold text-blue-600">{(analysisResult.confidence * 100).toFixed(0)}%</span>)
+                    {analysisResult.engine && (
+                      <span className="block text-xs text-gray-500 mt-1">
+                        Analyzed by: {analysisResult.engine}
+                        {analysisResult.classifier && analysisResult.classifier !== analysisResult.engine && ` (classified by ${analysisResult.classifier})`}
+                      </span>
+                    )}
+                    {analysisResult.language && (
+                      <span className="block text-xs text-gray-500 mt-1">
+                        Language: {LANGUAGE_NAMES[analysisResult.language] || analysisResult.language}
+                        {analysisResult.locale && ` · numbers and dates read as ${analysisResult.locale}`}
+                      </span>
+                    )}
+                    {analysisResult.source === "folder" && (
+                      <span className="block text-xs text-gray-500 mt-1">Source: watched folder</span>
+                    )}
+                    {analysisResult.source === "cli" && (
+                      <span className="block text-xs text-gray-500 mt-1">Source: command line</span>
+                    )}
+                    {analysisResult.source === "email" && (
+                      <span className="block text-xs text-gray-500 mt-1">
+                        Source: email{analysisResult.sender && ` from ${analysisResult.sender}`}
+                      </span>
+                    )}
+                  </p>
+                  {analysisResult.fallbackReason && (
+                    <p className="text-xs text-amber-700 mt-1">
+                      The selected provider failed ({analysisResult.fallbackReason}); the regex analyzer was used instead.
+                    </p>
+                  )}
                 </div>
-              )}
-
-              <div>
-                <h3 className="text-xl font-semibold mb-2 text-gray-700">Missing Fields Analysis</h3>
-                {analysisResult.missing.missing_fields.length > 0 ? (
-                  <div className="bg-red-50 p-3 rounded-lg border border-red-200 text-sm text-gray-800">
-                      <ul className="list-disc list-inside">
-                          {analysisResult.missing.missing_fields.map(field => (
-                              <li key={field}>{field.replace(/_/g, ' ')}</li>
+
+                {analysisResult.id && (
+                  <DuplicateWarning
+                    key={`duplicates-${analysisResult.id}`}
+                    documentId={analysisResult.id}
+                    onOpen={handleHistoryClick}
+                    onCompare={(a, b) => {
+                      setComparePair({ a, b });
+                      setView("compare");
+                    }}
+                  />
+                )}
+
+                {analysisResult.id && (
+                  <ReviewPanel
+                    key={`review-${analysisResult.id}`}
+                    documentId={analysisResult.id}
+                    docType={analysisResult.docType}
+                    extractedFields={analysisResult.extractedFields}
+                    reviewStatus={analysisResult.reviewStatus}
+                    canReview={canAnalyze}
+                    onUpdated={handleReviewUpdated}
+                  />
+                )}
+
+                {analysisResult.id && (
+                  <VersionHistory
+                    key={analysisResult.id}
+                    documentId={analysisResult.id}
+                    onOpen={handleHistoryClick}
+                    onCompare={(a, b) => {
+                      setComparePair({ a, b });
+                      setView("compare");
+                    }}
+                  />
+                )}
+
+                {analysisResult.id && !analysisResult.contentPurgedAt && (
+                  <DocumentChat key={`chat-${analysisResult.id}`} documentId={analysisResult.id} engines={engines} />
+                )}
+
+                {analysisResult.extractedFields && Object.keys(analysisResult.extractedFields).length > 0 && (
+                  <div>
+                    <h3 className="text-xl font-semibold mb-2 text-gray-700">Extracted Details</h3>
+                    <div className="bg-blue-50 p-3 rounded-lg border border-blue-200 text-sm text-gray-800 space-y-2">
+                        {Object.entries(analysisResult.extractedFields).map(([key, value]) => (
+                            <div key={key} className="grid grid-cols-3 gap-2">
+                                <strong className="text-gray-600 col-span-1">{formatFieldName(key)}:</strong>
+                                <span className="text-gray-800 col-span-2">
+                                  {value}
+                                  {analysisResult.normalizedFields?.[key] !== undefined &&
+                                    formatNormalizedValue(analysisResult.normalizedFields[key]) !== value && (
+                                      <span className="block text-xs text-gray-500">
+                                        Normalized: {formatNormalizedValue(analysisResult.normalizedFields[key])}
+                                      </span>
+                                    )}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                  </div>
+                )}
+
+                {analysisResult.lineItems && analysisResult.lineItems.length > 0 && (
+                  <div>
+                    <h3 className="text-xl font-semibold mb-2 text-gray-700">Line Items</h3>
+                    <div className="overflow-x-auto rounded-lg border border-gray-200">
+                      <table className="w-full text-sm text-gray-800">
+                        <thead className="bg-gray-50 text-gray-600">
+                          <tr>
+                            <th className="text-left p-2">Description</th>
+                            <th className="text-right p-2">Qty</th>
+                            <th className="text-right p-2">Unit Price</th>
+                            <th className="text-right p-2">Tax</th>
+                            <th className="text-right p-2">Total</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {analysisResult.lineItems.map((item, index) => (
+                            <tr key={index} className="border-t border-gray-100">
+                              <td className="p-2">{item.description || "—"}</td>
+                              <td className="text-right p-2">{item.quantity ?? "—"}</td>
+                              <td className="text-right p-2">{formatAmount(item.unitPrice)}</td>
+                              <td className="text-right p-2">{formatAmount(item.tax)}</td>
+                              <td className="text-right p-2">{formatAmount(item.total)}</td>
+                            </tr>
                           ))}
-                      </ul>
+                        </tbody>
+                        <tfoot className="bg-gray-50 font-semibold">
+                          <tr className="border-t border-gray-200">
+                            <td className="p-2" colSpan={4}>Sum of line totals</td>
+                            <td className="text-right p-2">
+                              {formatAmount(analysisResult.lineItems.reduce((sum, item) => sum + (item.total ?? 0), 0))}
+                            </td>
+                          </tr>
+                        </tfoot>
+                      </table>
+                    </div>
                   </div>
-                ) : (
-                  <p className="text-green-700 bg-green-50 p-3 rounded-lg border border-green-200">
-                      All required fields appear to be present.
-                  </p>
                 )}
-              </div>
 
-              {analysisResult.recommendations && analysisResult.recommendations.length > 0 && (
-                <div>
-                  <h3 className="text-xl font-semibold mb-2 text-gray-700">Improvement Checklist</h3>
-                  <div className="bg-yellow-50 p-3 rounded-lg border border-yellow-200 text-sm text-gray-800 space-y-2">
-                      {analysisResult.recommendations.map((rec, index) => (
-                          <div key={index} className="flex items-start">
-                              <svg className="w-5 h-5 text-yellow-600 mr-2 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
-                              <span>{rec}</span>
-                          </div>
-                      ))}
+                {analysisResult.riskScore !== null && analysisResult.riskScore !== undefined && (
+                  <ContractClauses clauses={analysisResult.clauses} risks={analysisResult.risks} riskScore={analysisResult.riskScore} />
+                )}
+
+                {analysisResult.warnings && analysisResult.warnings.length > 0 && (
+                  <div>
+                    <h3 className="text-xl font-semibold mb-2 text-gray-700">Validation Warnings</h3>
+                    <div className="bg-orange-50 p-3 rounded-lg border border-orange-200 text-sm text-gray-800 space-y-1">
+                        {analysisResult.warnings.map((warning, index) => (
+                            <p key={index}>
+                                <span className="font-semibold text-orange-700">{formatFieldName(warning.code)}:</span> {warning.message}
+                            </p>
+                        ))}
+                    </div>
                   </div>
-                </div>
-              )}
+                )}
 
-            </div>
-          )}
-        </div>
+                <div>
+                  <h3 className="text-xl font-semibold mb-2 text-gray-700">Missing Fields Analysis</h3>
+                  {analysisResult.missingFields.length > 0 ? (
+                    <div className="bg-red-50 p-3 rounded-lg border border-red-200 text-sm text-gray-800">
+                        <ul className="list-disc list-inside">
+                            {analysisResult.missingFields.map(field => (
+                                <li key={field}>{field.replace(/_/g, ' ')}</li>
+                            ))}
+                        </ul>
+                    </div>
+                  ) : (
+                    <p className="text-green-700 bg-green-50 p-3 rounded-lg border border-green-200">
+                        All required fields appear to be present.
+                    </p>
+                  )}
+                </div>
 
-        <div className="w-full bg-white rounded-2xl shadow-lg p-8 h-fit">
-            <h2 className="text-2xl font-bold text-center text-gray-800 mb-6">Analysis History</h2>
-            <div className="space-y-3 max-h-[80vh] overflow-y-auto pr-2">
-                {history.length > 0 ? (
-                    history.map((item) => (
-                        <div 
-                            key={item.id} 
-                            onClick={() => handleHistoryClick(item.id)}
-                            className={`relative bg-gray-50 border p-4 rounded-lg cursor-pointer hover:bg-blue-50 hover:border-blue-300 transition-colors duration-200 ${
-                                selectedHistoryId === item.id ? 'border-blue-500 ring-2 ring-blue-300' : 'border-gray-200'
-                            }`}
-                        >
-                            <button
-                                onClick={(e) => handleDelete(item.id, e)}
-                                className="absolute top-2 right-2 p-1 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center hover:bg-red-600 text-xs font-bold"
-                                aria-label="Delete analysis"
-                            >
-                                X
-                            </button>
-                            <div className="pr-6">
-                                <p className="font-semibold text-gray-700 pointer-events-none">{item.filename}</p>
-                                <p className="text-sm text-gray-500 pointer-events-none">
-                                    Type: <span className="font-medium text-gray-600">{item.doc_type}</span>
-                                </p>
-                                <p className="text-xs text-gray-400 mt-1 pointer-events-none">
-                                    Analyzed on: {new Date(item.analyzed_at.replace(' ', 'T') + 'Z').toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}
-                                </p>
-                            </div>
-                        </div>
-                    ))
-                ) : (
-                    <p className="text-center text-gray-500 mt-4">No analysis history found.</p>
+                {analysisResult.recommendations && analysisResult.recommendations.length > 0 && (
+                  <div>
+                    <h3 className="text-xl font-semibold mb-2 text-gray-700">Improvement Checklist</h3>
+                    <div className="bg-yellow-50 p-3 rounded-lg border border-yellow-200 text-sm text-gray-800 space-y-2">
+                        {analysisResult.recommendations.map((rec, index) => {
+                            const risk = analysisResult.risks?.find((finding) => finding.recommendation === rec && finding.clauseId !== null);
+                            return (
+                                <div key={index} className="flex items-start">
+                                    <svg className="w-5 h-5 text-yellow-600 mr-2 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
+                                    <span>
+                                      {rec}
+                                      {risk && (
+                                        <button onClick={() => openClause(risk.clauseId)} className="ml-2 text-xs text-blue-600 hover:underline">
+                                          View clause
+                                        </button>
+                                      )}
+                                    </span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                  </div>
                 )}
-            </div>
-        </div>
 
+              </div>
+            )}
+          </div>
+
+          <HistoryPanel
+            selectedId={selectedHistoryId}
+            onSelect={handleHistoryClick}
+            onDelete={canAnalyze ? handleDelete : null}
+            refreshKey={historyVersion}
+          />
+
+        </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,95 @@
+import axios from "axios";
+import { API_BASE_PATH, createApiClient } from "./apiClient.js";
+
+// Shared HTTP client: every request carries the session token and the active
+// workspace, and a 401 response signs the user out. Calls go through `client`,
+// generated from the server's OpenAPI document (see apiClient.js).
+
+// The API is on this origin (the dev server proxies /api to the back end)
+// unless VITE_API_ORIGIN points elsewhere.
+export const API_BASE_URL = `${import.meta.env.VITE_API_ORIGIN || ""}${API_BASE_PATH}`;
+
+const SESSION_KEY = "docAnalyzer.session";
+const WORKSPACE_KEY = "docAnalyzer.workspace";
+
+export const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const saveSession = (session) => localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+  localStorage.removeItem(WORKSPACE_KEY);
+};
+
+export const loadWorkspaceId = () => localStorage.getItem(WORKSPACE_KEY);
+
+export const saveWorkspaceId = (id) => localStorage.setItem(WORKSPACE_KEY, String(id));
+
+const api = axios.create({ baseURL: API_BASE_URL });
+
+api.interceptors.request.use((config) => {
+  const session = loadSession();
+  if (session?.token) {
+    config.headers.Authorization = `Bearer ${session.token}`;
+  }
+  const workspaceId = loadWorkspaceId();
+  if (workspaceId) {
+    config.headers["X-Workspace-Id"] = workspaceId;
+  }
+  return config;
+});
+
+let unauthorizedHandler = null;
+
+// Registers the callback run when the server rejects the session (expired or logged out).
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && !error.config.url.startsWith("/auth/")) {
+      clearSession();
+      unauthorizedHandler?.();
+    }
+    return Promise.reject(error);
+  }
+);
+
+// URL for requests that cannot send headers (EventSource, links), with the
+// token and workspace passed as query parameters instead. `path` is one of the
+// client's `paths`.
+export const authorizedUrl = (path) => {
+  const url = new URL(`${API_BASE_URL}${path}`, window.location.origin);
+  const session = loadSession();
+  if (session?.token) url.searchParams.set("access_token", session.token);
+  const workspaceId = loadWorkspaceId();
+  if (workspaceId) url.searchParams.set("workspace", workspaceId);
+  return url.toString();
+};
+
+// Fetches a file through the authenticated client and saves it in the browser,
+// under the name from the server's Content-Disposition header when there is one.
+// `request` is a client call that takes the axios config last.
+export const downloadFile = async (request, fallbackName) => {
+  const res = await request({ responseType: "blob" });
+  const disposition = res.headers["content-disposition"] || "";
+  const match = disposition.match(/filename="([^"]+)"/);
+  const url = URL.createObjectURL(res.data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const client = createApiClient(api);
+
+export { paths } from "./apiClient.js";
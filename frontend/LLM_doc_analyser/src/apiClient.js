@@ -0,0 +1,179 @@
+// Generated by server/scripts/generate-client.js from the OpenAPI document
+// (Document Analyzer API 1.0.0). Do not edit by hand;
+// run `npm run generate-client` in server/ after changing the API.
+
+export const API_BASE_PATH = "/api/v1";
+
+// Path of each operation, relative to API_BASE_PATH.
+export const paths = {
+  activateModelVersion: (version) => `/model/versions/${encodeURIComponent(version)}/activate`,
+  addMember: (workspaceId) => `/workspaces/${encodeURIComponent(workspaceId)}/members`,
+  analyzeDocument: () => `/analyze`,
+  askDocument: (id) => `/history/${encodeURIComponent(id)}/ask`,
+  compareDocuments: () => `/compare`,
+  createBatch: () => `/batch`,
+  createSchema: () => `/schemas`,
+  createWebhook: () => `/webhooks`,
+  createWorkspace: () => `/workspaces`,
+  deleteDocument: (id) => `/history/${encodeURIComponent(id)}`,
+  deleteSchema: (name) => `/schemas/${encodeURIComponent(name)}`,
+  deleteWebhook: (id) => `/webhooks/${encodeURIComponent(id)}`,
+  downloadDocumentFile: (id) => `/history/${encodeURIComponent(id)}/file`,
+  downloadDocumentReport: (id) => `/history/${encodeURIComponent(id)}/report`,
+  downloadHistoryReport: () => `/history/report`,
+  getDocument: (id) => `/history/${encodeURIComponent(id)}`,
+  getDocumentAudit: (id) => `/history/${encodeURIComponent(id)}/audit`,
+  getDocumentDuplicates: (id) => `/history/${encodeURIComponent(id)}/duplicates`,
+  getDocumentPii: (id) => `/history/${encodeURIComponent(id)}/pii`,
+  getHistoryFacets: () => `/history/facets`,
+  getJob: (id) => `/jobs/${encodeURIComponent(id)}`,
+  getMe: () => `/auth/me`,
+  getModel: () => `/model`,
+  getModelVersion: (version) => `/model/versions/${encodeURIComponent(version)}`,
+  getReviewQueue: () => `/history/review-queue`,
+  getSchema: (name) => `/schemas/${encodeURIComponent(name)}`,
+  getStats: () => `/stats`,
+  getUpload: (id) => `/uploads/${encodeURIComponent(id)}`,
+  getWebhook: (id) => `/webhooks/${encodeURIComponent(id)}`,
+  listConnectors: () => `/connectors`,
+  listDeliveries: (id) => `/webhooks/${encodeURIComponent(id)}/deliveries`,
+  listDocumentVersions: (id) => `/history/${encodeURIComponent(id)}/versions`,
+  listEngines: () => `/engines`,
+  listJobs: () => `/jobs`,
+  listMembers: (workspaceId) => `/workspaces/${encodeURIComponent(workspaceId)}/members`,
+  listModelVersions: () => `/model/versions`,
+  listSchemas: () => `/schemas`,
+  listWebhooks: () => `/webhooks`,
+  listWorkspaces: () => `/workspaces`,
+  login: () => `/auth/login`,
+  logout: () => `/auth/logout`,
+  redeliver: (id, deliveryId) => `/webhooks/${encodeURIComponent(id)}/deliveries/${encodeURIComponent(deliveryId)}/redeliver`,
+  register: () => `/auth/register`,
+  removeMember: (workspaceId, userId) => `/workspaces/${encodeURIComponent(workspaceId)}/members/${encodeURIComponent(userId)}`,
+  retrainModel: () => `/model/retrain`,
+  retryJob: (id) => `/jobs/${encodeURIComponent(id)}/retry`,
+  reviewDocument: (id) => `/history/${encodeURIComponent(id)}`,
+  searchHistory: () => `/history`,
+  streamJob: (id) => `/jobs/${encodeURIComponent(id)}/events`,
+  summarizeDocument: (id) => `/history/${encodeURIComponent(id)}/summary`,
+  testWebhook: (id) => `/webhooks/${encodeURIComponent(id)}/test`,
+  updateMember: (workspaceId, userId) => `/workspaces/${encodeURIComponent(workspaceId)}/members/${encodeURIComponent(userId)}`,
+  updateSchema: (name) => `/schemas/${encodeURIComponent(name)}`,
+  updateWebhook: (id) => `/webhooks/${encodeURIComponent(id)}`,
+  updateWorkspace: (workspaceId) => `/workspaces/${encodeURIComponent(workspaceId)}`,
+};
+
+// Binds every operation to an axios instance. Each function resolves to the
+// axios response; errors carry `{ error, code, details? }` as their data.
+export const createApiClient = (http) => ({
+  /** POST /model/versions/{version}/activate: Make a classifier version the active one. */
+  activateModelVersion: (version, config) => http.post(paths.activateModelVersion(version), undefined, config),
+  /** POST /workspaces/{workspaceId}/members: Add a user to the workspace. */
+  addMember: (workspaceId, body, config) => http.post(paths.addMember(workspaceId), body, config),
+  /** POST /analyze: Analyze and store one document. */
+  analyzeDocument: (body, query, config) => http.post(paths.analyzeDocument(), body, { ...config, params: query }),
+  /** POST /history/{id}/ask: Answer a question from the document, with cited passages. */
+  askDocument: (id, body, query, config) => http.post(paths.askDocument(id), body, { ...config, params: query }),
+  /** GET /compare: Diff the text, fields and missing fields of two documents. */
+  compareDocuments: (query, config) => http.get(paths.compareDocuments(), { ...config, params: query }),
+  /** POST /batch: Queue up to 500 files (or ZIP archives) for analysis. */
+  createBatch: (body, query, config) => http.post(paths.createBatch(), body, { ...config, params: query }),
+  /** POST /schemas: Add a document type. */
+  createSchema: (body, config) => http.post(paths.createSchema(), body, config),
+  /** POST /webhooks: Subscribe a URL to events. */
+  createWebhook: (body, config) => http.post(paths.createWebhook(), body, config),
+  /** POST /workspaces: Create a workspace owned by the signed-in user. */
+  createWorkspace: (body, config) => http.post(paths.createWorkspace(), body, config),
+  /** DELETE /history/{id}: Delete a document and its file. */
+  deleteDocument: (id, config) => http.delete(paths.deleteDocument(id), config),
+  /** DELETE /schemas/{name}: Remove a document type. */
+  deleteSchema: (name, config) => http.delete(paths.deleteSchema(name), config),
+  /** DELETE /webhooks/{id}: Delete a webhook subscription. */
+  deleteWebhook: (id, config) => http.delete(paths.deleteWebhook(id), config),
+  /** GET /history/{id}/file: The original uploaded file (analysts only when originalRestricted). */
+  downloadDocumentFile: (id, query, config) => http.get(paths.downloadDocumentFile(id), { ...config, params: query }),
+  /** GET /history/{id}/report: A report of one document. */
+  downloadDocumentReport: (id, query, config) => http.get(paths.downloadDocumentReport(id), { ...config, params: query }),
+  /** GET /history/report: A report of the documents matching the filters. */
+  downloadHistoryReport: (query, config) => http.get(paths.downloadHistoryReport(), { ...config, params: query }),
+  /** GET /history/{id}: One analyzed document. */
+  getDocument: (id, config) => http.get(paths.getDocument(id), config),
+  /** GET /history/{id}/audit: The review trail of a document. */
+  getDocumentAudit: (id, config) => http.get(paths.getDocumentAudit(id), config),
+  /** GET /history/{id}/duplicates: Documents this one duplicates and is duplicated by. */
+  getDocumentDuplicates: (id, config) => http.get(paths.getDocumentDuplicates(id), config),
+  /** GET /history/{id}/pii: The personal data found in the document, with recoverable original values. */
+  getDocumentPii: (id, config) => http.get(paths.getDocumentPii(id), config),
+  /** GET /history/facets: Counts per type, missing field, review status and source. */
+  getHistoryFacets: (config) => http.get(paths.getHistoryFacets(), config),
+  /** GET /jobs/{id}: A batch job and its items. */
+  getJob: (id, config) => http.get(paths.getJob(id), config),
+  /** GET /auth/me: The signed-in user and their workspaces. */
+  getMe: (config) => http.get(paths.getMe(), config),
+  /** GET /model: The active classifier model. */
+  getModel: (config) => http.get(paths.getModel(), config),
+  /** GET /model/versions/{version}: One classifier version with its metrics. */
+  getModelVersion: (version, config) => http.get(paths.getModelVersion(version), config),
+  /** GET /history/review-queue: Documents awaiting review, least confident first. */
+  getReviewQueue: (query, config) => http.get(paths.getReviewQueue(), { ...config, params: query }),
+  /** GET /schemas/{name}: One document type. */
+  getSchema: (name, config) => http.get(paths.getSchema(name), config),
+  /** GET /stats: Processing analytics for a date range. */
+  getStats: (query, config) => http.get(paths.getStats(), { ...config, params: query }),
+  /** GET /uploads/{id}: A multi-document PDF and the documents it was split into. */
+  getUpload: (id, config) => http.get(paths.getUpload(id), config),
+  /** GET /webhooks/{id}: One webhook subscription. */
+  getWebhook: (id, config) => http.get(paths.getWebhook(id), config),
+  /** GET /connectors: Folder and mailbox connectors feeding the workspace. */
+  listConnectors: (config) => http.get(paths.listConnectors(), config),
+  /** GET /webhooks/{id}/deliveries: Recent deliveries of a webhook. */
+  listDeliveries: (id, config) => http.get(paths.listDeliveries(id), config),
+  /** GET /history/{id}/versions: All versions of the document. */
+  listDocumentVersions: (id, config) => http.get(paths.listDocumentVersions(id), config),
+  /** GET /engines: Analysis engines and the default one. */
+  listEngines: (config) => http.get(paths.listEngines(), config),
+  /** GET /jobs: The 50 most recent batch jobs. */
+  listJobs: (config) => http.get(paths.listJobs(), config),
+  /** GET /workspaces/{workspaceId}/members: Members of the workspace. */
+  listMembers: (workspaceId, config) => http.get(paths.listMembers(workspaceId), config),
+  /** GET /model/versions: Trained classifier versions, newest first. */
+  listModelVersions: (config) => http.get(paths.listModelVersions(), config),
+  /** GET /schemas: Document types in the workspace language. */
+  listSchemas: (config) => http.get(paths.listSchemas(), config),
+  /** GET /webhooks: Webhook subscriptions of the workspace. */
+  listWebhooks: (config) => http.get(paths.listWebhooks(), config),
+  /** GET /workspaces: The signed-in user's workspaces. */
+  listWorkspaces: (config) => http.get(paths.listWorkspaces(), config),
+  /** POST /auth/login: Sign in. */
+  login: (body, config) => http.post(paths.login(), body, config),
+  /** POST /auth/logout: End the current session. */
+  logout: (config) => http.post(paths.logout(), undefined, config),
+  /** POST /webhooks/{id}/deliveries/{deliveryId}/redeliver: Send a delivery again. */
+  redeliver: (id, deliveryId, config) => http.post(paths.redeliver(id, deliveryId), undefined, config),
+  /** POST /auth/register: Create an account and its first workspace. */
+  register: (body, config) => http.post(paths.register(), body, config),
+  /** DELETE /workspaces/{workspaceId}/members/{userId}: Remove a member from the workspace. */
+  removeMember: (workspaceId, userId, config) => http.delete(paths.removeMember(workspaceId, userId), config),
+  /** POST /model/retrain: Train a classifier on the documents of the operator's workspaces. */
+  retrainModel: (body, config) => http.post(paths.retrainModel(), body, config),
+  /** POST /jobs/{id}/retry: Requeue the failed items of a job. */
+  retryJob: (id, config) => http.post(paths.retryJob(id), undefined, config),
+  /** PATCH /history/{id}: Correct the type or fields of a document, or set its review status. */
+  reviewDocument: (id, body, config) => http.patch(paths.reviewDocument(id), body, config),
+  /** GET /history: Search analyzed documents. */
+  searchHistory: (query, config) => http.get(paths.searchHistory(), { ...config, params: query }),
+  /** GET /jobs/{id}/events: Server-sent events with the job after every change. */
+  streamJob: (id, query, config) => http.get(paths.streamJob(id), { ...config, params: query }),
+  /** GET /history/{id}/summary: Summarize the document. */
+  summarizeDocument: (id, query, config) => http.get(paths.summarizeDocument(id), { ...config, params: query }),
+  /** POST /webhooks/{id}/test: Send a test event. */
+  testWebhook: (id, config) => http.post(paths.testWebhook(id), undefined, config),
+  /** PATCH /workspaces/{workspaceId}/members/{userId}: Change a member's role. */
+  updateMember: (workspaceId, userId, body, config) => http.patch(paths.updateMember(workspaceId, userId), body, config),
+  /** PUT /schemas/{name}: Replace or rename a document type. */
+  updateSchema: (name, body, config) => http.put(paths.updateSchema(name), body, config),
+  /** PATCH /webhooks/{id}: Change a webhook subscription. */
+  updateWebhook: (id, body, config) => http.patch(paths.updateWebhook(id), body, config),
+  /** PATCH /workspaces/{workspaceId}: Set the workspace's document locale, PII policy and content retention. */
+  updateWorkspace: (workspaceId, body, config) => http.patch(paths.updateWorkspace(workspaceId), body, config),
+});
@@ -0,0 +1,234 @@
+import { useState, useEffect, useRef } from "react";
+import { client, paths, authorizedUrl } from "../api.js";
+import { DOCUMENT_LOCALES } from "../locales.js";
+
+const STATUS_STYLES = {
+  pending: "bg-gray-100 text-gray-600",
+  processing: "bg-blue-100 text-blue-700",
+  done: "bg-green-100 text-green-700",
+  failed: "bg-red-100 text-red-700",
+};
+
+const FINISHED_STATUSES = ["completed", "completed_with_errors"];
+
+function BatchView({ onOpenDocument, canUpload, workspaceLocale }) {
+  const [files, setFiles] = useState([]);
+  const [locale, setLocale] = useState("");
+  const [job, setJob] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const eventSourceRef = useRef(null);
+
+  const fetchJobs = async () => {
+    try {
+      const res = await client.listJobs();
+      setJobs(res.data);
+    } catch (err) {
+      console.error("Failed to fetch jobs:", err);
+    }
+  };
+
+  // Follows a job's progress over Server-Sent Events until it finishes.
+  const watchJob = (jobId) => {
+    eventSourceRef.current?.close();
+    const source = new EventSource(authorizedUrl(paths.streamJob(jobId)));
+    source.addEventListener("progress", (event) => setJob(JSON.parse(event.data)));
+    source.addEventListener("done", () => {
+      source.close();
+      fetchJobs();
+    });
+    source.onerror = () => source.close();
+    eventSourceRef.current = source;
+  };
+
+  useEffect(() => {
+    fetchJobs();
+    return () => eventSourceRef.current?.close();
+  }, []);
+
+  const handleUpload = async () => {
+    if (files.length === 0) return;
+    setUploading(true);
+    setError(null);
+
+    const formData = new FormData();
+    files.forEach((file) => formData.append("files", file));
+    if (locale) {
+      formData.append("locale", locale);
+    }
+
+    try {
+      const res = await client.createBatch(formData);
+      setJob(res.data);
+      watchJob(res.data.id);
+      fetchJobs();
+    } catch (err) {
+      console.error("Batch upload failed:", err);
+      setError(err.response?.data?.error || "Failed to upload the batch.");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSelectJob = async (jobId) => {
+    try {
+      const res = await client.getJob(jobId);
+      setJob(res.data);
+      if (!FINISHED_STATUSES.includes(res.data.status)) {
+        watchJob(jobId);
+      }
+    } catch (err) {
+      console.error("Failed to fetch job:", err);
+      setError("Failed to load the selected batch.");
+    }
+  };
+
+  const handleRetry = async () => {
+    try {
+      const res = await client.retryJob(job.id);
+      setJob(res.data.job);
+      watchJob(job.id);
+    } catch (err) {
+      console.error("Retry failed:", err);
+      setError("Failed to retry the failed files.");
+    }
+  };
+
+  const progress = job && job.total > 0 ? Math.round(((job.done + job.failed) / job.total) * 100) : 0;
+
+  return (
+    <div className="w-full max-w-6xl grid grid-cols-1 lg:grid-cols-3 gap-8 px-4">
+      <div className="w-full bg-white rounded-2xl shadow-lg p-6 h-fit space-y-4">
+        <h2 className="text-2xl font-bold text-center text-gray-800">Batch Upload</h2>
+        {canUpload ? (
+          <>
+            <input
+              type="file"
+              multiple
+              accept=".pdf,.docx,.txt,.md,.html,.htm,.png,.jpg,.jpeg,.zip"
+              className="block w-full text-sm border border-amber-200 rounded-lg cursor-pointer bg-gray-300 focus:outline-none focus:ring-2 focus:ring-amber-300 p-4"
+              onChange={(e) => setFiles(Array.from(e.target.files))}
+            />
+            <p className="text-xs text-gray-500">Select many documents, or ZIP archives of documents.</p>
+            <label className="block text-sm text-gray-600">
+              Number &amp; date format:
+              <select
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                className="mt-1 w-full border border-gray-300 rounded-lg px-2 py-1 bg-white"
+              >
+                <option value="">{workspaceLocale ? `Workspace default (${workspaceLocale})` : "By detected language"}</option>
+                {DOCUMENT_LOCALES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={handleUpload}
+              disabled={files.length === 0 || uploading}
+              className="w-full px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors duration-300"
+            >
+              {uploading ? "Uploading..." : `Queue ${files.length || ""} File${files.length === 1 ? "" : "s"}`}
+            </button>
+          </>
+        ) : (
+          <p className="text-sm text-gray-500 text-center">Viewers can follow batches but not upload new ones.</p>
+        )}
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-center">{error}</div>
+        )}
+
+        <h3 className="text-lg font-semibold text-gray-700 border-t pt-4">Recent Batches</h3>
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {jobs.length > 0 ? (
+            jobs.map((item) => (
+              <div
+                key={item.id}
+                onClick={() => handleSelectJob(item.id)}
+                className={`bg-gray-50 border p-3 rounded-lg cursor-pointer hover:bg-blue-50 hover:border-blue-300 text-sm ${
+                  job?.id === item.id ? "border-blue-500 ring-2 ring-blue-300" : "border-gray-200"
+                }`}
+              >
+                <p className="font-semibold text-gray-700">Batch #{item.id}</p>
+                <p className="text-xs text-gray-500">
+                  {item.done}/{item.total} done, {item.failed} failed ({item.status.replace(/_/g, " ")})
+                </p>
+              </div>
+            ))
+          ) : (
+            <p className="text-center text-gray-500 text-sm">No batches yet.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="lg:col-span-2 w-full bg-white rounded-2xl shadow-lg p-6 h-fit space-y-4">
+        {job ? (
+          <>
+            <div className="flex items-center justify-between">
+              <h2 className="text-2xl font-bold text-gray-800">Batch #{job.id}</h2>
+              {canUpload && job.failed > 0 && FINISHED_STATUSES.includes(job.status) && (
+                <button
+                  onClick={handleRetry}
+                  className="px-4 py-2 bg-amber-500 text-white font-semibold rounded-lg hover:bg-amber-600 text-sm"
+                >
+                  Retry {job.failed} Failed
+                </button>
+              )}
+            </div>
+            <div>
+              <div className="w-full bg-gray-200 rounded-full h-3">
+                <div className="bg-blue-600 h-3 rounded-full transition-all duration-300" style={{ width: `${progress}%` }} />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {job.done + job.failed} of {job.total} processed ({progress}%)
+              </p>
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2">File</th>
+                  <th>Status</th>
+                  <th>Type</th>
+                  <th>Missing Fields</th>
+                </tr>
+              </thead>
+              <tbody>
+                {job.items.map((item) => (
+                  <tr key={item.id} className="border-b last:border-0 align-top">
+                    <td className="py-2 pr-2">
+                      {item.documentId ? (
+                        <button onClick={() => onOpenDocument(item.documentId)} className="text-blue-600 hover:underline text-left">
+                          {item.filename}
+                        </button>
+                      ) : (
+                        item.filename
+                      )}
+                    </td>
+                    <td className="pr-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[item.status]}`}>
+                        {item.status}
+                      </span>
+                      {item.error && <p className="text-xs text-red-600 mt-1">{item.error}</p>}
+                    </td>
+                    <td className="pr-2">
+                      {item.docType && `${item.docType} (${(item.confidence * 100).toFixed(0)}%)`}
+                    </td>
+                    <td className="text-xs text-gray-600">
+                      {item.missingFields && (item.missingFields.length > 0 ? item.missingFields.join(", ").replace(/_/g, " ") : "None")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <p className="text-center text-gray-500">Upload files or pick a batch to see per-file results.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BatchView;
@@ -0,0 +1,199 @@
+import { useState, useEffect } from "react";
+import { client } from "../api.js";
+
+const FIELD_STATUS_STYLES = {
+  added: "bg-green-50 text-green-800",
+  removed: "bg-red-50 text-red-800",
+  changed: "bg-amber-50 text-amber-800",
+  unchanged: "",
+};
+
+const formatLabel = (value) => value.replace(/_/g, " ");
+
+const splitLines = (value) => value.replace(/\n$/, "").split("\n");
+
+// Lays the line diff out as two columns. A removed block followed by an added block
+// is shown side by side, row by row, as a modification.
+const toSideBySide = (parts) => {
+  const rows = [];
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (part.type === "unchanged") {
+      splitLines(part.value).forEach((line) => rows.push({ left: line, right: line, type: "unchanged" }));
+    } else if (part.type === "removed" && parts[i + 1]?.type === "added") {
+      const removed = splitLines(part.value);
+      const added = splitLines(parts[i + 1].value);
+      for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+        rows.push({ left: removed[j] ?? null, right: added[j] ?? null, type: "changed" });
+      }
+      i++;
+    } else if (part.type === "removed") {
+      splitLines(part.value).forEach((line) => rows.push({ left: line, right: null, type: "removed" }));
+    } else {
+      splitLines(part.value).forEach((line) => rows.push({ left: null, right: line, type: "added" }));
+    }
+  }
+  return rows;
+};
+
+function DocumentPicker({ label, value, documents, onChange }) {
+  return (
+    <label className="flex-1 text-sm text-gray-600">
+      {label}
+      <select
+        value={value || ""}
+        onChange={(e) => onChange(e.target.value ? Number(e.target.value) : null)}
+        className="mt-1 w-full border border-gray-300 rounded-lg px-2 py-1 bg-white"
+      >
+        <option value="">Select an analysis</option>
+        {documents.map((doc) => (
+          <option key={doc.id} value={doc.id}>
+            #{doc.id} {doc.filename} ({doc.docType}{doc.version > 1 ? `, v${doc.version}` : ""})
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+function CompareView({ initialPair, onOpenDocument }) {
+  const [documents, setDocuments] = useState([]);
+  const [a, setA] = useState(initialPair?.a ?? null);
+  const [b, setB] = useState(initialPair?.b ?? null);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    client
+      .searchHistory({ pageSize: 100 })
+      .then((res) => setDocuments(res.data.items))
+      .catch((err) => console.error("Failed to fetch history:", err));
+  }, []);
+
+  useEffect(() => {
+    if (!a || !b) return;
+    client
+      .compareDocuments({ a, b })
+      .then((res) => {
+        setComparison(res.data);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error("Comparison failed:", err);
+        setComparison(null);
+        setError(err.response?.data?.error || "Failed to compare the analyses.");
+      });
+  }, [a, b]);
+
+  const rows = comparison ? toSideBySide(comparison.text) : [];
+  const missing = comparison?.missing;
+
+  return (
+    <div className="w-full max-w-6xl px-4 space-y-6">
+      <div className="bg-white rounded-2xl shadow-lg p-6 space-y-4">
+        <h2 className="text-2xl font-bold text-gray-800">Compare Analyses</h2>
+        <div className="flex flex-col md:flex-row gap-4 items-end">
+          <DocumentPicker label="Before" value={a} documents={documents} onChange={setA} />
+          <button
+            onClick={() => {
+              setA(b);
+              setB(a);
+            }}
+            className="px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-600 hover:bg-gray-50"
+            aria-label="Swap"
+          >
+            ⇄
+          </button>
+          <DocumentPicker label="After" value={b} documents={documents} onChange={setB} />
+        </div>
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-center">{error}</div>
+        )}
+        {comparison && (
+          <p className="text-sm text-gray-600">
+            {comparison.sameVersionGroup
+              ? `Versions ${comparison.a.version} and ${comparison.b.version} of the same document. `
+              : "These analyses are not linked as versions. "}
+            {comparison.summary.linesAdded} line(s) added, {comparison.summary.linesRemoved} removed,{" "}
+            {comparison.summary.fieldsChanged} field(s) differ.
+          </p>
+        )}
+      </div>
+
+      {comparison && (
+        <>
+          <div className="bg-white rounded-2xl shadow-lg p-6 space-y-4">
+            <h3 className="text-xl font-semibold text-gray-700">Extracted Fields</h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2">Field</th>
+                  <th>
+                    <button onClick={() => onOpenDocument(comparison.a.id)} className="text-blue-600 hover:underline">
+                      {comparison.a.filename}
+                    </button>
+                  </th>
+                  <th>
+                    <button onClick={() => onOpenDocument(comparison.b.id)} className="text-blue-600 hover:underline">
+                      {comparison.b.filename}
+                    </button>
+                  </th>
+                  <th>Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.fields.map((field) => (
+                  <tr key={field.field} className={`border-b last:border-0 ${FIELD_STATUS_STYLES[field.status]}`}>
+                    <td className="py-2 pr-2 font-semibold capitalize">{formatLabel(field.field)}</td>
+                    <td className="pr-2">{field.a ?? "—"}</td>
+                    <td className="pr-2">{field.b ?? "—"}</td>
+                    <td className="text-xs">{field.status}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {missing && (missing.resolved.length > 0 || missing.introduced.length > 0 || missing.unchanged.length > 0) && (
+              <div className="text-sm space-y-1">
+                {missing.resolved.length > 0 && (
+                  <p className="text-green-700">Now present: {missing.resolved.map(formatLabel).join(", ")}</p>
+                )}
+                {missing.introduced.length > 0 && (
+                  <p className="text-red-700">Newly missing: {missing.introduced.map(formatLabel).join(", ")}</p>
+                )}
+                {missing.unchanged.length > 0 && (
+                  <p className="text-gray-600">Still missing: {missing.unchanged.map(formatLabel).join(", ")}</p>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-lg p-6 space-y-2">
+            <h3 className="text-xl font-semibold text-gray-700">Text</h3>
+            <div className="max-h-[32rem] overflow-y-auto border border-gray-200 rounded-lg font-mono text-xs">
+              {rows.map((row, index) => (
+                <div key={index} className="grid grid-cols-2 border-b border-gray-100 last:border-0">
+                  <div
+                    className={`px-2 py-0.5 whitespace-pre-wrap border-r border-gray-200 ${
+                      row.type === "removed" || (row.type === "changed" && row.left !== null) ? "bg-red-50 text-red-800" : ""
+                    }`}
+                  >
+                    {row.left ?? ""}
+                  </div>
+                  <div
+                    className={`px-2 py-0.5 whitespace-pre-wrap ${
+                      row.type === "added" || (row.type === "changed" && row.right !== null) ? "bg-green-50 text-green-800" : ""
+                    }`}
+                  >
+                    {row.right ?? ""}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CompareView;
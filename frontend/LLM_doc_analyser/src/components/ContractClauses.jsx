@@ -0,0 +1,93 @@
+// The clauses found in a contract, each expandable to its text, with the risk
+// findings scored against them. Clause panels are <details id="clause-<id>"> so the
+// Improvement Checklist can open and scroll to the clause behind a recommendation.
+
+const SEVERITY_STYLES = {
+  high: "bg-red-100 text-red-800",
+  medium: "bg-orange-100 text-orange-800",
+  low: "bg-yellow-100 text-yellow-800",
+};
+
+const scoreStyle = (score) => (score >= 50 ? SEVERITY_STYLES.high : score >= 25 ? SEVERITY_STYLES.medium : score > 0 ? SEVERITY_STYLES.low : "bg-green-100 text-green-800");
+
+const formatType = (type) => type.replace(/_/g, " ");
+
+function SeverityBadge({ severity }) {
+  return <span className={`text-xs rounded-full px-2 py-0.5 ${SEVERITY_STYLES[severity]}`}>{severity}</span>;
+}
+
+// The clause text with the sentences that triggered a finding marked.
+function ClauseText({ clause, findings }) {
+  const ranges = findings
+    .filter((finding) => finding.excerpt)
+    .map((finding) => ({ start: finding.start - clause.start, end: finding.end - clause.start }))
+    .sort((a, b) => a.start - b.start);
+  const parts = [];
+  let position = 0;
+  for (const range of ranges) {
+    if (range.start < position) continue;
+    parts.push(clause.text.slice(position, range.start));
+    parts.push(<mark key={range.start} className="bg-red-100">{clause.text.slice(range.start, range.end)}</mark>);
+    position = range.end;
+  }
+  parts.push(clause.text.slice(position));
+  return <p className="whitespace-pre-line text-gray-700">{parts}</p>;
+}
+
+function ContractClauses({ clauses, risks, riskScore }) {
+  const missing = risks.filter((risk) => risk.clauseId === null);
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold mb-2 text-gray-700 flex items-center gap-2">
+        Contract Clauses
+        {riskScore !== null && riskScore !== undefined && (
+          <span className={`text-xs font-medium rounded-full px-2 py-0.5 ${scoreStyle(riskScore)}`}>Risk score {riskScore}/100</span>
+        )}
+      </h3>
+      <div className="bg-gray-50 p-3 rounded-lg border border-gray-200 text-sm space-y-2">
+        {clauses.length === 0 && <p className="text-gray-500">No clauses were recognized.</p>}
+        {clauses.map((clause) => {
+          const findings = risks.filter((risk) => risk.clauseId === clause.id);
+          return (
+            <details key={clause.id} id={`clause-${clause.id}`} className="bg-white border border-gray-200 rounded p-2">
+              <summary className="cursor-pointer flex flex-wrap items-center gap-2">
+                <span className="font-semibold text-gray-700">{clause.title}</span>
+                {clause.types.map((type) => (
+                  <span key={type} className="text-xs rounded-full px-2 py-0.5 bg-blue-50 text-blue-700">{formatType(type)}</span>
+                ))}
+                {findings.map((finding) => (
+                  <SeverityBadge key={finding.rule} severity={finding.severity} />
+                ))}
+              </summary>
+              <div className="mt-2 space-y-2">
+                {findings.map((finding) => (
+                  <p key={finding.rule} className="text-xs text-red-700">
+                    {finding.message}
+                  </p>
+                ))}
+                {clause.text ? (
+                  <ClauseText clause={clause} findings={findings} />
+                ) : (
+                  <p className="text-xs text-gray-500">The clause text has been purged.</p>
+                )}
+              </div>
+            </details>
+          );
+        })}
+        {missing.length > 0 && (
+          <ul className="space-y-1">
+            {missing.map((risk) => (
+              <li key={risk.rule} className="flex items-center gap-2">
+                <SeverityBadge severity={risk.severity} />
+                <span className="text-gray-700">{risk.message}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ContractClauses;
@@ -0,0 +1,316 @@
+import { useState, useEffect } from "react";
+import { client } from "../api.js";
+
+// Aggregate view of the workspace's analyses (from /stats): volume by document type
+// over time, confidence, the most often missing fields, invoice totals and overdue
+// invoices, for a chosen analysis date range.
+
+const TYPE_COLORS = ["#2563eb", "#16a34a", "#f59e0b", "#db2777", "#7c3aed", "#0891b2", "#dc2626", "#65a30d"];
+
+const PRESETS = [
+  { label: "7 days", days: 7 },
+  { label: "30 days", days: 30 },
+  { label: "90 days", days: 90 },
+  { label: "1 year", days: 365 },
+];
+
+const percent = (value) => (value === null || value === undefined ? "—" : `${(value * 100).toFixed(0)}%`);
+
+const formatMoney = (amount, currency) =>
+  currency
+    ? new Intl.NumberFormat(undefined, { style: "currency", currency }).format(amount)
+    : amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+function Card({ title, children, className = "" }) {
+  return (
+    <div className={`bg-white rounded-2xl shadow-lg p-6 space-y-3 ${className}`}>
+      <h3 className="text-lg font-semibold text-gray-700">{title}</h3>
+      {children}
+    </div>
+  );
+}
+
+// Stacked columns of documents per period, one colour per type.
+function VolumeChart({ overTime, colorOf }) {
+  const { periods, types } = overTime;
+  const max = Math.max(1, ...periods.map((period) => period.total));
+  const width = Math.max(periods.length * 24, 300);
+  const height = 160;
+  const barWidth = (width / periods.length) * 0.7;
+  const labelEvery = Math.ceil(periods.length / 8);
+
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <svg viewBox={`0 0 ${width} ${height + 20}`} className="w-full">
+          {periods.map((period, i) => {
+            const x = (i + 0.15) * (width / periods.length);
+            let y = height;
+            return (
+              <g key={period.period}>
+                <title>{`${period.period}: ${period.total} document${period.total === 1 ? "" : "s"}`}</title>
+                {types.map((type) => {
+                  const count = period.counts[type] || 0;
+                  const barHeight = (count / max) * height;
+                  y -= barHeight;
+                  return count > 0 ? <rect key={type} x={x} y={y} width={barWidth} height={barHeight} fill={colorOf(type)} /> : null;
+                })}
+                {i % labelEvery === 0 && (
+                  <text x={x} y={height + 14} fontSize="9" fill="#6b7280">
+                    {period.period}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+        {types.map((type) => (
+          <span key={type} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: colorOf(type) }} />
+            {type}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Horizontal bars: `rows` are { key, label, value, display }.
+function BarList({ rows, color = "#2563eb", max }) {
+  const scale = max ?? Math.max(1e-9, ...rows.map((row) => row.value));
+  return (
+    <ul className="space-y-1 text-sm">
+      {rows.map((row) => (
+        <li key={row.key}>
+          <div className="flex justify-between text-xs text-gray-600">
+            <span>{row.label}</span>
+            <span className="font-medium text-gray-800">{row.display}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded">
+            <div className="h-2 rounded" style={{ width: `${(row.value / scale) * 100}%`, backgroundColor: row.color || color }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function DashboardView({ onOpenDocument }) {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [groupBy, setGroupBy] = useState("");
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = {};
+    if (from) params.from = from;
+    if (to) params.to = to;
+    if (groupBy) params.interval = groupBy;
+    client
+      .getStats(params)
+      .then((res) => {
+        setStats(res.data);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch statistics:", err);
+        setError(err.response?.data?.error || "Failed to load statistics.");
+      });
+  }, [from, to, groupBy]);
+
+  const applyPreset = (days) => {
+    const end = new Date();
+    const start = new Date(end);
+    start.setDate(start.getDate() - days + 1);
+    setFrom(isoDate(start));
+    setTo(isoDate(end));
+  };
+
+  const types = stats?.overTime.types || [];
+  const colorOf = (type) => TYPE_COLORS[types.indexOf(type) % TYPE_COLORS.length];
+
+  return (
+    <div className="w-full max-w-6xl px-4 space-y-6">
+      <div className="bg-white rounded-2xl shadow-lg p-6 flex flex-wrap items-end gap-4 text-sm text-gray-600">
+        <h2 className="text-2xl font-bold text-gray-800 mr-auto">Dashboard</h2>
+        <div className="flex gap-1">
+          {PRESETS.map(({ label, days }) => (
+            <button key={label} onClick={() => applyPreset(days)} className="px-3 py-1 rounded-full border border-gray-300 hover:bg-blue-50 text-xs">
+              {label}
+            </button>
+          ))}
+        </div>
+        <label>
+          From
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="block border border-gray-300 rounded-lg px-2 py-1" />
+        </label>
+        <label>
+          To
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="block border border-gray-300 rounded-lg px-2 py-1" />
+        </label>
+        <label>
+          Group by
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className="block border border-gray-300 rounded-lg px-2 py-1 bg-white">
+            <option value="">Automatic</option>
+            <option value="day">Day</option>
+            <option value="week">Week</option>
+            <option value="month">Month</option>
+          </select>
+        </label>
+        {(from || to || groupBy) && (
+          <button
+            onClick={() => {
+              setFrom("");
+              setTo("");
+              setGroupBy("");
+            }}
+            className="text-blue-600 hover:underline"
+          >
+            All time
+          </button>
+        )}
+      </div>
+
+      {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-center">{error}</div>}
+
+      {stats && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              ["Documents", stats.totals.documents],
+              ["Average confidence", percent(stats.totals.averageConfidence)],
+              ["Document types", stats.byType.length],
+              ["Overdue invoices", stats.invoices.overdue.count],
+            ].map(([label, value]) => (
+              <div key={label} className="bg-white rounded-2xl shadow p-4 text-center">
+                <p className="text-xs text-gray-500">{label}</p>
+                <p className="text-2xl font-bold text-gray-800">{value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <Card title={`Documents per ${stats.range.interval}`} className="lg:col-span-2">
+              {stats.totals.documents > 0 ? (
+                <VolumeChart overTime={stats.overTime} colorOf={colorOf} />
+              ) : (
+                <p className="text-sm text-gray-500">No documents were analyzed in this period.</p>
+              )}
+            </Card>
+
+            <Card title="Average confidence by type">
+              <BarList
+                max={1}
+                rows={stats.byType.map((row) => ({
+                  key: row.type,
+                  label: `${row.type} (${row.count})`,
+                  value: row.averageConfidence,
+                  display: percent(row.averageConfidence),
+                  color: colorOf(row.type),
+                }))}
+              />
+            </Card>
+
+            <Card title="Most frequently missing fields">
+              {stats.missingFields.length > 0 ? (
+                <BarList
+                  max={1}
+                  color="#dc2626"
+                  rows={stats.missingFields.map((row) => ({
+                    key: `${row.type}-${row.field}`,
+                    label: `${row.field.replace(/_/g, " ")} · ${row.type}`,
+                    value: row.share,
+                    display: `${row.count} (${percent(row.share)})`,
+                  }))}
+                />
+              ) : (
+                <p className="text-sm text-gray-500">No required fields were missing.</p>
+              )}
+            </Card>
+
+            <Card title="Invoice totals by currency">
+              {stats.invoices.byCurrency.length > 0 ? (
+                <table className="w-full text-sm">
+                  <tbody>
+                    {stats.invoices.byCurrency.map((row) => (
+                      <tr key={row.currency ?? "none"} className="border-b last:border-0">
+                        <td className="py-1 text-gray-600">{row.currency || "Unknown currency"}</td>
+                        <td className="text-right text-gray-500 text-xs">{row.count} invoices</td>
+                        <td className="text-right font-semibold">{formatMoney(row.total, row.currency)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-500">No invoice amounts extracted.</p>
+              )}
+            </Card>
+
+            <Card title="Top vendors">
+              {stats.invoices.byVendor.length > 0 ? (
+                <BarList
+                  color="#16a34a"
+                  rows={stats.invoices.byVendor.map((row) => ({
+                    key: `${row.vendor}-${row.currency}`,
+                    label: `${row.vendor} (${row.count})`,
+                    value: row.total,
+                    display: formatMoney(row.total, row.currency),
+                  }))}
+                />
+              ) : (
+                <p className="text-sm text-gray-500">No invoice vendors extracted.</p>
+              )}
+            </Card>
+          </div>
+
+          <Card title={`Overdue invoices (due before ${stats.range.asOf})`}>
+            {stats.invoices.overdue.items.length > 0 ? (
+              <>
+                <p className="text-sm text-gray-600">
+                  {stats.invoices.overdue.byCurrency.map((row) => formatMoney(row.total, row.currency)).join(" + ")} outstanding
+                  across {stats.invoices.overdue.count} invoice{stats.invoices.overdue.count === 1 ? "" : "s"}
+                  {stats.invoices.overdue.withoutAmount > 0 && `, ${stats.invoices.overdue.withoutAmount} without an amount`}.
+                </p>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 border-b">
+                      <th className="py-1">Invoice</th>
+                      <th>Vendor</th>
+                      <th>Due</th>
+                      <th className="text-right">Days overdue</th>
+                      <th className="text-right">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.invoices.overdue.items.map((item) => (
+                      <tr key={item.id} className="border-b last:border-0">
+                        <td className="py-1">
+                          <button onClick={() => onOpenDocument(item.id)} className="text-blue-600 hover:underline">
+                            {item.invoiceNumber || item.filename}
+                          </button>
+                        </td>
+                        <td className="text-gray-600">{item.vendor || "—"}</td>
+                        <td className="text-gray-600">{item.dueDate}</td>
+                        <td className="text-right text-red-600 font-medium">{item.daysOverdue}</td>
+                        <td className="text-right">{item.amount === null ? "—" : formatMoney(item.amount, item.currency)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500">No overdue invoices.</p>
+            )}
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DashboardView;
@@ -0,0 +1,126 @@
+import { useState } from "react";
+import { client } from "../api.js";
+
+// Ask questions about a stored document, or summarize it. Answers cite passages of
+// the document as [n]; the cited passages can be expanded under each answer.
+
+function Passages({ passages }) {
+  const [open, setOpen] = useState(false);
+  const cited = passages.filter((passage) => passage.cited);
+  const shown = cited.length > 0 ? cited : passages;
+  if (shown.length === 0) return null;
+
+  return (
+    <div className="mt-1">
+      <button onClick={() => setOpen(!open)} className="text-xs text-blue-600 hover:underline">
+        {open ? "Hide sources" : `${cited.length > 0 ? "Sources" : "Retrieved passages"} (${shown.map((p) => `[${p.number}]`).join(" ")})`}
+      </button>
+      {open && (
+        <ul className="mt-1 space-y-1">
+          {shown.map((passage) => (
+            <li key={passage.number} className="text-xs text-gray-600 bg-white border border-gray-200 rounded p-2 whitespace-pre-line">
+              <span className="font-semibold text-gray-700">[{passage.number}]</span> {passage.text}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function DocumentChat({ documentId, engines }) {
+  const [messages, setMessages] = useState([]);
+  const [question, setQuestion] = useState("");
+  const [engine, setEngine] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (label, request, toText) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await request();
+      setMessages((current) => [
+        ...current,
+        { id: current.length, label, text: toText(res.data), engine: res.data.engine, fallbackReason: res.data.fallbackReason, passages: res.data.passages },
+      ]);
+    } catch (err) {
+      console.error("Document question failed:", err);
+      setError(err.response?.data?.error || "Failed to get an answer.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAsk = (e) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text) return;
+    setQuestion("");
+    run(text, () => client.askDocument(documentId, { question: text, ...(engine ? { provider: engine } : {}) }), (data) => data.answer);
+  };
+
+  const handleSummarize = () => {
+    run("Summary", () => client.summarizeDocument(documentId, engine ? { provider: engine } : {}), (data) => data.summary);
+  };
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold mb-2 text-gray-700">Ask the Document</h3>
+      <div className="bg-gray-50 p-3 rounded-lg border border-gray-200 text-sm space-y-3">
+        {messages.length > 0 && (
+          <ul className="space-y-3 max-h-80 overflow-y-auto">
+            {messages.map((message) => (
+              <li key={message.id}>
+                <p className="font-semibold text-gray-700">{message.label}</p>
+                <p className="text-gray-800 whitespace-pre-line">{message.text}</p>
+                <p className="text-xs text-gray-400">
+                  Answered by {message.engine}
+                  {message.fallbackReason && ` (the selected provider failed: ${message.fallbackReason})`}
+                </p>
+                <Passages passages={message.passages} />
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error && <p className="text-xs text-red-600">{error}</p>}
+
+        <form onSubmit={handleAsk} className="flex gap-2">
+          <input
+            type="text"
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder="e.g. What is the termination notice period?"
+            maxLength={500}
+            className="flex-1 border border-gray-300 rounded-lg px-2 py-1"
+          />
+          <button type="submit" disabled={busy || !question.trim()} className="px-4 py-1 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-400">
+            Ask
+          </button>
+        </form>
+        <div className="flex items-center gap-3">
+          <button onClick={handleSummarize} disabled={busy} className="text-blue-600 hover:underline disabled:text-gray-400">
+            Summarize document
+          </button>
+          {busy && <span className="text-xs text-gray-500">Thinking...</span>}
+          {engines.length > 0 && (
+            <select
+              value={engine}
+              onChange={(e) => setEngine(e.target.value)}
+              className="ml-auto border border-gray-300 rounded-lg px-2 py-1 bg-white text-xs"
+              aria-label="Answering engine"
+            >
+              <option value="">Server default</option>
+              {engines.map((name) => (
+                <option key={name} value={name}>{name === "regex" ? "extractive (offline)" : name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DocumentChat;
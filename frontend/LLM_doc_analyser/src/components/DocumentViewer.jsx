@@ -0,0 +1,223 @@
+import { useState, useEffect, useRef } from "react";
+import { client, downloadFile } from "../api.js";
+
+// Shows a stored document with every extracted field value and classifier keyword
+// highlighted: over the rendered pages for PDFs (using the boxes from the analysis),
+// or inline in the extracted text (using the character offsets) for everything else.
+// A document split from a multi-document PDF shows only its own pages.
+
+const HIGHLIGHT_STYLES = {
+  field: "bg-blue-400/30 border border-blue-500",
+  keyword: "bg-yellow-300/40 border border-yellow-500",
+};
+
+const MARK_STYLES = {
+  field: "bg-blue-200 rounded px-0.5",
+  keyword: "bg-yellow-200 rounded px-0.5",
+};
+
+const formatLabel = (value) => value.replace(/_/g, " ");
+
+const describe = (highlight) =>
+  highlight.kind === "field" ? `Field: ${formatLabel(highlight.name)}` : `Keyword: ${highlight.name}`;
+
+// Splits the text at highlight boundaries. Where highlights overlap, a field wins
+// over a keyword, since field values are what reviewers check first.
+const segmentText = (text, highlights) => {
+  const points = new Set([0, text.length]);
+  highlights.forEach(({ start, end }) => {
+    points.add(start);
+    points.add(end);
+  });
+  const sorted = [...points].sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const [start, end] = [sorted[i], sorted[i + 1]];
+    const covering = highlights.filter((h) => h.start <= start && h.end >= end);
+    const highlight = covering.find((h) => h.kind === "field") || covering[0] || null;
+    segments.push({ start, text: text.slice(start, end), highlight });
+  }
+  return segments;
+};
+
+function PdfPage({ pdf, pageNumber, width, highlights }) {
+  const canvasRef = useRef(null);
+  const [viewport, setViewport] = useState(null);
+
+  useEffect(() => {
+    let renderTask = null;
+    let cancelled = false;
+    pdf.getPage(pageNumber).then((page) => {
+      if (cancelled) return;
+      const scale = width / page.getViewport({ scale: 1 }).width;
+      const pageViewport = page.getViewport({ scale });
+      const canvas = canvasRef.current;
+      canvas.width = pageViewport.width;
+      canvas.height = pageViewport.height;
+      renderTask = page.render({ canvas, canvasContext: canvas.getContext("2d"), viewport: pageViewport });
+      setViewport(pageViewport);
+    });
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, pageNumber, width]);
+
+  return (
+    <div className="relative mb-3 shadow border border-gray-200 bg-white" style={viewport ? { width: viewport.width, height: viewport.height } : undefined}>
+      <canvas ref={canvasRef} className="block" />
+      {viewport &&
+        highlights.flatMap((highlight, index) =>
+          highlight.boxes
+            .filter((box) => box.page === pageNumber)
+            .map((box, boxIndex) => {
+              // Boxes are in PDF points with y at the text baseline; leave room for descenders.
+              const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+                box.x,
+                box.y - box.height * 0.25,
+                box.x + box.width,
+                box.y + box.height * 0.85,
+              ]);
+              return (
+                <div
+                  key={`${index}-${boxIndex}`}
+                  title={describe(highlight)}
+                  className={`absolute rounded-sm ${HIGHLIGHT_STYLES[highlight.kind]}`}
+                  style={{
+                    left: Math.min(x1, x2),
+                    top: Math.min(y1, y2),
+                    width: Math.abs(x2 - x1),
+                    height: Math.abs(y2 - y1),
+                  }}
+                />
+              );
+            })
+        )}
+    </div>
+  );
+}
+
+// Without the original (purged, or holding personal data the user may not see) only the text is shown.
+function DocumentViewer({ documentId, filename, text, highlights = [], sourceFormat, originalAvailable = true, pageStart = null, pageEnd = null }) {
+  const showPages = sourceFormat === "pdf" && originalAvailable;
+  const [mode, setMode] = useState(showPages ? "original" : "text");
+  const [shown, setShown] = useState({ field: true, keyword: true });
+  const [pdf, setPdf] = useState(null);
+  const [error, setError] = useState(null);
+  const [width, setWidth] = useState(0);
+  const containerRef = useRef(null);
+
+  const hasPdfBoxes = sourceFormat === "pdf" && highlights.some((h) => h.boxes?.length > 0);
+  const visible = highlights.filter((h) => shown[h.kind]);
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.floor(entry.contentRect.width)));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [mode]);
+
+  // Load the original PDF (and pdf.js itself) only when the page view is opened.
+  useEffect(() => {
+    if (mode !== "original" || sourceFormat !== "pdf" || !documentId) return;
+    let loadingTask = null;
+    let cancelled = false;
+    (async () => {
+      try {
+        const [pdfjs, { default: workerUrl }, res] = await Promise.all([
+          import("pdfjs-dist"),
+          import("pdfjs-dist/build/pdf.worker.min.mjs?url"),
+          client.downloadDocumentFile(documentId, {}, { responseType: "arraybuffer" }),
+        ]);
+        if (cancelled) return;
+        pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+        loadingTask = pdfjs.getDocument({ data: res.data });
+        const loaded = await loadingTask.promise;
+        if (!cancelled) setPdf(loaded);
+      } catch (err) {
+        console.error("Failed to load the original file:", err);
+        if (!cancelled) setError("The original file could not be loaded.");
+      }
+    })();
+    return () => {
+      cancelled = true;
+      loadingTask?.destroy();
+      setPdf(null);
+      setError(null);
+    };
+  }, [mode, sourceFormat, documentId]);
+
+  const handleDownload = async () => {
+    try {
+      await downloadFile((config) => client.downloadDocumentFile(documentId, {}, config), filename || `document-${documentId}`);
+    } catch (err) {
+      console.error("Download failed:", err);
+      setError("The original file is not available for this analysis.");
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        {showPages && (
+          <div className="flex bg-gray-100 rounded-full p-0.5">
+            {["original", "text"].map((option) => (
+              <button
+                key={option}
+                onClick={() => setMode(option)}
+                className={`px-3 py-1 rounded-full font-semibold ${mode === option ? "bg-white shadow text-blue-600" : "text-gray-600"}`}
+              >
+                {option === "original" ? "Pages" : "Text"}
+              </button>
+            ))}
+          </div>
+        )}
+        {Object.keys(HIGHLIGHT_STYLES).map((kind) => (
+          <label key={kind} className="flex items-center gap-1 text-gray-600">
+            <input
+              type="checkbox"
+              checked={shown[kind]}
+              onChange={(e) => setShown({ ...shown, [kind]: e.target.checked })}
+            />
+            <span className={MARK_STYLES[kind]}>{kind === "field" ? "Field values" : "Type keywords"}</span>
+          </label>
+        ))}
+        {documentId && originalAvailable && (
+          <button onClick={handleDownload} className="ml-auto text-blue-600 hover:underline">
+            Download original
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      {mode === "original" ? (
+        <div ref={containerRef} className="bg-gray-100 p-2 rounded-lg max-h-[32rem] overflow-y-auto border border-gray-200">
+          {!hasPdfBoxes && (
+            <p className="text-xs text-gray-500 mb-2">No match positions were recorded for this PDF; see the Text view.</p>
+          )}
+          {pdf && width > 0
+            ? Array.from({ length: (pageEnd ?? pdf.numPages) - (pageStart ?? 1) + 1 }, (_, i) => (pageStart ?? 1) + i).map((pageNumber) => (
+                <PdfPage key={pageNumber} pdf={pdf} pageNumber={pageNumber} width={width - 2} highlights={visible} />
+              ))
+            : !error && <p className="text-center text-gray-500 text-sm py-8">Loading pages...</p>}
+        </div>
+      ) : (
+        <div className="bg-gray-50 p-3 rounded-lg h-60 overflow-y-auto border border-gray-200 text-sm text-gray-600 whitespace-pre-wrap">
+          {segmentText(text, visible).map((segment) =>
+            segment.highlight ? (
+              <mark key={segment.start} title={describe(segment.highlight)} className={MARK_STYLES[segment.highlight.kind]}>
+                {segment.text}
+              </mark>
+            ) : (
+              <span key={segment.start}>{segment.text}</span>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DocumentViewer;
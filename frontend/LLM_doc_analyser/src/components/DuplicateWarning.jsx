@@ -0,0 +1,63 @@
+import { useState, useEffect } from "react";
+import { client } from "../api.js";
+
+// Warns when a document may duplicate an earlier upload (or a later upload may
+// duplicate it), with shortcuts to open or compare each match.
+
+const REASON_LABELS = {
+  identical_file: "identical file",
+  identical_text: "identical text",
+  similar_text: "near-identical text",
+  matching_fields: "same key fields",
+};
+
+function describe(entry) {
+  const reasons = entry.reasons.map((reason) => REASON_LABELS[reason] || reason).join(", ");
+  const similarity = entry.similarity !== null && entry.similarity < 1 ? ` · ${(entry.similarity * 100).toFixed(0)}% similar` : "";
+  return `${reasons}${similarity}`;
+}
+
+function DuplicateWarning({ documentId, onOpen, onCompare }) {
+  const [duplicates, setDuplicates] = useState({ duplicateOf: [], duplicatedBy: [] });
+
+  useEffect(() => {
+    client
+      .getDocumentDuplicates(documentId)
+      .then((res) => setDuplicates(res.data))
+      .catch((err) => console.error("Failed to fetch possible duplicates:", err));
+  }, [documentId]);
+
+  const sections = [
+    ["May duplicate", duplicates.duplicateOf],
+    ["Possibly duplicated by", duplicates.duplicatedBy],
+  ].filter(([, entries]) => entries.length > 0);
+  if (sections.length === 0) return null;
+
+  return (
+    <div className="bg-orange-50 border border-orange-300 text-orange-900 p-3 rounded-lg text-sm space-y-2">
+      <p className="font-semibold">Possible duplicate</p>
+      {sections.map(([label, entries]) => (
+        <div key={label}>
+          <p className="text-xs text-orange-800">{label}:</p>
+          <ul className="space-y-1">
+            {entries.map((entry) => (
+              <li key={entry.id} className="flex flex-wrap items-center gap-2">
+                <button onClick={() => onOpen(entry.id)} className="text-blue-600 hover:underline">
+                  {entry.filename}
+                </button>
+                <span className="text-xs text-gray-600">
+                  {entry.docType} · {describe(entry)}
+                </span>
+                <button onClick={() => onCompare(entry.id, documentId)} className="text-xs text-blue-600 hover:underline">
+                  Compare
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default DuplicateWarning;
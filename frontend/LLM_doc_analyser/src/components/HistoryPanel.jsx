@@ -0,0 +1,379 @@
+import { useState, useEffect } from "react";
+import { client, downloadFile } from "../api.js";
+
+const PAGE_SIZE = 20;
+
+const SORT_OPTIONS = [
+  { value: "", label: "Newest first" },
+  { value: "relevance", label: "Best match" },
+  { value: "filename", label: "File name" },
+  { value: "confidence", label: "Confidence" },
+  { value: "riskScore", label: "Contract risk" },
+];
+
+const EXPORT_FORMATS = ["pdf", "csv", "xlsx", "json"];
+
+const REVIEW_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  approved: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+};
+
+const SOURCE_LABELS = {
+  upload: "upload",
+  batch: "batch upload",
+  folder: "watched folder",
+  email: "email",
+  cli: "command line",
+};
+
+const formatLabel = (value) => value.replace(/_/g, " ");
+const formatPages = (start, end) => (start === end ? `p. ${start}` : `pp. ${start}–${end}`);
+
+// Query parameters for the current filters, shared by the list and the bulk export.
+const toFilterParams = ({ search, types, missing, review, source, duplicates, from, to, sort }) => {
+  const params = {};
+  if (search) params.q = search;
+  if (types.length > 0) params.type = types.join(",");
+  if (missing) params.missing = missing;
+  if (review) params.review = review;
+  if (source) params.source = source;
+  if (duplicates) params.duplicates = "true";
+  if (from) params.from = from;
+  if (to) params.to = to;
+  if (sort && (sort !== "relevance" || search)) params.sort = sort;
+  return params;
+};
+
+// Renders an FTS snippet, where matched terms are wrapped in [brackets] by the server.
+const renderSnippet = (snippet) =>
+  snippet.split(/(\[[^\]]*\])/).map((part, index) =>
+    part.startsWith("[") && part.endsWith("]") ? (
+      <mark key={index} className="bg-yellow-200 rounded px-0.5">{part.slice(1, -1)}</mark>
+    ) : (
+      part
+    )
+  );
+
+function HistoryPanel({ selectedId, onSelect, onDelete, refreshKey }) {
+  const [query, setQuery] = useState("");
+  const [search, setSearch] = useState("");
+  const [types, setTypes] = useState([]);
+  const [missing, setMissing] = useState("");
+  const [review, setReview] = useState("");
+  const [source, setSource] = useState("");
+  const [duplicates, setDuplicates] = useState(false);
+  const [queue, setQueue] = useState(false);
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [sort, setSort] = useState("");
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ items: [], total: 0 });
+  const [facets, setFacets] = useState({ types: [], missing: [], review: [], sources: [] });
+  const [error, setError] = useState(null);
+  const [redact, setRedact] = useState(false);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const params = { ...toFilterParams({ search, types, missing, review, source, duplicates, from, to, sort }), page, pageSize: PAGE_SIZE };
+
+        // The review queue orders by confidence itself and only lists pending documents by default.
+        const res = await (queue ? client.getReviewQueue(params) : client.searchHistory(params));
+        setResult(res.data);
+        setError(null);
+      } catch (err) {
+        console.error("Failed to fetch history:", err);
+        setError(err.response?.data?.error || "Failed to load the analysis history.");
+      }
+    };
+    fetchHistory();
+  }, [search, types, missing, review, source, duplicates, queue, from, to, sort, page, refreshKey]);
+
+  useEffect(() => {
+    client
+      .getHistoryFacets()
+      .then((res) => setFacets(res.data))
+      .catch((err) => console.error("Failed to fetch history filters:", err));
+  }, [refreshKey]);
+
+  // Any filter change starts again from the first page.
+  const applyFilter = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const toggleType = (type) => {
+    applyFilter(setTypes)(types.includes(type) ? types.filter((t) => t !== type) : [...types, type]);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    applyFilter(setSearch)(query.trim());
+  };
+
+  const clearFilters = () => {
+    setQuery("");
+    setSearch("");
+    setTypes([]);
+    setMissing("");
+    setReview("");
+    setSource("");
+    setDuplicates(false);
+    setFrom("");
+    setTo("");
+    setPage(1);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const params = queue
+        ? { ...toFilterParams({ search, types, missing, review: review || "pending", source, duplicates, from, to }), sort: "confidence", order: "asc" }
+        : toFilterParams({ search, types, missing, review, source, duplicates, from, to, sort });
+      await downloadFile((config) => client.downloadHistoryReport({ ...params, format, ...(redact && { redact: "true" }) }, config), `analysis-report.${format}`);
+    } catch (err) {
+      console.error("Export failed:", err);
+      setError("Failed to export the matching analyses.");
+    }
+  };
+
+  const pageCount = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+  const hasFilters = search || types.length > 0 || missing || review || source || duplicates || from || to;
+  const pendingCount = facets.review.find((facet) => facet.value === "pending")?.count || 0;
+
+  return (
+    <div className="w-full bg-white rounded-2xl shadow-lg p-8 h-fit">
+      <h2 className="text-2xl font-bold text-center text-gray-800 mb-2">Analysis History</h2>
+      <div className="flex justify-center mb-4">
+        <button
+          onClick={() => applyFilter(setQueue)(!queue)}
+          className={`px-3 py-1 rounded-full text-xs font-semibold border ${
+            queue ? "bg-yellow-500 text-white border-yellow-500" : "bg-yellow-50 text-yellow-800 border-yellow-300 hover:bg-yellow-100"
+          }`}
+        >
+          {queue ? "Showing review queue (lowest confidence first)" : `Review queue (${pendingCount} pending)`}
+        </button>
+      </div>
+
+      <div className="space-y-3 mb-4">
+        <form onSubmit={handleSearch} className="flex gap-2">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search content, file names and fields..."
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+          <button type="submit" className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 text-sm">
+            Search
+          </button>
+        </form>
+
+        {facets.types.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {facets.types.map(({ value, count }) => (
+              <button
+                key={value}
+                onClick={() => toggleType(value)}
+                className={`px-3 py-1 rounded-full text-xs font-semibold border transition-colors duration-200 ${
+                  types.includes(value) ? "bg-blue-600 text-white border-blue-600" : "bg-gray-50 text-gray-600 border-gray-300 hover:bg-blue-50"
+                }`}
+              >
+                {value} ({count})
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 gap-2 text-xs text-gray-600">
+          <label>
+            Missing field
+            <select
+              value={missing}
+              onChange={(e) => applyFilter(setMissing)(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1 bg-white"
+            >
+              <option value="">Any</option>
+              {facets.missing.map(({ value, count }) => (
+                <option key={value} value={value}>
+                  {formatLabel(value)} ({count})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Review status
+            <select
+              value={review}
+              onChange={(e) => applyFilter(setReview)(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1 bg-white"
+            >
+              <option value="">{queue ? "Pending" : "Any"}</option>
+              {facets.review.map(({ value, count }) => (
+                <option key={value} value={value}>
+                  {value} ({count})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Source
+            <select
+              value={source}
+              onChange={(e) => applyFilter(setSource)(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1 bg-white"
+            >
+              <option value="">Any</option>
+              {facets.sources.map(({ value, count }) => (
+                <option key={value} value={value}>
+                  {SOURCE_LABELS[value] || value} ({count})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Sort by
+            <select
+              value={queue ? "confidence" : sort}
+              onChange={(e) => applyFilter(setSort)(e.target.value)}
+              disabled={queue}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1 bg-white disabled:bg-gray-100"
+            >
+              {SORT_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            From
+            <input type="date" value={from} onChange={(e) => applyFilter(setFrom)(e.target.value)} className="w-full border border-gray-300 rounded-lg px-2 py-1" />
+          </label>
+          <label>
+            To
+            <input type="date" value={to} onChange={(e) => applyFilter(setTo)(e.target.value)} className="w-full border border-gray-300 rounded-lg px-2 py-1" />
+          </label>
+          <label className="col-span-2 flex items-center gap-2">
+            <input type="checkbox" checked={duplicates} onChange={(e) => applyFilter(setDuplicates)(e.target.checked)} />
+            Only possible duplicates
+          </label>
+        </div>
+
+        <div className="flex justify-between items-center text-xs text-gray-500">
+          <span>{result.total} result{result.total === 1 ? "" : "s"}</span>
+          {result.total > 0 && (
+            <span className="flex gap-1 items-center">
+              Export:
+              {EXPORT_FORMATS.map((format) => (
+                <button key={format} onClick={() => handleExport(format)} className="text-blue-600 hover:underline uppercase">
+                  {format}
+                </button>
+              ))}
+              <label className="flex items-center gap-1 ml-1">
+                <input type="checkbox" checked={redact} onChange={(e) => setRedact(e.target.checked)} />
+                mask personal data
+              </label>
+            </span>
+          )}
+          {hasFilters && (
+            <button onClick={clearFilters} className="text-blue-600 hover:underline">
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-lg text-center text-sm">{error}</div>
+        )}
+      </div>
+
+      <div className="space-y-3 max-h-[60vh] overflow-y-auto pr-2">
+        {result.items.length > 0 ? (
+          result.items.map((item) => (
+            <div
+              key={item.id}
+              onClick={() => onSelect(item.id)}
+              className={`relative bg-gray-50 border p-4 rounded-lg cursor-pointer hover:bg-blue-50 hover:border-blue-300 transition-colors duration-200 ${
+                selectedId === item.id ? "border-blue-500 ring-2 ring-blue-300" : "border-gray-200"
+              }`}
+            >
+              {onDelete && (
+                <button
+                  onClick={(e) => onDelete(item.id, e)}
+                  className="absolute top-2 right-2 p-1 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center hover:bg-red-600 text-xs font-bold"
+                  aria-label="Delete analysis"
+                >
+                  X
+                </button>
+              )}
+              <div className="pr-6">
+                <p className="font-semibold text-gray-700 pointer-events-none">{item.filename}</p>
+                <p className="text-sm text-gray-500 pointer-events-none">
+                  Type: <span className="font-medium text-gray-600">{item.docType}</span>
+                  {item.missingFields.length > 0 && (
+                    <span className="ml-2 text-xs text-red-600">{item.missingFields.length} missing</span>
+                  )}
+                  {item.reviewStatus && (
+                    <span className={`ml-2 text-xs rounded-full px-2 py-0.5 ${REVIEW_STYLES[item.reviewStatus]}`}>
+                      {item.reviewStatus}
+                    </span>
+                  )}
+                  {item.duplicateCount > 0 && (
+                    <span className="ml-2 text-xs rounded-full px-2 py-0.5 bg-orange-100 text-orange-800">possible duplicate</span>
+                  )}
+                  {item.riskScore > 0 && (
+                    <span className={`ml-2 text-xs rounded-full px-2 py-0.5 ${item.riskScore >= 50 ? "bg-red-100 text-red-800" : "bg-orange-100 text-orange-800"}`}>
+                      risk {item.riskScore}
+                    </span>
+                  )}
+                  {(item.source === "folder" || item.source === "email" || item.source === "cli") && (
+                    <span className="ml-2 text-xs rounded-full px-2 py-0.5 bg-blue-100 text-blue-800" title={item.sender || undefined}>
+                      {SOURCE_LABELS[item.source]}
+                    </span>
+                  )}
+                  {item.uploadId && (
+                    <span className="ml-2 text-xs rounded-full px-2 py-0.5 bg-purple-100 text-purple-800" title="Split from a multi-document PDF">
+                      {formatPages(item.pageStart, item.pageEnd)}
+                    </span>
+                  )}
+                  {queue && <span className="ml-2 text-xs text-gray-500">{(item.confidence * 100).toFixed(0)}% confident</span>}
+                </p>
+                {item.snippet && (
+                  <p className="text-xs text-gray-600 mt-1 pointer-events-none whitespace-pre-line">{renderSnippet(item.snippet)}</p>
+                )}
+                <p className="text-xs text-gray-400 mt-1 pointer-events-none">
+                  Analyzed on: {new Date(item.analyzedAt.replace(" ", "T") + "Z").toLocaleString("en-IN", { timeZone: "Asia/Kolkata" })}
+                </p>
+              </div>
+            </div>
+          ))
+        ) : (
+          <p className="text-center text-gray-500 mt-4">
+            {hasFilters ? "No analyses match these filters." : "No analysis history found."}
+          </p>
+        )}
+      </div>
+
+      {pageCount > 1 && (
+        <div className="flex justify-between items-center mt-4 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1 border border-gray-300 rounded-lg disabled:text-gray-300"
+          >
+            Previous
+          </button>
+          <span className="text-gray-500">Page {page} of {pageCount}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pageCount}
+            className="px-3 py-1 border border-gray-300 rounded-lg disabled:text-gray-300"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { client } from "../api.js";
+
+function LoginForm({ onLogin }) {
+  const [mode, setMode] = useState("login");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [workspace, setWorkspace] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isRegister = mode === "register";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = isRegister
+        ? await client.register({ username, password, workspace: workspace || undefined })
+        : await client.login({ username, password });
+      onLogin(res.data);
+    } catch (err) {
+      console.error("Authentication failed:", err);
+      setError(err.response?.data?.error || "Could not reach the server.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-2xl shadow-lg p-8 space-y-4">
+      <h1 className="text-3xl font-bold text-center text-blue-600">LLM Document Analyzer</h1>
+      <p className="text-center text-gray-500 text-sm">
+        {isRegister ? "Create an account and your own workspace." : "Sign in to your workspace."}
+      </p>
+      <input
+        type="text"
+        placeholder="Username"
+        autoComplete="username"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        className="w-full border border-gray-300 rounded-lg px-3 py-2"
+      />
+      <input
+        type="password"
+        placeholder="Password"
+        autoComplete={isRegister ? "new-password" : "current-password"}
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        className="w-full border border-gray-300 rounded-lg px-3 py-2"
+      />
+      {isRegister && (
+        <input
+          type="text"
+          placeholder="Workspace name (optional)"
+          value={workspace}
+          onChange={(e) => setWorkspace(e.target.value)}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2"
+        />
+      )}
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-center text-sm">{error}</div>
+      )}
+      <button
+        type="submit"
+        disabled={!username || !password || submitting}
+        className="w-full px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors duration-300"
+      >
+        {submitting ? "Please wait..." : isRegister ? "Create Account" : "Sign In"}
+      </button>
+      <button
+        type="button"
+        onClick={() => {
+          setMode(isRegister ? "login" : "register");
+          setError(null);
+        }}
+        className="w-full text-sm text-blue-600 hover:underline"
+      >
+        {isRegister ? "Already have an account? Sign in" : "New here? Create an account"}
+      </button>
+    </form>
+  );
+}
+
+export default LoginForm;
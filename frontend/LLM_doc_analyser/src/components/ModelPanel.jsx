@@ -0,0 +1,206 @@
+import { useState, useEffect } from "react";
+import { client } from "../api.js";
+
+// The trained document-type classifier: evaluation metrics of the active version,
+// the version list, and (for instance operators) retraining and rolling back.
+
+const percent = (value) => (value === null || value === undefined ? "—" : `${(value * 100).toFixed(1)}%`);
+
+const EXCLUSION_REASONS = {
+  purged: "content purged",
+  rejected: "rejected",
+  unknownType: "type since deleted",
+  unreviewed: "unreviewed",
+  overLimit: "over the document limit",
+};
+
+// Why documents of the trainer's workspaces were left out, e.g. "Left out: 3 content purged."
+function exclusionSummary(excluded) {
+  const parts = Object.entries(EXCLUSION_REASONS)
+    .filter(([reason]) => excluded?.[reason] > 0)
+    .map(([reason, label]) => `${excluded[reason]} ${label}`);
+  return parts.length > 0 ? `Left out: ${parts.join(", ")}.` : "";
+}
+
+function Metrics({ metrics }) {
+  const { labels, matrix } = metrics.confusionMatrix;
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {[
+          ["Accuracy", percent(metrics.accuracy)],
+          ["On confirmed labels", percent(metrics.confirmedAccuracy)],
+          ["Log loss", metrics.logLoss.toFixed(3)],
+          ["Calibration error", percent(metrics.calibrationError)],
+        ].map(([label, value]) => (
+          <div key={label} className="bg-gray-50 border border-gray-200 rounded-lg p-2 text-center">
+            <p className="text-xs text-gray-500">{label}</p>
+            <p className="font-semibold text-gray-800">{value}</p>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">
+        From {metrics.folds}-fold cross-validation over {metrics.evaluatedDocuments} documents
+        ({metrics.confirmedDocuments} reviewer-confirmed).
+      </p>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-500 border-b">
+            <th className="py-1">Type</th>
+            <th>Precision</th>
+            <th>Recall</th>
+            <th>F1</th>
+            <th>Documents</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(metrics.perClass).map(([type, stats]) => (
+            <tr key={type} className="border-b last:border-0">
+              <td className="py-1 font-medium">{type}</td>
+              <td>{percent(stats.precision)}</td>
+              <td>{percent(stats.recall)}</td>
+              <td>{percent(stats.f1)}</td>
+              <td>{stats.support}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="overflow-x-auto">
+        <p className="text-xs text-gray-500 mb-1">Confusion matrix (rows: reviewed type, columns: predicted)</p>
+        <table className="text-xs border border-gray-200">
+          <thead>
+            <tr>
+              <th />
+              {labels.map((label) => (
+                <th key={label} className="px-2 py-1 text-gray-600">{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.map((row, i) => (
+              <tr key={labels[i]}>
+                <th className="px-2 py-1 text-left text-gray-600">{labels[i]}</th>
+                {row.map((count, j) => (
+                  <td
+                    key={labels[j]}
+                    className={`px-2 py-1 text-center ${
+                      count === 0 ? "text-gray-300" : i === j ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+                    }`}
+                  >
+                    {count}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function ModelPanel({ canManage }) {
+  const [versions, setVersions] = useState([]);
+  const [active, setActive] = useState(null);
+  const [version, setVersion] = useState(0);
+  const [training, setTraining] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all([client.getModel(), client.listModelVersions()])
+      .then(([modelRes, versionsRes]) => {
+        setActive(modelRes.data.active);
+        setVersions(versionsRes.data);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch the model:", err);
+        setError("Failed to load the classifier model.");
+      });
+  }, [version]);
+
+  const runChange = async (request) => {
+    setError(null);
+    try {
+      await request();
+      setVersion((current) => current + 1);
+    } catch (err) {
+      console.error("Model change failed:", err);
+      setError(err.response?.data?.error || "Failed to update the model.");
+    }
+  };
+
+  const handleRetrain = async () => {
+    setTraining(true);
+    await runChange(() => client.retrainModel());
+    setTraining(false);
+  };
+
+  return (
+    <div className="w-full max-w-3xl bg-white rounded-2xl shadow-lg p-8 space-y-4 mx-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-gray-800">Classifier Model</h2>
+        {canManage && (
+          <button
+            onClick={handleRetrain}
+            disabled={training}
+            className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-400 text-sm"
+          >
+            {training ? "Training..." : "Retrain from history"}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-center text-sm">{error}</div>
+      )}
+
+      {active ? (
+        <>
+          <p className="text-sm text-gray-600">
+            Version {active.version} classifies new documents. Trained on {active.documents} documents on {active.createdAt}.{" "}
+            {exclusionSummary(active.excluded)}
+          </p>
+          <Metrics metrics={active.metrics} />
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">
+          No model has been trained yet; documents are classified by counting each type&apos;s keywords. Approving or
+          correcting analyses in the review queue gives the model confirmed labels to learn from.
+        </p>
+      )}
+
+      {versions.length > 0 && (
+        <div className="border-t pt-3">
+          <h3 className="text-lg font-semibold text-gray-700 mb-2">Versions</h3>
+          <ul className="text-sm space-y-1">
+            {versions.map((entry) => (
+              <li key={entry.version} className="flex items-center gap-3">
+                <span className="font-mono">v{entry.version}</span>
+                <span className="text-gray-600">{percent(entry.accuracy)} accuracy</span>
+                <span className="text-gray-400 text-xs">
+                  {entry.documents} docs · {entry.createdAt}
+                </span>
+                {entry.active ? (
+                  <span className="ml-auto text-xs bg-green-100 text-green-800 rounded-full px-2 py-0.5">active</span>
+                ) : (
+                  canManage && (
+                    <button
+                      onClick={() => runChange(() => client.activateModelVersion(entry.version))}
+                      className="ml-auto text-blue-600 hover:underline text-xs"
+                    >
+                      Activate
+                    </button>
+                  )
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ModelPanel;
@@ -0,0 +1,63 @@
+import { useState } from "react";
+import { client } from "../api.js";
+
+// What personal data was found in a document and how its stored text treats it.
+// Where the originals were kept encrypted, analysts can reveal them (the server
+// records that in the audit log).
+
+const POLICY_TEXT = {
+  keep: "stored as extracted",
+  mask: "masked in the stored text",
+  encrypt: "masked in the stored text, originals encrypted",
+};
+
+const formatType = (type) => type.replace(/_/g, " ");
+
+function PiiNotice({ documentId, pii, piiPolicy, canReveal }) {
+  const [values, setValues] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!pii || pii.length === 0) return null;
+
+  const counts = pii.reduce((acc, span) => ({ ...acc, [span.type]: (acc[span.type] || 0) + 1 }), {});
+
+  const handleReveal = async () => {
+    setError(null);
+    try {
+      const res = await client.getDocumentPii(documentId);
+      setValues(res.data.spans);
+    } catch (err) {
+      console.error("Failed to reveal personal data:", err);
+      setError(err.response?.data?.error || "Failed to reveal the personal data.");
+    }
+  };
+
+  return (
+    <div className="text-xs text-gray-600 bg-amber-50 border border-amber-200 rounded-lg p-2 mb-2">
+      <p>
+        Personal data:{" "}
+        {Object.entries(counts)
+          .map(([type, count]) => `${count} ${formatType(type)}`)
+          .join(", ")}
+        {piiPolicy && ` — ${POLICY_TEXT[piiPolicy]}`}.
+        {canReveal && piiPolicy === "encrypt" && !values && (
+          <button onClick={handleReveal} className="ml-2 text-blue-600 hover:underline">
+            Reveal originals
+          </button>
+        )}
+      </p>
+      {error && <p className="text-red-600 mt-1">{error}</p>}
+      {values && (
+        <ul className="mt-1 space-y-0.5">
+          {values.map((span) => (
+            <li key={span.start}>
+              <span className="text-gray-500">{formatType(span.type)}:</span> {span.value ?? "not recoverable"}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PiiNotice;
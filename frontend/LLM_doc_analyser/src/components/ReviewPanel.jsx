@@ -0,0 +1,216 @@
+import { useState, useEffect } from "react";
+import { client } from "../api.js";
+
+// Review controls for a stored analysis: approve or reject it, correct the document
+// type and extracted fields, and read the audit trail of who changed what.
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  approved: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+};
+
+const ACTION_LABELS = {
+  analyzed: "Analyzed",
+  corrected: "Corrected",
+  reviewed: "Reviewed",
+  commented: "Commented",
+  deleted: "Deleted",
+};
+
+const formatLabel = (value) => value.replace(/^extracted_fields\./, "").replace(/_/g, " ");
+
+const formatTimestamp = (value) => new Date(value.replace(" ", "T") + "Z").toLocaleString();
+
+function AuditLog({ documentId, version }) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    client
+      .getDocumentAudit(documentId)
+      .then((res) => setEntries(res.data))
+      .catch((err) => console.error("Failed to fetch the audit log:", err));
+  }, [documentId, version]);
+
+  if (entries.length === 0) return <p className="text-xs text-gray-500">No changes recorded.</p>;
+
+  return (
+    <ol className="space-y-2 text-xs text-gray-700">
+      {entries.map((entry) => (
+        <li key={entry.id} className="border-l-2 border-gray-300 pl-2">
+          <p>
+            <span className="font-semibold">{ACTION_LABELS[entry.action] || entry.action}</span>
+            {" by "}
+            {entry.user?.username || "unknown"} · <span className="text-gray-500">{formatTimestamp(entry.createdAt)}</span>
+          </p>
+          {entry.action !== "analyzed" &&
+            entry.changes.map((change, index) => (
+              <p key={index} className="text-gray-600">
+                {formatLabel(change.field)}: <span className="line-through text-gray-400">{change.from ?? "—"}</span> →{" "}
+                {change.to ?? "—"}
+              </p>
+            ))}
+          {entry.comment && <p className="italic text-gray-500">“{entry.comment}”</p>}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function ReviewPanel({ documentId, docType, extractedFields, reviewStatus, canReview, onUpdated }) {
+  const [schemas, setSchemas] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [draftType, setDraftType] = useState(docType);
+  const [draftFields, setDraftFields] = useState(extractedFields || {});
+  const [comment, setComment] = useState("");
+  const [showLog, setShowLog] = useState(false);
+  const [logVersion, setLogVersion] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!editing) return;
+    client
+      .listSchemas()
+      .then((res) => setSchemas(res.data.schemas))
+      .catch((err) => console.error("Failed to fetch document types:", err));
+  }, [editing]);
+
+  const startEditing = () => {
+    setDraftType(docType);
+    setDraftFields(extractedFields || {});
+    setComment("");
+    setError(null);
+    setEditing(true);
+  };
+
+  const submit = async (body) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await client.reviewDocument(documentId, body);
+      setEditing(false);
+      setComment("");
+      setLogVersion((current) => current + 1);
+      onUpdated(res.data);
+    } catch (err) {
+      console.error("Review update failed:", err);
+      setError(err.response?.data?.error || "Failed to save the review.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Sends only what the reviewer changed; a new type is re-extracted on the server first.
+  const handleSave = () => {
+    const typeChanged = draftType !== docType;
+    const original = typeChanged ? {} : extractedFields || {};
+    const edits = {};
+    for (const [field, value] of Object.entries(draftFields)) {
+      if ((original[field] ?? "") !== value) edits[field] = value.trim() === "" ? null : value;
+    }
+    const body = { extractedFields: edits };
+    if (typeChanged) body.docType = draftType;
+    if (comment.trim()) body.comment = comment.trim();
+    submit(body);
+  };
+
+  const fieldNames = Object.keys(schemas.find((schema) => schema.name === draftType)?.fields || {});
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold mb-2 text-gray-700">Review</h3>
+      <div className="bg-gray-50 p-3 rounded-lg border border-gray-200 text-sm space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className={`rounded-full px-3 py-0.5 text-xs font-semibold ${STATUS_STYLES[reviewStatus] || STATUS_STYLES.pending}`}>
+            {reviewStatus || "pending"}
+          </span>
+          {canReview && !editing && (
+            <>
+              {reviewStatus !== "approved" && (
+                <button onClick={() => submit({ reviewStatus: "approved" })} disabled={saving} className="text-green-700 hover:underline">
+                  Approve
+                </button>
+              )}
+              {reviewStatus !== "rejected" && (
+                <button onClick={() => submit({ reviewStatus: "rejected" })} disabled={saving} className="text-red-600 hover:underline">
+                  Reject
+                </button>
+              )}
+              {reviewStatus && reviewStatus !== "pending" && (
+                <button onClick={() => submit({ reviewStatus: "pending" })} disabled={saving} className="text-gray-600 hover:underline">
+                  Reopen
+                </button>
+              )}
+              <button onClick={startEditing} className="text-blue-600 hover:underline">
+                Correct fields
+              </button>
+            </>
+          )}
+          <button onClick={() => setShowLog(!showLog)} className="ml-auto text-xs text-blue-600 hover:underline">
+            {showLog ? "Hide change log" : "Change log"}
+          </button>
+        </div>
+
+        {error && <p className="text-xs text-red-600">{error}</p>}
+
+        {editing && (
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-gray-600">
+              Document type
+              <select
+                value={draftType}
+                onChange={(e) => {
+                  setDraftType(e.target.value);
+                  setDraftFields(e.target.value === docType ? extractedFields || {} : {});
+                }}
+                className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+              >
+                {[...schemas.map((schema) => schema.name), "Other"].map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </label>
+            {draftType !== docType && (
+              <p className="text-xs text-gray-500">Fields will be re-extracted for {draftType}; values entered below override them.</p>
+            )}
+            {fieldNames.map((field) => (
+              <label key={field} className="grid grid-cols-3 gap-2 items-center">
+                <span className="text-gray-600 capitalize">{field.replace(/_/g, " ")}</span>
+                <input
+                  type="text"
+                  value={draftFields[field] ?? ""}
+                  onChange={(e) => setDraftFields({ ...draftFields, [field]: e.target.value })}
+                  className="col-span-2 border border-gray-300 rounded-lg px-2 py-1"
+                />
+              </label>
+            ))}
+            <input
+              type="text"
+              placeholder="Comment (optional)"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1"
+            />
+            <div className="flex gap-2">
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="px-4 py-1 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+              >
+                {saving ? "Saving..." : "Save corrections"}
+              </button>
+              <button onClick={() => setEditing(false)} className="px-4 py-1 text-gray-600 hover:underline">
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {showLog && <AuditLog documentId={documentId} version={logVersion} />}
+      </div>
+    </div>
+  );
+}
+
+export default ReviewPanel;
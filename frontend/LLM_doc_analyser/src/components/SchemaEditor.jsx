@@ -0,0 +1,305 @@
+import { useState, useEffect } from "react";
+import { client } from "../api.js";
+
+const emptyField = () => ({ name: "", type: "text", required: true, detect: "", extract: "", recommendation: "" });
+
+const emptyDraft = () => ({ name: "", classifier: "", fields: [emptyField()], duplicateKey: "", extras: {} });
+
+// Converts a schema from the API into the editable form shape (and back again below).
+// Settings without a form control (validation rules, line items) are carried through as-is.
+const toDraft = ({ name, classifier, fields, duplicateKey, ...extras }) => ({
+  name,
+  classifier: classifier.join("\n"),
+  fields: Object.entries(fields).map(([fieldName, field]) => ({
+    name: fieldName,
+    type: field.type,
+    required: field.required,
+    detect: field.detect,
+    extract: field.extract || "",
+    recommendation: field.recommendation || "",
+  })),
+  duplicateKey: (duplicateKey || []).join(", "),
+  extras,
+});
+
+const fromDraft = (draft) => ({
+  name: draft.name.trim(),
+  classifier: draft.classifier.split("\n").map((cue) => cue.trim()).filter(Boolean),
+  fields: Object.fromEntries(
+    draft.fields
+      .filter((field) => field.name.trim())
+      .map((field) => [
+        field.name.trim(),
+        {
+          type: field.type,
+          required: field.required,
+          detect: field.detect,
+          ...(field.extract ? { extract: field.extract } : {}),
+          ...(field.recommendation ? { recommendation: field.recommendation } : {}),
+        },
+      ])
+  ),
+  ...draft.extras,
+  ...(draft.duplicateKey.trim()
+    ? { duplicateKey: draft.duplicateKey.split(",").map((field) => field.trim()).filter(Boolean) }
+    : {}),
+});
+
+// Non-admins can browse the document types but not change them.
+function SchemaEditor({ readOnly = false }) {
+  const [schemas, setSchemas] = useState([]);
+  const [fieldTypes, setFieldTypes] = useState([]);
+  const [selectedName, setSelectedName] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft());
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchSchemas = async () => {
+    try {
+      const res = await client.listSchemas();
+      setSchemas(res.data.schemas);
+      setFieldTypes(res.data.fieldTypes);
+    } catch (err) {
+      console.error("Failed to fetch schemas:", err);
+      setError("Failed to load document schemas.");
+    }
+  };
+
+  useEffect(() => {
+    fetchSchemas();
+  }, []);
+
+  const handleSelect = (schema) => {
+    setSelectedName(schema.name);
+    setDraft(toDraft(schema));
+    setError(null);
+    setMessage(null);
+  };
+
+  const handleNew = () => {
+    setSelectedName(null);
+    setDraft(emptyDraft());
+    setError(null);
+    setMessage(null);
+  };
+
+  const updateField = (index, changes) => {
+    setDraft((current) => ({
+      ...current,
+      fields: current.fields.map((field, i) => (i === index ? { ...field, ...changes } : field)),
+    }));
+  };
+
+  const removeField = (index) => {
+    setDraft((current) => ({ ...current, fields: current.fields.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const payload = fromDraft(draft);
+      const res = selectedName
+        ? await client.updateSchema(selectedName, payload)
+        : await client.createSchema(payload);
+      setSelectedName(res.data.name);
+      setDraft(toDraft(res.data));
+      setMessage(`Schema '${res.data.name}' saved.`);
+      fetchSchemas();
+    } catch (err) {
+      console.error("Failed to save schema:", err);
+      setError(err.response?.data?.error || "Failed to save the schema.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedName || !window.confirm(`Delete the '${selectedName}' schema?`)) return;
+    try {
+      await client.deleteSchema(selectedName);
+      handleNew();
+      fetchSchemas();
+    } catch (err) {
+      console.error("Failed to delete schema:", err);
+      setError(err.response?.data?.error || "Failed to delete the schema.");
+    }
+  };
+
+  const inputClass = "w-full border border-gray-300 rounded-lg px-2 py-1 text-sm font-mono";
+
+  return (
+    <div className="w-full max-w-6xl grid grid-cols-1 lg:grid-cols-3 gap-8 px-4">
+      <div className="w-full bg-white rounded-2xl shadow-lg p-6 h-fit space-y-3">
+        <h2 className="text-2xl font-bold text-center text-gray-800 mb-4">Document Types</h2>
+        {schemas.map((schema) => (
+          <div
+            key={schema.name}
+            onClick={() => handleSelect(schema)}
+            className={`bg-gray-50 border p-3 rounded-lg cursor-pointer hover:bg-blue-50 hover:border-blue-300 transition-colors duration-200 ${
+              selectedName === schema.name ? "border-blue-500 ring-2 ring-blue-300" : "border-gray-200"
+            }`}
+          >
+            <p className="font-semibold text-gray-700">{schema.name}</p>
+            <p className="text-xs text-gray-500">{Object.keys(schema.fields).length} fields</p>
+          </div>
+        ))}
+        {!readOnly && (
+          <button
+            onClick={handleNew}
+            className="w-full px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors duration-300"
+          >
+            New Document Type
+          </button>
+        )}
+      </div>
+
+      <div className="lg:col-span-2 w-full bg-white rounded-2xl shadow-lg p-6 h-fit space-y-4">
+        <h2 className="text-2xl font-bold text-gray-800">
+          {selectedName ? `Edit ${selectedName}` : "New Document Type"}
+        </h2>
+        {readOnly && (
+          <p className="text-sm text-gray-500">Only instance operators can change document types; they are shared by every workspace.</p>
+        )}
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+        )}
+        {message && (
+          <div className="bg-green-50 border border-green-300 text-green-700 px-4 py-3 rounded-lg">{message}</div>
+        )}
+
+        <label className="block text-sm font-semibold text-gray-700">
+          Name
+          <input
+            className={inputClass}
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="Purchase Order"
+          />
+        </label>
+
+        <label className="block text-sm font-semibold text-gray-700">
+          Classifier cues <span className="font-normal text-gray-500">(one case-insensitive regex per line)</span>
+          <textarea
+            className={`${inputClass} h-24`}
+            value={draft.classifier}
+            onChange={(e) => setDraft({ ...draft, classifier: e.target.value })}
+            placeholder={"purchase\\s?order\np\\.?o\\.?\\s?(number|#)"}
+          />
+        </label>
+
+        <div className="space-y-3">
+          <h3 className="text-lg font-semibold text-gray-700">Fields</h3>
+          {draft.fields.map((field, index) => (
+            <div key={index} className="border border-gray-200 rounded-lg p-3 bg-gray-50 space-y-2">
+              <div className="grid grid-cols-3 gap-2 items-end">
+                <label className="text-xs text-gray-600">
+                  Field name
+                  <input
+                    className={inputClass}
+                    value={field.name}
+                    onChange={(e) => updateField(index, { name: e.target.value })}
+                    placeholder="po_number"
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  Value type
+                  <select
+                    className={inputClass}
+                    value={field.type}
+                    onChange={(e) => updateField(index, { type: e.target.value })}
+                  >
+                    {fieldTypes.map((type) => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                </label>
+                <div className="flex items-center justify-between">
+                  <label className="text-xs text-gray-600 flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={field.required}
+                      onChange={(e) => updateField(index, { required: e.target.checked })}
+                    />
+                    Required
+                  </label>
+                  <button
+                    onClick={() => removeField(index)}
+                    className="px-2 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 text-xs font-bold"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+              <label className="block text-xs text-gray-600">
+                Detection pattern (field counts as present when this matches)
+                <input
+                  className={inputClass}
+                  value={field.detect}
+                  onChange={(e) => updateField(index, { detect: e.target.value })}
+                />
+              </label>
+              <label className="block text-xs text-gray-600">
+                Extraction pattern (optional; the first capture group is the value)
+                <input
+                  className={inputClass}
+                  value={field.extract}
+                  onChange={(e) => updateField(index, { extract: e.target.value })}
+                />
+              </label>
+              <label className="block text-xs text-gray-600">
+                Recommendation when missing
+                <input
+                  className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                  value={field.recommendation}
+                  onChange={(e) => updateField(index, { recommendation: e.target.value })}
+                />
+              </label>
+            </div>
+          ))}
+          <button
+            onClick={() => setDraft({ ...draft, fields: [...draft.fields, emptyField()] })}
+            className="px-4 py-1 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 text-sm"
+          >
+            Add Field
+          </button>
+        </div>
+
+        <label className="block text-sm font-semibold text-gray-700">
+          Duplicate key <span className="font-normal text-gray-500">(optional; comma-separated fields that identify the same document)</span>
+          <input
+            className={inputClass}
+            value={draft.duplicateKey}
+            onChange={(e) => setDraft({ ...draft, duplicateKey: e.target.value })}
+            placeholder="po_number, vendor, amount"
+          />
+        </label>
+
+        {!readOnly && (
+          <div className="flex gap-3 justify-end border-t pt-4">
+            {selectedName && (
+              <button
+                onClick={handleDelete}
+                className="px-6 py-2 bg-red-500 text-white font-semibold rounded-lg hover:bg-red-600 transition-colors duration-300"
+              >
+                Delete
+              </button>
+            )}
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-6 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-400 transition-colors duration-300"
+            >
+              {saving ? "Saving..." : "Save Schema"}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SchemaEditor;
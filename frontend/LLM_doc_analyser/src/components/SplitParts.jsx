@@ -0,0 +1,53 @@
+import { useState, useEffect } from "react";
+import { client } from "../api.js";
+
+// The documents a multi-document PDF was split into, by page range, with the one
+// being shown marked. Each part opens like any other analysis.
+
+const REASON_LABELS = {
+  type_change: "another document type starts",
+  new_identifier: "another document number",
+  new_header: "a new document header",
+};
+
+const formatPages = (start, end) => (start === end ? `p. ${start}` : `pp. ${start}–${end}`);
+
+function SplitParts({ uploadId, documentId, onOpen }) {
+  const [upload, setUpload] = useState(null);
+
+  useEffect(() => {
+    client
+      .getUpload(uploadId)
+      .then((res) => setUpload(res.data))
+      .catch((err) => console.error("Failed to fetch the split upload:", err));
+  }, [uploadId]);
+
+  if (!upload) return null;
+
+  return (
+    <div className="bg-purple-50 border border-purple-200 text-purple-900 p-3 rounded-lg text-sm mb-2">
+      <p className="font-semibold">
+        Split from {upload.filename} ({upload.pageCount} pages) into {upload.documents.length} documents
+      </p>
+      <ul className="mt-1 space-y-1">
+        {upload.documents.map((part) => (
+          <li key={part.id} className="flex flex-wrap items-center gap-2">
+            {part.id === documentId ? (
+              <span className="font-semibold">{formatPages(part.pageStart, part.pageEnd)}</span>
+            ) : (
+              <button onClick={() => onOpen(part.id)} className="text-blue-600 hover:underline">
+                {formatPages(part.pageStart, part.pageEnd)}
+              </button>
+            )}
+            <span className="text-xs text-gray-600">
+              {part.docType} · {part.reviewStatus}
+              {part.splitReason && ` · split where ${REASON_LABELS[part.splitReason]}`}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default SplitParts;
@@ -0,0 +1,256 @@
+import { useState, useEffect } from "react";
+import { client } from "../api.js";
+import { DOCUMENT_LOCALES } from "../locales.js";
+
+const ROLES = ["viewer", "analyst", "admin"];
+
+const ROLE_DESCRIPTIONS = {
+  viewer: "Browse the history and batches",
+  analyst: "Also analyze, batch-upload and delete documents",
+  admin: "Also manage members, document types and webhooks",
+};
+
+const PII_POLICY_LABELS = {
+  keep: "Kept as extracted",
+  mask: "Masked",
+  encrypt: "Masked, originals encrypted",
+};
+
+function TeamView({ workspace, currentUserId, onWorkspaceCreated, onWorkspaceUpdated }) {
+  const [members, setMembers] = useState([]);
+  const [username, setUsername] = useState("");
+  const [role, setRole] = useState("analyst");
+  const [newWorkspace, setNewWorkspace] = useState("");
+  const [error, setError] = useState(null);
+
+  const isAdmin = workspace.role === "admin";
+
+  const [membersVersion, setMembersVersion] = useState(0);
+
+  useEffect(() => {
+    client
+      .listMembers(workspace.id)
+      .then((res) => setMembers(res.data))
+      .catch((err) => {
+        console.error("Failed to fetch members:", err);
+        setError("Failed to load the workspace members.");
+      });
+  }, [workspace.id, membersVersion]);
+
+  // Runs a membership change, then reloads the list or shows the server's reason.
+  const runChange = async (request) => {
+    setError(null);
+    try {
+      await request();
+      setMembersVersion((version) => version + 1);
+    } catch (err) {
+      console.error("Membership change failed:", err);
+      setError(err.response?.data?.error || "Failed to update the workspace members.");
+    }
+  };
+
+  const handleAdd = () =>
+    runChange(async () => {
+      await client.addMember(workspace.id, { username, role });
+      setUsername("");
+    });
+
+  const handleSettingsChange = async (settings) => {
+    setError(null);
+    try {
+      const res = await client.updateWorkspace(workspace.id, settings);
+      onWorkspaceUpdated(res.data);
+    } catch (err) {
+      console.error("Failed to update workspace:", err);
+      setError(err.response?.data?.error || "Failed to update the workspace.");
+    }
+  };
+
+  const handleCreateWorkspace = async () => {
+    setError(null);
+    try {
+      const res = await client.createWorkspace({ name: newWorkspace });
+      setNewWorkspace("");
+      onWorkspaceCreated(res.data);
+    } catch (err) {
+      console.error("Failed to create workspace:", err);
+      setError(err.response?.data?.error || "Failed to create the workspace.");
+    }
+  };
+
+  return (
+    <div className="w-full max-w-3xl bg-white rounded-2xl shadow-lg p-8 space-y-6 mx-4">
+      <h2 className="text-2xl font-bold text-gray-800">{workspace.name}: Members</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-center">{error}</div>
+      )}
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600 border-b">
+            <th className="py-2">User</th>
+            <th>Role</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {members.map((member) => (
+            <tr key={member.id} className="border-b last:border-0">
+              <td className="py-2">
+                {member.username}
+                {member.id === currentUserId && <span className="text-xs text-gray-400"> (you)</span>}
+              </td>
+              <td>
+                {isAdmin ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) =>
+                      runChange(() => client.updateMember(workspace.id, member.id, { role: e.target.value }))
+                    }
+                    className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                  >
+                    {ROLES.map((name) => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                ) : (
+                  member.role
+                )}
+              </td>
+              <td className="text-right">
+                {isAdmin && (
+                  <button
+                    onClick={() => runChange(() => client.removeMember(workspace.id, member.id))}
+                    className="text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {isAdmin && (
+        <div className="border-t pt-4 space-y-2">
+          <h3 className="text-lg font-semibold text-gray-700">Add a Member</h3>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              placeholder="Username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+            />
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+            >
+              {ROLES.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleAdd}
+              disabled={!username}
+              className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+            >
+              Add
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">The user must already have an account.</p>
+        </div>
+      )}
+
+      <ul className="text-xs text-gray-500 space-y-1">
+        {ROLES.map((name) => (
+          <li key={name}><strong className="text-gray-600">{name}</strong>: {ROLE_DESCRIPTIONS[name]}</li>
+        ))}
+      </ul>
+
+      <div className="border-t pt-4 space-y-2">
+        <h3 className="text-lg font-semibold text-gray-700">Document Locale</h3>
+        <select
+          value={workspace.locale || ""}
+          onChange={(e) => handleSettingsChange({ locale: e.target.value || null })}
+          disabled={!isAdmin}
+          className="border border-gray-300 rounded-lg px-2 py-1 bg-white disabled:bg-gray-100"
+        >
+          <option value="">By detected language</option>
+          {DOCUMENT_LOCALES.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500">
+          How numbers and numeric dates such as 03/04/2024 are read in this workspace's uploads, unless an upload picks its own.
+        </p>
+      </div>
+
+      <div className="border-t pt-4 space-y-2">
+        <h3 className="text-lg font-semibold text-gray-700">Personal Data</h3>
+        <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+          <label className="flex items-center gap-2">
+            Stored as
+            <select
+              value={workspace.piiPolicy || ""}
+              onChange={(e) => handleSettingsChange({ piiPolicy: e.target.value || null })}
+              disabled={!isAdmin}
+              className="border border-gray-300 rounded-lg px-2 py-1 bg-white disabled:bg-gray-100"
+            >
+              <option value="">Server default</option>
+              {Object.entries(PII_POLICY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            Purge text after
+            <input
+              key={`${workspace.id}-${workspace.retentionDays}`}
+              type="number"
+              min="1"
+              defaultValue={workspace.retentionDays || ""}
+              onBlur={(e) => {
+                const days = e.target.value ? Number(e.target.value) : null;
+                if (days !== (workspace.retentionDays ?? null)) handleSettingsChange({ retentionDays: days });
+              }}
+              disabled={!isAdmin}
+              placeholder="default"
+              className="w-24 border border-gray-300 rounded-lg px-2 py-1 disabled:bg-gray-100"
+            />
+            days
+          </label>
+        </div>
+        <p className="text-xs text-gray-500">
+          Emails, phone, account, card and ID numbers found in new documents are stored as chosen here. Purging removes a
+          document's text and original file but keeps its type and extracted fields.
+        </p>
+      </div>
+
+      <div className="border-t pt-4 space-y-2">
+        <h3 className="text-lg font-semibold text-gray-700">New Workspace</h3>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            placeholder="Workspace name"
+            value={newWorkspace}
+            onChange={(e) => setNewWorkspace(e.target.value)}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <button
+            onClick={handleCreateWorkspace}
+            disabled={!newWorkspace.trim()}
+            className="px-4 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-400"
+          >
+            Create
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TeamView;
@@ -0,0 +1,51 @@
+import { useState, useEffect } from "react";
+import { client } from "../api.js";
+
+// Lists the other uploads linked to a document as versions, with shortcuts to open
+// one or to compare it against the document being shown.
+function VersionHistory({ documentId, onOpen, onCompare }) {
+  const [versions, setVersions] = useState([]);
+
+  useEffect(() => {
+    client
+      .listDocumentVersions(documentId)
+      .then((res) => setVersions(res.data))
+      .catch((err) => console.error("Failed to fetch versions:", err));
+  }, [documentId]);
+
+  if (versions.length < 2) return null;
+
+  const currentIndex = versions.findIndex((version) => version.id === documentId);
+  const previous = currentIndex > 0 ? versions[currentIndex - 1] : null;
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold mb-2 text-gray-700">Versions</h3>
+      <div className="bg-gray-50 p-3 rounded-lg border border-gray-200 text-sm space-y-2">
+        <div className="flex flex-wrap gap-2">
+          {versions.map((version) => (
+            <button
+              key={version.id}
+              onClick={() => version.id !== documentId && onOpen(version.id)}
+              title={`${version.filename} — ${version.analyzedAt}`}
+              className={`px-3 py-1 rounded-full text-xs font-semibold border ${
+                version.id === documentId
+                  ? "bg-blue-600 text-white border-blue-600"
+                  : "bg-white text-gray-600 border-gray-300 hover:border-blue-400"
+              }`}
+            >
+              v{version.version}
+            </button>
+          ))}
+        </div>
+        {previous && (
+          <button onClick={() => onCompare(previous.id, documentId)} className="text-blue-600 hover:underline">
+            Compare with v{previous.version} ({previous.filename})
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VersionHistory;
@@ -0,0 +1,244 @@
+import { useState, useEffect } from "react";
+import { client } from "../api.js";
+
+// Admin screen for the workspace's outbound webhooks: subscribe URLs to analysis
+// events (optionally only for some document types), send a test event and inspect
+// or retry deliveries.
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  succeeded: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+function DeliveryLog({ webhookId, version, onRedeliver }) {
+  const [deliveries, setDeliveries] = useState([]);
+
+  useEffect(() => {
+    client
+      .listDeliveries(webhookId)
+      .then((res) => setDeliveries(res.data))
+      .catch((err) => console.error("Failed to fetch deliveries:", err));
+  }, [webhookId, version]);
+
+  if (deliveries.length === 0) {
+    return <p className="text-xs text-gray-500">No deliveries yet.</p>;
+  }
+
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-left text-gray-500 border-b">
+          <th className="py-1">#</th>
+          <th>Event</th>
+          <th>Status</th>
+          <th>Attempts</th>
+          <th>Last result</th>
+          <th />
+        </tr>
+      </thead>
+      <tbody>
+        {deliveries.map((delivery) => (
+          <tr key={delivery.id} className="border-b last:border-0 align-top">
+            <td className="py-1">{delivery.id}</td>
+            <td className="font-mono">{delivery.event}</td>
+            <td>
+              <span className={`rounded-full px-2 py-0.5 ${STATUS_STYLES[delivery.status]}`}>{delivery.status}</span>
+            </td>
+            <td>{delivery.attempts}</td>
+            <td className="text-gray-600">
+              {delivery.error || (delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : "-")}
+              {delivery.nextAttemptAt && delivery.attempts > 0 && (
+                <div className="text-gray-400">Retry at {new Date(delivery.nextAttemptAt).toLocaleTimeString()}</div>
+              )}
+            </td>
+            <td className="text-right">
+              <button onClick={() => onRedeliver(delivery.id)} className="text-blue-600 hover:underline">
+                Redeliver
+              </button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function WebhooksView() {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [docTypeNames, setDocTypeNames] = useState([]);
+  const [url, setUrl] = useState("");
+  const [selectedEvents, setSelectedEvents] = useState([]);
+  const [selectedTypes, setSelectedTypes] = useState([]);
+  const [createdSecret, setCreatedSecret] = useState(null);
+  const [openLog, setOpenLog] = useState(null);
+  const [version, setVersion] = useState(0);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    client
+      .listWebhooks()
+      .then((res) => {
+        setWebhooks(res.data.webhooks);
+        setEvents(res.data.events);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch webhooks:", err);
+        setError("Failed to load the webhooks.");
+      });
+  }, [version]);
+
+  useEffect(() => {
+    client
+      .listSchemas()
+      .then((res) => setDocTypeNames(res.data.schemas.map((schema) => schema.name)))
+      .catch((err) => console.error("Failed to fetch document types:", err));
+  }, []);
+
+  // Runs a change, then reloads the subscriptions and delivery log or shows the server's reason.
+  const runChange = async (request) => {
+    setError(null);
+    try {
+      await request();
+      setVersion((current) => current + 1);
+    } catch (err) {
+      console.error("Webhook change failed:", err);
+      setError(err.response?.data?.error || "Failed to update the webhooks.");
+    }
+  };
+
+  const toggle = (list, setList, value) =>
+    setList(list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
+
+  const handleCreate = () =>
+    runChange(async () => {
+      const res = await client.createWebhook({ url, events: selectedEvents, docTypes: selectedTypes });
+      setCreatedSecret({ url: res.data.url, secret: res.data.secret });
+      setUrl("");
+      setSelectedEvents([]);
+      setSelectedTypes([]);
+    });
+
+  return (
+    <div className="w-full max-w-3xl bg-white rounded-2xl shadow-lg p-8 space-y-6 mx-4">
+      <h2 className="text-2xl font-bold text-gray-800">Webhooks</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-center">{error}</div>
+      )}
+
+      {createdSecret && (
+        <div className="bg-green-50 border border-green-300 text-green-800 px-4 py-3 rounded-lg text-sm space-y-1">
+          <p>
+            Signing secret for <strong>{createdSecret.url}</strong>. Copy it now; it will not be shown again.
+          </p>
+          <code className="block bg-white border rounded px-2 py-1 break-all">{createdSecret.secret}</code>
+          <button onClick={() => setCreatedSecret(null)} className="text-xs text-green-700 hover:underline">
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {webhooks.length === 0 && <p className="text-sm text-gray-500">No webhooks are configured for this workspace.</p>}
+
+      <ul className="space-y-3">
+        {webhooks.map((webhook) => (
+          <li key={webhook.id} className="border border-gray-200 rounded-lg p-3 space-y-2">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-mono break-all flex-1">{webhook.url}</span>
+              <label className="flex items-center gap-1 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={webhook.active}
+                  onChange={(e) => runChange(() => client.updateWebhook(webhook.id, { active: e.target.checked }))}
+                />
+                Active
+              </label>
+              <button
+                onClick={() => runChange(() => client.testWebhook(webhook.id))}
+                className="text-blue-600 hover:underline"
+              >
+                Send test
+              </button>
+              <button
+                onClick={() => setOpenLog(openLog === webhook.id ? null : webhook.id)}
+                className="text-blue-600 hover:underline"
+              >
+                {openLog === webhook.id ? "Hide deliveries" : "Deliveries"}
+              </button>
+              <button
+                onClick={() => runChange(() => client.deleteWebhook(webhook.id))}
+                className="text-red-600 hover:underline"
+              >
+                Delete
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">
+              {webhook.events.join(", ")}
+              {webhook.docTypes.length > 0 && ` · only ${webhook.docTypes.join(", ")}`}
+            </p>
+            {openLog === webhook.id && (
+              <DeliveryLog
+                webhookId={webhook.id}
+                version={version}
+                onRedeliver={(deliveryId) =>
+                  runChange(() => client.redeliver(webhook.id, deliveryId))
+                }
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="border-t pt-4 space-y-3">
+        <h3 className="text-lg font-semibold text-gray-700">Add a Webhook</h3>
+        <input
+          type="url"
+          placeholder="https://erp.example.com/hooks/documents"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2"
+        />
+        <div className="flex flex-wrap gap-3 text-sm text-gray-700">
+          {events.map((event) => (
+            <label key={event} className="flex items-center gap-1 font-mono">
+              <input
+                type="checkbox"
+                checked={selectedEvents.includes(event)}
+                onChange={() => toggle(selectedEvents, setSelectedEvents, event)}
+              />
+              {event}
+            </label>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-3 text-sm text-gray-700">
+          <span className="text-gray-500">Document types (none = all):</span>
+          {docTypeNames.map((name) => (
+            <label key={name} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={selectedTypes.includes(name)}
+                onChange={() => toggle(selectedTypes, setSelectedTypes, name)}
+              />
+              {name}
+            </label>
+          ))}
+        </div>
+        <button
+          onClick={handleCreate}
+          disabled={!url || selectedEvents.length === 0}
+          className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+        >
+          Add Webhook
+        </button>
+        <p className="text-xs text-gray-500">
+          Payloads are signed with the secret in the <code>X-Webhook-Signature</code> header; failed deliveries are
+          retried with exponential backoff.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default WebhooksView;
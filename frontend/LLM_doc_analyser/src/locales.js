@@ -0,0 +1,14 @@
+// Locales offered for reading a document's numbers and dates, and the names of the
+// languages the server detects (see server/locale.js).
+
+export const DOCUMENT_LOCALES = [
+  { value: "en-US", label: "English (US): 1,234.50 · MM/DD" },
+  { value: "en-GB", label: "English (UK): 1,234.50 · DD/MM" },
+  { value: "en-IN", label: "English (India): 1,234.50 · DD/MM" },
+  { value: "hi-IN", label: "Hindi (India): 1,234.50 · DD/MM" },
+  { value: "de-DE", label: "German: 1.234,50 · DD.MM" },
+  { value: "fr-FR", label: "French: 1 234,50 · DD/MM" },
+  { value: "es-ES", label: "Spanish: 1.234,50 · DD/MM" },
+];
+
+export const LANGUAGE_NAMES = { en: "English", hi: "Hindi", de: "German", fr: "French", es: "Spanish" };
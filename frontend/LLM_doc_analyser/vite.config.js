@@ -5,4 +5,10 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  server: {
+    // The API is served under /api/v1 by the back end (server/, port 5000).
+    proxy: {
+      '/api': 'http://localhost:5000',
+    },
+  },
 })
@@ -0,0 +1,175 @@
+import { getSchemas, getSchema, capturedValue } from './schemas/index.js';
+import { ENGINE_REGEX, analyzeWithProvider } from './providers/index.js';
+import { normalizeAndValidate } from './validation.js';
+import { extractLineItems } from './lineItems.js';
+import { findHighlights } from './highlights.js';
+import { classifyWithModel } from './model.js';
+import { analyzeClauses } from './clauses.js';
+import { detectLanguage, resolveLocale } from './locale.js';
+
+// --- Regex-Based Analysis Logic ---
+// All patterns come from the document-type schema registry (see schemas/index.js),
+// in the view of the document's language: its pack patterns alongside the English ones.
+
+// Keyword scoring, used until a model has been trained (see model.js). Each type's
+// probability is its number of matching cues plus one, over the total, with 'Other'
+// scoring zero cues; a document matching nothing is therefore 'Other' with low confidence.
+export function classifyWithRegex(text, language) {
+    const scores = getSchemas(language).map(schema => ({
+        type: schema.name,
+        score: schema.classifier.reduce((count, regex) => count + (regex.test(text) ? 1 : 0), 0)
+    }));
+    scores.push({ type: 'Other', score: 0 });
+
+    const total = scores.reduce((sum, { score }) => sum + score + 1, 0);
+    const probabilities = Object.fromEntries(scores.map(({ type, score }) => [type, parseFloat(((score + 1) / total).toFixed(4))]));
+    const best = scores.reduce((top, entry) => (entry.score > top.score ? entry : top), { type: 'Other', score: 0 });
+    return { type: best.type, confidence: parseFloat(probabilities[best.type].toFixed(2)), probabilities, classifier: 'keywords' };
+}
+
+// The trained model when one is active, keyword scoring otherwise.
+export function classifyDocument(text, language) {
+    return classifyWithModel(text) || classifyWithRegex(text, language);
+}
+
+// A required field counts as present only when its label is found and, if the schema
+// knows how to extract it, an actual value follows the label.
+export function checkMissingFieldsWithRegex(text, type, language) {
+    const schema = getSchema(type, language);
+    if (!schema) return [];
+
+    const extracted = extractFieldsWithRegex(text, type, language);
+    const missing = [];
+    for (const field in schema.fields) {
+        const { required, detect, extract } = schema.fields[field];
+        if (required && (!detect.test(text) || (extract && !extracted[field]))) {
+            missing.push(field);
+        }
+    }
+    return missing;
+}
+
+/**
+ * Runs each field's extraction pattern. Returns { field: { value, context } } where
+ * `context` is the whole match, which normalization uses to find e.g. currency symbols.
+ */
+export function extractFieldMatches(text, type, language) {
+    const schema = getSchema(type, language);
+    if (!schema) return {};
+
+    const matches = {};
+    for (const field in schema.fields) {
+        const { extract } = schema.fields[field];
+        const match = extract && extract.exec(text);
+        const value = capturedValue(match);
+        if (value && value.trim()) {
+            matches[field] = { value: value.trim().replace(/\s+/g, ' '), context: match[0] };
+        }
+    }
+    return matches;
+}
+
+export function extractFieldsWithRegex(text, type, language) {
+    const matches = extractFieldMatches(text, type, language);
+    return Object.fromEntries(Object.entries(matches).map(([field, { value }]) => [field, value]));
+}
+
+export function formatExtractedText(text) {
+    let formattedText = text.replace(/\s+n\s+/g, '\n');
+    formattedText = formattedText.replace(/[ \t]+/g, ' ');
+    formattedText = formattedText.replace(/(\r\n|\n|\r){2,}/g, '\n');
+    return formattedText.trim();
+}
+
+// --- Improvement Recommendations Logic ---
+
+// Used for fields whose schema (or language pack) has no recommendation of its own.
+const MISSING_FIELD_TEMPLATES = {
+    en: field => `Action: Ensure the '${field}' is included.`,
+    de: field => `Maßnahme: Sicherstellen, dass '${field}' angegeben ist.`,
+    fr: field => `Action : Veillez à indiquer '${field}'.`,
+    es: field => `Acción: Asegúrese de incluir '${field}'.`,
+    hi: field => `कार्रवाई: सुनिश्चित करें कि '${field}' शामिल है।`
+};
+
+// One entry per missing field, in the document's language where the schema has a
+// pack for it, followed by the recommendation of each risk finding.
+export function generateRecommendations(missingFields, type, { risks = [], language } = {}) {
+    const schema = getSchema(type, language);
+    const fallback = MISSING_FIELD_TEMPLATES[language] || MISSING_FIELD_TEMPLATES.en;
+    return [
+        ...missingFields.map(field => schema?.fields[field]?.recommendation || fallback(field.replace(/_/g, ' '))),
+        ...risks.map(risk => risk.recommendation)
+    ];
+}
+
+// Describes the known document types and their required fields to LLM providers.
+export function getProviderSchema() {
+    const schemas = getSchemas();
+    return {
+        docTypes: schemas.map(schema => schema.name),
+        fields: Object.fromEntries(schemas.map(schema => [
+            schema.name,
+            Object.keys(schema.fields).filter(field => schema.fields[field].required)
+        ]))
+    };
+}
+
+export function analyzeWithRegex(text, language) {
+    const { type, confidence, probabilities, classifier } = classifyDocument(text, language);
+    return {
+        docType: type,
+        confidence,
+        probabilities,
+        classifier,
+        missingFields: checkMissingFieldsWithRegex(text, type, language),
+        extractedFields: extractFieldsWithRegex(text, type, language)
+    };
+}
+
+// --- Analysis Pipeline ---
+
+async function runEngine(text, engine, language) {
+    if (engine !== ENGINE_REGEX) {
+        try {
+            const result = await analyzeWithProvider(engine, text, getProviderSchema());
+            return { ...result, engine };
+        } catch (error) {
+            console.warn(`Provider '${engine}' failed, falling back to regex:`, error.message);
+            return { ...analyzeWithRegex(text, language), engine: ENGINE_REGEX, fallbackReason: error.message };
+        }
+    }
+    return { ...analyzeWithRegex(text, language), engine: ENGINE_REGEX };
+}
+
+/**
+ * Detects the language of the text and runs the selected engine over it. Any provider failure, timeout or invalid
+ * output falls back to the regex pipeline; `engine` records who produced the result.
+ * Line items are extracted for types that have a table (using `options.layout`, the
+ * positioned PDF text items, when available), then the extracted values are
+ * normalized and validated against the schema, the matches are located for
+ * highlighting, and types with clause rules are segmented into clauses and scored
+ * for risk. Numbers and numeric dates are read by the conventions of `options.locale`
+ * when given, else of the detected language's usual locale.
+ */
+export async function analyzeText(text, engine, { layout = null, locale = null } = {}) {
+    const { language, confidence: languageConfidence } = detectLanguage(text);
+    const { decimal, dateOrder, locale: resolvedLocale } = resolveLocale(locale, language);
+    const result = await runEngine(text, engine, language);
+
+    const lineItems = getSchema(result.docType)?.definition.lineItems ? extractLineItems({ text, layout, decimal }) : [];
+    const contexts = Object.fromEntries(
+        Object.entries(extractFieldMatches(text, result.docType, language)).map(([field, { context }]) => [field, context])
+    );
+    const { normalizedFields, warnings } = normalizeAndValidate(result.docType, result.extractedFields,
+        { text, contexts, lineItems, dateOrder, decimal, language });
+
+    const highlights = findHighlights(text, { docType: result.docType, extractedFields: result.extractedFields, layout, language });
+
+    const { clauses, risks, riskScore } = analyzeClauses(text, result.docType, language);
+
+    return {
+        ...result, language, languageConfidence, locale: resolvedLocale,
+        lineItems, normalizedFields, warnings, highlights, clauses, risks, riskScore
+    };
+}
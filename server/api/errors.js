@@ -0,0 +1,118 @@
+import multer from 'multer';
+import { UnsupportedFormatError, EmptyDocumentError, EncryptedDocumentError, CorruptDocumentError } from '../ingestion.js';
+import { MAX_UPLOAD_BYTES, MAX_BATCH_FILES, MAX_BATCH_BYTES, BatchLimitError } from '../upload.js';
+
+// --- API Error Model ---
+// Every error response of the API has the same body:
+//   { error: <human-readable message>, code: <one of ERROR_CODES>, details?: [...] }
+// Routes answer with `res.status(...).json({ error })` as before; errorCodes() fills
+// in the code for the status, and routes set a more specific one where they know it
+// (see sendError()). Failures that escape the routes are answered by apiErrorHandler().
+
+export const ERROR_CODES = {
+    invalid_request: 'The request is malformed or has an invalid parameter.',
+    validation_failed: 'The request does not match the API schema; see `details`.',
+    unauthorized: 'Authentication is required or the session has expired.',
+    forbidden: 'The caller lacks the role needed in the workspace, or is not an instance operator.',
+    not_found: 'The resource does not exist in the workspace.',
+    conflict: 'The request conflicts with the current state (e.g. a duplicate name).',
+    file_too_large: `An uploaded file or archive entry exceeds the size limit (${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB), or an expanded batch exceeds ${Math.round(MAX_BATCH_BYTES / 1024 / 1024)} MB.`,
+    too_many_files: `The upload has more than ${MAX_BATCH_FILES} files (counting ZIP archive entries) or too many form fields.`,
+    unsupported_type: 'The file is not a format the analyzer reads.',
+    encrypted_pdf: 'The PDF is password-protected.',
+    corrupt_file: 'The file is damaged or not really of its declared format.',
+    empty_document: 'No text could be extracted from the file.',
+    internal_error: 'An unexpected server error.'
+};
+
+const STATUS_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'file_too_large',
+    415: 'unsupported_type',
+    422: 'corrupt_file',
+    500: 'internal_error'
+};
+
+export const errorCodeForStatus = status => STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+
+export class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export function sendError(res, status, code, message, details) {
+    return res.status(status).json({ error: message, code, ...(details ? { details } : {}) });
+}
+
+// The status and code of the ingestion failures upload routes report.
+const DOCUMENT_ERRORS = [
+    [UnsupportedFormatError, 415, 'unsupported_type'],
+    [EncryptedDocumentError, 422, 'encrypted_pdf'],
+    [CorruptDocumentError, 422, 'corrupt_file'],
+    [EmptyDocumentError, 422, 'empty_document']
+];
+
+/** Answers `error` if it is a document ingestion failure; returns whether it did. */
+export function sendDocumentError(res, error) {
+    const match = DOCUMENT_ERRORS.find(([type]) => error instanceof type);
+    if (!match) return false;
+    sendError(res, match[1], match[2], error.message);
+    return true;
+}
+
+/** Adds the status's `code` to error bodies that do not carry one. */
+export function errorCodes(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+            body = { ...body, code: errorCodeForStatus(res.statusCode) };
+        }
+        return json(body);
+    };
+    next();
+}
+
+const MULTER_ERRORS = {
+    LIMIT_FILE_SIZE: [413, 'file_too_large', `Files may be at most ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB.`],
+    LIMIT_FILE_COUNT: [413, 'too_many_files', `At most ${MAX_BATCH_FILES} files can be uploaded at once.`],
+    LIMIT_FIELD_COUNT: [413, 'too_many_files', 'The upload has too many form fields.'],
+    LIMIT_UNEXPECTED_FILE: [400, 'invalid_request', null]
+};
+
+// Express error handler for the API router: upload and batch limits, malformed JSON
+// bodies, ApiErrors and anything unexpected. Express recognizes it by its four
+// parameters.
+export function apiErrorHandler(error, req, res, next) {
+    if (res.headersSent) {
+        return res.end();
+    }
+    if (error instanceof ApiError) {
+        return sendError(res, error.status, error.code, error.message, error.details);
+    }
+    // Raised by the batch upload storage while the files stream in.
+    if (error instanceof BatchLimitError) {
+        return sendError(res, 413, error.code, error.message);
+    }
+    if (error instanceof multer.MulterError) {
+        const [status, code, message] = MULTER_ERRORS[error.code] || [400, 'invalid_request', null];
+        const field = error.code === 'LIMIT_UNEXPECTED_FILE' ? `Unexpected file field '${error.field}'.` : null;
+        return sendError(res, status, code, message || field || error.message);
+    }
+    if (sendDocumentError(res, error)) return;
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'invalid_request', 'The request body is not valid JSON.');
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, 'file_too_large', 'The request body is too large.');
+    }
+    console.error("Unhandled API error:", error);
+    sendError(res, 500, 'internal_error', 'An unexpected error occurred.');
+}
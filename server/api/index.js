@@ -0,0 +1,49 @@
+import express from 'express';
+import { openApiDocument } from './openapi.js';
+import { validateRequests } from './validation.js';
+import { errorCodes, apiErrorHandler } from './errors.js';
+import authRouter from '../routes/auth.js';
+import analyzeRouter from '../routes/analyze.js';
+import schemasRouter from '../routes/schemas.js';
+import jobsRouter from '../routes/jobs.js';
+import historyRouter from '../routes/history.js';
+import compareRouter from '../routes/compare.js';
+import webhooksRouter from '../routes/webhooks.js';
+import modelRouter from '../routes/model.js';
+import statsRouter from '../routes/stats.js';
+import connectorsRouter from '../routes/connectors.js';
+import uploadsRouter from '../routes/uploads.js';
+
+// --- API v1 ---
+// Every route of the versioned API, behind request validation and the common
+// error model. A breaking change to a route or payload goes into a new version
+// mounted next to this one.
+
+export function createApiRouter() {
+    const router = express.Router();
+    // Parsed here so that malformed bodies reach apiErrorHandler.
+    router.use(express.json());
+
+    router.get('/openapi.json', (req, res) => {
+        res.json(openApiDocument);
+    });
+
+    router.use(validateRequests);
+    // Mounted after the validator so that it sees error bodies with their code.
+    router.use(errorCodes);
+
+    router.use(authRouter);
+    router.use(analyzeRouter);
+    router.use('/schemas', schemasRouter);
+    router.use(jobsRouter);
+    router.use('/history', historyRouter);
+    router.use('/uploads', uploadsRouter);
+    router.use(compareRouter);
+    router.use('/webhooks', webhooksRouter);
+    router.use('/model', modelRouter);
+    router.use('/stats', statsRouter);
+    router.use('/connectors', connectorsRouter);
+
+    router.use(apiErrorHandler);
+    return router;
+}
@@ -0,0 +1,669 @@
+import { ERROR_CODES } from './errors.js';
+import { ROLES } from '../auth.js';
+import { REVIEW_STATUSES, DOCUMENT_SOURCES } from '../history.js';
+import { STATS_INTERVALS } from '../stats.js';
+import { REPORT_FORMATS } from '../reports.js';
+import { WEBHOOK_EVENTS } from '../webhooks.js';
+import { PII_TYPES, PII_POLICIES } from '../pii.js';
+import { SPLIT_REASONS } from '../splitting.js';
+import { MAX_UPLOAD_BYTES, MAX_BATCH_FILES } from '../upload.js';
+
+// --- OpenAPI Document ---
+// The contract of /api/v1. It is served at /api/v1/openapi.json, the request
+// validator checks every call against it (api/validation.js), and the front-end
+// client is generated from it (scripts/generate-client.js). A route added to the
+// API needs an operation here, or the validator answers it with 404.
+
+export const API_VERSION = '1.0.0';
+export const API_BASE_PATH = '/api/v1';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = type => ({ type: [type, 'null'] });
+const arrayOf = items => ({ type: 'array', items });
+const object = (properties, required = Object.keys(properties), extra = {}) => ({ type: 'object', properties, required, ...extra });
+const json = schema => ({ 'application/json': { schema } });
+
+const schemas = {
+    Error: object({
+        error: { type: 'string' },
+        code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+        details: arrayOf(object({
+            location: { type: 'string', enum: ['path', 'query', 'body', 'response'] },
+            path: { type: 'string' },
+            message: { type: 'string' }
+        }))
+    }, ['error', 'code']),
+    Message: object({ message: { type: 'string' } }),
+
+    User: object({ id: { type: 'integer' }, username: { type: 'string' }, operator: { type: 'boolean' } }),
+    Role: { type: 'string', enum: ROLES },
+    Workspace: object({
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        role: ref('Role'),
+        locale: nullable('string'),
+        piiPolicy: { type: ['string', 'null'], enum: [...PII_POLICIES, null] },
+        retentionDays: nullable('integer')
+    }, ['id', 'name', 'role']),
+    Session: object({ token: { type: 'string' }, user: ref('User'), workspaces: arrayOf(ref('Workspace')) }),
+    Me: object({ user: ref('User'), workspaces: arrayOf(ref('Workspace')) }),
+    Member: object({ id: { type: 'integer' }, username: { type: 'string' }, role: ref('Role') }),
+
+    Engines: object({ engines: arrayOf({ type: 'string' }), default: nullable('string'), error: nullable('string') }),
+    Warning: object({ code: { type: 'string' }, message: { type: 'string' } }, ['message']),
+    LineItem: object({
+        description: nullable('string'),
+        quantity: nullable('number'),
+        unitPrice: nullable('number'),
+        tax: nullable('number'),
+        total: nullable('number')
+    }, ['description']),
+    Highlight: object({ start: { type: 'integer' }, end: { type: 'integer' } }, ['start', 'end']),
+    Clause: object({ id: { type: 'integer' }, title: nullable('string'), start: { type: 'integer' }, end: { type: 'integer' } }, ['id', 'start', 'end']),
+    Risk: object({ severity: { type: 'string' }, message: { type: 'string' } }, ['severity', 'message']),
+    Document: object({
+        id: { type: 'integer' },
+        filename: { type: 'string' },
+        docType: { type: 'string' },
+        confidence: { type: 'number' },
+        classifier: nullable('string'),
+        engine: nullable('string'),
+        language: nullable('string'),
+        locale: nullable('string'),
+        sourceFormat: nullable('string'),
+        extractionMethod: nullable('string'),
+        fileSize: nullable('integer'),
+        originalAvailable: { type: 'boolean' },
+        originalRestricted: { type: 'boolean', description: 'The original holds masked or encrypted personal data; only analysts may open it.' },
+        text: nullable('string'),
+        extractedFields: { type: 'object', additionalProperties: { type: 'string' } },
+        normalizedFields: { type: 'object' },
+        missingFields: arrayOf({ type: 'string' }),
+        recommendations: arrayOf({ type: 'string' }),
+        warnings: arrayOf(ref('Warning')),
+        lineItems: arrayOf(ref('LineItem')),
+        highlights: arrayOf(ref('Highlight')),
+        clauses: arrayOf(ref('Clause')),
+        risks: arrayOf(ref('Risk')),
+        riskScore: nullable('number'),
+        version: { type: 'integer' },
+        versionGroup: nullable('integer'),
+        reviewStatus: { type: 'string', enum: REVIEW_STATUSES },
+        reviewedBy: nullable('integer'),
+        reviewedAt: nullable('string'),
+        uploadedBy: nullable('integer'),
+        source: ref('DocumentSource'),
+        sender: nullable('string'),
+        pii: arrayOf(ref('PiiSpan')),
+        piiPolicy: { type: ['string', 'null'], enum: [...PII_POLICIES, null] },
+        contentPurgedAt: nullable('string'),
+        uploadId: nullable('integer'),
+        pageStart: nullable('integer'),
+        pageEnd: nullable('integer'),
+        splitReason: { type: ['string', 'null'], enum: [...SPLIT_REASONS, null] },
+        analyzedAt: { type: 'string' }
+    }),
+    PiiSpan: object({ type: { type: 'string', enum: PII_TYPES }, start: { type: 'integer' }, end: { type: 'integer' } }),
+    PiiValues: object({
+        policy: { type: ['string', 'null'], enum: [...PII_POLICIES, null] },
+        purged: { type: 'boolean' },
+        spans: arrayOf({ allOf: [ref('PiiSpan'), object({ value: nullable('string') })] })
+    }),
+    DocumentSource: { type: 'string', enum: DOCUMENT_SOURCES },
+    PossibleDuplicate: object({
+        id: { type: 'integer' },
+        filename: { type: 'string' },
+        docType: nullable('string'),
+        analyzedAt: { type: 'string' },
+        reasons: arrayOf({ type: 'string' }),
+        similarity: nullable('number')
+    }, ['id', 'filename', 'reasons']),
+    Analysis: {
+        description: 'The stored Document plus what is only known at analysis time.',
+        allOf: [ref('Document'), object({
+            probabilities: { type: 'object', additionalProperties: { type: 'number' } },
+            languageConfidence: nullable('number'),
+            possibleDuplicates: arrayOf(ref('PossibleDuplicate')),
+            fallbackReason: nullable('string'),
+            parts: {
+                description: 'Every document a multi-document PDF was split into, this one first; empty when it was not split.',
+                ...arrayOf(object({ id: { type: 'integer' }, docType: { type: 'string' }, pageStart: { type: 'integer' }, pageEnd: { type: 'integer' } }))
+            }
+        })]
+    },
+    Upload: object({
+        id: { type: 'integer' },
+        filename: { type: 'string' },
+        pageCount: { type: 'integer' },
+        uploadedBy: nullable('integer'),
+        createdAt: { type: 'string' },
+        documents: arrayOf(object({
+            id: { type: 'integer' },
+            docType: { type: 'string' },
+            confidence: { type: 'number' },
+            pageStart: { type: 'integer' },
+            pageEnd: { type: 'integer' },
+            splitReason: { type: ['string', 'null'], enum: [...SPLIT_REASONS, null] },
+            reviewStatus: { type: 'string', enum: REVIEW_STATUSES }
+        }))
+    }),
+    DocumentSummary: object({
+        id: { type: 'integer' },
+        filename: { type: 'string' },
+        docType: { type: 'string' },
+        confidence: { type: 'number' },
+        missingFields: arrayOf({ type: 'string' }),
+        engine: nullable('string'),
+        language: nullable('string'),
+        sourceFormat: nullable('string'),
+        source: ref('DocumentSource'),
+        sender: nullable('string'),
+        uploadId: nullable('integer'),
+        pageStart: nullable('integer'),
+        pageEnd: nullable('integer'),
+        version: { type: 'integer' },
+        versionGroup: nullable('integer'),
+        reviewStatus: { type: 'string', enum: REVIEW_STATUSES },
+        riskScore: nullable('number'),
+        duplicateCount: { type: 'integer' },
+        snippet: nullable('string'),
+        analyzedAt: { type: 'string' }
+    }, ['id', 'filename', 'docType', 'confidence', 'missingFields', 'reviewStatus', 'analyzedAt']),
+    HistoryPage: object({
+        items: arrayOf(ref('DocumentSummary')),
+        total: { type: 'integer' },
+        page: { type: 'integer' },
+        pageSize: { type: 'integer' }
+    }),
+    FacetCount: object({ value: { type: ['string', 'null'] }, count: { type: 'integer' } }),
+    Facets: object({ types: arrayOf(ref('FacetCount')), missing: arrayOf(ref('FacetCount')), review: arrayOf(ref('FacetCount')), sources: arrayOf(ref('FacetCount')) }),
+    Review: object({
+        docType: { type: 'string' },
+        extractedFields: { type: 'object', additionalProperties: { type: ['string', 'null'] } },
+        reviewStatus: { type: 'string', enum: REVIEW_STATUSES },
+        comment: nullable('string')
+    }, [], { additionalProperties: false }),
+    AuditEntry: object({
+        id: { type: 'integer' },
+        action: { type: 'string' },
+        changes: arrayOf({ type: 'object' }),
+        comment: nullable('string'),
+        user: { type: ['object', 'null'] },
+        createdAt: { type: 'string' }
+    }),
+    Version: object({
+        id: { type: 'integer' },
+        filename: { type: 'string' },
+        docType: { type: 'string' },
+        confidence: { type: 'number' },
+        version: { type: 'integer' },
+        analyzedAt: { type: 'string' }
+    }),
+    DuplicateLinks: object({ duplicateOf: arrayOf({ type: 'object' }), duplicatedBy: arrayOf({ type: 'object' }) }),
+    Question: object({ question: { type: 'string', minLength: 1 }, provider: { type: 'string' } }, ['question'], { additionalProperties: false }),
+    Passage: { type: 'object' },
+    Answer: object({
+        documentId: { type: 'integer' },
+        question: { type: 'string' },
+        answer: nullable('string'),
+        engine: { type: 'string' },
+        fallbackReason: { type: 'string' },
+        passages: arrayOf(ref('Passage'))
+    }, ['documentId', 'question', 'answer', 'engine', 'passages']),
+    Summary: object({
+        documentId: { type: 'integer' },
+        summary: nullable('string'),
+        engine: { type: 'string' },
+        fallbackReason: { type: 'string' },
+        passages: arrayOf(ref('Passage'))
+    }, ['documentId', 'summary', 'engine', 'passages']),
+    ComparedDocument: object({
+        id: { type: 'integer' },
+        filename: { type: 'string' },
+        docType: { type: 'string' },
+        confidence: { type: 'number' },
+        version: { type: 'integer' },
+        versionGroup: nullable('integer'),
+        analyzedAt: { type: 'string' }
+    }),
+    Comparison: object({
+        a: ref('ComparedDocument'),
+        b: ref('ComparedDocument'),
+        sameVersionGroup: { type: 'boolean' },
+        summary: object({ linesAdded: { type: 'integer' }, linesRemoved: { type: 'integer' }, fieldsChanged: { type: 'integer' } }),
+        text: arrayOf({ type: 'object' }),
+        fields: arrayOf({ type: 'object' }),
+        missing: object({
+            resolved: arrayOf({ type: 'string' }),
+            introduced: arrayOf({ type: 'string' }),
+            unchanged: arrayOf({ type: 'string' })
+        })
+    }),
+
+    JobItem: object({
+        id: { type: 'integer' },
+        filename: { type: 'string' },
+        status: { type: 'string', enum: ['pending', 'processing', 'done', 'failed'] },
+        attempts: { type: 'integer' },
+        error: nullable('string'),
+        documentId: nullable('integer'),
+        docType: nullable('string'),
+        confidence: nullable('number'),
+        missingFields: { type: ['array', 'null'], items: { type: 'string' } },
+        updatedAt: { type: 'string' }
+    }, ['id', 'filename', 'status', 'documentId']),
+    JobSummary: object({
+        id: { type: 'integer' },
+        engine: { type: 'string' },
+        locale: nullable('string'),
+        workspaceId: nullable('integer'),
+        createdBy: nullable('integer'),
+        createdAt: { type: 'string' },
+        status: { type: 'string', enum: ['queued', 'processing', 'completed', 'completed_with_errors'] },
+        total: { type: 'integer' },
+        pending: { type: 'integer' },
+        processing: { type: 'integer' },
+        done: { type: 'integer' },
+        failed: { type: 'integer' }
+    }, ['id', 'engine', 'status', 'total']),
+    Job: {
+        allOf: [ref('JobSummary'), object({ items: arrayOf(ref('JobItem')) })]
+    },
+    Retry: object({ requeued: { type: 'integer' }, job: ref('Job') }),
+
+    SchemaDefinition: {
+        type: 'object',
+        description: 'A document type: its name, classifier keywords and fields (see server/schemas).',
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            fields: { type: 'object', additionalProperties: { type: 'object' } }
+        }
+    },
+    SchemaList: object({ fieldTypes: arrayOf({ type: 'string' }), schemas: arrayOf(ref('SchemaDefinition')) }),
+
+    ModelVersion: object({
+        version: { type: 'integer' },
+        active: { type: 'boolean' },
+        classes: arrayOf({ type: 'string' }),
+        documents: { type: 'integer' },
+        confirmedDocuments: { type: 'integer' },
+        workspaces: { type: ['array', 'null'], items: { type: 'integer' } },
+        excluded: {
+            oneOf: [
+                object({
+                    purged: { type: 'integer' },
+                    rejected: { type: 'integer' },
+                    unknownType: { type: 'integer' },
+                    unreviewed: { type: 'integer' },
+                    overLimit: { type: 'integer' }
+                }),
+                { type: 'null' }
+            ],
+            description: 'Documents of the workspaces left out of training, by reason; null for versions trained before this was recorded.'
+        },
+        accuracy: nullable('number'),
+        metrics: { type: 'object' },
+        trainedBy: { type: ['integer', 'null'] },
+        createdAt: { type: 'string' }
+    }, ['version', 'active', 'createdAt']),
+    ModelStatus: object({ active: { oneOf: [ref('ModelVersion'), { type: 'null' }] } }),
+    Retrain: object({ activate: { type: 'boolean' } }, [], { additionalProperties: false }),
+
+    Stats: {
+        type: 'object',
+        required: ['range', 'totals', 'byType', 'overTime', 'missingFields', 'invoices'],
+        properties: {
+            range: object({ from: nullable('string'), to: nullable('string'), interval: { type: 'string', enum: STATS_INTERVALS }, asOf: { type: 'string' } }),
+            totals: object({ documents: { type: 'integer' }, averageConfidence: nullable('number') }),
+            byType: arrayOf({ type: 'object' }),
+            overTime: object({ types: arrayOf({ type: ['string', 'null'] }), periods: arrayOf({ type: 'object' }) }),
+            missingFields: arrayOf({ type: 'object' }),
+            invoices: { type: 'object' }
+        }
+    },
+
+    WebhookEvent: { type: 'string', enum: WEBHOOK_EVENTS },
+    Webhook: object({
+        id: { type: 'integer' },
+        url: { type: 'string' },
+        events: arrayOf(ref('WebhookEvent')),
+        docTypes: arrayOf({ type: 'string' }),
+        active: { type: 'boolean' },
+        createdAt: { type: 'string' }
+    }),
+    NewWebhook: {
+        description: 'The created subscription and its signing secret, which is only shown once.',
+        allOf: [ref('Webhook'), object({ secret: { type: 'string' } })]
+    },
+    WebhookInput: object({
+        url: { type: 'string', format: 'uri' },
+        events: { ...arrayOf(ref('WebhookEvent')), minItems: 1 },
+        docTypes: arrayOf({ type: 'string' }),
+        active: { type: 'boolean' }
+    }, ['url', 'events'], { additionalProperties: false }),
+    WebhookList: object({ events: arrayOf(ref('WebhookEvent')), webhooks: arrayOf(ref('Webhook')) }),
+    Delivery: object({
+        id: { type: 'integer' },
+        webhookId: { type: 'integer' },
+        event: { type: 'string' },
+        status: { type: 'string' },
+        attempts: { type: 'integer' },
+        nextAttemptAt: nullable('string'),
+        responseStatus: nullable('integer'),
+        error: nullable('string'),
+        payload: {},
+        createdAt: { type: 'string' },
+        updatedAt: { type: 'string' }
+    }, ['id', 'webhookId', 'event', 'status', 'attempts']),
+
+    Connector: object({
+        name: { type: 'string', enum: ['folder', 'imap'] },
+        target: { type: 'string' },
+        intervalMs: { type: 'integer' },
+        lastRunAt: nullable('string'),
+        lastError: nullable('string'),
+        processed: { type: 'integer' },
+        failed: { type: 'integer' }
+    })
+};
+
+// Path parameters share their schema by name.
+const PATH_PARAMETERS = {
+    id: { type: 'integer', minimum: 1 },
+    workspaceId: { type: 'integer', minimum: 1 },
+    userId: { type: 'integer', minimum: 1 },
+    deliveryId: { type: 'integer', minimum: 1 },
+    version: { type: 'integer', minimum: 1 },
+    name: { type: 'string', minLength: 1 }
+};
+
+const BINARY = { type: 'string', format: 'binary' };
+const LOCALE_QUERY = { locale: { type: 'string', description: 'BCP 47 locale for numbers and dates, e.g. de-DE. Defaults to the workspace locale.' } };
+const PROVIDER_QUERY = { provider: { type: 'string', description: 'Analysis engine; see GET /engines.' } };
+const SPLIT_QUERY = { split: { type: 'string', enum: ['true', 'false', ''], description: 'false: keep a multi-document PDF as one document. Defaults to PDF_SPLIT.' } };
+const REPORT_FORMAT = {
+    format: { type: 'string', enum: REPORT_FORMATS },
+    redact: { type: 'string', enum: ['true', 'false', ''], description: 'true: mask personal data in the report.' }
+};
+const HISTORY_FILTERS = {
+    q: { type: 'string', description: 'Full-text search.' },
+    type: { type: 'string', description: 'Comma-separated document types.' },
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    missing: { type: 'string', description: 'Comma-separated field names that must be missing.' },
+    review: { type: 'string', description: `Comma-separated review statuses (${REVIEW_STATUSES.join(', ')}).` },
+    source: { type: 'string', description: `Comma-separated document sources (${DOCUMENT_SOURCES.join(', ')}).` },
+    duplicates: { type: 'string', enum: ['true', 'false', ''] }
+};
+const PAGING = {
+    sort: { type: 'string', enum: ['analyzedAt', 'filename', 'docType', 'confidence', 'riskScore', 'relevance'] },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    page: { type: 'integer', minimum: 1 },
+    pageSize: { type: 'integer', minimum: 1 }
+};
+
+const ERROR_RESPONSE = { description: 'Error', content: json(ref('Error')) };
+
+/**
+ * Builds one operation. `role` is the least workspace role it needs (null for
+ * public operations, 'member' for any signed-in user, 'operator' for instance
+ * operators); `ok` is [status, schema]
+ * for JSON answers or [status, mediaType] for files and streams.
+ * `bodyOptional` operations may also be called without a body.
+ */
+function operation(operationId, summary, { tag, role = 'viewer', query = {}, body, bodyOptional = false, upload, ok = [200, ref('Message')], errors = [] }) {
+    const result = { operationId, summary, tags: [tag] };
+    const parameters = Object.entries(query).map(([name, schema]) => ({
+        name, in: 'query', required: false, schema, ...(schema.description ? { description: schema.description } : {})
+    }));
+    if (role) {
+        result.security = [{ bearerAuth: [] }];
+        if (role === 'operator') {
+            result.description = 'Requires an instance operator (INSTANCE_OPERATORS); no workspace role grants it.';
+        } else if (role !== 'member') {
+            result.description = `Requires the ${role} role in the workspace.`;
+            parameters.push({ $ref: '#/components/parameters/WorkspaceId' });
+        }
+    } else {
+        result.security = [];
+    }
+    if (parameters.length > 0) result.parameters = parameters;
+    if (body) result.requestBody = { required: !bodyOptional, content: json(body) };
+    if (upload) result.requestBody = { required: true, content: { 'multipart/form-data': { schema: upload } } };
+
+    const [status, content] = ok;
+    result.responses = {
+        [status]: typeof content === 'string'
+            ? { description: 'OK', content: { [content]: { schema: BINARY } } }
+            : { description: 'OK', content: json(content) }
+    };
+    for (const code of errors) result.responses[code] = ERROR_RESPONSE;
+    result.responses.default = ERROR_RESPONSE;
+    return result;
+}
+
+const AUTH = { tag: 'Auth' };
+const TEAM = { tag: 'Workspaces' };
+const ANALYSIS = { tag: 'Analysis' };
+const JOBS = { tag: 'Jobs' };
+const HISTORY = { tag: 'History' };
+const SCHEMAS = { tag: 'Schemas' };
+const MODEL = { tag: 'Model' };
+const STATS = { tag: 'Stats' };
+const WEBHOOKS = { tag: 'Webhooks', role: 'admin' };
+const UPLOAD_ERRORS = [400, 413, 415, 422];
+
+const paths = {
+    '/auth/register': {
+        post: operation('register', 'Create an account and its first workspace', {
+            ...AUTH, role: null, ok: [201, ref('Session')], errors: [400, 409],
+            body: object({ username: { type: 'string' }, password: { type: 'string' }, workspace: { type: 'string' } }, ['username', 'password'], { additionalProperties: false })
+        })
+    },
+    '/auth/login': {
+        post: operation('login', 'Sign in', {
+            ...AUTH, role: null, ok: [200, ref('Session')], errors: [401],
+            body: object({ username: { type: 'string' }, password: { type: 'string' } }, ['username', 'password'], { additionalProperties: false })
+        })
+    },
+    '/auth/logout': { post: operation('logout', 'End the current session', { ...AUTH, role: 'member' }) },
+    '/auth/me': { get: operation('getMe', 'The signed-in user and their workspaces', { ...AUTH, role: 'member', ok: [200, ref('Me')] }) },
+
+    '/workspaces': {
+        get: operation('listWorkspaces', "The signed-in user's workspaces", { ...TEAM, role: 'member', ok: [200, arrayOf(ref('Workspace'))] }),
+        post: operation('createWorkspace', 'Create a workspace owned by the signed-in user', {
+            ...TEAM, role: 'member', ok: [201, ref('Workspace')], errors: [400],
+            body: object({ name: { type: 'string', minLength: 1 } }, ['name'], { additionalProperties: false })
+        })
+    },
+    '/workspaces/{workspaceId}': {
+        patch: operation('updateWorkspace', "Set the workspace's document locale, PII policy and content retention", {
+            ...TEAM, role: 'admin', ok: [200, ref('Workspace')], errors: [400],
+            body: object({
+                locale: nullable('string'),
+                piiPolicy: { type: ['string', 'null'], enum: [...PII_POLICIES, null] },
+                retentionDays: { type: ['integer', 'null'], minimum: 1 }
+            }, [], { additionalProperties: false })
+        })
+    },
+    '/workspaces/{workspaceId}/members': {
+        get: operation('listMembers', 'Members of the workspace', { ...TEAM, ok: [200, arrayOf(ref('Member'))] }),
+        post: operation('addMember', 'Add a user to the workspace', {
+            ...TEAM, role: 'admin', ok: [201, ref('Member')], errors: [400, 404, 409],
+            body: object({ username: { type: 'string' }, role: ref('Role') }, ['username', 'role'], { additionalProperties: false })
+        })
+    },
+    '/workspaces/{workspaceId}/members/{userId}': {
+        patch: operation('updateMember', "Change a member's role", {
+            ...TEAM, role: 'admin', errors: [400, 404],
+            body: object({ role: ref('Role') }, ['role'], { additionalProperties: false })
+        }),
+        delete: operation('removeMember', 'Remove a member from the workspace', { ...TEAM, role: 'admin', errors: [400, 404] })
+    },
+
+    '/engines': { get: operation('listEngines', 'Analysis engines and the default one', { ...ANALYSIS, role: 'member', ok: [200, ref('Engines')] }) },
+    '/analyze': {
+        post: operation('analyzeDocument', 'Analyze and store one document', {
+            ...ANALYSIS, role: 'analyst', query: { ...PROVIDER_QUERY, ...LOCALE_QUERY, ...SPLIT_QUERY }, ok: [201, ref('Analysis')], errors: UPLOAD_ERRORS,
+            upload: object({ file: BINARY, provider: { type: 'string' }, locale: { type: 'string' }, split: SPLIT_QUERY.split }, ['file'])
+        })
+    },
+    '/uploads/{id}': {
+        get: operation('getUpload', 'A multi-document PDF and the documents it was split into', { ...ANALYSIS, ok: [200, ref('Upload')], errors: [404] })
+    },
+
+    '/batch': {
+        post: operation('createBatch', `Queue up to ${MAX_BATCH_FILES} files (or ZIP archives) for analysis`, {
+            ...JOBS, role: 'analyst', query: { ...PROVIDER_QUERY, ...LOCALE_QUERY }, ok: [202, ref('Job')], errors: UPLOAD_ERRORS,
+            upload: object({ files: arrayOf(BINARY), provider: { type: 'string' }, locale: { type: 'string' } }, ['files'])
+        })
+    },
+    '/jobs': { get: operation('listJobs', 'The 50 most recent batch jobs', { ...JOBS, ok: [200, arrayOf(ref('JobSummary'))] }) },
+    '/jobs/{id}': { get: operation('getJob', 'A batch job and its items', { ...JOBS, ok: [200, ref('Job')], errors: [404] }) },
+    '/jobs/{id}/events': {
+        get: operation('streamJob', 'Server-sent events with the job after every change', {
+            ...JOBS, query: { access_token: { type: 'string', description: 'Session token, for EventSource which cannot send headers.' }, workspace: { type: 'string' } },
+            ok: [200, 'text/event-stream'], errors: [404]
+        })
+    },
+    '/jobs/{id}/retry': { post: operation('retryJob', 'Requeue the failed items of a job', { ...JOBS, role: 'analyst', ok: [200, ref('Retry')], errors: [404] }) },
+
+    '/history': {
+        get: operation('searchHistory', 'Search analyzed documents', {
+            ...HISTORY, query: { ...HISTORY_FILTERS, ...PAGING }, ok: [200, ref('HistoryPage')], errors: [400]
+        })
+    },
+    '/history/facets': { get: operation('getHistoryFacets', 'Counts per type, missing field, review status and source', { ...HISTORY, ok: [200, ref('Facets')] }) },
+    '/history/review-queue': {
+        get: operation('getReviewQueue', 'Documents awaiting review, least confident first', {
+            ...HISTORY, query: { ...HISTORY_FILTERS, page: PAGING.page, pageSize: PAGING.pageSize }, ok: [200, ref('HistoryPage')], errors: [400]
+        })
+    },
+    '/history/report': {
+        get: operation('downloadHistoryReport', 'A report of the documents matching the filters', {
+            ...HISTORY, query: { ...REPORT_FORMAT, ...HISTORY_FILTERS, sort: PAGING.sort, order: PAGING.order }, ok: [200, 'application/octet-stream'], errors: [400]
+        })
+    },
+    '/history/{id}': {
+        get: operation('getDocument', 'One analyzed document', { ...HISTORY, ok: [200, ref('Document')], errors: [404] }),
+        patch: operation('reviewDocument', 'Correct the type or fields of a document, or set its review status', {
+            ...HISTORY, role: 'analyst', body: ref('Review'), ok: [200, ref('Document')], errors: [400, 404]
+        }),
+        delete: operation('deleteDocument', 'Delete a document and its file', { ...HISTORY, role: 'analyst', errors: [404] })
+    },
+    '/history/{id}/audit': { get: operation('getDocumentAudit', 'The review trail of a document', { ...HISTORY, ok: [200, arrayOf(ref('AuditEntry'))], errors: [404] }) },
+    '/history/{id}/report': {
+        get: operation('downloadDocumentReport', 'A report of one document', { ...HISTORY, query: REPORT_FORMAT, ok: [200, 'application/octet-stream'], errors: [400, 404] })
+    },
+    '/history/{id}/pii': {
+        get: operation('getDocumentPii', 'The personal data found in the document, with recoverable original values', {
+            ...HISTORY, role: 'analyst', ok: [200, ref('PiiValues')], errors: [404, 409]
+        })
+    },
+    '/history/{id}/versions': { get: operation('listDocumentVersions', 'All versions of the document', { ...HISTORY, ok: [200, arrayOf(ref('Version'))], errors: [404] }) },
+    '/history/{id}/duplicates': { get: operation('getDocumentDuplicates', 'Documents this one duplicates and is duplicated by', { ...HISTORY, ok: [200, ref('DuplicateLinks')], errors: [404] }) },
+    '/history/{id}/ask': {
+        post: operation('askDocument', 'Answer a question from the document, with cited passages', {
+            ...HISTORY, query: PROVIDER_QUERY, body: ref('Question'), ok: [200, ref('Answer')], errors: [400, 404]
+        })
+    },
+    '/history/{id}/summary': { get: operation('summarizeDocument', 'Summarize the document', { ...HISTORY, query: PROVIDER_QUERY, ok: [200, ref('Summary')], errors: [400, 404] }) },
+    '/history/{id}/file': {
+        get: operation('downloadDocumentFile', 'The original uploaded file (analysts only when originalRestricted)', {
+            ...HISTORY, query: { inline: { type: 'string', description: 'Any value: display in the browser instead of downloading.' } },
+            ok: [200, 'application/octet-stream'], errors: [403, 404]
+        })
+    },
+
+    '/compare': {
+        get: operation('compareDocuments', 'Diff the text, fields and missing fields of two documents', {
+            tag: 'History', query: { a: { type: 'integer', minimum: 1 }, b: { type: 'integer', minimum: 1 } }, ok: [200, ref('Comparison')], errors: [400, 404]
+        })
+    },
+
+    '/schemas': {
+        get: operation('listSchemas', 'Document types in the workspace language', { ...SCHEMAS, role: 'member', ok: [200, ref('SchemaList')] }),
+        post: operation('createSchema', 'Add a document type', { ...SCHEMAS, role: 'operator', body: ref('SchemaDefinition'), ok: [201, ref('SchemaDefinition')], errors: [400, 409] })
+    },
+    '/schemas/{name}': {
+        get: operation('getSchema', 'One document type', { ...SCHEMAS, role: 'member', ok: [200, ref('SchemaDefinition')], errors: [404] }),
+        put: operation('updateSchema', 'Replace or rename a document type', { ...SCHEMAS, role: 'operator', body: ref('SchemaDefinition'), ok: [200, ref('SchemaDefinition')], errors: [400, 404, 409] }),
+        delete: operation('deleteSchema', 'Remove a document type', { ...SCHEMAS, role: 'operator', errors: [404] })
+    },
+
+    '/model': { get: operation('getModel', 'The active classifier model', { ...MODEL, ok: [200, ref('ModelStatus')] }) },
+    '/model/versions': { get: operation('listModelVersions', 'Trained classifier versions, newest first', { ...MODEL, ok: [200, arrayOf(ref('ModelVersion'))] }) },
+    '/model/versions/{version}': { get: operation('getModelVersion', 'One classifier version with its metrics', { ...MODEL, ok: [200, ref('ModelVersion')], errors: [404] }) },
+    '/model/retrain': {
+        post: operation('retrainModel', "Train a classifier on the documents of the operator's workspaces", { ...MODEL, role: 'operator', body: ref('Retrain'), bodyOptional: true, ok: [201, ref('ModelVersion')], errors: [400, 409] })
+    },
+    '/model/versions/{version}/activate': {
+        post: operation('activateModelVersion', 'Make a classifier version the active one', { ...MODEL, role: 'operator', ok: [200, ref('ModelVersion')], errors: [404] })
+    },
+
+    '/stats': {
+        get: operation('getStats', 'Processing analytics for a date range', {
+            ...STATS,
+            query: { from: { type: 'string', format: 'date' }, to: { type: 'string', format: 'date' }, interval: { type: 'string', enum: STATS_INTERVALS }, asOf: { type: 'string', format: 'date' } },
+            ok: [200, ref('Stats')], errors: [400]
+        })
+    },
+
+    '/connectors': {
+        get: operation('listConnectors', 'Folder and mailbox connectors feeding the workspace', { tag: 'Connectors', role: 'admin', ok: [200, arrayOf(ref('Connector'))] })
+    },
+
+    '/webhooks': {
+        get: operation('listWebhooks', 'Webhook subscriptions of the workspace', { ...WEBHOOKS, ok: [200, ref('WebhookList')] }),
+        post: operation('createWebhook', 'Subscribe a URL to events', { ...WEBHOOKS, body: ref('WebhookInput'), ok: [201, ref('NewWebhook')], errors: [400] })
+    },
+    '/webhooks/{id}': {
+        get: operation('getWebhook', 'One webhook subscription', { ...WEBHOOKS, ok: [200, ref('Webhook')], errors: [404] }),
+        patch: operation('updateWebhook', 'Change a webhook subscription', {
+            ...WEBHOOKS, body: { ...schemas.WebhookInput, required: [] }, ok: [200, ref('Webhook')], errors: [400, 404]
+        }),
+        delete: operation('deleteWebhook', 'Delete a webhook subscription', { ...WEBHOOKS, errors: [404] })
+    },
+    '/webhooks/{id}/deliveries': { get: operation('listDeliveries', 'Recent deliveries of a webhook', { ...WEBHOOKS, ok: [200, arrayOf(ref('Delivery'))], errors: [404] }) },
+    '/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+        post: operation('redeliver', 'Send a delivery again', { ...WEBHOOKS, ok: [202, ref('Message')], errors: [404] })
+    },
+    '/webhooks/{id}/test': { post: operation('testWebhook', 'Send a test event', { ...WEBHOOKS, ok: [202, object({ deliveryId: { type: 'integer' } })], errors: [404] }) }
+};
+
+// Path parameters are declared from the template, so every operation lists them.
+for (const [path, item] of Object.entries(paths)) {
+    const names = [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    if (names.length > 0) {
+        item.parameters = names.map(name => ({ name, in: 'path', required: true, schema: PATH_PARAMETERS[name] }));
+    }
+}
+
+export const openApiDocument = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Document Analyzer API',
+        version: API_VERSION,
+        description: [
+            'Classifies documents, extracts and validates their fields and keeps a searchable history.',
+            `Uploads may be at most ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB per file.`,
+            'Errors answer `{ error, code, details? }`; the codes are:',
+            ...Object.entries(ERROR_CODES).map(([code, meaning]) => `- \`${code}\`: ${meaning}`)
+        ].join('\n')
+    },
+    servers: [{ url: API_BASE_PATH }],
+    tags: ['Auth', 'Workspaces', 'Analysis', 'Jobs', 'History', 'Schemas', 'Model', 'Stats', 'Connectors', 'Webhooks'].map(name => ({ name })),
+    paths,
+    components: {
+        schemas,
+        parameters: {
+            WorkspaceId: {
+                name: 'X-Workspace-Id', in: 'header', required: false, schema: { type: 'integer' },
+                description: "The workspace to act in; defaults to the user's first workspace."
+            }
+        },
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', description: 'The token from /auth/login or /auth/register.' }
+        }
+    }
+};
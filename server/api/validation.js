@@ -0,0 +1,154 @@
+import Ajv from 'ajv';
+import { openApiDocument } from './openapi.js';
+import { sendError } from './errors.js';
+
+// --- Request & Response Validation ---
+// Matches each API call to its operation in the OpenAPI document and checks path
+// parameters, query and JSON body before the route runs, answering 400
+// `validation_failed` with one detail per problem. Responses are checked too:
+// a mismatch is logged, or answered with a 500 when API_VALIDATE_RESPONSES=strict
+// (useful in development, so drift between routes and spec is caught early).
+
+const STRICT_RESPONSES = process.env.API_VALIDATE_RESPONSES === 'strict';
+const FORMATS = {
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    uri: /^https?:\/\/\S+$/i,
+    binary: true
+};
+
+// Component references are resolved against a shared schema registered as 'api'.
+const withSharedRefs = schema => JSON.parse(
+    JSON.stringify(schema).replaceAll('"#/components/schemas/', '"api#/$defs/')
+);
+
+function createAjv(options = {}) {
+    const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, formats: FORMATS, ...options });
+    ajv.addSchema({ $id: 'api', $defs: withSharedRefs(openApiDocument.components.schemas) });
+    return ajv;
+}
+
+const ajv = createAjv();
+// Path and query values arrive as strings; they are checked as the types they parse to.
+const coercingAjv = createAjv({ coerceTypes: true });
+
+const routes = Object.entries(openApiDocument.paths).map(([template, item]) => {
+    const names = [];
+    const pattern = template.replace(/\{(\w+)\}/g, (_, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    return {
+        template,
+        item,
+        names,
+        regex: new RegExp(`^${pattern}/?$`),
+        // '/history/facets' must win over '/history/{id}'.
+        literals: template.split('/').filter(segment => segment && !segment.startsWith('{')).length
+    };
+}).sort((a, b) => b.literals - a.literals);
+
+function findOperation(method, path) {
+    const candidates = routes
+        .map(route => ({ route, match: route.regex.exec(path) }))
+        .filter(({ match }) => match);
+    if (candidates.length === 0) return { found: false };
+    for (const { route, match } of candidates) {
+        const operation = route.item[method];
+        if (!operation) continue;
+        const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+        return { found: true, operation, pathItem: route.item, params };
+    }
+    return { found: true, operation: null };
+}
+
+function parametersSchema(parameters, location) {
+    const matching = parameters.filter(parameter => parameter.in === location);
+    return {
+        type: 'object',
+        properties: Object.fromEntries(matching.map(parameter => [parameter.name, parameter.schema])),
+        required: matching.filter(parameter => parameter.required).map(parameter => parameter.name)
+    };
+}
+
+// Validators are compiled on first use and kept per operation.
+const compiled = new Map();
+
+function validatorsFor(operation, pathItem) {
+    if (compiled.has(operation)) return compiled.get(operation);
+    const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].filter(parameter => !parameter.$ref);
+    const body = operation.requestBody?.content?.['application/json']?.schema;
+    const responses = Object.fromEntries(
+        Object.entries(operation.responses)
+            .filter(([, response]) => response.content?.['application/json'])
+            .map(([status, response]) => [status, ajv.compile(withSharedRefs(response.content['application/json'].schema))])
+    );
+    const validators = {
+        bodyRequired: operation.requestBody?.required !== false,
+        path: coercingAjv.compile(parametersSchema(parameters, 'path')),
+        query: coercingAjv.compile(parametersSchema(parameters, 'query')),
+        body: body ? ajv.compile(withSharedRefs(body)) : null,
+        responses
+    };
+    compiled.set(operation, validators);
+    return validators;
+}
+
+function toDetails(location, errors) {
+    return errors.map(error => ({
+        location,
+        path: error.instancePath || (error.params?.missingProperty ? `/${error.params.missingProperty}` : ''),
+        message: error.keyword === 'required' ? 'is required' : error.message
+    }));
+}
+
+function check(validate, location, value) {
+    // Coercion rewrites its input, so the route keeps seeing the raw strings.
+    return validate({ ...value }) ? [] : toDetails(location, validate.errors);
+}
+
+/** Rejects calls the OpenAPI document does not describe or whose input it does not accept. */
+export function validateRequests(req, res, next) {
+    const { found, operation, pathItem, params } = findOperation(req.method.toLowerCase(), req.path);
+    if (!found) {
+        return sendError(res, 404, 'not_found', `No API endpoint ${req.method} ${req.path}.`);
+    }
+    if (!operation) {
+        return sendError(res, 405, 'invalid_request', `${req.method} is not supported on ${req.path}.`);
+    }
+
+    const validators = validatorsFor(operation, pathItem);
+    const details = [
+        ...check(validators.path, 'path', params),
+        ...check(validators.query, 'query', req.query)
+    ];
+    if (validators.body) {
+        if (!req.is('application/json')) {
+            if (validators.bodyRequired) details.push({ location: 'body', path: '', message: 'must be a JSON document (Content-Type: application/json)' });
+        } else if (!validators.body(req.body)) {
+            details.push(...toDetails('body', validators.body.errors));
+        }
+    }
+    if (details.length > 0) {
+        const first = details[0];
+        return sendError(res, 400, 'validation_failed', `Invalid ${first.location}: ${first.path || 'value'} ${first.message}.`, details);
+    }
+
+    validateResponses(res, validators.responses, operation.operationId);
+    next();
+}
+
+function validateResponses(res, responses, operationId) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        const validate = responses[res.statusCode] || responses.default;
+        if (validate && !validate(body)) {
+            const details = toDetails('response', validate.errors);
+            console.warn(`Response of ${operationId} (${res.statusCode}) does not match the API schema:`, details);
+            if (STRICT_RESPONSES) {
+                res.status(500);
+                return json({ error: 'The server produced an invalid response.', code: 'internal_error', details });
+            }
+        }
+        return json(body);
+    };
+}
@@ -0,0 +1,38 @@
+import { dbReady, dbRun, dbAll } from './db.js';
+
+// --- Document Audit Log ---
+// Append-only record of who changed what on a document: reviewer corrections,
+// review decisions and deletions. Triggers in db.js reject updates and deletes, and
+// entries outlive the document they describe.
+
+/**
+ * `changes` is a list of { field, from, to }; `field` is e.g. `doc_type`,
+ * `review_status` or `extracted_fields.invoice_number`.
+ */
+export async function recordAudit(documentId, { workspaceId = null, userId = null, action, changes = [], comment = null }) {
+    await dbReady;
+    await dbRun(
+        "INSERT INTO document_audit (document_id, workspace_id, user_id, action, changes, comment) VALUES (?, ?, ?, ?, ?, ?)",
+        [documentId, workspaceId, userId, action, JSON.stringify(changes), comment]
+    );
+}
+
+/** Every entry for a document, oldest first, with the acting user's name. */
+export async function listAuditLog(documentId, workspaceId = null) {
+    await dbReady;
+    const rows = await dbAll(
+        `SELECT a.id, a.action, a.changes, a.comment, a.created_at, a.user_id, u.username
+         FROM document_audit a LEFT JOIN users u ON u.id = a.user_id
+         WHERE a.document_id = ? AND (? IS NULL OR a.workspace_id = ?)
+         ORDER BY a.id`,
+        [documentId, workspaceId, workspaceId]
+    );
+    return rows.map(row => ({
+        id: row.id,
+        action: row.action,
+        changes: JSON.parse(row.changes),
+        comment: row.comment,
+        user: row.user_id ? { id: row.user_id, username: row.username } : null,
+        createdAt: row.created_at
+    }));
+}
@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { dbReady, dbRun, dbGet, dbAll } from './db.js';
+import { canonicalLocale } from './locale.js';
+import { checkPiiPolicy, PiiPolicyError } from './pii.js';
+
+// --- Authentication, Workspaces & Roles ---
+// Users log in with a username and password (scrypt-hashed) and receive an opaque
+// bearer token. Every document belongs to a workspace; what a user may do there is
+// decided by their membership role. What all workspaces share (document types, the
+// classifier) is changed only by instance operators, named in INSTANCE_OPERATORS:
+// signing up makes a user admin of their own workspace, never an operator.
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['viewer', 'analyst', 'admin'];
+
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7;
+
+export class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.status = status;
+    }
+}
+
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+    const [scheme, saltHex, keyHex] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+    const expected = Buffer.from(keyHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against when the username is unknown, so that a failed login costs one
+// scrypt run whether or not the account exists and its timing gives neither away.
+const UNKNOWN_USER_HASH = `scrypt$${crypto.randomBytes(16).toString('hex')}$${'0'.repeat(128)}`;
+
+/** Whether `username` is one of the comma-separated INSTANCE_OPERATORS. */
+export function isOperator(username) {
+    const operators = (process.env.INSTANCE_OPERATORS || '').split(',').map(name => name.trim());
+    return Boolean(username) && operators.includes(username);
+}
+
+const toUser = ({ id, username }) => ({ id, username, operator: isOperator(username) });
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || !/^[\w.@-]{3,64}$/.test(username)) {
+        throw new AuthError('Username must be 3-64 characters of letters, digits, ".", "@", "-" or "_".', 400);
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+        throw new AuthError('Password must be at least 8 characters long.', 400);
+    }
+}
+
+export async function createUser(username, password) {
+    validateCredentials(username, password);
+    await dbReady;
+    try {
+        const { lastID } = await dbRun("INSERT INTO users (username, password_hash) VALUES (?, ?)", [username, await hashPassword(password)]);
+        return toUser({ id: lastID, username });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            throw new AuthError('That username is already taken.', 409);
+        }
+        throw error;
+    }
+}
+
+export async function createWorkspace(name, ownerId) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw new AuthError('Workspace name is required.', 400);
+    }
+    const { lastID } = await dbRun("INSERT INTO workspaces (name) VALUES (?)", [trimmed]);
+    await dbRun("INSERT INTO memberships (user_id, workspace_id, role) VALUES (?, ?, 'admin')", [ownerId, lastID]);
+    return { id: lastID, name: trimmed, role: 'admin', locale: null, piiPolicy: null, retentionDays: null };
+}
+
+/**
+ * Moves what was stored outside any workspace (documents and batches from before
+ * accounts existed, or analyzed by the CLI while the database had no workspace) into
+ * `workspaceId`. Run by an operator who names the workspace (`docanalyzer legacy
+ * assign`); signing up never claims it. Resolves to the number of documents and jobs moved.
+ */
+export async function assignLegacyData(workspaceId) {
+    await dbReady;
+    const { changes: documents } = await dbRun("UPDATE documents SET workspace_id = ? WHERE workspace_id IS NULL", [workspaceId]);
+    const { changes: jobs } = await dbRun("UPDATE jobs SET workspace_id = ? WHERE workspace_id IS NULL", [workspaceId]);
+    await dbRun("UPDATE uploads SET workspace_id = ? WHERE workspace_id IS NULL", [workspaceId]);
+    await dbRun("UPDATE document_audit SET workspace_id = ? WHERE workspace_id IS NULL", [workspaceId]);
+    return { documents, jobs };
+}
+
+export function listWorkspaces(userId) {
+    return dbAll(
+        `SELECT w.id, w.name, w.locale, w.pii_policy AS piiPolicy, w.retention_days AS retentionDays, m.role FROM memberships m JOIN workspaces w ON w.id = m.workspace_id
+         WHERE m.user_id = ? ORDER BY w.id`,
+        [userId]
+    );
+}
+
+export async function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await dbRun(
+        `INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, datetime('now', ?))`,
+        [hashToken(token), userId, `+${SESSION_TTL_HOURS} hours`]
+    );
+    return token;
+}
+
+export async function login(username, password) {
+    await dbReady;
+    const user = await dbGet("SELECT id, username, password_hash FROM users WHERE username = ?", [String(username || '')]);
+    const verified = await verifyPassword(String(password || ''), user ? user.password_hash : UNKNOWN_USER_HASH);
+    if (!user || !verified) {
+        throw new AuthError('Invalid username or password.');
+    }
+    return { token: await createSession(user.id), user: toUser(user) };
+}
+
+export async function logout(token) {
+    await dbRun("DELETE FROM sessions WHERE token_hash = ?", [hashToken(token)]);
+}
+
+async function findSessionUser(token) {
+    await dbReady;
+    return dbGet(
+        `SELECT u.id, u.username FROM sessions s JOIN users u ON u.id = s.user_id
+         WHERE s.token_hash = ? AND s.expires_at > datetime('now')`,
+        [hashToken(token)]
+    );
+}
+
+// --- Workspace Membership Management ---
+
+function checkRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new AuthError(`Role must be one of: ${ROLES.join(', ')}.`, 400);
+    }
+}
+
+export function listMembers(workspaceId) {
+    return dbAll(
+        `SELECT u.id, u.username, m.role FROM memberships m JOIN users u ON u.id = m.user_id
+         WHERE m.workspace_id = ? ORDER BY u.username`,
+        [workspaceId]
+    );
+}
+
+export async function addMember(workspaceId, username, role) {
+    checkRole(role);
+    const user = await dbGet("SELECT id, username FROM users WHERE username = ?", [String(username || '')]);
+    if (!user) {
+        throw new AuthError('No user with that username exists.', 404);
+    }
+    if (role !== 'admin') await ensureAnotherAdmin(workspaceId, user.id);
+    await dbRun(
+        "INSERT INTO memberships (user_id, workspace_id, role) VALUES (?, ?, ?) ON CONFLICT(user_id, workspace_id) DO UPDATE SET role = excluded.role",
+        [user.id, workspaceId, role]
+    );
+    return { id: user.id, username: user.username, role };
+}
+
+async function ensureAnotherAdmin(workspaceId, userId) {
+    const { count } = await dbGet(
+        "SELECT COUNT(*) AS count FROM memberships WHERE workspace_id = ? AND role = 'admin' AND user_id != ?",
+        [workspaceId, userId]
+    );
+    if (count === 0) {
+        throw new AuthError('A workspace needs at least one admin.', 400);
+    }
+}
+
+export async function updateMemberRole(workspaceId, userId, role) {
+    checkRole(role);
+    if (role !== 'admin') await ensureAnotherAdmin(workspaceId, userId);
+    const { changes } = await dbRun("UPDATE memberships SET role = ? WHERE workspace_id = ? AND user_id = ?", [role, workspaceId, userId]);
+    return changes > 0;
+}
+
+/**
+ * Updates the workspace settings present in `settings`; null restores the default.
+ *   locale         default document locale (default: each document's language)
+ *   piiPolicy      keep | mask | encrypt, for new documents (default: PII_POLICY)
+ *   retentionDays  days before document content is purged (default: CONTENT_RETENTION_DAYS)
+ * Resolves to the workspace's settings.
+ */
+export async function updateWorkspaceSettings(workspaceId, settings = {}) {
+    const updates = {};
+    if ('locale' in settings) {
+        try {
+            updates.locale = canonicalLocale(settings.locale);
+        } catch (error) {
+            throw new AuthError(error.message, 400);
+        }
+    }
+    if ('piiPolicy' in settings) {
+        try {
+            if (settings.piiPolicy !== null) checkPiiPolicy(settings.piiPolicy);
+        } catch (error) {
+            if (error instanceof PiiPolicyError) throw new AuthError(error.message, 400);
+            throw error;
+        }
+        updates.pii_policy = settings.piiPolicy;
+    }
+    if ('retentionDays' in settings) {
+        const days = settings.retentionDays;
+        if (days !== null && !(Number.isInteger(days) && days >= 1)) {
+            throw new AuthError("'retentionDays' must be a positive number of days, or null.", 400);
+        }
+        updates.retention_days = days;
+    }
+    const columns = Object.keys(updates);
+    if (columns.length > 0) {
+        await dbRun(
+            `UPDATE workspaces SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...Object.values(updates), workspaceId]
+        );
+    }
+    return dbGet("SELECT locale, pii_policy AS piiPolicy, retention_days AS retentionDays FROM workspaces WHERE id = ?", [workspaceId]);
+}
+
+export async function removeMember(workspaceId, userId) {
+    await ensureAnotherAdmin(workspaceId, userId);
+    const { changes } = await dbRun("DELETE FROM memberships WHERE workspace_id = ? AND user_id = ?", [workspaceId, userId]);
+    return changes > 0;
+}
+
+// --- Middleware ---
+
+// Browsers cannot set headers on EventSource or plain download links, so those
+// requests may pass the token as `?access_token=` instead.
+function readToken(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+    return typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+/** Rejects requests without a valid session; sets `req.user` and `req.token`. */
+export async function requireAuth(req, res, next) {
+    try {
+        const token = readToken(req);
+        const user = token && await findSessionUser(token);
+        if (!user) {
+            return res.status(401).json({ error: "Authentication required." });
+        }
+        req.user = toUser(user);
+        req.token = token;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Requires at least `minRole` in the workspace named by a `:workspaceId` route param,
+ * the `X-Workspace-Id` header or `?workspace=`, defaulting to the user's first
+ * workspace. Sets `req.workspace` to { id, name, role }. Must run after requireAuth.
+ */
+export function requireRole(minRole) {
+    return async (req, res, next) => {
+        try {
+            const workspaces = await listWorkspaces(req.user.id);
+            const requested = req.params.workspaceId || req.get('X-Workspace-Id') || req.query.workspace;
+            const workspace = requested
+                ? workspaces.find(w => String(w.id) === String(requested))
+                : workspaces[0];
+
+            if (!workspace) {
+                return res.status(403).json({ error: "You are not a member of this workspace." });
+            }
+            if (ROLES.indexOf(workspace.role) < ROLES.indexOf(minRole)) {
+                return res.status(403).json({ error: `This action requires the ${minRole} role.` });
+            }
+            req.workspace = workspace;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/** Rejects users who are not instance operators. Must run after requireAuth. */
+export function requireOperator(req, res, next) {
+    if (!req.user.operator) {
+        return res.status(403).json({ error: "Only an instance operator may change what all workspaces share." });
+    }
+    next();
+}
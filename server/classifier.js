@@ -0,0 +1,315 @@
+// --- Document-Type Classifier ---
+// A TF-IDF bag of words and word bigrams fed to a multinomial logistic regression,
+// trained with SGD in plain JS. Probabilities are calibrated with a temperature fitted
+// on cross-validated predictions, and the same predictions give the reported metrics.
+// This module only does the maths; model.js stores, versions and serves models.
+
+export const ARTIFACT_FORMAT = 'tfidf-softmax';
+
+const DEFAULTS = {
+    maxFeatures: 10000,
+    epochs: 40,
+    learningRate: 1.0,
+    l2: 1e-4,
+    folds: 5,
+    seed: 42
+};
+
+// Only the start of very long documents is used; it carries the type cues.
+const MAX_TOKENS = 20000;
+
+// --- Features ---
+
+export function tokenize(text) {
+    const words = (String(text).toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [])
+        .slice(0, MAX_TOKENS)
+        .map(word => (/^\p{N}+$/u.test(word) ? '#num' : word));
+    const bigrams = words.slice(1).map((word, i) => `${words[i]} ${word}`);
+    return [...words, ...bigrams];
+}
+
+function countTerms(tokens) {
+    const counts = new Map();
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+    return counts;
+}
+
+// The `maxFeatures` terms found in the most documents, with smoothed IDF weights.
+function buildVocabulary(termCounts, maxFeatures) {
+    const documentFrequency = new Map();
+    for (const counts of termCounts) {
+        for (const term of counts.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+    // Terms seen once are noise unless the corpus is tiny.
+    const minDf = termCounts.length >= 50 ? 2 : 1;
+    const terms = [...documentFrequency.entries()]
+        .filter(([, df]) => df >= minDf)
+        .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+        .slice(0, maxFeatures)
+        .map(([term]) => term);
+    const n = termCounts.length;
+    return {
+        terms,
+        index: new Map(terms.map((term, i) => [term, i])),
+        idf: terms.map(term => Math.log((1 + n) / (1 + documentFrequency.get(term))) + 1)
+    };
+}
+
+// Sparse, L2-normalized TF-IDF vector: { indices, values }.
+function vectorize(counts, vocabulary) {
+    const indices = [];
+    const values = [];
+    for (const [term, count] of counts) {
+        const i = vocabulary.index.get(term);
+        if (i === undefined) continue;
+        indices.push(i);
+        values.push((1 + Math.log(count)) * vocabulary.idf[i]);
+    }
+    const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return { indices, values: values.map(value => value / norm) };
+}
+
+// --- Softmax Regression ---
+
+// Deterministic PRNG so the same data always trains the same model.
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+function softmax(logits, temperature = 1) {
+    const scaled = logits.map(logit => logit / temperature);
+    const max = Math.max(...scaled);
+    const exps = scaled.map(value => Math.exp(value - max));
+    const sum = exps.reduce((a, b) => a + b, 0);
+    return exps.map(value => value / sum);
+}
+
+function computeLogits(model, vector) {
+    return model.bias.map((bias, k) => {
+        let logit = bias;
+        const weights = model.weights[k];
+        for (let j = 0; j < vector.indices.length; j++) logit += weights[vector.indices[j]] * vector.values[j];
+        return logit;
+    });
+}
+
+// `samples` are { vector, label (class index), weight }.
+function trainSoftmax(samples, classCount, featureCount, options) {
+    const weights = Array.from({ length: classCount }, () => new Float64Array(featureCount));
+    const bias = new Array(classCount).fill(0);
+    const model = { weights, bias };
+    const random = mulberry32(options.seed);
+    const order = samples.map((_, i) => i);
+
+    for (let epoch = 0; epoch < options.epochs; epoch++) {
+        shuffle(order, random);
+        const rate = options.learningRate / (1 + 0.1 * epoch);
+        for (const index of order) {
+            const { vector, label, weight } = samples[index];
+            const probabilities = softmax(computeLogits(model, vector));
+            for (let k = 0; k < classCount; k++) {
+                const gradient = (probabilities[k] - (k === label ? 1 : 0)) * weight;
+                const row = weights[k];
+                for (let j = 0; j < vector.indices.length; j++) {
+                    const feature = vector.indices[j];
+                    row[feature] -= rate * (gradient * vector.values[j] + options.l2 * row[feature]);
+                }
+                bias[k] -= rate * gradient;
+            }
+        }
+    }
+    return model;
+}
+
+// Fits the vocabulary and weights on `examples`, balancing classes by weight.
+function fit(examples, classes, options) {
+    const termCounts = examples.map(example => example.counts);
+    const vocabulary = buildVocabulary(termCounts, options.maxFeatures);
+    const classIndex = new Map(classes.map((name, i) => [name, i]));
+
+    const perClass = new Map();
+    for (const example of examples) perClass.set(example.label, (perClass.get(example.label) || 0) + 1);
+    const samples = examples.map(example => ({
+        vector: vectorize(example.counts, vocabulary),
+        label: classIndex.get(example.label),
+        weight: example.weight * examples.length / (perClass.size * perClass.get(example.label))
+    }));
+
+    return { vocabulary, ...trainSoftmax(samples, classes.length, vocabulary.terms.length, options) };
+}
+
+// --- Evaluation ---
+
+// Stratified fold numbers: each class is dealt round-robin after a seeded shuffle.
+function assignFolds(examples, folds, seed) {
+    const random = mulberry32(seed + 1);
+    const assignment = new Array(examples.length);
+    const byClass = new Map();
+    examples.forEach((example, i) => {
+        if (!byClass.has(example.label)) byClass.set(example.label, []);
+        byClass.get(example.label).push(i);
+    });
+    let offset = 0;
+    for (const indices of byClass.values()) {
+        shuffle(indices, random);
+        indices.forEach((exampleIndex, i) => { assignment[exampleIndex] = (offset + i) % folds; });
+        offset += indices.length;
+    }
+    return assignment;
+}
+
+function negativeLogLikelihood(predictions, temperature) {
+    let total = 0;
+    for (const { logits, label } of predictions) {
+        total -= Math.log(Math.max(softmax(logits, temperature)[label], 1e-12));
+    }
+    return total / predictions.length;
+}
+
+// Temperature scaling: one scalar dividing the logits, chosen to minimise held-out log
+// loss. It never sharpens below 0.5: with a few easily separated documents the held-out
+// loss keeps rewarding overconfidence, which then shows on unfamiliar documents.
+function fitTemperature(predictions) {
+    let best = { temperature: 1, loss: negativeLogLikelihood(predictions, 1) };
+    for (let step = -6; step <= 14; step++) {
+        const temperature = Math.pow(10, step / 20);
+        const loss = negativeLogLikelihood(predictions, temperature);
+        if (loss < best.loss) best = { temperature, loss };
+    }
+    return best.temperature;
+}
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function computeMetrics(predictions, classes, temperature) {
+    const matrix = classes.map(() => classes.map(() => 0));
+    let correct = 0;
+    let logLoss = 0;
+    const bins = Array.from({ length: 10 }, () => ({ count: 0, confidence: 0, correct: 0 }));
+    const confirmed = { documents: 0, correct: 0 };
+
+    for (const prediction of predictions) {
+        const probabilities = softmax(prediction.logits, temperature);
+        const predicted = probabilities.indexOf(Math.max(...probabilities));
+        const hit = predicted === prediction.label;
+        matrix[prediction.label][predicted]++;
+        if (hit) correct++;
+        logLoss -= Math.log(Math.max(probabilities[prediction.label], 1e-12));
+
+        const bin = bins[Math.min(9, Math.floor(probabilities[predicted] * 10))];
+        bin.count++;
+        bin.confidence += probabilities[predicted];
+        bin.correct += hit ? 1 : 0;
+
+        if (prediction.confirmed) {
+            confirmed.documents++;
+            if (hit) confirmed.correct++;
+        }
+    }
+
+    const n = predictions.length;
+    const perClass = Object.fromEntries(classes.map((name, k) => {
+        const truePositives = matrix[k][k];
+        const predictedCount = matrix.reduce((sum, row) => sum + row[k], 0);
+        const support = matrix[k].reduce((a, b) => a + b, 0);
+        const precision = predictedCount ? truePositives / predictedCount : 0;
+        const recall = support ? truePositives / support : 0;
+        const f1 = precision + recall ? 2 * precision * recall / (precision + recall) : 0;
+        return [name, { precision: round(precision), recall: round(recall), f1: round(f1), support }];
+    }));
+
+    return {
+        evaluatedDocuments: n,
+        accuracy: round(correct / n),
+        logLoss: round(logLoss / n),
+        // Expected calibration error: gap between confidence and accuracy, over 10 bins.
+        calibrationError: round(bins.reduce((sum, bin) => sum + (bin.count ? Math.abs(bin.correct - bin.confidence) : 0), 0) / n),
+        confirmedAccuracy: confirmed.documents ? round(confirmed.correct / confirmed.documents) : null,
+        confirmedDocuments: confirmed.documents,
+        perClass,
+        confusionMatrix: { labels: classes, matrix }
+    };
+}
+
+// --- Public API ---
+
+/**
+ * Trains on `examples` ({ text, label, weight, confirmed }). Cross-validation gives
+ * held-out predictions for the metrics and the calibration temperature, then the
+ * final model is fitted on every example.
+ * Returns { artifact, metrics }; `artifact` is plain JSON, see loadArtifact().
+ */
+export function train(examples, overrides = {}) {
+    const options = { ...DEFAULTS, ...overrides };
+    const prepared = examples.map(example => ({ ...example, counts: countTerms(tokenize(example.text)) }));
+    const classes = [...new Set(prepared.map(example => example.label))].sort();
+
+    const folds = Math.max(2, Math.min(options.folds, prepared.length));
+    const assignment = assignFolds(prepared, folds, options.seed);
+    const predictions = [];
+    for (let fold = 0; fold < folds; fold++) {
+        const trainSet = prepared.filter((_, i) => assignment[i] !== fold);
+        const testSet = prepared.filter((_, i) => assignment[i] === fold);
+        if (testSet.length === 0 || trainSet.length === 0) continue;
+        const model = fit(trainSet, classes, options);
+        for (const example of testSet) {
+            predictions.push({
+                logits: computeLogits(model, vectorize(example.counts, model.vocabulary)),
+                label: classes.indexOf(example.label),
+                confirmed: example.confirmed
+            });
+        }
+    }
+    const temperature = fitTemperature(predictions);
+    const metrics = { folds, temperature: round(temperature), ...computeMetrics(predictions, classes, temperature) };
+
+    const model = fit(prepared, classes, options);
+    const artifact = {
+        format: ARTIFACT_FORMAT,
+        classes,
+        temperature,
+        terms: model.vocabulary.terms,
+        idf: model.vocabulary.idf.map(value => round(value, 6)),
+        weights: model.weights.map(row => Array.from(row, value => round(value, 6))),
+        bias: model.bias.map(value => round(value, 6))
+    };
+    return { artifact, metrics };
+}
+
+/**
+ * Rebuilds the lookup structures of a stored artifact once, so predict() stays cheap.
+ */
+export function loadArtifact(artifact) {
+    if (artifact?.format !== ARTIFACT_FORMAT) {
+        throw new Error(`Unsupported model artifact format '${artifact?.format}'.`);
+    }
+    return {
+        classes: artifact.classes,
+        temperature: artifact.temperature,
+        vocabulary: { terms: artifact.terms, index: new Map(artifact.terms.map((term, i) => [term, i])), idf: artifact.idf },
+        weights: artifact.weights,
+        bias: artifact.bias
+    };
+}
+
+/** Calibrated probability of every class the model knows, as { class: p }. */
+export function predict(model, text) {
+    const vector = vectorize(countTerms(tokenize(text)), model.vocabulary);
+    const probabilities = softmax(computeLogits(model, vector), model.temperature);
+    return Object.fromEntries(model.classes.map((name, k) => [name, probabilities[k]]));
+}
@@ -0,0 +1,206 @@
+import { getSchema } from './schemas/index.js';
+import { splitSentences } from './retrieval.js';
+import { DEFAULT_LANGUAGE } from './locale.js';
+
+// --- Clause Segmentation and Risk Scoring ---
+// Splits a document into sections at its headings ("4. Termination.", "Section 7",
+// "GOVERNING LAW", a short Title Case line) and labels each section with the schema's
+// clause types whose heading pattern matches its title or, for untitled sections and
+// titles no type claims, whose keywords occur in its text. The schema's risk rules are
+// then evaluated over the labelled clauses; each finding points back at the clause
+// (and, where a pattern matched, the offending sentence) by character offsets into
+// the stored text.
+
+// `4. Termination.`, `4.1 Notice`, `Section 4:`, `Article IV`; the title is what follows up to `.` or `:`.
+const NUMBERED_HEADING = /^(?:(section|article|clause|Section|Article|Clause|SECTION|ARTICLE|CLAUSE)\s+)?(\d+(?:\.\d+)*|[IVXLC]+)([.):])?\s+(.*)$/;
+const CAPS_HEADING = /^[A-Z][A-Z0-9 &/,'()-]{2,80}$/;
+const MAX_TITLE_WORDS = 6;
+// A line's label ("Payment Terms: Net 30") titles it when the document has no headings.
+const LINE_LABEL = /^([A-Z][\w &/'-]{2,40}):\s/;
+// Untitled sections need this many distinct keywords of a type to count as that clause.
+const MIN_KEYWORD_MATCHES = 2;
+const MAX_EXCERPT_LENGTH = 300;
+
+// Each finding adds its weight to the document's risk score, capped at 100.
+const SEVERITY_WEIGHTS = { low: 10, medium: 25, high: 50 };
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+const wordCount = value => value.split(/\s+/).filter(Boolean).length;
+
+const isTitleCase = line => line.split(/\s+/).every(word => /^([A-Z]|&|and$|of$|or$|the$|to$|for$|in$)/.test(word));
+
+// The heading starting `line`, if it is one: { title } where title may be null for a
+// numbered section without one ("12. The Provider shall ...").
+function parseHeading(line) {
+    const numbered = NUMBERED_HEADING.exec(line);
+    if (numbered) {
+        const [, label, number, delimiter, rest] = numbered;
+        const isRoman = /^[IVXLC]+$/.test(number);
+        // Plain numbers only head a section with a delimiter ("4." or "4)") or a label; "30 days" does not.
+        if (!label && !delimiter && !number.includes('.')) return null;
+        if (isRoman && !label && !delimiter) return null;
+        const title = /^([^.:]+)(?:[.:]|$)/.exec(rest)?.[1].trim();
+        if (title && wordCount(title) <= MAX_TITLE_WORDS && /^[A-Z]/.test(title)) return { title };
+        // Sub-clauses ("4.1 The Client may ...") continue their section.
+        return label || !number.includes('.') ? { title: null } : null;
+    }
+    if (wordCount(line) <= MAX_TITLE_WORDS + 2 && CAPS_HEADING.test(line) && /[A-Z]{3}/.test(line)) {
+        return { title: line.replace(/[:.]$/, '') };
+    }
+    const title = line.replace(/:$/, '');
+    if (wordCount(title) <= MAX_TITLE_WORDS && /^[A-Z][\w &/'-]*$/.test(title) && isTitleCase(title)) {
+        return { title };
+    }
+    return null;
+}
+
+function lineRanges(text) {
+    const lines = [];
+    for (const match of text.matchAll(/[^\n]+/g)) {
+        const trimmed = match[0].trim();
+        if (trimmed) lines.push({ start: match.index + match[0].indexOf(trimmed), text: trimmed });
+    }
+    return lines;
+}
+
+// Sections between consecutive headings. A document without at least two headings is
+// split into its lines instead (titled by their label, if any), and neighbouring
+// lines of the same clause type are merged once labelled.
+function splitSections(text) {
+    const lines = lineRanges(text);
+    const starts = lines
+        .map(line => ({ line, heading: parseHeading(line.text) }))
+        .filter(({ heading }) => heading);
+    const bounds = starts.length >= 2
+        ? starts.map(({ line, heading }) => ({ start: line.start, title: heading.title }))
+        : lines.map(line => {
+            const label = LINE_LABEL.exec(line.text)?.[1];
+            return { start: line.start, title: label && wordCount(label) <= MAX_TITLE_WORDS ? label : null };
+        });
+    if (bounds.length > 0 && bounds[0].start > 0) bounds.unshift({ start: 0, title: null });
+
+    return {
+        byHeading: starts.length >= 2,
+        sections: bounds.map((bound, i) => {
+            const end = i + 1 < bounds.length ? bounds[i + 1].start : text.length;
+            const sectionText = text.slice(bound.start, end).trim();
+            return { title: bound.title, start: bound.start, end: bound.start + sectionText.length, text: sectionText };
+        }).filter(section => section.text)
+    };
+}
+
+function classifySection(section, clauseTypes) {
+    const entries = Object.entries(clauseTypes);
+    if (section.title) {
+        const byTitle = entries.filter(([, clause]) => clause.heading.test(section.title)).map(([type]) => type);
+        if (byTitle.length > 0) return byTitle;
+    }
+    return entries
+        .filter(([, clause]) => clause.keywords.filter(keyword => keyword.test(section.text)).length >= MIN_KEYWORD_MATCHES)
+        .map(([type]) => type);
+}
+
+/**
+ * Segments `text` into the clause types of `clauseTypes` (a compiled schema's
+ * `clauses`). Returns [{ id, title, types, start, end, text }] for the sections that
+ * are some clause type, in document order; `id` is stable for the same text.
+ */
+export function segmentClauses(text, clauseTypes) {
+    if (!text || Object.keys(clauseTypes).length === 0) return [];
+    const { byHeading, sections } = splitSections(text);
+    const labelled = sections.map(section => ({ ...section, types: classifySection(section, clauseTypes) }));
+
+    const merged = [];
+    for (const section of labelled) {
+        const previous = merged[merged.length - 1];
+        if (!byHeading && previous && previous.types.join() === section.types.join()) {
+            previous.end = section.end;
+            previous.text = text.slice(previous.start, previous.end);
+        } else {
+            merged.push({ ...section });
+        }
+    }
+
+    return merged
+        .filter(section => section.types.length > 0)
+        .map((section, i) => ({
+            id: i + 1,
+            title: section.title || clauseTypes[section.types[0]].title,
+            types: section.types,
+            start: section.start,
+            end: section.end,
+            text: section.text
+        }));
+}
+
+function excerptAround(clause, index) {
+    const sentence = splitSentences(clause.text).find(candidate => candidate.end > index) || { start: 0, end: clause.text.length };
+    return {
+        start: clause.start + sentence.start,
+        end: clause.start + sentence.end,
+        excerpt: clause.text.slice(sentence.start, sentence.end).slice(0, MAX_EXCERPT_LENGTH)
+    };
+}
+
+function toFinding(rule, clause, location) {
+    return {
+        rule: rule.id,
+        severity: rule.severity,
+        message: rule.message,
+        recommendation: rule.recommendation,
+        clauseType: rule.clause,
+        clauseId: clause ? clause.id : null,
+        ...(location || (clause ? { start: clause.start, end: clause.end } : {}))
+    };
+}
+
+/**
+ * Evaluates the risk rules of a compiled schema (`risks`) over `clauses` from
+ * segmentClauses(). Returns the findings, most severe first:
+ * [{ rule, severity, message, recommendation, clauseType, clauseId, start?, end?, excerpt? }],
+ * where clauseId is null for a missing clause and excerpt is the matching sentence.
+ */
+export function assessRisks(clauses, rules) {
+    const findings = [];
+    for (const rule of rules) {
+        const candidates = clauses.filter(clause => clause.types.includes(rule.clause));
+        if (rule.when === 'missing') {
+            if (candidates.length === 0) findings.push(toFinding(rule, null));
+            continue;
+        }
+        if (candidates.length === 0) continue;
+        if (rule.when === 'absent') {
+            const exempt = clause => rule.pattern.test(clause.text) || (rule.unless && rule.unless.test(clause.text));
+            if (!candidates.some(exempt)) findings.push(toFinding(rule, candidates[0]));
+            continue;
+        }
+        for (const clause of candidates) {
+            const match = rule.pattern.exec(clause.text);
+            if (match && !(rule.unless && rule.unless.test(clause.text))) {
+                findings.push(toFinding(rule, clause, excerptAround(clause, match.index)));
+                break;
+            }
+        }
+    }
+    return findings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+/** 0 (no findings) to 100: the summed severity weights of `findings`. */
+export function scoreRisks(findings) {
+    return Math.min(100, findings.reduce((sum, finding) => sum + (SEVERITY_WEIGHTS[finding.severity] || 0), 0));
+}
+
+/**
+ * Clauses and risk findings of `text` as a `docType` document: { clauses, risks,
+ * riskScore }, all empty for types whose schema defines no clauses. Clause and risk
+ * patterns are English, so documents in other languages are not scored.
+ */
+export function analyzeClauses(text, docType, language = DEFAULT_LANGUAGE) {
+    const schema = getSchema(docType);
+    if (!schema || Object.keys(schema.clauses).length === 0 || language !== DEFAULT_LANGUAGE) {
+        return { clauses: [], risks: [], riskScore: null };
+    }
+    const clauses = segmentClauses(text, schema.clauses);
+    const risks = assessRisks(clauses, schema.risks);
+    return { clauses, risks, riskScore: scoreRisks(risks) };
+}
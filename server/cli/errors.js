@@ -0,0 +1,20 @@
+// --- CLI Exit Codes ---
+// What `docanalyzer` exits with, so scripts and CI gates can tell a document that
+// lacks required fields from a run that went wrong.
+
+export const EXIT_CODES = {
+    ok: 0,
+    // A file could not be analyzed, a document was not found or the server refused.
+    failed: 1,
+    // Unknown command or option, or a missing argument.
+    usage: 2,
+    // Every file was analyzed, but at least one document lacks required fields.
+    missingFields: 3
+};
+
+export class CliError extends Error {
+    constructor(message, exitCode = EXIT_CODES.failed) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { CliError, EXIT_CODES } from './errors.js';
+
+// --- Command-Line Interface ---
+// Analyzes files and manages the history from scripts and CI pipelines, without the
+// web app. Commands run against the SQLite database directly (DATABASE_PATH, as the
+// server is configured) or, with --server, through a running server's API:
+//
+//   npm run cli -- analyze invoices/*.pdf --format csv
+//   docanalyzer history list --type Invoice --missing due_date
+//
+// Results go to stdout, progress and errors to stderr; see EXIT_CODES for the status.
+
+const USAGE = `Usage: docanalyzer <command> [options]
+
+Commands:
+  analyze <files...>        Analyze and store files; prints one result per document
+  history list              Search the analyzed documents
+  history show <id>         One analyzed document
+  history delete <id...>    Delete documents and their files
+  history export            A report of the documents matching the filters
+  schema import <files...>  Add document types from JSON definitions (one or an array per file)
+  pii scan                  Apply the workspace's PII policy to documents stored before
+                            personal data was detected; masking cannot be undone
+  legacy assign             Move documents and batches stored outside any workspace
+                            into the one named with --workspace
+
+Options:
+  --format <format>         analyze, history list: json (default) or csv
+                            history export: pdf (default), csv, xlsx or json
+  --output <file>           history export: file to write, - for stdout
+  --provider <engine>       analyze: analysis engine (default LLM_PROVIDER)
+  --locale <tag>            analyze: locale of numbers and dates, e.g. de-DE
+  --no-split                analyze: keep PDFs holding several documents whole
+  --redact                  history export: mask personal data
+  --replace                 schema import: overwrite document types of the same name
+  --q, --type, --missing, --review, --source, --from, --to, --duplicates
+                            history list, history export: filters as for GET /history
+  --sort, --order, --page, --page-size
+                            history list: order and paging
+
+  --server <url>            use a running server (DOCANALYZER_SERVER), signed in with
+                            DOCANALYZER_TOKEN or DOCANALYZER_USERNAME/DOCANALYZER_PASSWORD
+  --workspace <id>          workspace to work in (DOCANALYZER_WORKSPACE)
+  --db <file>               SQLite database when not using a server (DATABASE_PATH)
+  -h, --help                show this help
+
+Exit codes: 0 done, 1 failed, 2 usage error, 3 analyzed but required fields are missing.
+`;
+
+const OPTIONS = {
+    format: { type: 'string' },
+    output: { type: 'string' },
+    provider: { type: 'string' },
+    locale: { type: 'string' },
+    'no-split': { type: 'boolean' },
+    redact: { type: 'boolean' },
+    replace: { type: 'boolean' },
+    q: { type: 'string' },
+    type: { type: 'string' },
+    missing: { type: 'string' },
+    review: { type: 'string' },
+    source: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    duplicates: { type: 'boolean' },
+    sort: { type: 'string' },
+    order: { type: 'string' },
+    page: { type: 'string' },
+    'page-size': { type: 'string' },
+    server: { type: 'string' },
+    token: { type: 'string' },
+    workspace: { type: 'string' },
+    db: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// --- Output ---
+
+const note = message => process.stderr.write(`${message}\n`);
+
+const writeJson = value => process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` is [[header, row => value]].
+function writeCsv(columns, rows) {
+    const lines = [columns.map(([header]) => csvCell(header)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(([, value]) => csvCell(value(row))).join(','));
+    }
+    process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+const formatPages = ({ pageStart, pageEnd }) => (pageStart ? `${pageStart}-${pageEnd}` : null);
+
+function outputFormat(values, allowed, fallback) {
+    const format = values.format || fallback;
+    if (!allowed.includes(format)) {
+        throw new CliError(`--format must be one of: ${allowed.join(', ')}.`, EXIT_CODES.usage);
+    }
+    return format;
+}
+
+function parseId(value, kind = 'document') {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) throw new CliError(`'${value}' is not a ${kind} id.`, EXIT_CODES.usage);
+    return id;
+}
+
+function historyFilters(values) {
+    const filters = {
+        q: values.q,
+        type: values.type,
+        missing: values.missing,
+        review: values.review,
+        source: values.source,
+        from: values.from,
+        to: values.to,
+        duplicates: values.duplicates ? 'true' : undefined
+    };
+    return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined));
+}
+
+// --- Commands ---
+
+// Every document a file became (more than one for a split PDF), then the exit code:
+// failed files win over documents with missing required fields.
+async function analyzeCommand(backend, files, values) {
+    if (files.length === 0) throw new CliError("analyze needs at least one file.", EXIT_CODES.usage);
+    const format = outputFormat(values, ['json', 'csv'], 'json');
+    const options = { provider: values.provider, locale: values.locale, split: values['no-split'] ? false : undefined };
+
+    const results = [];
+    for (const file of files) {
+        try {
+            const analysis = await backend.analyze({ originalname: path.basename(file), mimetype: '', buffer: fs.readFileSync(file) }, options);
+            results.push({ file, ...analysis });
+            for (const part of analysis.parts.slice(1)) {
+                results.push({ file, ...(await backend.getDocument(part.id)) });
+            }
+        } catch (error) {
+            if (error instanceof CliError && error.exitCode === EXIT_CODES.usage) throw error;
+            note(`${file}: ${error.message}`);
+            results.push({ file, error: error.message });
+        }
+    }
+
+    if (format === 'json') {
+        writeJson(results);
+    } else {
+        const fields = [...new Set(results.flatMap(result => Object.keys(result.extractedFields || {})))];
+        writeCsv([
+            ['file', result => result.file],
+            ['id', result => result.id],
+            ['pages', formatPages],
+            ['docType', result => result.docType],
+            ['confidence', result => result.confidence],
+            ['missingFields', result => result.missingFields],
+            ['error', result => result.error],
+            ...fields.map(field => [field, result => result.extractedFields?.[field]])
+        ], results);
+    }
+
+    const failed = results.filter(result => result.error).length;
+    const incomplete = results.filter(result => result.missingFields?.length > 0).length;
+    if (failed > 0) {
+        note(`${failed} of ${files.length} files could not be analyzed.`);
+        return EXIT_CODES.failed;
+    }
+    if (incomplete > 0) {
+        note(`${incomplete} of ${results.length} documents lack required fields.`);
+        return EXIT_CODES.missingFields;
+    }
+    return EXIT_CODES.ok;
+}
+
+async function historyCommand(backend, [action, ...args], values) {
+    switch (action) {
+        case 'list': {
+            const format = outputFormat(values, ['json', 'csv'], 'json');
+            const page = await backend.searchHistory({
+                ...historyFilters(values),
+                sort: values.sort,
+                order: values.order,
+                page: values.page,
+                pageSize: values['page-size']
+            });
+            if (format === 'json') {
+                writeJson(page);
+            } else {
+                writeCsv([
+                    ['id', item => item.id],
+                    ['filename', item => item.filename],
+                    ['pages', formatPages],
+                    ['docType', item => item.docType],
+                    ['confidence', item => item.confidence],
+                    ['missingFields', item => item.missingFields],
+                    ['reviewStatus', item => item.reviewStatus],
+                    ['source', item => item.source],
+                    ['analyzedAt', item => item.analyzedAt]
+                ], page.items);
+                note(`${page.items.length} of ${page.total} documents (page ${page.page}).`);
+            }
+            return EXIT_CODES.ok;
+        }
+        case 'show': {
+            if (args.length !== 1) throw new CliError("history show needs one document id.", EXIT_CODES.usage);
+            const document = await backend.getDocument(parseId(args[0]));
+            if (!document) throw new CliError(`Document ${args[0]} not found.`);
+            writeJson(document);
+            return EXIT_CODES.ok;
+        }
+        case 'delete': {
+            if (args.length === 0) throw new CliError("history delete needs at least one document id.", EXIT_CODES.usage);
+            let missing = 0;
+            for (const id of args.map(parseId)) {
+                if (await backend.deleteDocument(id)) {
+                    note(`Deleted document ${id}.`);
+                } else {
+                    note(`Document ${id} not found.`);
+                    missing++;
+                }
+            }
+            return missing > 0 ? EXIT_CODES.failed : EXIT_CODES.ok;
+        }
+        case 'export': {
+            const format = outputFormat(values, ['pdf', 'csv', 'xlsx', 'json'], 'pdf');
+            const report = await backend.exportReport({ ...historyFilters(values), format, redact: Boolean(values.redact) });
+            if (values.output === '-') {
+                process.stdout.write(report.body);
+            } else {
+                const output = values.output || `analysis-report-${new Date().toISOString().slice(0, 10)}.${report.extension}`;
+                fs.writeFileSync(output, report.body);
+                note(`Wrote ${output}.`);
+            }
+            return EXIT_CODES.ok;
+        }
+        default:
+            throw new CliError(`Unknown history command '${action || ''}'. Expected list, show, delete or export.`, EXIT_CODES.usage);
+    }
+}
+
+async function schemaCommand(backend, [action, ...files], values) {
+    if (action !== 'import') throw new CliError(`Unknown schema command '${action || ''}'. Expected import.`, EXIT_CODES.usage);
+    if (files.length === 0) throw new CliError("schema import needs at least one file.", EXIT_CODES.usage);
+
+    let failed = 0;
+    for (const file of files) {
+        let definitions;
+        try {
+            const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+            definitions = Array.isArray(parsed) ? parsed : [parsed];
+        } catch (error) {
+            note(`${file}: ${error.message}`);
+            failed++;
+            continue;
+        }
+        for (const definition of definitions) {
+            try {
+                const schema = await backend.importSchema(definition, { replace: Boolean(values.replace) });
+                note(`Imported document type '${schema.name}' from ${file}.`);
+            } catch (error) {
+                note(`${file}: ${error.message}`);
+                failed++;
+            }
+        }
+    }
+    return failed > 0 ? EXIT_CODES.failed : EXIT_CODES.ok;
+}
+
+// Protecting stored text can destroy it (mask), so it is never done implicitly.
+async function piiCommand(backend, [action, ...args]) {
+    if (action !== 'scan') throw new CliError(`Unknown pii command '${action || ''}'. Expected scan.`, EXIT_CODES.usage);
+    if (args.length > 0) throw new CliError("pii scan takes no arguments.", EXIT_CODES.usage);
+    const count = await backend.scanPii();
+    note(`Applied the PII policy to ${count} stored document(s).`);
+    return EXIT_CODES.ok;
+}
+
+// Data from before workspaces existed belongs to whoever the operator says, so the
+// workspace is never picked by default here.
+async function legacyCommand(backend, [action, ...args], values) {
+    if (action !== 'assign') throw new CliError(`Unknown legacy command '${action || ''}'. Expected assign.`, EXIT_CODES.usage);
+    if (args.length > 0) throw new CliError("legacy assign takes no arguments.", EXIT_CODES.usage);
+    if (!values.workspace && !process.env.DOCANALYZER_WORKSPACE) {
+        throw new CliError("legacy assign needs the receiving workspace, named with --workspace.", EXIT_CODES.usage);
+    }
+    const { documents, jobs } = await backend.assignLegacyData();
+    note(`Moved ${documents} document(s) and ${jobs} batch job(s) into the workspace.`);
+    return EXIT_CODES.ok;
+}
+
+const COMMANDS = { analyze: analyzeCommand, history: historyCommand, schema: schemaCommand, pii: piiCommand, legacy: legacyCommand };
+
+// --- Entry Point ---
+
+async function openBackend(values) {
+    const workspaceId = values.workspace || process.env.DOCANALYZER_WORKSPACE || null;
+    const server = values.server || process.env.DOCANALYZER_SERVER;
+    if (server) {
+        const { openRemoteBackend } = await import('./remote.js');
+        return openRemoteBackend({
+            server,
+            token: values.token || process.env.DOCANALYZER_TOKEN,
+            username: process.env.DOCANALYZER_USERNAME,
+            password: process.env.DOCANALYZER_PASSWORD,
+            workspaceId
+        });
+    }
+    // The database module opens DATABASE_PATH when it is first imported.
+    if (values.db) process.env.DATABASE_PATH = values.db;
+    const { openLocalBackend } = await import('./local.js');
+    return openLocalBackend({ workspaceId: workspaceId && parseId(workspaceId, 'workspace') });
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.usage);
+    }
+    const { values, positionals: [command, ...args] } = parsed;
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return EXIT_CODES.ok;
+    }
+    if (!COMMANDS[command]) {
+        process.stderr.write(command ? `Unknown command '${command}'.\n\n${USAGE}` : USAGE);
+        return EXIT_CODES.usage;
+    }
+
+    // The server's modules log progress with console.log; stdout is for results.
+    console.log = console.error;
+    const backend = await openBackend(values);
+    return COMMANDS[command](backend, args, values);
+}
+
+// Exits once stdout is flushed; background work (webhook deliveries the server's
+// dispatcher will retry) must not keep a script waiting.
+const exit = code => process.stdout.write('', () => process.exit(code));
+
+main(process.argv.slice(2))
+    .then(exit)
+    .catch(error => {
+        note(error instanceof CliError ? error.message : `Error: ${error.stack || error.message}`);
+        exit(error.exitCode ?? EXIT_CODES.failed);
+    });
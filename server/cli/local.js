@@ -0,0 +1,112 @@
+import { dbReady, dbGet, dbAll } from '../db.js';
+import { initSchemas, saveSchema, SchemaValidationError } from '../schemas/index.js';
+import { initModel } from '../model.js';
+import { resolveEngine } from '../providers/index.js';
+import { canonicalLocale } from '../locale.js';
+import { ingestFile } from '../connectors/common.js';
+import {
+    searchHistory, getDocument, getMatchingDocuments, deleteDocument, toDocumentResource, toAnalysisResource, HistoryQueryError
+} from '../history.js';
+import { buildReport, ReportFormatError, MAX_REPORT_DOCUMENTS } from '../reports.js';
+import { scanStoredDocuments } from '../pii.js';
+import { assignLegacyData } from '../auth.js';
+import { CliError, EXIT_CODES } from './errors.js';
+
+// --- Local Backend ---
+// Runs CLI commands in-process against the server's SQLite database and stored
+// files, through the same pipeline and history functions as the API routes.
+// Documents analyzed here are recorded with the source 'cli' and no uploader.
+
+// The workspace commands act in: the one asked for or, when the database has only
+// one, that one. A database without workspaces (no one has signed up) uses none.
+async function resolveWorkspace(workspaceId) {
+    await dbReady;
+    if (workspaceId) {
+        const workspace = await dbGet("SELECT id FROM workspaces WHERE id = ?", [workspaceId]);
+        if (!workspace) throw new CliError(`Workspace ${workspaceId} does not exist.`, EXIT_CODES.usage);
+        return workspace.id;
+    }
+    const workspaces = await dbAll("SELECT id FROM workspaces ORDER BY id LIMIT 2");
+    if (workspaces.length > 1) {
+        throw new CliError("The database has several workspaces; choose one with --workspace.", EXIT_CODES.usage);
+    }
+    return workspaces[0]?.id ?? null;
+}
+
+// Errors that mean the input was wrong rather than the command failing.
+function asCliError(error) {
+    if (error instanceof HistoryQueryError || error instanceof ReportFormatError) {
+        return new CliError(error.message, EXIT_CODES.usage);
+    }
+    return error;
+}
+
+/** Loads the document types and classifier, then resolves to the backend's commands. */
+export async function openLocalBackend({ workspaceId = null } = {}) {
+    await initSchemas();
+    await initModel();
+    const workspace = await resolveWorkspace(workspaceId);
+
+    return {
+        async analyze(file, { provider, locale, split }) {
+            let engine;
+            let documentLocale;
+            try {
+                engine = resolveEngine(provider);
+                documentLocale = canonicalLocale(locale);
+            } catch (error) {
+                throw new CliError(error.message, EXIT_CODES.usage);
+            }
+            const result = await ingestFile(file, { workspaceId: workspace, source: 'cli', engine, locale: documentLocale, split });
+            return toAnalysisResource(await getDocument(result.id, workspace), result);
+        },
+
+        async searchHistory(params) {
+            try {
+                return await searchHistory(params, { workspaceId: workspace });
+            } catch (error) {
+                throw asCliError(error);
+            }
+        },
+
+        async getDocument(id) {
+            const row = await getDocument(id, workspace);
+            return row ? toDocumentResource(row) : null;
+        },
+
+        deleteDocument(id) {
+            return deleteDocument(id, workspace);
+        },
+
+        async exportReport({ format = 'pdf', redact = false, ...filters }) {
+            try {
+                const documents = await getMatchingDocuments(filters, { workspaceId: workspace, limit: MAX_REPORT_DOCUMENTS });
+                if (documents.length === 0) throw new CliError("No analyses match these filters.");
+                const { body, extension } = await buildReport(documents, format, { redact });
+                return { body, extension };
+            } catch (error) {
+                throw asCliError(error);
+            }
+        },
+
+        async importSchema(definition, { replace }) {
+            try {
+                return await saveSchema(definition, { replace });
+            } catch (error) {
+                if (error instanceof SchemaValidationError) throw new CliError(error.message);
+                if (error.code === 'SQLITE_CONSTRAINT') {
+                    throw new CliError(`A schema named '${definition.name}' already exists; use --replace to overwrite it.`);
+                }
+                throw error;
+            }
+        },
+
+        scanPii() {
+            return scanStoredDocuments(workspace);
+        },
+
+        assignLegacyData() {
+            return assignLegacyData(workspace);
+        }
+    };
+}
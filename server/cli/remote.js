@@ -0,0 +1,139 @@
+import { CliError, EXIT_CODES } from './errors.js';
+
+// --- Remote Backend ---
+// Runs CLI commands through a running server's API. Operations are looked up by
+// their operationId in the server's own OpenAPI document, so the CLI follows the
+// routes of whichever server it talks to within the API version it speaks.
+
+const API_BASE_PATH = '/api/v1';
+
+// A 400 answer means the request was wrong, as a usage error is locally.
+class RemoteError extends CliError {
+    constructor(message, status) {
+        super(message, status === 400 ? EXIT_CODES.usage : EXIT_CODES.failed);
+        this.status = status;
+    }
+}
+
+async function fetchFrom(server, url, init) {
+    try {
+        return await fetch(url, init);
+    } catch (error) {
+        throw new CliError(`Cannot reach ${server}: ${error.cause?.message || error.message}`);
+    }
+}
+
+async function loadOperations(server, baseUrl) {
+    const response = await fetchFrom(server, `${baseUrl}/openapi.json`);
+    if (!response.ok) {
+        throw new CliError(`${server} does not serve the ${API_BASE_PATH} API (GET openapi.json answered ${response.status}).`);
+    }
+    const { paths } = await response.json();
+    const operations = new Map();
+    for (const [template, item] of Object.entries(paths)) {
+        for (const [method, operation] of Object.entries(item)) {
+            if (operation?.operationId) operations.set(operation.operationId, { method: method.toUpperCase(), template });
+        }
+    }
+    return operations;
+}
+
+/**
+ * Connects to `server` (its origin, e.g. http://localhost:5000) as the user of
+ * `token`, or signs in with `username` and `password`, and resolves to the
+ * backend's commands. `workspaceId` picks the workspace as the web app does.
+ */
+export async function openRemoteBackend({ server, token = null, username = null, password = null, workspaceId = null }) {
+    const baseUrl = `${server.replace(/\/+$/, '')}${API_BASE_PATH}`;
+    const operations = await loadOperations(server, baseUrl);
+
+    // Answers the parsed JSON body, or { body } with the bytes for `binary` operations.
+    async function call(operationId, { path = {}, query = {}, body, form, binary = false } = {}) {
+        const operation = operations.get(operationId);
+        if (!operation) throw new CliError(`${server} does not offer '${operationId}'; it may be older than this CLI.`);
+
+        const url = new URL(baseUrl + operation.template.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(path[name])));
+        for (const [name, value] of Object.entries(query)) {
+            if (value !== undefined && value !== null && value !== '') url.searchParams.set(name, String(value));
+        }
+        const headers = {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (workspaceId) headers['X-Workspace-Id'] = String(workspaceId);
+        let payload = form;
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+
+        const response = await fetchFrom(server, url, { method: operation.method, headers, body: payload });
+        if (!response.ok) {
+            const error = await response.json().catch(() => null);
+            throw new RemoteError(error?.error || `${operation.method} ${url.pathname} answered ${response.status}.`, response.status);
+        }
+        if (!binary) return response.json();
+        return { body: Buffer.from(await response.arrayBuffer()) };
+    }
+
+    // A missing document answers 404; that is a result, not a failure.
+    const unlessNotFound = async (request, notFound) => {
+        try {
+            return await request;
+        } catch (error) {
+            if (error instanceof RemoteError && error.status === 404) return notFound;
+            throw error;
+        }
+    };
+
+    if (!token) {
+        if (!username || !password) {
+            throw new CliError("Set DOCANALYZER_TOKEN, or DOCANALYZER_USERNAME and DOCANALYZER_PASSWORD, to use a server.", EXIT_CODES.usage);
+        }
+        ({ token } = await call('login', { body: { username, password } }));
+    }
+
+    return {
+        analyze(file, { provider, locale, split }) {
+            const form = new FormData();
+            form.append('file', new Blob([file.buffer]), file.originalname);
+            if (provider) form.append('provider', provider);
+            if (locale) form.append('locale', locale);
+            if (split !== undefined) form.append('split', String(split));
+            return call('analyzeDocument', { form });
+        },
+
+        searchHistory(params) {
+            return call('searchHistory', { query: params });
+        },
+
+        getDocument(id) {
+            return unlessNotFound(call('getDocument', { path: { id } }), null);
+        },
+
+        deleteDocument(id) {
+            return unlessNotFound(call('deleteDocument', { path: { id } }).then(() => true), false);
+        },
+
+        async exportReport({ format = 'pdf', redact = false, ...filters }) {
+            const { body } = await call('downloadHistoryReport', { query: { ...filters, format, redact: redact ? 'true' : undefined }, binary: true });
+            return { body, extension: format };
+        },
+
+        async importSchema(definition, { replace }) {
+            try {
+                return await call('createSchema', { body: definition });
+            } catch (error) {
+                if (!(error instanceof RemoteError) || error.status !== 409) throw error;
+                if (!replace) throw new CliError(`A schema named '${definition.name}' already exists; use --replace to overwrite it.`);
+                return call('updateSchema', { path: { name: definition.name }, body: definition });
+            }
+        },
+
+        async scanPii() {
+            throw new CliError("pii scan works on the database directly; run it without --server.", EXIT_CODES.usage);
+        },
+
+        async assignLegacyData() {
+            throw new CliError("legacy assign works on the database directly; run it without --server.", EXIT_CODES.usage);
+        }
+    };
+}
@@ -0,0 +1,86 @@
+import { diffLines } from 'diff';
+
+// --- Document Comparison ---
+// Diffs two stored analyses: the extracted text line by line, the extracted field
+// values, and which required fields went missing or were filled in.
+
+function changeType(part) {
+    if (part.added) return 'added';
+    if (part.removed) return 'removed';
+    return 'unchanged';
+}
+
+/** Line diff of `a` → `b` as [{ type: 'added' | 'removed' | 'unchanged', value }]. */
+export function diffText(a, b) {
+    return diffLines(a || '', b || '')
+        .map(part => ({ type: changeType(part), value: part.value }));
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Per-field comparison over the union of both documents' fields:
+ * [{ field, status: 'added' | 'removed' | 'changed' | 'unchanged', a, b }].
+ * Values count as unchanged when only their formatting differs but the normalized
+ * value (same date, same amount) is equal.
+ */
+export function diffFields(a, b) {
+    const fields = [...new Set([...Object.keys(a.extracted_fields), ...Object.keys(b.extracted_fields)])];
+    return fields.map(field => {
+        const before = a.extracted_fields[field];
+        const after = b.extracted_fields[field];
+        let status;
+        if (before === undefined) status = 'added';
+        else if (after === undefined) status = 'removed';
+        else if (String(before).trim() === String(after).trim()) status = 'unchanged';
+        else if (a.normalized_fields[field] != null && sameValue(a.normalized_fields[field], b.normalized_fields[field])) status = 'unchanged';
+        else status = 'changed';
+        return { field, status, a: before ?? null, b: after ?? null };
+    });
+}
+
+/** { resolved, introduced, unchanged } lists of missing field names. */
+export function diffMissingFields(a, b) {
+    return {
+        resolved: a.missing_fields.filter(field => !b.missing_fields.includes(field)),
+        introduced: b.missing_fields.filter(field => !a.missing_fields.includes(field)),
+        unchanged: a.missing_fields.filter(field => b.missing_fields.includes(field))
+    };
+}
+
+function summarize(document) {
+    return {
+        id: document.id,
+        filename: document.filename,
+        docType: document.doc_type,
+        confidence: document.confidence,
+        version: document.version,
+        versionGroup: document.version_group,
+        analyzedAt: document.analyzed_at
+    };
+}
+
+function countLines(parts, type) {
+    return parts
+        .filter(part => part.type === type)
+        .reduce((sum, part) => sum + part.value.split('\n').filter(Boolean).length, 0);
+}
+
+/** Compares two parsed `documents` rows (see history.parseDocumentRow). */
+export function compareDocuments(a, b) {
+    const text = diffText(a.content, b.content);
+    const fields = diffFields(a, b);
+    return {
+        a: summarize(a),
+        b: summarize(b),
+        sameVersionGroup: a.version_group !== null && a.version_group === b.version_group,
+        summary: {
+            linesAdded: countLines(text, 'added'),
+            linesRemoved: countLines(text, 'removed'),
+            fieldsChanged: fields.filter(field => field.status !== 'unchanged').length
+        },
+        text,
+        fields,
+        missing: diffMissingFields(a, b)
+    };
+}
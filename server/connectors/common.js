@@ -0,0 +1,84 @@
+import path from 'path';
+import { dbReady, dbGet } from '../db.js';
+import { ACCEPTED_EXTENSIONS, UnsupportedFormatError } from '../ingestion.js';
+import { resolveEngine } from '../providers/index.js';
+import { processDocument } from '../pipeline.js';
+import { MAX_UPLOAD_BYTES } from '../upload.js';
+
+// --- Connector Plumbing ---
+// What the folder and mailbox connectors share: finding the workspace they feed,
+// handing files to the document pipeline and polling on a timer.
+
+/**
+ * Looks up the workspace a connector stores its documents in (`value` is the id
+ * from its *_WORKSPACE_ID setting). Resolves to null, with the reason logged, when
+ * it is missing or unknown, which leaves the connector disabled.
+ */
+export async function connectorWorkspace(setting, value) {
+    const workspaceId = parseInt(value, 10);
+    if (!workspaceId) {
+        console.error(`${setting} is not set; the connector stays disabled.`);
+        return null;
+    }
+    await dbReady;
+    const workspace = await dbGet("SELECT id, name FROM workspaces WHERE id = ?", [workspaceId]);
+    if (!workspace) {
+        console.error(`${setting}: workspace ${workspaceId} does not exist; the connector stays disabled.`);
+    }
+    return workspace || null;
+}
+
+/** Rejects a file over the upload limit; connectors check the size before reading a file. */
+export function checkFileSize(originalname, size) {
+    if (size > MAX_UPLOAD_BYTES) {
+        throw new Error(`'${originalname}' exceeds the ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB upload limit.`);
+    }
+}
+
+/**
+ * Analyzes one file found by a connector, as an upload to `workspaceId` with the
+ * default engine and the workspace's current locale unless `engine` or `locale` say
+ * otherwise. Rejects files of other types or over the size limit, like the upload
+ * routes do.
+ */
+export async function ingestFile(file, { workspaceId, source, sender = null, engine = resolveEngine(), locale = null, split }) {
+    if (!ACCEPTED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+        throw new UnsupportedFormatError(`Unsupported file type for '${file.originalname}'.`);
+    }
+    checkFileSize(file.originalname, file.buffer.length);
+    const workspace = await dbGet("SELECT locale FROM workspaces WHERE id = ?", [workspaceId]);
+    return processDocument(file, {
+        engine,
+        locale: locale || workspace?.locale || null,
+        split,
+        workspaceId,
+        userId: null,
+        source,
+        sender
+    });
+}
+
+/**
+ * Runs `poll(state)` now and then `intervalMs` after each run finishes, so runs never
+ * overlap. `poll` counts its documents in state.processed and state.failed; a
+ * rejected run is logged and kept as state.lastError. Returns the connector entry
+ * listed by GET /connectors.
+ */
+export function startPolling({ name, workspaceId, target, intervalMs, poll }) {
+    const state = { name, target, intervalMs, lastRunAt: null, lastError: null, processed: 0, failed: 0 };
+    const run = async () => {
+        try {
+            await poll(state);
+            state.lastError = null;
+        } catch (error) {
+            console.error(`The ${name} connector failed:`, error.message);
+            state.lastError = error.message;
+        }
+        state.lastRunAt = new Date().toISOString();
+        // The timer must not keep the process alive on its own.
+        setTimeout(run, intervalMs).unref();
+    };
+    run();
+    console.log(`The ${name} connector is watching ${target} for workspace ${workspaceId}.`);
+    return { workspaceId, status: () => ({ ...state }) };
+}
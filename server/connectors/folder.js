@@ -0,0 +1,71 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { connectorWorkspace, checkFileSize, ingestFile, startPolling } from './common.js';
+
+// --- Watched-Folder Connector ---
+// Analyzes every file dropped into WATCH_FOLDER, then moves it to the folder's
+// done/ or failed/ subfolder; a failed file gets a `<name>.error.txt` next to it
+// with the reason. Files are only picked up once they have not changed for
+// WATCH_FOLDER_SETTLE_MS, so half-copied files are left alone, and files over the
+// upload limit fail without being read.
+
+const FOLDER = process.env.WATCH_FOLDER;
+const INTERVAL_MS = parseInt(process.env.WATCH_FOLDER_INTERVAL_MS, 10) || 10000;
+const SETTLE_MS = parseInt(process.env.WATCH_FOLDER_SETTLE_MS, 10) || 2000;
+
+const DONE_FOLDER = 'done';
+const FAILED_FOLDER = 'failed';
+
+// Moves `name` into a subfolder, keeping an earlier file of the same name.
+async function moveTo(root, subfolder, name) {
+    let target = path.join(root, subfolder, name);
+    try {
+        await fs.access(target);
+        target = path.join(root, subfolder, `${Date.now()}-${name}`);
+    } catch {
+        // No file of that name yet.
+    }
+    await fs.rename(path.join(root, name), target);
+    return target;
+}
+
+async function pollFolder(root, workspaceId, state) {
+    const entries = await fs.readdir(root, { withFileTypes: true });
+    for (const entry of entries) {
+        if (!entry.isFile() || entry.name.startsWith('.')) continue;
+        const filePath = path.join(root, entry.name);
+        const { mtimeMs, size } = await fs.stat(filePath);
+        if (Date.now() - mtimeMs < SETTLE_MS) continue;
+
+        try {
+            checkFileSize(entry.name, size);
+            const buffer = await fs.readFile(filePath);
+            await ingestFile({ originalname: entry.name, mimetype: '', buffer }, { workspaceId, source: 'folder' });
+            await moveTo(root, DONE_FOLDER, entry.name);
+            state.processed++;
+        } catch (error) {
+            console.error(`Watched file ${entry.name} failed:`, error.message);
+            const moved = await moveTo(root, FAILED_FOLDER, entry.name);
+            await fs.writeFile(`${moved}.error.txt`, `${error.message}\n`);
+            state.failed++;
+        }
+    }
+}
+
+/** Starts polling WATCH_FOLDER if it is configured; resolves to the connector or null. */
+export async function startFolderConnector() {
+    if (!FOLDER) return null;
+    const workspace = await connectorWorkspace('WATCH_FOLDER_WORKSPACE_ID', process.env.WATCH_FOLDER_WORKSPACE_ID);
+    if (!workspace) return null;
+
+    const root = path.resolve(FOLDER);
+    await fs.mkdir(path.join(root, DONE_FOLDER), { recursive: true });
+    await fs.mkdir(path.join(root, FAILED_FOLDER), { recursive: true });
+    return startPolling({
+        name: 'folder',
+        workspaceId: workspace.id,
+        target: root,
+        intervalMs: INTERVAL_MS,
+        poll: state => pollFolder(root, workspace.id, state)
+    });
+}
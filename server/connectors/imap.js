@@ -0,0 +1,107 @@
+import path from 'path';
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import { ACCEPTED_EXTENSIONS } from '../ingestion.js';
+import { connectorWorkspace, ingestFile, startPolling } from './common.js';
+
+// --- Mailbox Connector ---
+// Polls an IMAP mailbox for unread messages (optionally only those whose sender or
+// subject contains IMAP_FROM / IMAP_SUBJECT) and analyzes their document
+// attachments, recording the sender's address on each document. Handled messages
+// are marked \Seen; messages with an attachment that failed, or that could not be
+// fetched or parsed at all, are also \Flagged for someone to look at, so that one bad
+// message never holds up the rest of the mailbox. Attachments of other types (calendar invites, signatures
+// embedded in the body) are ignored. `npm run imap-stand-in` serves a local
+// mailbox to test against.
+
+const config = {
+    host: process.env.IMAP_HOST,
+    port: parseInt(process.env.IMAP_PORT, 10) || 993,
+    secure: process.env.IMAP_SECURE !== 'false',
+    user: process.env.IMAP_USER,
+    password: process.env.IMAP_PASSWORD,
+    mailbox: process.env.IMAP_MAILBOX || 'INBOX',
+    from: process.env.IMAP_FROM,
+    subject: process.env.IMAP_SUBJECT,
+    intervalMs: parseInt(process.env.IMAP_INTERVAL_MS, 10) || 60000
+};
+
+function documentAttachments(mail) {
+    return mail.attachments.filter(attachment =>
+        attachment.filename && !attachment.related &&
+        ACCEPTED_EXTENSIONS.includes(path.extname(attachment.filename).toLowerCase())
+    );
+}
+
+/** Analyzes the attachments of message `uid`, then flags it as handled. */
+export async function handleMessage(client, uid, workspaceId, state) {
+    let mail;
+    try {
+        const message = await client.fetchOne(uid, { source: true }, { uid: true });
+        mail = await simpleParser(message.source);
+    } catch (error) {
+        console.error(`Message ${uid} could not be read:`, error.message);
+        state.failed++;
+        await client.messageFlagsAdd(uid, ['\\Seen', '\\Flagged'], { uid: true });
+        return;
+    }
+    const sender = mail.from?.value?.[0]?.address?.toLowerCase() || null;
+
+    let failed = false;
+    for (const attachment of documentAttachments(mail)) {
+        try {
+            await ingestFile(
+                { originalname: attachment.filename, mimetype: attachment.contentType, buffer: attachment.content },
+                { workspaceId, source: 'email', sender }
+            );
+            state.processed++;
+        } catch (error) {
+            console.error(`Attachment ${attachment.filename} from ${sender || 'unknown sender'} failed:`, error.message);
+            failed = true;
+            state.failed++;
+        }
+    }
+    await client.messageFlagsAdd(uid, failed ? ['\\Seen', '\\Flagged'] : ['\\Seen'], { uid: true });
+}
+
+async function pollMailbox(workspaceId, state) {
+    const client = new ImapFlow({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: { user: config.user, pass: config.password },
+        logger: false
+    });
+    await client.connect();
+    try {
+        const lock = await client.getMailboxLock(config.mailbox);
+        try {
+            const criteria = { seen: false };
+            if (config.from) criteria.from = config.from;
+            if (config.subject) criteria.subject = config.subject;
+            const uids = (await client.search(criteria, { uid: true })) || [];
+            for (const uid of uids) {
+                await handleMessage(client, uid, workspaceId, state);
+            }
+        } finally {
+            lock.release();
+        }
+    } finally {
+        await client.logout().catch(() => {});
+    }
+}
+
+/** Starts polling the IMAP mailbox if IMAP_HOST is set; resolves to the connector or null. */
+export async function startImapConnector() {
+    if (!config.host) return null;
+    const workspace = await connectorWorkspace('IMAP_WORKSPACE_ID', process.env.IMAP_WORKSPACE_ID);
+    if (!workspace) return null;
+
+    return startPolling({
+        name: 'imap',
+        workspaceId: workspace.id,
+        target: `${config.user}@${config.host}:${config.port}/${config.mailbox}`,
+        intervalMs: config.intervalMs,
+        poll: state => pollMailbox(workspace.id, state)
+    });
+}
@@ -0,0 +1,23 @@
+import { startFolderConnector } from './folder.js';
+import { startImapConnector } from './imap.js';
+
+// --- Ingestion Connectors ---
+// Besides uploads, documents arrive through connectors configured in the
+// environment (see .env.example): a watched folder and an IMAP mailbox. Each feeds
+// the same pipeline as POST /analyze and marks its documents with their source.
+
+const connectors = [];
+
+export async function initConnectors() {
+    for (const start of [startFolderConnector, startImapConnector]) {
+        const connector = await start();
+        if (connector) connectors.push(connector);
+    }
+}
+
+/** Status of the connectors feeding `workspaceId`. */
+export function listConnectors(workspaceId) {
+    return connectors
+        .filter(connector => connector.workspaceId === workspaceId)
+        .map(connector => connector.status());
+}
@@ -0,0 +1,300 @@
+import sqlite3 from 'sqlite3';
+
+// --- Database Setup (SQLite) ---
+
+export const db = new sqlite3.Database(process.env.DATABASE_PATH || './database.db', (err) => {
+    if (err) {
+        console.error("Error opening database", err.message);
+    } else {
+        console.log("Connected to the SQLite database.");
+    }
+});
+
+// Promise wrappers around the callback API, for code that wants to await queries.
+export function dbRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+export function dbGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+export function dbAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+// Databases created before a column existed are migrated in place.
+export async function ensureColumn(table, column, definition) {
+    const columns = await dbAll(`PRAGMA table_info(${table})`);
+    if (!columns.some(col => col.name === column)) {
+        await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+async function initSchema() {
+    await dbRun(`CREATE TABLE IF NOT EXISTS documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filename TEXT,
+        content TEXT,
+        doc_type TEXT,
+        confidence REAL,
+        missing_fields TEXT,
+        recommendations TEXT,
+        extracted_fields TEXT,
+        normalized_fields TEXT,
+        line_items TEXT,
+        warnings TEXT,
+        engine TEXT,
+        source_format TEXT,
+        extraction_method TEXT,
+        workspace_id INTEGER,
+        uploaded_by INTEGER,
+        file_sha256 TEXT,
+        file_size INTEGER,
+        highlights TEXT,
+        version_group INTEGER,
+        version INTEGER,
+        review_status TEXT NOT NULL DEFAULT 'pending',
+        reviewed_by INTEGER,
+        reviewed_at TIMESTAMP,
+        classifier TEXT,
+        analyzed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await ensureColumn('documents', 'engine', 'TEXT');
+    await ensureColumn('documents', 'source_format', 'TEXT');
+    await ensureColumn('documents', 'extraction_method', 'TEXT');
+    await ensureColumn('documents', 'normalized_fields', 'TEXT');
+    await ensureColumn('documents', 'warnings', 'TEXT');
+    await ensureColumn('documents', 'line_items', 'TEXT');
+    await ensureColumn('documents', 'workspace_id', 'INTEGER');
+    await ensureColumn('documents', 'uploaded_by', 'INTEGER');
+    await ensureColumn('documents', 'file_sha256', 'TEXT');
+    await ensureColumn('documents', 'file_size', 'INTEGER');
+    await ensureColumn('documents', 'highlights', 'TEXT');
+    await ensureColumn('documents', 'version_group', 'INTEGER');
+    await ensureColumn('documents', 'version', 'INTEGER');
+    await ensureColumn('documents', 'review_status', "TEXT NOT NULL DEFAULT 'pending'");
+    await ensureColumn('documents', 'reviewed_by', 'INTEGER');
+    await ensureColumn('documents', 'reviewed_at', 'TIMESTAMP');
+    await ensureColumn('documents', 'classifier', 'TEXT');
+    await ensureColumn('documents', 'content_hash', 'TEXT');
+    await ensureColumn('documents', 'simhash', 'TEXT');
+    await ensureColumn('documents', 'clauses', 'TEXT');
+    await ensureColumn('documents', 'risks', 'TEXT');
+    await ensureColumn('documents', 'risk_score', 'INTEGER');
+    await ensureColumn('documents', 'language', 'TEXT');
+    await ensureColumn('documents', 'locale', 'TEXT');
+    // How the document arrived (see DOCUMENT_SOURCES in history.js) and, for email,
+    // who sent it. Rows from before connectors existed are uploads.
+    await ensureColumn('documents', 'source', "TEXT NOT NULL DEFAULT 'upload'");
+    await ensureColumn('documents', 'sender', 'TEXT');
+    // Personal data found in the content (see pii.js) and the policy it was stored
+    // under; NULL until the document has been scanned.
+    await ensureColumn('documents', 'pii', 'TEXT');
+    await ensureColumn('documents', 'pii_policy', 'TEXT');
+    // Set once retention has removed the content and original file (see retention.js).
+    await ensureColumn('documents', 'content_purged_at', 'TIMESTAMP');
+    // Parts of a PDF split into several documents (see splitting.js): the upload they
+    // came from, their pages and why a new document started on the first of them.
+    await ensureColumn('documents', 'upload_id', 'INTEGER');
+    await ensureColumn('documents', 'page_start', 'INTEGER');
+    await ensureColumn('documents', 'page_end', 'INTEGER');
+    await ensureColumn('documents', 'split_reason', 'TEXT');
+    await dbRun("CREATE INDEX IF NOT EXISTS idx_documents_version_group ON documents (version_group, version)");
+    await dbRun("CREATE INDEX IF NOT EXISTS idx_documents_file ON documents (file_sha256)");
+    await dbRun("CREATE INDEX IF NOT EXISTS idx_documents_workspace ON documents (workspace_id, analyzed_at)");
+    await dbRun("CREATE INDEX IF NOT EXISTS idx_documents_review ON documents (workspace_id, review_status, confidence)");
+    await dbRun("CREATE INDEX IF NOT EXISTS idx_documents_content_hash ON documents (content_hash)");
+    await dbRun("CREATE INDEX IF NOT EXISTS idx_documents_upload ON documents (upload_id, page_start)");
+
+    // PDFs that were split into several documents.
+    await dbRun(`CREATE TABLE IF NOT EXISTS uploads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER,
+        uploaded_by INTEGER,
+        filename TEXT NOT NULL,
+        file_sha256 TEXT,
+        page_count INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Possible duplicates found when a document was analyzed: it may duplicate `duplicate_of`.
+    await dbRun(`CREATE TABLE IF NOT EXISTS document_duplicates (
+        document_id INTEGER NOT NULL,
+        duplicate_of INTEGER NOT NULL,
+        reasons TEXT NOT NULL,
+        similarity REAL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (document_id, duplicate_of)
+    )`);
+    await dbRun("CREATE INDEX IF NOT EXISTS idx_document_duplicates_of ON document_duplicates (duplicate_of)");
+
+    // Append-only history of reviewer corrections, review decisions and deletions.
+    await dbRun(`CREATE TABLE IF NOT EXISTS document_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        workspace_id INTEGER,
+        user_id INTEGER,
+        action TEXT NOT NULL,
+        changes TEXT NOT NULL DEFAULT '[]',
+        comment TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await dbRun("CREATE INDEX IF NOT EXISTS idx_document_audit_document ON document_audit (document_id, id)");
+    await dbRun(`CREATE TRIGGER IF NOT EXISTS document_audit_no_update BEFORE UPDATE ON document_audit BEGIN
+        SELECT RAISE(ABORT, 'document_audit is append-only');
+    END`);
+    await dbRun(`CREATE TRIGGER IF NOT EXISTS document_audit_no_delete BEFORE DELETE ON document_audit BEGIN
+        SELECT RAISE(ABORT, 'document_audit is append-only');
+    END`);
+
+    // Accounts, teams and login sessions. Session tokens are stored as SHA-256 hashes.
+    await dbRun(`CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await dbRun(`CREATE TABLE IF NOT EXISTS workspaces (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    // The locale numbers and dates of the workspace's documents are read in, unless
+    // an upload names its own; NULL goes by each document's detected language.
+    await ensureColumn('workspaces', 'locale', 'TEXT');
+    // How personal data in new documents is stored and after how many days content
+    // is purged; NULL follows PII_POLICY and CONTENT_RETENTION_DAYS.
+    await ensureColumn('workspaces', 'pii_policy', 'TEXT');
+    await ensureColumn('workspaces', 'retention_days', 'INTEGER');
+    await dbRun(`CREATE TABLE IF NOT EXISTS memberships (
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
+        role TEXT NOT NULL,
+        PRIMARY KEY (user_id, workspace_id)
+    )`);
+    await dbRun(`CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+    )`);
+
+    // Full-text index over the stored text, filename and extracted values, kept in
+    // sync with `documents` by triggers (external-content FTS5 table).
+    await dbRun(`CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts USING fts5(
+        filename, content, extracted_fields,
+        content='documents', content_rowid='id'
+    )`);
+    await dbRun(`CREATE TRIGGER IF NOT EXISTS documents_fts_insert AFTER INSERT ON documents BEGIN
+        INSERT INTO documents_fts(rowid, filename, content, extracted_fields)
+        VALUES (new.id, new.filename, new.content, new.extracted_fields);
+    END`);
+    await dbRun(`CREATE TRIGGER IF NOT EXISTS documents_fts_delete AFTER DELETE ON documents BEGIN
+        INSERT INTO documents_fts(documents_fts, rowid, filename, content, extracted_fields)
+        VALUES ('delete', old.id, old.filename, old.content, old.extracted_fields);
+    END`);
+    await dbRun(`CREATE TRIGGER IF NOT EXISTS documents_fts_update AFTER UPDATE OF filename, content, extracted_fields ON documents BEGIN
+        INSERT INTO documents_fts(documents_fts, rowid, filename, content, extracted_fields)
+        VALUES ('delete', old.id, old.filename, old.content, old.extracted_fields);
+        INSERT INTO documents_fts(rowid, filename, content, extracted_fields)
+        VALUES (new.id, new.filename, new.content, new.extracted_fields);
+    END`);
+    // Index documents stored before the search index existed.
+    const { indexed } = await dbGet("SELECT COUNT(*) AS indexed FROM documents_fts_docsize");
+    const { stored } = await dbGet("SELECT COUNT(*) AS stored FROM documents");
+    if (indexed !== stored) {
+        await dbRun("INSERT INTO documents_fts(documents_fts) VALUES ('rebuild')");
+    }
+
+    // Background batch jobs. Each uploaded file is one job item; its bytes are kept
+    // until it is analyzed successfully so failed items can be retried.
+    await dbRun(`CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        engine TEXT,
+        workspace_id INTEGER,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await ensureColumn('jobs', 'workspace_id', 'INTEGER');
+    await ensureColumn('jobs', 'created_by', 'INTEGER');
+    await ensureColumn('jobs', 'locale', 'TEXT');
+    await dbRun(`CREATE TABLE IF NOT EXISTS job_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER NOT NULL REFERENCES jobs(id),
+        filename TEXT,
+        file BLOB,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        document_id INTEGER,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await ensureColumn('job_items', 'mimetype', 'TEXT');
+    await dbRun("CREATE INDEX IF NOT EXISTS idx_job_items_status ON job_items (status, id)");
+
+    // Outbound webhooks. Every event a subscription matches becomes a delivery row that
+    // the dispatcher sends (and retries) until it succeeds or runs out of attempts.
+    await dbRun(`CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        doc_types TEXT NOT NULL DEFAULT '[]',
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await dbRun(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id),
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER,
+        response_status INTEGER,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await dbRun("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)");
+    await dbRun("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id)");
+
+    // Trained document-type classifiers; the artifacts themselves live in MODEL_DIR.
+    await dbRun(`CREATE TABLE IF NOT EXISTS model_versions (
+        version INTEGER PRIMARY KEY AUTOINCREMENT,
+        classes TEXT NOT NULL,
+        metrics TEXT NOT NULL,
+        document_count INTEGER NOT NULL,
+        confirmed_count INTEGER NOT NULL,
+        trained_by INTEGER,
+        active INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    // JSON array of the workspace ids whose documents trained the version.
+    await ensureColumn('model_versions', 'workspaces', 'TEXT');
+    // JSON object counting the documents of those workspaces left out, by reason.
+    await ensureColumn('model_versions', 'excluded', 'TEXT');
+
+    await dbRun(`CREATE TABLE IF NOT EXISTS doc_schemas (
+        name TEXT PRIMARY KEY,
+        definition TEXT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+// Resolves once every table exists; anything touching the database should await it.
+export const dbReady = initSchema().catch((err) => {
+    console.error("Error initializing database schema", err.message);
+    throw err;
+});
@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import { dbReady, dbAll, dbGet, dbRun } from './db.js';
+import { getSchema } from './schemas/index.js';
+
+// --- Duplicate Detection ---
+// A new upload is compared with the documents already in its workspace:
+//   identical_file   same bytes (file_sha256)
+//   identical_text   same extracted text once case and whitespace are ignored
+//   similar_text     SimHash of the text within DUPLICATE_SIMHASH_DISTANCE bits
+//   matching_fields  every field of the type's `duplicateKey` (for invoices: number,
+//                    vendor and amount) has the same normalized value
+// Matches are stored in `document_duplicates` so the history can flag them.
+
+const MAX_DISTANCE = parseInt(process.env.DUPLICATE_SIMHASH_DISTANCE, 10) || 3;
+
+// In shorter texts one edited word moves the hash as far as a different document
+// from the same template does; those are left to the exact and field checks.
+const MIN_WORDS = 50;
+
+// Only the most recent documents of a type are compared field by field.
+const FIELD_CANDIDATE_LIMIT = 1000;
+
+const MAX_RESULTS = 10;
+
+const REASON_ORDER = ['identical_file', 'identical_text', 'matching_fields', 'similar_text'];
+
+// --- Fingerprints ---
+
+function words(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+export function contentHash(text) {
+    return crypto.createHash('sha256').update(words(text).join(' ')).digest('hex');
+}
+
+/**
+ * 64-bit SimHash over word 3-shingles, as 16 hex digits, or null for short texts.
+ * Near-identical texts get hashes that differ in only a few bits.
+ */
+export function simHash(text) {
+    const tokens = words(text);
+    if (tokens.length < MIN_WORDS) return null;
+
+    const counts = new Array(64).fill(0);
+    for (let i = 0; i + 3 <= tokens.length; i++) {
+        const digest = crypto.createHash('md5').update(tokens.slice(i, i + 3).join(' ')).digest();
+        for (let bit = 0; bit < 64; bit++) {
+            counts[bit] += (digest[bit >> 3] >> (bit & 7)) & 1 ? 1 : -1;
+        }
+    }
+    const bytes = Buffer.alloc(8);
+    counts.forEach((count, bit) => {
+        if (count > 0) bytes[bit >> 3] |= 1 << (bit & 7);
+    });
+    return bytes.toString('hex');
+}
+
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i += 8) {
+        let diff = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+        while (diff) {
+            diff &= diff - 1;
+            distance++;
+        }
+    }
+    return distance;
+}
+
+// Share of matching SimHash bits, or null when either text was too short to hash.
+function textSimilarity(a, b) {
+    if (!a || !b) return null;
+    return Math.round((1 - hammingDistance(a, b) / 64) * 1000) / 1000;
+}
+
+export function fingerprint(text) {
+    return { contentHash: contentHash(text), simhash: simHash(text) };
+}
+
+// --- Matching ---
+
+// Normalized values compared loosely: amounts by value, parties by name, text by letters and digits.
+function comparable(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object' && 'amount' in value) return value.amount.toFixed(2);
+    const text = typeof value === 'object' ? value.name : String(value);
+    return text ? text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim() || null : null;
+}
+
+function sameFields(keyFields, a, b) {
+    return keyFields.every(field => comparable(a[field]) !== null && comparable(a[field]) === comparable(b[field]));
+}
+
+/**
+ * Documents in the workspace that `document` may duplicate, strongest match first:
+ * [{ id, filename, docType, analyzedAt, reasons, similarity, matchedFields }], where
+ * `similarity` (0-1) compares the texts and is null when either is too short to tell.
+ * `document` is { id, workspaceId, docType, fileSha256, contentHash, simhash, normalizedFields }.
+ */
+export async function findPossibleDuplicates(document) {
+    await dbReady;
+    const matches = new Map();
+    const add = (row, reason, extra = {}) => {
+        const match = matches.get(row.id) || {
+            id: row.id,
+            filename: row.filename,
+            docType: row.doc_type,
+            analyzedAt: row.analyzed_at,
+            reasons: [],
+            similarity: textSimilarity(document.simhash, row.simhash)
+        };
+        if (!match.reasons.includes(reason)) match.reasons.push(reason);
+        matches.set(row.id, Object.assign(match, extra));
+    };
+
+    const exact = await dbAll(
+        `SELECT id, filename, doc_type, analyzed_at, file_sha256, content_hash, simhash FROM documents
+         WHERE workspace_id IS ? AND id != ? AND (file_sha256 = ? OR content_hash = ?)`,
+        [document.workspaceId, document.id ?? -1, document.fileSha256 ?? '', document.contentHash ?? '']
+    );
+    for (const row of exact) {
+        if (document.fileSha256 && row.file_sha256 === document.fileSha256) add(row, 'identical_file');
+        if (document.contentHash && row.content_hash === document.contentHash) add(row, 'identical_text', { similarity: 1 });
+    }
+
+    if (document.simhash) {
+        const candidates = await dbAll(
+            `SELECT id, filename, doc_type, analyzed_at, simhash FROM documents
+             WHERE workspace_id IS ? AND id != ? AND simhash IS NOT NULL`,
+            [document.workspaceId, document.id ?? -1]
+        );
+        for (const row of candidates) {
+            if (hammingDistance(document.simhash, row.simhash) <= MAX_DISTANCE && !matches.get(row.id)?.reasons.includes('identical_text')) {
+                add(row, 'similar_text');
+            }
+        }
+    }
+
+    const keyFields = getSchema(document.docType)?.definition.duplicateKey || [];
+    const fields = document.normalizedFields || {};
+    if (keyFields.length > 0 && keyFields.every(field => comparable(fields[field]) !== null)) {
+        const candidates = await dbAll(
+            `SELECT id, filename, doc_type, analyzed_at, simhash, normalized_fields FROM documents
+             WHERE workspace_id IS ? AND id != ? AND doc_type = ?
+             ORDER BY id DESC LIMIT ?`,
+            [document.workspaceId, document.id ?? -1, document.docType, FIELD_CANDIDATE_LIMIT]
+        );
+        for (const row of candidates) {
+            if (sameFields(keyFields, fields, JSON.parse(row.normalized_fields || '{}'))) {
+                add(row, 'matching_fields', { matchedFields: keyFields });
+            }
+        }
+    }
+
+    const strength = match => Math.min(...match.reasons.map(reason => REASON_ORDER.indexOf(reason)));
+    return [...matches.values()]
+        .sort((a, b) => strength(a) - strength(b) || (b.similarity ?? 0) - (a.similarity ?? 0) || b.id - a.id)
+        .slice(0, MAX_RESULTS);
+}
+
+/** Links a newly stored document to the earlier documents it may duplicate. */
+export async function recordDuplicates(documentId, duplicates) {
+    for (const duplicate of duplicates) {
+        await dbRun(
+            "INSERT OR REPLACE INTO document_duplicates (document_id, duplicate_of, reasons, similarity) VALUES (?, ?, ?, ?)",
+            [documentId, duplicate.id, JSON.stringify(duplicate.reasons), duplicate.similarity]
+        );
+    }
+}
+
+/**
+ * Both directions of a document's duplicate links: the earlier documents it may
+ * duplicate (`duplicateOf`) and later uploads that may duplicate it (`duplicatedBy`).
+ * Resolves to null when the document is not in the workspace.
+ */
+export async function listDuplicates(documentId, workspaceId = null) {
+    await dbReady;
+    const document = await dbGet(
+        "SELECT id FROM documents WHERE id = ? AND (? IS NULL OR workspace_id = ?)",
+        [documentId, workspaceId, workspaceId]
+    );
+    if (!document) return null;
+
+    const query = (column, other) => dbAll(
+        `SELECT d.id, d.filename, d.doc_type, d.analyzed_at, l.reasons, l.similarity
+         FROM document_duplicates l JOIN documents d ON d.id = l.${other}
+         WHERE l.${column} = ? ORDER BY d.id`,
+        [document.id]
+    );
+    const toEntry = row => ({
+        id: row.id,
+        filename: row.filename,
+        docType: row.doc_type,
+        analyzedAt: row.analyzed_at,
+        reasons: JSON.parse(row.reasons),
+        similarity: row.similarity
+    });
+    return {
+        duplicateOf: (await query('document_id', 'duplicate_of')).map(toEntry),
+        duplicatedBy: (await query('duplicate_of', 'document_id')).map(toEntry)
+    };
+}
+
+// Fingerprints documents stored before duplicate detection existed.
+export async function initDuplicates() {
+    await dbReady;
+    const rows = await dbAll("SELECT id, content FROM documents WHERE content_hash IS NULL");
+    for (const row of rows) {
+        const { contentHash: hash, simhash } = fingerprint(row.content);
+        await dbRun("UPDATE documents SET content_hash = ?, simhash = ? WHERE id = ?", [hash, simhash, row.id]);
+    }
+    if (rows.length > 0) console.log(`Fingerprinted ${rows.length} stored document(s) for duplicate detection.`);
+}
@@ -0,0 +1,158 @@
+// --- Typed Field Normalization ---
+// Turns the raw strings produced by extraction into typed values according to the
+// field's schema type. Every normalizer returns `null` when the raw value cannot be
+// interpreted, which the validation step reports as an `invalid_value` warning.
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'INR', 'AUD', 'CAD', 'SGD', 'JPY', 'CHF', 'CNY', 'AED'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Month names of the supported languages (see locale.js), accents removed, January first.
+const MONTH_NAMES = [
+    ['january', 'januar', 'janvier', 'enero', 'जनवरी'],
+    ['february', 'februar', 'fevrier', 'febrero', 'फ़रवरी', 'फरवरी'],
+    ['march', 'marz', 'mars', 'marzo', 'मार्च'],
+    ['april', 'avril', 'abril', 'अप्रैल'],
+    ['may', 'mai', 'mayo', 'मई'],
+    ['june', 'juni', 'juin', 'junio', 'जून'],
+    ['july', 'juli', 'juillet', 'julio', 'जुलाई'],
+    ['august', 'aout', 'agosto', 'अगस्त'],
+    ['september', 'septembre', 'septiembre', 'setiembre', 'सितंबर', 'सितम्बर'],
+    ['october', 'oktober', 'octobre', 'octubre', 'अक्टूबर'],
+    ['november', 'novembre', 'noviembre', 'नवंबर', 'नवम्बर'],
+    ['december', 'dezember', 'decembre', 'diciembre', 'दिसंबर', 'दिसम्बर']
+];
+
+// A number with optional grouping: "1,234.50", "1.234,50", "1 234,50", "1'234.50", "1,23,456".
+// A space only groups when three digits follow it.
+const NUMBER_PATTERN = /-?\d+(?:(?:[.,']|[ \u00a0\u202f](?=\d{3}(?!\d)))\d+)*/;
+
+/**
+ * Reads the first number in `raw`, with `decimal` ('.' or ',') as the locale's decimal
+ * separator. When both '.' and ',' occur the last one is the decimal separator, and a
+ * single separator followed by other than three digits is one too, so "€1.234,50" and
+ * "$1,234.50" read the same under any locale; only "1.234" or "1,234" depend on it.
+ * Returns null when there is no number.
+ */
+export function parseNumber(raw, { decimal = '.' } = {}) {
+    const match = NUMBER_PATTERN.exec(String(raw));
+    if (!match) return null;
+    const value = match[0].replace(/[ '\u00a0\u202f]/g, '');
+    const separators = [...new Set(value.match(/[.,]/g) || [])];
+    let decimalMark = null;
+    if (separators.length === 2) {
+        decimalMark = value[Math.max(value.lastIndexOf('.'), value.lastIndexOf(','))];
+    } else if (separators.length === 1 && value.split(separators[0]).length === 2) {
+        const digitsAfter = value.length - value.indexOf(separators[0]) - 1;
+        decimalMark = digitsAfter !== 3 || separators[0] === decimal ? separators[0] : null;
+    }
+    const [whole, fraction] = decimalMark ? [value.slice(0, value.lastIndexOf(decimalMark)), value.slice(value.lastIndexOf(decimalMark) + 1)] : [value, ''];
+    const number = parseFloat(`${whole.replace(/[.,]/g, '')}${fraction ? `.${fraction}` : ''}`);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * `context` is the full text the value was matched in (e.g. "Total Due: $55.00"),
+ * used to find a currency symbol that sits outside the captured number. `decimal`
+ * is the locale's decimal separator (see parseNumber).
+ */
+export function normalizeMoney(raw, context = '', { decimal = '.' } = {}) {
+    const amount = parseNumber(raw, { decimal });
+    if (amount === null) return null;
+
+    const haystack = `${context} ${raw}`;
+    let currency = null;
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find(sym => haystack.includes(sym));
+    if (symbol) {
+        currency = CURRENCY_SYMBOLS[symbol];
+    } else if (/\bRs\.?\s*\d/i.test(haystack)) {
+        currency = 'INR';
+    } else {
+        const code = new RegExp(`\\b(${CURRENCY_CODES.join('|')})\\b`, 'i').exec(haystack);
+        if (code) currency = code[1].toUpperCase();
+    }
+    return { amount, currency };
+}
+
+function toIsoDate(year, month, day) {
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+// A month name in any supported language, or an unambiguous abbreviation of one ("Sept", "févr").
+function monthIndex(name) {
+    const key = name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\.$/, '');
+    const exact = MONTH_NAMES.findIndex(names => names.includes(key));
+    if (exact !== -1) return exact + 1;
+    if (key.length < 3) return null;
+    const english = MONTHS.indexOf(key.slice(0, 3));
+    if (english !== -1 && MONTH_NAMES[english][0].startsWith(key)) return english + 1;
+    const prefixed = MONTH_NAMES
+        .map((names, index) => (names.some(candidate => candidate.startsWith(key)) ? index + 1 : null))
+        .filter(Boolean);
+    return prefixed.length === 1 ? prefixed[0] : null;
+}
+
+/**
+ * Parses the date formats the extraction patterns recognize into YYYY-MM-DD,
+ * including month names in the supported languages ("15. März 2024", "1er mars
+ * 2024", "15 de marzo de 2024"). Purely numeric dates are read month-first
+ * (`dateOrder: 'MDY'`) unless told otherwise or unless the first number cannot be
+ * a month.
+ */
+export function normalizeDate(raw, { dateOrder = 'MDY' } = {}) {
+    const value = raw.trim().replace(/\s+/g, ' ');
+    let match;
+
+    if ((match = /^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})$/.exec(value))) {
+        return toIsoDate(+match[1], +match[2], +match[3]);
+    }
+    if ((match = /^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2,4})$/.exec(value))) {
+        const [first, second, year] = [+match[1], +match[2], +match[3]];
+        const dayFirst = first > 12 || (dateOrder === 'DMY' && second <= 12);
+        return dayFirst ? toIsoDate(year, second, first) : toIsoDate(year, first, second);
+    }
+    if ((match = /^([\p{L}\p{M}]+)\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})$/iu.exec(value))) {
+        const month = monthIndex(match[1]);
+        return month ? toIsoDate(+match[3], month, +match[2]) : null;
+    }
+    if ((match = /^(\d{1,2})(?:st|nd|rd|th|er|\.)?(?: de)?[ -]([\p{L}\p{M}]+\.?)(?: de)?,?[ -](\d{2,4})$/iu.exec(value))) {
+        const month = monthIndex(match[2]);
+        return month ? toIsoDate(+match[3], month, +match[1]) : null;
+    }
+    return null;
+}
+
+// A party is a name optionally followed by an address, separated by a comma or newline.
+export function normalizeParty(raw) {
+    const value = raw.trim();
+    if (!value) return null;
+    const [name, ...rest] = value.split(/\s*[,\n]\s*/);
+    return { name, address: rest.length > 0 ? rest.join(', ') : null };
+}
+
+export function normalizeIdentifier(raw) {
+    const value = raw.trim().replace(/[.,;:]+$/, '').toUpperCase();
+    return value || null;
+}
+
+export function normalizeField(type, raw, { context, dateOrder, decimal } = {}) {
+    if (typeof raw !== 'string' || raw.trim() === '') return null;
+    switch (type) {
+        case 'money':
+            return normalizeMoney(raw, context, { decimal });
+        case 'date':
+            return normalizeDate(raw, { dateOrder });
+        case 'party':
+            return normalizeParty(raw);
+        case 'identifier':
+            return normalizeIdentifier(raw);
+        default:
+            return raw.trim();
+    }
+}
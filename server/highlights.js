@@ -0,0 +1,133 @@
+import { getSchema } from './schemas/index.js';
+
+// --- Match Highlights ---
+// Records where each extracted field value and classifier keyword occurs, as
+// character offsets into the stored text and, for PDFs with a text layer, as boxes
+// on the page ({ page, x, y, width, height } in PDF points, y being the baseline).
+// The frontend draws these over the rendered PDF or the extracted text.
+
+const MAX_HITS_PER_KEYWORD = 20;
+
+// How far ahead to look when the stored text and the PDF text items disagree
+// (formatExtractedText drops a few stray characters).
+const ALIGN_LOOKAHEAD = 40;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Finds `value` in `text` at or after `from`, letting any run of whitespace in the
+// value match any run of whitespace (extracted values are whitespace-collapsed).
+function locateValue(text, value, from = 0) {
+    const tokens = String(value).trim().split(/\s+/).filter(Boolean).map(escapeRegExp);
+    if (tokens.length === 0) return null;
+    const pattern = new RegExp(tokens.join('\\s+'), 'gi');
+    pattern.lastIndex = from;
+    const match = pattern.exec(text);
+    return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+function findFieldRanges(text, schema, extractedFields) {
+    const ranges = [];
+    for (const [name, value] of Object.entries(extractedFields || {})) {
+        if (value === null || value === undefined || value === '') continue;
+        // Prefer the occurrence right after the field's label.
+        const labelMatch = schema?.fields[name]?.extract?.exec(text);
+        const range = (labelMatch && locateValue(text, value, labelMatch.index)) || locateValue(text, value);
+        if (range) {
+            ranges.push({ kind: 'field', name, ...range });
+        }
+    }
+    return ranges;
+}
+
+function findKeywordRanges(text, schema) {
+    const ranges = [];
+    for (const cue of schema?.classifier || []) {
+        const pattern = new RegExp(cue.source, 'gi');
+        let match;
+        let hits = 0;
+        while (hits < MAX_HITS_PER_KEYWORD && (match = pattern.exec(text))) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            ranges.push({ kind: 'keyword', name: match[0], start: match.index, end: match.index + match[0].length });
+            hits++;
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Maps every non-whitespace character of `text` to the layout item (and character
+ * within it) it came from. Both sides are walked in order, ignoring whitespace,
+ * since the stored text is the layout text with its spacing reformatted.
+ */
+function alignTextToLayout(text, layout) {
+    const layoutChars = [];
+    layout.forEach((item, itemIndex) => {
+        for (let offset = 0; offset < item.str.length; offset++) {
+            if (!/\s/.test(item.str[offset])) {
+                layoutChars.push({ char: item.str[offset], itemIndex, offset });
+            }
+        }
+    });
+
+    const mapping = new Array(text.length).fill(null);
+    let cursor = 0;
+    for (let i = 0; i < text.length && cursor < layoutChars.length; i++) {
+        if (/\s/.test(text[i])) continue;
+        const limit = Math.min(cursor + ALIGN_LOOKAHEAD, layoutChars.length);
+        for (let j = cursor; j < limit; j++) {
+            if (layoutChars[j].char === text[i]) {
+                mapping[i] = layoutChars[j];
+                cursor = j + 1;
+                break;
+            }
+        }
+    }
+    return mapping;
+}
+
+// One box per layout item the range touches, clipped to the covered characters.
+function rangeToBoxes(range, mapping, layout) {
+    const spans = new Map();
+    for (let i = range.start; i < range.end; i++) {
+        const mapped = mapping[i];
+        if (!mapped) continue;
+        const span = spans.get(mapped.itemIndex);
+        if (span) {
+            span.first = Math.min(span.first, mapped.offset);
+            span.last = Math.max(span.last, mapped.offset);
+        } else {
+            spans.set(mapped.itemIndex, { first: mapped.offset, last: mapped.offset });
+        }
+    }
+
+    return [...spans].map(([itemIndex, { first, last }]) => {
+        const item = layout[itemIndex];
+        const charWidth = item.str.length > 0 ? item.width / item.str.length : 0;
+        const round = value => Math.round(value * 100) / 100;
+        return {
+            page: item.page,
+            x: round(item.x + charWidth * first),
+            y: round(item.y),
+            width: round(charWidth * (last - first + 1)),
+            height: round(item.height)
+        };
+    });
+}
+
+/**
+ * Returns a list of { kind: 'field' | 'keyword', name, start, end, boxes }
+ * ordered by position. `boxes` is empty when there is no PDF layout.
+ */
+export function findHighlights(text, { docType, extractedFields, layout = null, language }) {
+    const schema = getSchema(docType, language);
+    const ranges = [...findFieldRanges(text, schema, extractedFields), ...findKeywordRanges(text, schema)]
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const mapping = layout && layout.length > 0 ? alignTextToLayout(text, layout) : null;
+    return ranges.map(range => ({ ...range, boxes: mapping ? rangeToBoxes(range, mapping, layout) : [] }));
+}
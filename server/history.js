@@ -0,0 +1,392 @@
+import { dbReady, dbAll, dbGet, dbRun } from './db.js';
+import { readStoredFile, removeStoredFile } from './storage.js';
+import { FORMAT_MIMETYPES } from './ingestion.js';
+import { recordAudit } from './audit.js';
+
+// --- Analysis History Queries ---
+
+export const HISTORY_SORT_COLUMNS = {
+    analyzedAt: 'd.analyzed_at',
+    filename: 'd.filename COLLATE NOCASE',
+    docType: 'd.doc_type',
+    confidence: 'd.confidence',
+    riskScore: 'd.risk_score',
+    relevance: 'rank'
+};
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// How a document reached us: the upload form, a batch, a watched folder, a mailbox or
+// the command line (see cli/).
+export const DOCUMENT_SOURCES = ['upload', 'batch', 'folder', 'email', 'cli'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+export class HistoryQueryError extends Error {}
+
+const JSON_COLUMNS = {
+    missing_fields: '[]',
+    recommendations: '[]',
+    extracted_fields: '{}',
+    normalized_fields: '{}',
+    line_items: '[]',
+    warnings: '[]',
+    highlights: '[]',
+    clauses: '[]',
+    risks: '[]',
+    pii: '[]'
+};
+
+// Parses the JSON-encoded columns of a `documents` row in place.
+export function parseDocumentRow(row) {
+    for (const [column, fallback] of Object.entries(JSON_COLUMNS)) {
+        if (column in row) {
+            row[column] = JSON.parse(row[column] || fallback);
+        }
+    }
+    return row;
+}
+
+// --- API Representations ---
+// Rows keep their column names inside the server; the API shows documents in camelCase.
+
+/** A parsed `documents` row (see getDocument) as the API's Document resource. */
+export function toDocumentResource(row) {
+    return {
+        id: row.id,
+        filename: row.filename,
+        docType: row.doc_type,
+        confidence: row.confidence,
+        classifier: row.classifier,
+        engine: row.engine,
+        language: row.language,
+        locale: row.locale,
+        sourceFormat: row.source_format,
+        extractionMethod: row.extraction_method,
+        fileSize: row.file_size,
+        // False for documents analyzed before originals were kept and once purged;
+        // restricted originals are served to analysts only (see GET /history/:id/file).
+        originalAvailable: Boolean(row.file_sha256 && !row.content_purged_at),
+        originalRestricted: isOriginalRestricted(row),
+        text: row.content,
+        extractedFields: row.extracted_fields,
+        normalizedFields: row.normalized_fields,
+        missingFields: row.missing_fields,
+        recommendations: row.recommendations,
+        warnings: row.warnings,
+        lineItems: row.line_items,
+        highlights: row.highlights,
+        clauses: row.clauses,
+        risks: row.risks,
+        riskScore: row.risk_score,
+        version: row.version,
+        versionGroup: row.version_group,
+        reviewStatus: row.review_status,
+        reviewedBy: row.reviewed_by,
+        reviewedAt: row.reviewed_at,
+        uploadedBy: row.uploaded_by,
+        source: row.source,
+        sender: row.sender,
+        // Where personal data is, never what it was (see GET /history/:id/pii).
+        pii: row.pii.map(({ type, start, end }) => ({ type, start, end })),
+        piiPolicy: row.pii_policy,
+        contentPurgedAt: row.content_purged_at,
+        // Set for the documents a multi-document PDF was split into (see splitting.js).
+        uploadId: row.upload_id,
+        pageStart: row.page_start,
+        pageEnd: row.page_end,
+        splitReason: row.split_reason,
+        analyzedAt: row.analyzed_at
+    };
+}
+
+/**
+ * The Analysis resource answering an upload: the stored document (`row`) plus what
+ * processDocument only knew at analysis time (`result`).
+ */
+export function toAnalysisResource(row, result) {
+    return {
+        ...toDocumentResource(row),
+        probabilities: result.docType.probabilities,
+        languageConfidence: result.languageConfidence,
+        possibleDuplicates: result.possibleDuplicates,
+        fallbackReason: result.fallbackReason || null,
+        parts: result.parts
+    };
+}
+
+function toDocumentSummary(row) {
+    return {
+        id: row.id,
+        filename: row.filename,
+        docType: row.doc_type,
+        confidence: row.confidence,
+        missingFields: row.missing_fields,
+        engine: row.engine,
+        language: row.language,
+        sourceFormat: row.source_format,
+        source: row.source,
+        sender: row.sender,
+        uploadId: row.upload_id,
+        pageStart: row.page_start,
+        pageEnd: row.page_end,
+        version: row.version,
+        versionGroup: row.version_group,
+        reviewStatus: row.review_status,
+        riskScore: row.risk_score,
+        duplicateCount: row.duplicate_count,
+        snippet: row.snippet,
+        analyzedAt: row.analyzed_at
+    };
+}
+
+function splitList(value) {
+    if (value === undefined || value === '') return [];
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseDateParam(value, name) {
+    if (value === undefined || value === '') return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new HistoryQueryError(`'${name}' must be a date in YYYY-MM-DD format.`);
+    }
+    return value;
+}
+
+function parsePositiveInt(value, name, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new HistoryQueryError(`'${name}' must be a positive integer.`);
+    }
+    return number;
+}
+
+// A null workspace means "every workspace" (local tooling); routes always pass one.
+function workspaceFilter(column, workspaceId) {
+    return { sql: `(? IS NULL OR ${column} = ?)`, values: [workspaceId ?? null, workspaceId ?? null] };
+}
+
+// Turns free text into an FTS5 query: every word must appear, as a word prefix.
+// Quoting each token keeps user input from being read as FTS5 query syntax.
+export function toFtsQuery(text) {
+    const tokens = String(text).match(/[\p{L}\p{N}_]+/gu) || [];
+    return tokens.map(token => `"${token}"*`).join(' ');
+}
+
+/**
+ * Searches stored analyses. Supported params (all optional):
+ *   q         full-text query over content, filename and extracted fields
+ *   type      document type, or a comma-separated list of types
+ *   from, to  analysis date range (YYYY-MM-DD, inclusive)
+ *   missing   field name(s) that must all be in missing_fields
+ *   review    review status (pending | approved | rejected), or a comma-separated list
+ *   source    upload | batch | folder | email, or a comma-separated list
+ *   sort      analyzedAt | filename | docType | confidence | riskScore | relevance (needs q)
+ *   order     asc | desc
+ *   page, pageSize
+ * Only documents in `workspaceId` are searched.
+ * Resolves to { items, total, page, pageSize }.
+ */
+export async function searchHistory(params = {}, { workspaceId = null } = {}) {
+    await dbReady;
+    const scope = workspaceFilter('d.workspace_id', workspaceId);
+    const where = [scope.sql];
+    const values = [...scope.values];
+    let from = 'documents d';
+    let snippet = 'NULL';
+
+    const ftsQuery = params.q ? toFtsQuery(params.q) : '';
+    if (ftsQuery) {
+        from = 'documents_fts JOIN documents d ON d.id = documents_fts.rowid';
+        where.push('documents_fts MATCH ?');
+        values.push(ftsQuery);
+        snippet = "snippet(documents_fts, 1, '[', ']', '…', 12)";
+    }
+
+    const types = splitList(params.type);
+    if (types.length > 0) {
+        where.push(`d.doc_type IN (${types.map(() => '?').join(', ')})`);
+        values.push(...types);
+    }
+
+    const fromDate = parseDateParam(params.from, 'from');
+    if (fromDate) {
+        where.push('d.analyzed_at >= ?');
+        values.push(fromDate);
+    }
+    const toDate = parseDateParam(params.to, 'to');
+    if (toDate) {
+        where.push("d.analyzed_at < date(?, '+1 day')");
+        values.push(toDate);
+    }
+
+    const statuses = splitList(params.review);
+    if (statuses.some(status => !REVIEW_STATUSES.includes(status))) {
+        throw new HistoryQueryError(`'review' must be one of: ${REVIEW_STATUSES.join(', ')}.`);
+    }
+    if (statuses.length > 0) {
+        where.push(`d.review_status IN (${statuses.map(() => '?').join(', ')})`);
+        values.push(...statuses);
+    }
+
+    const sources = splitList(params.source);
+    if (sources.some(source => !DOCUMENT_SOURCES.includes(source))) {
+        throw new HistoryQueryError(`'source' must be one of: ${DOCUMENT_SOURCES.join(', ')}.`);
+    }
+    if (sources.length > 0) {
+        where.push(`d.source IN (${sources.map(() => '?').join(', ')})`);
+        values.push(...sources);
+    }
+
+    if (params.duplicates !== undefined && params.duplicates !== '') {
+        if (params.duplicates !== 'true' && params.duplicates !== 'false') {
+            throw new HistoryQueryError("'duplicates' must be true or false.");
+        }
+        where.push(`${params.duplicates === 'true' ? '' : 'NOT '}EXISTS (SELECT 1 FROM document_duplicates l WHERE l.document_id = d.id)`);
+    }
+
+    for (const field of splitList(params.missing)) {
+        where.push("EXISTS (SELECT 1 FROM json_each(d.missing_fields) WHERE json_each.value = ?)");
+        values.push(field);
+    }
+
+    const sortKey = params.sort || (ftsQuery ? 'relevance' : 'analyzedAt');
+    if (!HISTORY_SORT_COLUMNS[sortKey] || (sortKey === 'relevance' && !ftsQuery)) {
+        throw new HistoryQueryError(`'sort' must be one of: ${Object.keys(HISTORY_SORT_COLUMNS).join(', ')} (relevance requires q).`);
+    }
+    const order = (params.order || (sortKey === 'relevance' || sortKey === 'filename' ? 'asc' : 'desc')).toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+        throw new HistoryQueryError("'order' must be asc or desc.");
+    }
+
+    const page = parsePositiveInt(params.page, 'page', 1);
+    const pageSize = Math.min(parsePositiveInt(params.pageSize, 'pageSize', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const { total } = await dbGet(`SELECT COUNT(*) AS total FROM ${from} ${whereSql}`, values);
+    const items = await dbAll(
+        `SELECT d.id, d.filename, d.doc_type, d.confidence, d.missing_fields, d.engine, d.source_format, d.version, d.version_group, d.review_status, d.analyzed_at, d.risk_score, d.language, d.source, d.sender,
+                d.upload_id, d.page_start, d.page_end,
+                (SELECT COUNT(*) FROM document_duplicates l WHERE l.document_id = d.id) AS duplicate_count,
+                ${snippet} AS snippet
+         FROM ${from} ${whereSql}
+         ORDER BY ${HISTORY_SORT_COLUMNS[sortKey]} ${order.toUpperCase()}, d.id DESC
+         LIMIT ? OFFSET ?`,
+        [...values, pageSize, (page - 1) * pageSize]
+    );
+
+    return { items: items.map(row => toDocumentSummary(parseDocumentRow(row))), total, page, pageSize };
+}
+
+/**
+ * Documents awaiting review, least confident classification first. Takes the same
+ * filters as searchHistory; `review` defaults to pending.
+ */
+export function getReviewQueue(params = {}, { workspaceId = null } = {}) {
+    return searchHistory({ ...params, review: params.review || 'pending', sort: 'confidence', order: 'asc' }, { workspaceId });
+}
+
+// Document types, missing fields, review statuses and sources present in the history, for filter chips.
+export async function getHistoryFacets(workspaceId = null) {
+    await dbReady;
+    const scope = workspaceFilter('workspace_id', workspaceId);
+    const types = await dbAll(
+        `SELECT doc_type AS value, COUNT(*) AS count FROM documents WHERE ${scope.sql} GROUP BY doc_type ORDER BY count DESC`,
+        scope.values
+    );
+    const missing = await dbAll(
+        `SELECT json_each.value AS value, COUNT(*) AS count
+         FROM documents, json_each(documents.missing_fields)
+         WHERE ${scope.sql}
+         GROUP BY json_each.value ORDER BY count DESC`,
+        scope.values
+    );
+    const review = await dbAll(
+        `SELECT review_status AS value, COUNT(*) AS count FROM documents WHERE ${scope.sql} GROUP BY review_status ORDER BY count DESC`,
+        scope.values
+    );
+    const sources = await dbAll(
+        `SELECT source AS value, COUNT(*) AS count FROM documents WHERE ${scope.sql} GROUP BY source ORDER BY count DESC`,
+        scope.values
+    );
+    return { types, missing, review, sources };
+}
+
+// Full rows for the documents a search matches, in search order, up to `limit`.
+export async function getMatchingDocuments(params, { workspaceId = null, limit }) {
+    const ids = [];
+    for (let page = 1; ids.length < limit; page++) {
+        const result = await searchHistory({ ...params, page, pageSize: MAX_PAGE_SIZE }, { workspaceId });
+        ids.push(...result.items.map(item => item.id));
+        if (page * MAX_PAGE_SIZE >= result.total) break;
+    }
+    const documents = [];
+    for (const id of ids.slice(0, limit)) {
+        documents.push(await getDocument(id, workspaceId));
+    }
+    return documents;
+}
+
+export async function getDocument(id, workspaceId = null) {
+    await dbReady;
+    const scope = workspaceFilter('workspace_id', workspaceId);
+    const row = await dbGet(`SELECT * FROM documents WHERE id = ? AND ${scope.sql}`, [id, ...scope.values]);
+    return row ? parseDocumentRow(row) : null;
+}
+
+// The original still holds the personal data that masking or encryption removed from
+// the stored text, so only those who may reveal it (analysts) may open it.
+export function isOriginalRestricted(row) {
+    return (row.pii_policy === 'mask' || row.pii_policy === 'encrypt') && row.pii.length > 0;
+}
+
+/**
+ * The original upload of a document, as { id, buffer, filename, contentType, restricted },
+ * or null when the document does not exist, was analyzed before originals were kept
+ * or has had its content purged. `restricted` as isOriginalRestricted says.
+ */
+export async function getDocumentFile(id, workspaceId = null) {
+    await dbReady;
+    const scope = workspaceFilter('workspace_id', workspaceId);
+    const row = await dbGet(`SELECT id, filename, source_format, file_sha256, content_purged_at, pii, pii_policy FROM documents WHERE id = ? AND ${scope.sql}`, [id, ...scope.values]);
+    if (!row?.file_sha256 || row.content_purged_at) return null;
+
+    const buffer = await readStoredFile(row.file_sha256);
+    if (!buffer) return null;
+    return {
+        id: row.id,
+        buffer,
+        filename: row.filename,
+        contentType: FORMAT_MIMETYPES[row.source_format] || 'application/octet-stream',
+        restricted: isOriginalRestricted(parseDocumentRow(row))
+    };
+}
+
+// `userId` is recorded as the deleting user in the audit log, which keeps the entry.
+export async function deleteDocument(id, workspaceId = null, { userId = null } = {}) {
+    await dbReady;
+    const scope = workspaceFilter('workspace_id', workspaceId);
+    const row = await dbGet(`SELECT id, filename, doc_type, workspace_id, file_sha256, upload_id FROM documents WHERE id = ? AND ${scope.sql}`, [id, ...scope.values]);
+    if (!row) return false;
+
+    await dbRun("DELETE FROM documents WHERE id = ?", [row.id]);
+    await dbRun("DELETE FROM document_duplicates WHERE document_id = ? OR duplicate_of = ?", [row.id, row.id]);
+    await recordAudit(row.id, {
+        workspaceId: row.workspace_id,
+        userId,
+        action: 'deleted',
+        changes: [{ field: 'document', from: `${row.filename} (${row.doc_type})`, to: null }]
+    });
+    if (row.file_sha256) await releaseStoredFile(row.file_sha256);
+    if (row.upload_id) await dbRun("DELETE FROM uploads WHERE id = ? AND NOT EXISTS (SELECT 1 FROM documents WHERE upload_id = ?)", [row.upload_id, row.upload_id]);
+    return true;
+}
+
+// Stored files are shared by identical uploads; drop one once no document whose
+// content is still kept refers to it.
+export async function releaseStoredFile(digest) {
+    const { count } = await dbGet("SELECT COUNT(*) AS count FROM documents WHERE file_sha256 = ? AND content_purged_at IS NULL", [digest]);
+    if (count === 0) await removeStoredFile(digest);
+}
@@ -0,0 +1,34 @@
+import fs from 'fs';
+import path from 'path';
+import hoodiecrow from 'hoodiecrow-imap';
+
+// --- Local IMAP Stand-in ---
+// A mailbox to point the IMAP connector at while testing:
+//   IMAP_STANDIN_DIR=./mail npm run imap-stand-in
+// then run the server with IMAP_HOST=localhost IMAP_PORT=1143 IMAP_SECURE=false and
+// the same IMAP_USER / IMAP_PASSWORD. Every .eml file in IMAP_STANDIN_DIR becomes an
+// unread INBOX message; more can be added while it runs with any client's APPEND.
+// Everything is kept in memory, so a restart serves the files as unread again.
+
+const PORT = parseInt(process.env.IMAP_STANDIN_PORT, 10) || 1143;
+const DIRECTORY = process.env.IMAP_STANDIN_DIR;
+const USER = process.env.IMAP_USER || 'connector';
+const PASSWORD = process.env.IMAP_PASSWORD || 'connector';
+
+const messages = DIRECTORY
+    ? fs.readdirSync(DIRECTORY)
+        .filter(name => name.toLowerCase().endsWith('.eml'))
+        .sort()
+        .map(name => ({ raw: fs.readFileSync(path.join(DIRECTORY, name), 'utf8'), flags: [] }))
+    : [];
+
+const server = hoodiecrow({
+    plugins: [],
+    users: { [USER]: { password: PASSWORD } },
+    storage: { INBOX: { messages } }
+});
+
+server.listen(PORT, () => {
+    console.log(`IMAP stand-in listening on localhost:${PORT} (user '${USER}') with ${messages.length} message(s).`);
+    if (!DIRECTORY) console.log('IMAP_STANDIN_DIR is not set; the mailbox starts empty.');
+});
@@ -0,0 +1,278 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { formatExtractedText } from './analysis.js';
+const require = createRequire(import.meta.url);
+// Patched import for pdf-parse to resolve module compatibility issues
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+
+// --- Multi-Format Ingestion ---
+// Detects the real format of an upload from its leading bytes (falling back to the
+// client-supplied MIME type and extension for text formats, which have no magic
+// number) and turns it into plain text for the analysis pipeline.
+
+export const SOURCE_FORMATS = ['pdf', 'docx', 'text', 'markdown', 'html', 'png', 'jpeg'];
+
+// Content type to serve each format with when the original file is downloaded.
+export const FORMAT_MIMETYPES = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    text: 'text/plain; charset=utf-8',
+    markdown: 'text/markdown; charset=utf-8',
+    html: 'text/plain; charset=utf-8',
+    png: 'image/png',
+    jpeg: 'image/jpeg'
+};
+
+export const ACCEPTED_EXTENSIONS = ['.pdf', '.docx', '.txt', '.md', '.html', '.htm', '.png', '.jpg', '.jpeg'];
+
+// Formats recognized by their leading bytes, with the extensions that declare them.
+const BINARY_FORMATS = { pdf: ['.pdf'], docx: ['.docx'], png: ['.png'], jpeg: ['.jpg', '.jpeg'] };
+
+// PDFs with fewer non-whitespace characters than this are treated as scans.
+const MIN_PDF_TEXT_CHARS = 25;
+
+export class UnsupportedFormatError extends Error {}
+
+export class EmptyDocumentError extends Error {}
+
+export class EncryptedDocumentError extends Error {}
+
+// The file claims a format (by its leading bytes, type or extension) but its
+// content cannot be parsed.
+export class CorruptDocumentError extends Error {}
+
+function startsWithBytes(buffer, bytes) {
+    return bytes.every((byte, i) => buffer[i] === byte);
+}
+
+function looksLikeText(buffer) {
+    const sample = buffer.subarray(0, 4096);
+    return !sample.includes(0);
+}
+
+/**
+ * Returns one of SOURCE_FORMATS for the uploaded file, or throws
+ * UnsupportedFormatError when the content is not something we can read.
+ */
+export function detectFormat(buffer, { mimetype = '', originalname = '' } = {}) {
+    if (startsWithBytes(buffer, [0x25, 0x50, 0x44, 0x46])) return 'pdf'; // %PDF
+    if (startsWithBytes(buffer, [0x89, 0x50, 0x4E, 0x47])) return 'png';
+    if (startsWithBytes(buffer, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+    if (startsWithBytes(buffer, [0x50, 0x4B, 0x03, 0x04])) {
+        // ZIP container; a Word document always has this part name in its directory.
+        if (buffer.includes('word/document.xml')) return 'docx';
+        throw new UnsupportedFormatError('ZIP archives are not supported by /analyze.');
+    }
+
+    if (!looksLikeText(buffer)) {
+        const declared = Object.entries(BINARY_FORMATS)
+            .find(([format, extensions]) => mimetype === FORMAT_MIMETYPES[format] || extensions.includes(path.extname(originalname).toLowerCase()));
+        if (declared) {
+            throw new CorruptDocumentError(`'${originalname}' is not a valid ${declared[0].toUpperCase()} file.`);
+        }
+        throw new UnsupportedFormatError(`Unsupported file type '${mimetype || path.extname(originalname) || 'unknown'}'.`);
+    }
+
+    const extension = path.extname(originalname).toLowerCase();
+    const head = buffer.subarray(0, 512).toString('utf8').trimStart().toLowerCase();
+    if (mimetype === 'text/html' || extension === '.html' || extension === '.htm' || head.startsWith('<!doctype html') || head.startsWith('<html')) {
+        return 'html';
+    }
+    if (mimetype === 'text/markdown' || extension === '.md' || extension === '.markdown') {
+        return 'markdown';
+    }
+    return 'text';
+}
+
+// --- Extractors ---
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+export function htmlToText(html) {
+    return html
+        .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|tr|table|section|article|header|footer)>/gi, '\n')
+        .replace(/<\/t[dh]>/gi, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#\d+|#x[\da-f]+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                // Outside Unicode, a lone surrogate or NUL: the replacement character, as browsers do.
+                const valid = value > 0 && value <= 0x10FFFF && (value < 0xD800 || value > 0xDFFF);
+                return valid ? String.fromCodePoint(value) : '\uFFFD';
+            }
+            return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+        });
+}
+
+function markdownToText(markdown) {
+    return markdown
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/(\*\*|__)(.*?)\1/g, '$2')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s*\|?[-:| ]+\|?\s*$/gm, '')
+        .replace(/\|/g, ' ');
+}
+
+let ocrWorkerPromise = null;
+
+function getOcrWorker() {
+    if (!ocrWorkerPromise) {
+        ocrWorkerPromise = (async () => {
+            const { createWorker } = await import('tesseract.js');
+            // Language data is read from a local directory so OCR works offline. By
+            // default it comes from the @tesseract.js-data/eng package.
+            const langPath = process.env.OCR_LANG_PATH
+                || path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+            return createWorker(process.env.OCR_LANGUAGE || 'eng', 1, { langPath, cacheMethod: 'none' });
+        })();
+        ocrWorkerPromise.catch(() => { ocrWorkerPromise = null; });
+    }
+    return ocrWorkerPromise;
+}
+
+// Stops the OCR worker so short-lived processes can exit.
+export async function terminateOcr() {
+    if (ocrWorkerPromise) {
+        const worker = await ocrWorkerPromise;
+        ocrWorkerPromise = null;
+        await worker.terminate();
+    }
+}
+
+export async function recognizeImage(buffer) {
+    const worker = await getOcrWorker();
+    const { data } = await worker.recognize(buffer);
+    return data.text;
+}
+
+/**
+ * Scanned PDFs usually carry each page as a single embedded JPEG (DCTDecode) image.
+ * Those streams are plain JPEG files, so they can be handed to OCR without a renderer.
+ */
+export function extractEmbeddedJpegs(buffer) {
+    const raw = buffer.toString('latin1');
+    const images = [];
+    let index = 0;
+    while ((index = raw.indexOf('stream', index)) !== -1) {
+        let start = index + 'stream'.length;
+        if (raw[start] === '\r') start++;
+        if (raw[start] === '\n') start++;
+        if (startsWithBytes(buffer.subarray(start), [0xFF, 0xD8, 0xFF])) {
+            const end = raw.indexOf('endstream', start);
+            if (end === -1) break;
+            images.push(buffer.subarray(start, end));
+            index = end + 'endstream'.length;
+        } else {
+            index = start;
+        }
+    }
+    return images;
+}
+
+// Text items whose baselines differ by less than this (in PDF points) share a line.
+export const SAME_LINE_TOLERANCE = 2;
+
+/**
+ * Page renderer for pdf-parse that also records every text item with its position,
+ * so table rows and columns can be recovered later, and each page's text, so
+ * multi-document PDFs can be split (see splitting.js). Items on the same line that
+ * are visibly apart are joined with a space instead of being glued together.
+ */
+function createLayoutRenderer(layout, pages) {
+    return async (pageData) => {
+        const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+        let text = '';
+        let last = null;
+        for (const item of textContent.items) {
+            const [, , , scaleY, x, y] = item.transform;
+            const entry = { page: pageData.pageNumber, str: item.str, x, y, width: item.width, height: item.height || Math.abs(scaleY) };
+            if (last && Math.abs(last.y - y) < SAME_LINE_TOLERANCE) {
+                text += (x - (last.x + last.width) > 1 ? ' ' : '') + item.str;
+            } else {
+                text += (last ? '\n' : '') + item.str;
+            }
+            layout.push(entry);
+            last = entry;
+        }
+        pages.push({ number: pageData.pageNumber, text });
+        return text;
+    };
+}
+
+async function extractPdf(buffer) {
+    const layout = [];
+    const pages = [];
+    let pdfData;
+    try {
+        pdfData = await pdf(buffer, { pagerender: createLayoutRenderer(layout, pages) });
+    } catch (error) {
+        // pdf.js reports missing passwords, but some encrypted files only fail to parse.
+        if (error?.name === 'PasswordException' || buffer.includes('/Encrypt')) {
+            throw new EncryptedDocumentError('The PDF is password-protected; upload an unencrypted copy.');
+        }
+        throw new CorruptDocumentError(`The PDF could not be read (${error?.message || 'invalid file'}).`);
+    }
+    if (pdfData.text.replace(/\s/g, '').length >= MIN_PDF_TEXT_CHARS) {
+        return { text: pdfData.text, extractionMethod: 'pdf-text', layout, pages };
+    }
+
+    // No usable text layer: OCR the page images (one per page in scans) instead.
+    const pageTexts = [];
+    for (const image of extractEmbeddedJpegs(buffer)) {
+        pageTexts.push(await recognizeImage(image));
+    }
+    return {
+        text: pageTexts.join('\n'),
+        extractionMethod: 'pdf-ocr',
+        pages: pageTexts.length === pdfData.numpages ? pageTexts.map((text, i) => ({ number: i + 1, text })) : null
+    };
+}
+
+/**
+ * Extracts plain text from an uploaded file.
+ * Resolves to { text, sourceFormat, extractionMethod, layout, pages }, where `layout`
+ * lists the positioned text items of PDFs with a text layer and `pages` the raw text
+ * of each PDF page ([{ number, text }]); both are `null` when not known.
+ */
+export async function extractText(buffer, fileInfo = {}) {
+    const sourceFormat = detectFormat(buffer, fileInfo);
+    let extracted;
+
+    switch (sourceFormat) {
+        case 'pdf':
+            extracted = await extractPdf(buffer);
+            break;
+        case 'docx': {
+            let value;
+            try {
+                ({ value } = await mammoth.extractRawText({ buffer }));
+            } catch (error) {
+                throw new CorruptDocumentError(`The Word document could not be read (${error.message}).`);
+            }
+            extracted = { text: value, extractionMethod: 'docx' };
+            break;
+        }
+        case 'html':
+            extracted = { text: htmlToText(buffer.toString('utf8')), extractionMethod: 'html' };
+            break;
+        case 'markdown':
+            extracted = { text: markdownToText(buffer.toString('utf8').replace(/^\uFEFF/, '')), extractionMethod: 'plain-text' };
+            break;
+        case 'text':
+            extracted = { text: buffer.toString('utf8').replace(/^\uFEFF/, ''), extractionMethod: 'plain-text' };
+            break;
+        case 'png':
+        case 'jpeg':
+            extracted = { text: await recognizeImage(buffer), extractionMethod: 'ocr' };
+            break;
+    }
+
+    const text = formatExtractedText(extracted.text);
+    if (!text) {
+        throw new EmptyDocumentError('No text could be extracted from the document.');
+    }
+    return { text, sourceFormat, extractionMethod: extracted.extractionMethod, layout: extracted.layout || null, pages: extracted.pages || null };
+}
@@ -0,0 +1,207 @@
+import { EventEmitter } from 'events';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { dbReady, dbRun, dbGet, dbAll } from './db.js';
+import { processDocument } from './pipeline.js';
+import { MAX_UPLOAD_BYTES, MAX_BATCH_FILES, MAX_BATCH_BYTES, BatchLimitError } from './upload.js';
+
+// --- Background Job Queue ---
+// Batches are persisted in the `jobs`/`job_items` tables and worked off one item at a
+// time by a single in-process worker, so a restart simply resumes where it stopped.
+// Progress is published on `jobEvents` ('item' and 'job' events keyed by job id) for
+// the Server-Sent Events endpoint.
+
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const ZIP_MAGIC = [0x50, 0x4B, 0x03, 0x04];
+
+let workerRunning = false;
+let wakeRequested = false;
+
+// The entries of `file` if it is a batch archive; null for any other file, DOCX
+// included: a Word document is a ZIP too, with [Content_Types].xml and a word/ folder
+// at its top level.
+function archiveEntries(file) {
+    if (!ZIP_MAGIC.every((byte, i) => file.buffer[i] === byte)) return null;
+    const entries = new AdmZip(file.buffer).getEntries();
+    const names = entries.map(entry => entry.entryName);
+    const isDocx = names.includes('[Content_Types].xml') && names.some(name => name.startsWith('word/'));
+    return isDocx ? null : entries;
+}
+
+/**
+ * Flattens uploaded files into the list of documents to analyze, expanding ZIP
+ * archives into their entries (skipping folders, hidden files and macOS metadata).
+ * Archive entries count against the upload limits like uploaded files: each entry's
+ * declared size is checked before it is inflated (adm-zip never inflates past it),
+ * and the batch may hold at most MAX_BATCH_FILES documents of MAX_BATCH_BYTES in
+ * all. Throws BatchLimitError otherwise.
+ */
+export function expandUploads(files) {
+    const documents = [];
+    let totalBytes = 0;
+    // `read` supplies the bytes, only once the limits allow them.
+    const add = ({ originalname, mimetype }, size, read) => {
+        if (documents.length >= MAX_BATCH_FILES) {
+            throw new BatchLimitError('too_many_files', `A batch may hold at most ${MAX_BATCH_FILES} files, counting the files inside ZIP archives.`);
+        }
+        if (size > MAX_UPLOAD_BYTES) {
+            throw new BatchLimitError('file_too_large', `'${originalname}' exceeds the ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB limit per file.`);
+        }
+        totalBytes += size;
+        if (totalBytes > MAX_BATCH_BYTES) {
+            throw new BatchLimitError('file_too_large', `A batch may hold at most ${Math.round(MAX_BATCH_BYTES / 1024 / 1024)} MB once its archives are expanded.`);
+        }
+        documents.push({ originalname, mimetype, buffer: read() });
+    };
+
+    for (const file of files) {
+        const entries = archiveEntries(file);
+        if (!entries) {
+            add(file, file.buffer.length, () => file.buffer);
+            continue;
+        }
+        for (const entry of entries) {
+            const basename = path.posix.basename(entry.entryName);
+            if (entry.isDirectory || basename.startsWith('.') || entry.entryName.startsWith('__MACOSX/')) continue;
+            add({ originalname: basename, mimetype: '' }, entry.header.size, () => entry.getData());
+        }
+    }
+    return documents;
+}
+
+export async function createJob(documents, { engine, locale = null, workspaceId = null, userId = null }) {
+    await dbReady;
+    const { lastID: jobId } = await dbRun("INSERT INTO jobs (engine, locale, workspace_id, created_by) VALUES (?, ?, ?, ?)", [engine, locale, workspaceId, userId]);
+    for (const doc of documents) {
+        await dbRun("INSERT INTO job_items (job_id, filename, mimetype, file) VALUES (?, ?, ?, ?)", [jobId, doc.originalname, doc.mimetype, doc.buffer]);
+    }
+    runWorker();
+    return getJob(jobId, workspaceId);
+}
+
+function summarize(items) {
+    const counts = { pending: 0, processing: 0, done: 0, failed: 0 };
+    for (const item of items) counts[item.status]++;
+
+    let status = 'completed';
+    if (counts.processing > 0 || (counts.pending > 0 && counts.pending < items.length)) status = 'processing';
+    else if (counts.pending > 0) status = 'queued';
+    else if (counts.failed > 0) status = 'completed_with_errors';
+
+    return { status, total: items.length, ...counts };
+}
+
+// `workspaceId` scopes lookups to one workspace; pass null for unscoped access.
+export async function getJob(jobId, workspaceId = null) {
+    const job = await dbGet(
+        "SELECT id, engine, locale, workspace_id, created_by, created_at FROM jobs WHERE id = ? AND (? IS NULL OR workspace_id = ?)",
+        [jobId, workspaceId, workspaceId]
+    );
+    if (!job) return null;
+
+    const rows = await dbAll(
+        `SELECT i.id, i.filename, i.status, i.attempts, i.error, i.document_id, i.updated_at,
+                d.doc_type, d.confidence, d.missing_fields
+         FROM job_items i LEFT JOIN documents d ON d.id = i.document_id
+         WHERE i.job_id = ? ORDER BY i.id`,
+        [jobId]
+    );
+    const items = rows.map(row => ({
+        id: row.id,
+        filename: row.filename,
+        status: row.status,
+        attempts: row.attempts,
+        error: row.error,
+        documentId: row.document_id,
+        docType: row.doc_type,
+        confidence: row.confidence,
+        missingFields: row.missing_fields ? JSON.parse(row.missing_fields) : null,
+        updatedAt: row.updated_at
+    }));
+    return {
+        id: job.id,
+        engine: job.engine,
+        locale: job.locale,
+        workspaceId: job.workspace_id,
+        createdBy: job.created_by,
+        createdAt: job.created_at,
+        ...summarize(items),
+        items
+    };
+}
+
+export async function listJobs(workspaceId = null) {
+    await dbReady;
+    const jobs = await dbAll("SELECT id FROM jobs WHERE (? IS NULL OR workspace_id = ?) ORDER BY id DESC LIMIT 50", [workspaceId, workspaceId]);
+    return Promise.all(jobs.map(async ({ id }) => {
+        const { items, ...job } = await getJob(id);
+        return job;
+    }));
+}
+
+/** Puts the failed items of a job back in the queue. Resolves to the number requeued. */
+export async function retryFailedItems(jobId) {
+    const { changes } = await dbRun(
+        "UPDATE job_items SET status = 'pending', error = NULL, updated_at = CURRENT_TIMESTAMP WHERE job_id = ? AND status = 'failed'",
+        [jobId]
+    );
+    if (changes > 0) {
+        jobEvents.emit('job', jobId);
+        runWorker();
+    }
+    return changes;
+}
+
+async function processItem(item) {
+    await dbRun("UPDATE job_items SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?", [item.id]);
+    jobEvents.emit('item', item.job_id, item.id);
+
+    try {
+        const result = await processDocument(
+            { originalname: item.filename, mimetype: item.mimetype, buffer: item.file },
+            { engine: item.engine, locale: item.locale, workspaceId: item.workspace_id, userId: item.created_by, source: 'batch' }
+        );
+        // The stored document now holds everything we need; drop the uploaded bytes.
+        await dbRun("UPDATE job_items SET status = 'done', document_id = ?, file = NULL, error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?", [result.id, item.id]);
+    } catch (error) {
+        console.error(`Batch item ${item.id} (${item.filename}) failed:`, error.message);
+        await dbRun("UPDATE job_items SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?", [error.message, item.id]);
+    }
+    jobEvents.emit('item', item.job_id, item.id);
+}
+
+/** Starts the worker loop unless it is already draining the queue. */
+export function runWorker() {
+    wakeRequested = true;
+    if (workerRunning) return;
+    workerRunning = true;
+
+    (async () => {
+        try {
+            // Items queued while the last query was in flight set wakeRequested again.
+            while (wakeRequested) {
+                wakeRequested = false;
+                let item;
+                while ((item = await dbGet(
+                    `SELECT i.*, j.engine, j.locale, j.workspace_id, j.created_by FROM job_items i JOIN jobs j ON j.id = i.job_id
+                     WHERE i.status = 'pending' ORDER BY i.id LIMIT 1`
+                ))) {
+                    await processItem(item);
+                }
+            }
+        } catch (error) {
+            console.error("Job worker error:", error);
+        } finally {
+            workerRunning = false;
+        }
+    })();
+}
+
+/** Requeues items interrupted by a shutdown and starts the worker. */
+export async function initJobQueue() {
+    await dbReady;
+    await dbRun("UPDATE job_items SET status = 'pending' WHERE status = 'processing'");
+    runWorker();
+}
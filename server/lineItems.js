@@ -0,0 +1,172 @@
+import { SAME_LINE_TOLERANCE } from './ingestion.js';
+import { parseNumber } from './fields.js';
+
+// --- Line-Item Table Extraction ---
+// Recovers the rows of an invoice's item table as
+// { description, quantity, unitPrice, tax, total }. For PDFs with a text layer the
+// positioned text items are grouped into rows and assigned to the columns found in
+// the header row; other sources fall back to parsing the lines of plain text.
+
+const COLUMN_PATTERNS = [
+    ['description', /^(description|item|items|product|service|services|particulars|details)\b/i],
+    // Checked before quantity so "Unit Price" is not read as a "Units" column.
+    ['unitPrice', /^(unit\s?price|unit\s?cost|rate|price)\b/i],
+    ['quantity', /^(qty|quantity|units?|hrs|hours)\b/i],
+    ['tax', /^(tax|vat|gst)\b/i],
+    ['total', /^(line\s?total|amount|total)\b/i]
+];
+
+// A row starting with one of these ends the table.
+const TABLE_END = /^(sub\s?-?total|total|tax|vat|gst|amount\s?due|balance|notes|terms)\b/i;
+
+const NUMBER = /^[$€£₹]?\s*-?\d[\d.,']*%?\s*[$€£₹]?$/;
+
+function cellNumber(value, decimal) {
+    if (value === undefined || value === null || value === '') return null;
+    return parseNumber(value, { decimal });
+}
+
+function columnFor(text) {
+    const entry = COLUMN_PATTERNS.find(([, pattern]) => pattern.test(text.trim()));
+    return entry ? entry[0] : null;
+}
+
+function toLineItem(cells, decimal) {
+    return {
+        description: cells.description?.trim() || null,
+        quantity: cellNumber(cells.quantity, decimal),
+        unitPrice: cellNumber(cells.unitPrice, decimal),
+        tax: cellNumber(cells.tax, decimal),
+        total: cellNumber(cells.total, decimal)
+    };
+}
+
+function groupIntoRows(items) {
+    const rows = [];
+    const sorted = items
+        .filter(item => item.str.trim() !== '')
+        .sort((a, b) => a.page - b.page || b.y - a.y || a.x - b.x);
+
+    for (const item of sorted) {
+        const row = rows[rows.length - 1];
+        if (row && row.page === item.page && Math.abs(row.y - item.y) < SAME_LINE_TOLERANCE) {
+            row.cells.push(item);
+        } else {
+            rows.push({ page: item.page, y: item.y, cells: [item] });
+        }
+    }
+    for (const row of rows) {
+        row.cells.sort((a, b) => a.x - b.x);
+    }
+    return rows;
+}
+
+/**
+ * Coordinate-based extraction. Needs a header row whose cells are separate text
+ * items, at least one of which is a description column and one a numeric column.
+ * `decimal` is the locale's decimal separator.
+ */
+export function extractLineItemsFromLayout(layout, { decimal = '.' } = {}) {
+    const rows = groupIntoRows(layout);
+    const headerIndex = rows.findIndex(row => {
+        const columns = row.cells.map(cell => columnFor(cell.str));
+        return columns.includes('description') && columns.filter(Boolean).length >= 3;
+    });
+    if (headerIndex === -1) return [];
+
+    const columns = rows[headerIndex].cells
+        .map(cell => ({ key: columnFor(cell.str), center: cell.x + cell.width / 2, start: cell.x }))
+        .filter(column => column.key);
+    const descriptionColumn = columns.find(column => column.key === 'description');
+
+    const lineItems = [];
+    for (const row of rows.slice(headerIndex + 1)) {
+        if (row.page !== rows[headerIndex].page || TABLE_END.test(row.cells[0].str.trim())) break;
+
+        const cells = {};
+        for (const cell of row.cells) {
+            // Text left of the first numeric column belongs to the description; numbers
+            // go to the column whose header they are centered closest to.
+            const center = cell.x + cell.width / 2;
+            const key = NUMBER.test(cell.str.trim())
+                ? columns.filter(column => column.key !== 'description')
+                    .reduce((best, column) => (Math.abs(column.center - center) < Math.abs(best.center - center) ? column : best)).key
+                : 'description';
+            cells[key] = cells[key] ? `${cells[key]} ${cell.str}` : cell.str;
+        }
+
+        const hasNumbers = Object.keys(cells).some(key => key !== 'description');
+        if (!hasNumbers) {
+            // A wrapped description line continues the previous item.
+            const previous = lineItems[lineItems.length - 1];
+            if (previous && cells.description && row.cells[0].x <= descriptionColumn.start + 50) {
+                previous.description = `${previous.description || ''} ${cells.description.trim()}`.trim();
+                continue;
+            }
+            break;
+        }
+        lineItems.push(toLineItem(cells, decimal));
+    }
+    return lineItems;
+}
+
+const TWO_WORD_LABELS = /^(unit\s?price|unit\s?cost|line\s?total)$/i;
+
+// Reads a header line left to right and returns its column keys in order.
+function headerColumns(line) {
+    const words = line.split(/\s+/);
+    const keys = [];
+    for (let i = 0; i < words.length; i++) {
+        let label = words[i];
+        if (i + 1 < words.length && TWO_WORD_LABELS.test(`${words[i]} ${words[i + 1]}`)) {
+            label = `${words[i]} ${words[++i]}`;
+        }
+        const key = columnFor(label);
+        if (key && !keys.includes(key)) keys.push(key);
+    }
+    return keys;
+}
+
+/**
+ * Text-based fallback: finds a header line and reads the following lines as
+ * "<description> <number> <number> ... <number>" until the table ends.
+ */
+export function extractLineItemsFromText(text, { decimal = '.' } = {}) {
+    const lines = text.split('\n').map(line => line.trim());
+    const headerIndex = lines.findIndex(line => {
+        const keys = headerColumns(line);
+        return keys[0] === 'description' && keys.length >= 3;
+    });
+    if (headerIndex === -1) return [];
+    const numericKeys = headerColumns(lines[headerIndex]).slice(1);
+
+    const lineItems = [];
+    for (const line of lines.slice(headerIndex + 1)) {
+        if (!line || TABLE_END.test(line)) break;
+        const tokens = line.split(/\s+/);
+        const numbers = [];
+        while (tokens.length > 1 && NUMBER.test(tokens[tokens.length - 1]) && numbers.length < numericKeys.length) {
+            numbers.unshift(tokens.pop());
+        }
+        if (numbers.length === 0) {
+            // A wrapped description line continues the previous item.
+            const previous = lineItems[lineItems.length - 1];
+            if (previous) {
+                previous.description = `${previous.description || ''} ${line}`.trim();
+                continue;
+            }
+            break;
+        }
+        // When a row has fewer numbers than columns, the leading columns are the empty ones.
+        const keys = numericKeys.slice(numericKeys.length - numbers.length);
+        const cells = { description: tokens.join(' ') };
+        keys.forEach((key, i) => { cells[key] = numbers[i]; });
+        lineItems.push(toLineItem(cells, decimal));
+    }
+    return lineItems;
+}
+
+export function extractLineItems({ text, layout, decimal = '.' }) {
+    const fromLayout = layout ? extractLineItemsFromLayout(layout, { decimal }) : [];
+    return fromLayout.length > 0 ? fromLayout : extractLineItemsFromText(text, { decimal });
+}
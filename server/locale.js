@@ -0,0 +1,88 @@
+// --- Languages and Locales ---
+// Detects the language of extracted text, so analysis uses the schema's language pack
+// for it (see schemas/index.js), and turns a locale (a BCP 47 tag such as 'de-DE' or
+// 'en-IN') into the conventions number and date parsing need. The locale of an
+// analysis is the one given with the upload, else the workspace's, else the usual
+// locale of the detected language.
+
+export const LANGUAGES = { en: 'English', hi: 'Hindi', de: 'German', fr: 'French', es: 'Spanish' };
+export const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_LOCALES = { en: 'en-US', hi: 'hi-IN', de: 'de-DE', fr: 'fr-FR', es: 'es-ES' };
+
+// Frequent function words and document vocabulary of each Latin-script language.
+const PROFILES = Object.fromEntries(Object.entries({
+    en: `the and of to is in for with this that on be by are shall will from not or as at any
+        invoice amount due date total payment agreement report tax party`,
+    de: `der die das und ist nicht mit von für zu den dem des ein eine einer auf im bei wird sind oder als
+        auch nach bis rechnung betrag datum gesamt zahlung vertrag bericht steuer mwst fällig`,
+    fr: `le la les et des du pour une est dans par sur au aux avec ce cette sont qui pas ou être sera
+        facture montant paiement contrat rapport tva échéance total`,
+    es: `el los las y del que para por con una en es se al su como este esta son o será
+        factura importe fecha pago contrato informe iva vencimiento`
+}).map(([language, words]) => [language, new Set(words.split(/\s+/).filter(Boolean))]));
+
+// Text is Hindi when this share of its letters are Devanagari.
+const MIN_DEVANAGARI_SHARE = 0.3;
+// Fewer profile words than this is no evidence either way.
+const MIN_EVIDENCE = 3;
+const SAMPLE_LENGTH = 20000;
+
+export class LocaleError extends Error {}
+
+/**
+ * The language of `text`: { language, confidence }, where language is a key of
+ * LANGUAGES and confidence the share of the evidence that points to it (0 when
+ * there is too little text to tell, in which case the language is English).
+ */
+export function detectLanguage(text) {
+    const sample = String(text || '').slice(0, SAMPLE_LENGTH);
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    const devanagari = (sample.match(/\p{Script=Devanagari}/gu) || []).filter(char => /\p{L}/u.test(char)).length;
+    if (letters > 0 && devanagari / letters >= MIN_DEVANAGARI_SHARE) {
+        return { language: 'hi', confidence: Math.round((devanagari / letters) * 100) / 100 };
+    }
+
+    const counts = Object.fromEntries(Object.keys(PROFILES).map(language => [language, 0]));
+    for (const word of sample.toLowerCase().match(/\p{L}+/gu) || []) {
+        for (const [language, profile] of Object.entries(PROFILES)) {
+            if (profile.has(word)) counts[language]++;
+        }
+    }
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total < MIN_EVIDENCE) return { language: DEFAULT_LANGUAGE, confidence: 0 };
+    const [language, count] = Object.entries(counts).reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    return { language, confidence: Math.round((count / total) * 100) / 100 };
+}
+
+/** The canonical form of a locale tag ('de-de' is 'de-DE'); null for none. Throws LocaleError. */
+export function canonicalLocale(value) {
+    if (value === undefined || value === null || value === '') return null;
+    let locale;
+    try {
+        [locale] = Intl.getCanonicalLocales(String(value).trim());
+    } catch {
+        throw new LocaleError(`'${value}' is not a valid locale tag (e.g. en-US, de-DE, hi-IN).`);
+    }
+    if (!locale || Intl.NumberFormat.supportedLocalesOf(locale).length === 0) {
+        throw new LocaleError(`Locale '${value}' is not supported.`);
+    }
+    return locale;
+}
+
+/**
+ * How `locale` writes numbers and dates: { locale, decimal, dateOrder }, decimal being
+ * '.' or ',' and dateOrder 'DMY' or 'MDY' (for numeric dates such as 03/04/2024).
+ */
+export function localeConventions(locale) {
+    const decimal = new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal')?.value === ',' ? ',' : '.';
+    const order = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'numeric', year: 'numeric', timeZone: 'UTC' })
+        .formatToParts(new Date(Date.UTC(2000, 10, 22)))
+        .map(part => part.type);
+    return { locale, decimal, dateOrder: order.indexOf('day') < order.indexOf('month') ? 'DMY' : 'MDY' };
+}
+
+/** The conventions for an analysis: of `locale` when one was chosen, else of the language's usual locale. */
+export function resolveLocale(locale, language) {
+    return localeConventions(locale || LANGUAGE_LOCALES[language] || LANGUAGE_LOCALES[DEFAULT_LANGUAGE]);
+}
@@ -0,0 +1,213 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { dbReady, dbRun, dbGet, dbAll } from './db.js';
+import { getSchemas } from './schemas/index.js';
+import { train, loadArtifact, predict, tokenize } from './classifier.js';
+import { detectPii, maskText } from './pii.js';
+
+// --- Trainable Document-Type Model ---
+// Retraining reads the stored analyses: documents a reviewer approved or whose type a
+// reviewer corrected count fully, other (non-rejected) documents count with a lower
+// weight. Every run writes a versioned artifact to MODEL_DIR and a `model_versions`
+// row with its evaluation metrics; one version is active and classifies new uploads.
+// The model serves every workspace but learns only from the workspaces it is given
+// (those of the operator retraining it), so no other workspace's documents feed it.
+// It learns from the stored text, whose personal data is masked under the mask and
+// encrypt policies, so it reads text with personal data masked, in training and when
+// classifying alike. Documents whose content retention has purged cannot be learnt
+// from; each version records how many documents were left out and why.
+
+const MODEL_DIR = path.resolve(process.env.MODEL_DIR || './models');
+const MIN_DOCUMENTS = parseInt(process.env.MODEL_MIN_DOCUMENTS, 10) || 10;
+const MAX_DOCUMENTS = parseInt(process.env.MODEL_MAX_DOCUMENTS, 10) || 5000;
+const UNREVIEWED_WEIGHT = process.env.MODEL_UNREVIEWED_WEIGHT !== undefined && process.env.MODEL_UNREVIEWED_WEIGHT !== ''
+    ? Number(process.env.MODEL_UNREVIEWED_WEIGHT)
+    : 0.3;
+// Below this top probability the model has not recognised a type: the document is 'Other'.
+const MIN_CONFIDENCE = process.env.MODEL_MIN_CONFIDENCE !== undefined && process.env.MODEL_MIN_CONFIDENCE !== ''
+    ? Number(process.env.MODEL_MIN_CONFIDENCE)
+    : 0.5;
+
+export class ModelTrainingError extends Error {}
+
+let activeModel = null;
+let training = false;
+
+function parseVersionRow(row, { withMetrics = true } = {}) {
+    const metrics = JSON.parse(row.metrics);
+    return {
+        version: row.version,
+        active: row.active === 1,
+        classes: JSON.parse(row.classes),
+        documents: row.document_count,
+        confirmedDocuments: row.confirmed_count,
+        workspaces: row.workspaces ? JSON.parse(row.workspaces) : null,
+        excluded: row.excluded ? JSON.parse(row.excluded) : null,
+        accuracy: metrics.accuracy,
+        ...(withMetrics ? { metrics } : {}),
+        trainedBy: row.trained_by,
+        createdAt: row.created_at
+    };
+}
+
+// The text the model reads: personal data masked whatever the stored policy was.
+const modelText = text => maskText(text, detectPii(text));
+
+// Reviewer-approved or type-corrected documents of `workspaceIds` are "confirmed"
+// labels. Resolves to { examples, excluded }, where `excluded` counts the documents
+// left out: purged content, rejected analyses, types that no longer exist, unreviewed
+// documents when they carry no weight, and those beyond MODEL_MAX_DOCUMENTS.
+async function loadTrainingExamples(workspaceIds) {
+    const knownTypes = new Set([...getSchemas().map(schema => schema.name), 'Other']);
+    const rows = await dbAll(
+        `SELECT d.id, d.content, d.doc_type, d.review_status,
+                EXISTS (SELECT 1 FROM document_audit a, json_each(a.changes) c
+                        WHERE a.document_id = d.id AND a.action = 'corrected'
+                          AND json_extract(c.value, '$.field') = 'doc_type') AS type_corrected
+         FROM documents d
+         WHERE d.workspace_id IN (${workspaceIds.map(() => '?').join(', ')})`,
+        workspaceIds
+    );
+    const excluded = { purged: 0, rejected: 0, unknownType: 0, unreviewed: 0, overLimit: 0 };
+    const examples = [];
+    for (const row of rows) {
+        const confirmed = row.review_status === 'approved' || row.type_corrected === 1;
+        if (!row.content) {
+            excluded.purged++;
+        } else if (!knownTypes.has(row.doc_type)) {
+            excluded.unknownType++;
+        } else if (!confirmed && row.review_status === 'rejected') {
+            // A rejected analysis says the stored result is wrong, unless its type was fixed.
+            excluded.rejected++;
+        } else if (!confirmed && UNREVIEWED_WEIGHT <= 0) {
+            excluded.unreviewed++;
+        } else {
+            examples.push({ text: row.content, label: row.doc_type, confirmed, weight: confirmed ? 1 : UNREVIEWED_WEIGHT });
+        }
+    }
+    examples.sort((a, b) => Number(b.confirmed) - Number(a.confirmed));
+    excluded.overLimit = Math.max(0, examples.length - MAX_DOCUMENTS);
+    return {
+        examples: examples.slice(0, MAX_DOCUMENTS).map(example => ({ ...example, text: modelText(example.text) })),
+        excluded
+    };
+}
+
+function artifactPath(version) {
+    return path.join(MODEL_DIR, `classifier-v${version}.json`);
+}
+
+async function activate(version) {
+    const artifact = JSON.parse(await fs.readFile(artifactPath(version), 'utf8'));
+    const model = loadArtifact(artifact);
+    await dbRun("UPDATE model_versions SET active = CASE WHEN version = ? THEN 1 ELSE 0 END", [version]);
+    activeModel = { version, model };
+}
+
+/**
+ * Trains a new version from the stored documents of `workspaceIds` and, unless
+ * `activate` is false, switches classification to it. Resolves to the new version
+ * with its metrics.
+ */
+export async function retrainModel({ workspaceIds, userId = null, activate: makeActive = true }) {
+    await dbReady;
+    if (training) throw new ModelTrainingError('A retrain is already running.');
+    training = true;
+    try {
+        const { examples, excluded } = await loadTrainingExamples(workspaceIds);
+        const classes = new Set(examples.map(example => example.label));
+        if (examples.length < MIN_DOCUMENTS || classes.size < 2) {
+            throw new ModelTrainingError(
+                `Training needs at least ${MIN_DOCUMENTS} documents of at least 2 types; found ${examples.length} of ${classes.size}.`
+            );
+        }
+
+        const { artifact, metrics } = train(examples);
+        const confirmed = examples.filter(example => example.confirmed).length;
+        const { lastID: version } = await dbRun(
+            "INSERT INTO model_versions (classes, metrics, document_count, confirmed_count, trained_by, workspaces, excluded) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [JSON.stringify(artifact.classes), JSON.stringify(metrics), examples.length, confirmed, userId, JSON.stringify(workspaceIds), JSON.stringify(excluded)]
+        );
+        try {
+            await fs.mkdir(MODEL_DIR, { recursive: true });
+            await fs.writeFile(artifactPath(version), JSON.stringify({ version, trainedAt: new Date().toISOString(), ...artifact }));
+        } catch (error) {
+            await dbRun("DELETE FROM model_versions WHERE version = ?", [version]);
+            throw error;
+        }
+        if (makeActive) await activate(version);
+        return getModelVersion(version);
+    } finally {
+        training = false;
+    }
+}
+
+export async function listModelVersions() {
+    await dbReady;
+    const rows = await dbAll("SELECT * FROM model_versions ORDER BY version DESC");
+    return rows.map(row => parseVersionRow(row, { withMetrics: false }));
+}
+
+export async function getModelVersion(version) {
+    await dbReady;
+    const row = await dbGet("SELECT * FROM model_versions WHERE version = ?", [version]);
+    return row ? parseVersionRow(row) : null;
+}
+
+export async function getActiveModelVersion() {
+    await dbReady;
+    const row = await dbGet("SELECT * FROM model_versions WHERE active = 1");
+    return row ? parseVersionRow(row) : null;
+}
+
+/** Rolls classification forward or back to a stored version. Resolves to false if unknown. */
+export async function activateModelVersion(version) {
+    await dbReady;
+    const row = await dbGet("SELECT version FROM model_versions WHERE version = ?", [version]);
+    if (!row) return false;
+    try {
+        await activate(row.version);
+    } catch (error) {
+        throw new ModelTrainingError(`The artifact for version ${row.version} could not be loaded: ${error.message}`);
+    }
+    return true;
+}
+
+/**
+ * Classifies with the active model. Probabilities are renormalized over the types
+ * that still exist, since schemas can be deleted after training. A document sharing
+ * no term with the training vocabulary, or whose best type stays below
+ * MODEL_MIN_CONFIDENCE, is 'Other': a model trained without 'Other' examples would
+ * otherwise force every document into one of its types. Returns null when no model
+ * is active (or it knows none of the current types).
+ */
+export function classifyWithModel(documentText) {
+    if (!activeModel) return null;
+    const text = modelText(documentText);
+    const { index } = activeModel.model.vocabulary;
+    const knownTypes = new Set([...getSchemas().map(schema => schema.name), 'Other']);
+    const probabilities = Object.entries(predict(activeModel.model, text)).filter(([type]) => knownTypes.has(type));
+    const total = probabilities.reduce((sum, [, p]) => sum + p, 0);
+    if (probabilities.length === 0 || total === 0) return null;
+
+    const normalized = Object.fromEntries(probabilities.map(([type, p]) => [type, Math.round(p / total * 10000) / 10000]));
+    const [type, confidence] = Object.entries(normalized).sort((a, b) => b[1] - a[1])[0];
+    const classifier = `model-v${activeModel.version}`;
+    if (type !== 'Other' && (confidence < MIN_CONFIDENCE || !tokenize(text).some(term => index.has(term)))) {
+        return { type: 'Other', confidence: normalized.Other ?? Math.round((1 - confidence) * 10000) / 10000, probabilities: normalized, classifier };
+    }
+    return { type, confidence, probabilities: normalized, classifier };
+}
+
+// Loads the active version, if any. A missing artifact falls back to keyword scoring.
+export async function initModel() {
+    await dbReady;
+    const row = await dbGet("SELECT version FROM model_versions WHERE active = 1");
+    if (!row) return;
+    try {
+        await activate(row.version);
+        console.log(`Document classifier model v${row.version} loaded.`);
+    } catch (error) {
+        console.error(`Failed to load classifier model v${row.version}; using keyword scoring:`, error.message);
+    }
+}
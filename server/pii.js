@@ -0,0 +1,322 @@
+import crypto from 'crypto';
+import { dbReady, dbGet, dbAll, dbRun } from './db.js';
+
+// --- Personal Data (PII) ---
+// Finds email addresses, phone numbers, bank account numbers (IBAN or labelled
+// account numbers), PAN, Aadhaar and SSN numbers and payment card numbers in
+// extracted text, and applies the workspace's policy before the text is stored:
+//   keep     store the text as extracted (spans are still recorded)
+//   mask     overwrite each span; the original characters are gone
+//   encrypt  overwrite each span and keep its original, AES-256-GCM encrypted
+//            with PII_ENCRYPTION_KEY, for analysts to reveal
+// Masks keep the length of what they replace, so highlight, clause and risk offsets
+// into the stored text stay valid. Values taken from the text (extracted and
+// normalized fields, line items, warnings quoting them) are masked under both mask
+// and encrypt; their originals are the text's sealed spans. The original file is
+// kept under every policy; under mask and encrypt one in which PII was found is served
+// to analysts only (see GET /history/:id/file). Reports can mask documents stored
+// under keep on export (redactDocument).
+
+export const PII_TYPES = ['email', 'phone', 'iban', 'account_number', 'pan', 'aadhaar', 'ssn', 'card_number'];
+export const PII_POLICIES = ['keep', 'mask', 'encrypt'];
+
+export class PiiPolicyError extends Error {}
+
+const MASK_CHAR = '*';
+// Banking identifiers keep their last characters, as on statements.
+const VISIBLE_SUFFIX = { iban: 4, account_number: 4, card_number: 4 };
+
+const ENCRYPTION_KEY = process.env.PII_ENCRYPTION_KEY
+    ? crypto.createHash('sha256').update(process.env.PII_ENCRYPTION_KEY).digest()
+    : null;
+
+function configuredDefaultPolicy() {
+    const policy = process.env.PII_POLICY || 'mask';
+    if (!PII_POLICIES.includes(policy)) {
+        console.warn(`Unknown PII_POLICY '${policy}'; masking personal data.`);
+        return 'mask';
+    }
+    if (policy === 'encrypt' && !ENCRYPTION_KEY) {
+        console.warn("PII_POLICY is 'encrypt' but PII_ENCRYPTION_KEY is not set; masking personal data.");
+        return 'mask';
+    }
+    return policy;
+}
+
+/** The policy of workspaces that have not chosen one. */
+export const DEFAULT_PII_POLICY = configuredDefaultPolicy();
+
+// --- Detection ---
+
+const digitsOf = value => value.replace(/\D/g, '');
+
+function luhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+function ibanValid(value) {
+    const compact = value.replace(/\s/g, '').toUpperCase();
+    const rearranged = compact.slice(4) + compact.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+        for (const digit of code) remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+// Aadhaar numbers end in a Verhoeff check digit.
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+function verhoeffValid(digits) {
+    let check = 0;
+    [...digits].reverse().forEach((digit, i) => {
+        check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(digit)]];
+    });
+    return check === 0;
+}
+
+function phoneDigitsValid(value) {
+    const count = digitsOf(value).length;
+    return count >= 7 && count <= 15;
+}
+
+// Tried in this order; a later match overlapping an earlier one is dropped, so the
+// checksummed identifiers win over the looser phone and account patterns.
+// `group` names the capture holding the value when the pattern includes a label.
+const DETECTORS = [
+    { type: 'card_number', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, valid: value => luhnValid(digitsOf(value)) },
+    { type: 'iban', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, valid: ibanValid },
+    { type: 'aadhaar', pattern: /\b[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}\b/g, valid: value => verhoeffValid(digitsOf(value)) },
+    { type: 'ssn', pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+    { type: 'pan', pattern: /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/g },
+    { type: 'email', pattern: /\b[\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    {
+        type: 'account_number',
+        pattern: /\b(?:account|acct|a\/c)\.?(?:\s*(?:no\.?|number|#))?\s*[:#-]?\s*(\d(?:[ -]?\d){7,17})\b/gid,
+        group: 1
+    },
+    {
+        type: 'phone',
+        pattern: /\b(?:phone|tel|telephone|mobile|mob|cell|fax)\.?(?:\s*(?:no\.?|number))?\s*[:.-]?\s*(\+?\(?\d[\d ().-]{5,18}\d)/gid,
+        group: 1,
+        valid: phoneDigitsValid
+    },
+    { type: 'phone', pattern: /(?<![\w+])\+\d{1,3}[ .-]?\(?\d{1,4}\)?(?:[ .-]?\d{2,4}){2,4}\b/g, valid: phoneDigitsValid },
+    { type: 'phone', pattern: /(?<!\w)(?:\(\d{3}\)\s?|\b\d{3}[.-])\d{3}[.-]\d{4}\b/g }
+];
+
+/** The PII in `text`, in document order: [{ type, start, end }], never overlapping. */
+export function detectPii(text) {
+    if (!text) return [];
+    const spans = [];
+    for (const { type, pattern, group, valid } of DETECTORS) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text))) {
+            const [start, end] = group ? match.indices[group] : [match.index, match.index + match[0].length];
+            const value = text.slice(start, end);
+            if (valid && !valid(value)) continue;
+            if (spans.some(span => start < span.end && end > span.start)) continue;
+            spans.push({ type, start, end });
+        }
+    }
+    return spans.sort((a, b) => a.start - b.start);
+}
+
+// --- Masking & Encryption ---
+
+/** `value` with its letters and digits masked; separators and layout are kept. */
+export function maskValue(value, type) {
+    if (type === 'email') {
+        const at = value.indexOf('@');
+        return value[0] + value.slice(1, at).replace(/[^.]/g, MASK_CHAR) + value.slice(at);
+    }
+    let visible = VISIBLE_SUFFIX[type] || 0;
+    const chars = [...value];
+    for (let i = chars.length - 1; i >= 0; i--) {
+        if (!/[\p{L}\p{N}]/u.test(chars[i])) continue;
+        if (visible > 0) {
+            visible--;
+        } else {
+            chars[i] = MASK_CHAR;
+        }
+    }
+    return chars.join('');
+}
+
+/** `text` with every span of `spans` (from detectPii) masked. */
+export function maskText(text, spans) {
+    let masked = '';
+    let cursor = 0;
+    for (const span of spans) {
+        masked += text.slice(cursor, span.start) + maskValue(text.slice(span.start, span.end), span.type);
+        cursor = span.end;
+    }
+    return masked + text.slice(cursor);
+}
+
+function encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => typeof part === 'string' ? part : part.toString('base64')).join(':');
+}
+
+function decrypt(sealed) {
+    if (!ENCRYPTION_KEY) throw new PiiPolicyError('PII_ENCRYPTION_KEY is not set, so encrypted values cannot be revealed.');
+    const [version, iv, tag, ciphertext] = sealed.split(':');
+    if (version !== 'v1') throw new Error(`Unknown PII encryption version '${version}'.`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+export function checkPiiPolicy(policy) {
+    if (!PII_POLICIES.includes(policy)) {
+        throw new PiiPolicyError(`'piiPolicy' must be one of: ${PII_POLICIES.join(', ')}.`);
+    }
+    if (policy === 'encrypt' && !ENCRYPTION_KEY) {
+        throw new PiiPolicyError("The 'encrypt' PII policy needs PII_ENCRYPTION_KEY to be set on the server.");
+    }
+}
+
+/**
+ * Applies `policy` to extracted `text`. Returns { text, pii }: the text to store
+ * and its PII spans ({ type, start, end }, plus the encrypted original as `sealed`
+ * under the encrypt policy).
+ */
+export function protectText(text, policy) {
+    const spans = detectPii(text);
+    if (policy === 'keep' || spans.length === 0) return { text, pii: spans };
+    const pii = policy === 'encrypt'
+        ? spans.map(span => ({ ...span, sealed: encrypt(text.slice(span.start, span.end)) }))
+        : spans;
+    return { text: maskText(text, spans), pii };
+}
+
+/**
+ * Applies `policy` to a document's text, to the clause texts and risk excerpts
+ * quoted from it and to `values` taken from it (any JSON: fields, line items...).
+ * Returns { text, pii, clauses, risks, values } to store.
+ */
+export function protectAnalysis({ text, clauses = [], risks = [], values = {} }, policy) {
+    const protectedText = protectText(text, policy);
+    const quote = (start, length) => protectedText.text.slice(start, start + length);
+    // What was found in the text is masked wherever a value repeats it, even where
+    // the value alone would not be recognised (an unlabelled account number).
+    const found = protectedText.pii.map(({ type, start, end }) => ({ type, value: text.slice(start, end) }));
+    return {
+        ...protectedText,
+        clauses: clauses.map(clause => ({ ...clause, text: quote(clause.start, clause.text.length) })),
+        risks: risks.map(risk => (risk.excerpt ? { ...risk, excerpt: quote(risk.start, risk.excerpt.length) } : risk)),
+        values: policy === 'keep' ? values : redactStrings(values, found)
+    };
+}
+
+/** `values` as stored under `policy`, for values entered rather than analyzed. */
+export function protectValues(values, policy) {
+    return policy === 'keep' ? values : redactStrings(values);
+}
+
+/**
+ * The original value of each span of a document stored under `policy`: decrypted
+ * under encrypt, read from the text under keep, and null where it was masked for good
+ * or the text has been purged.
+ */
+export function revealPii(text, pii, policy) {
+    return pii.map(({ type, start, end, sealed }) => {
+        let value = null;
+        if (policy === 'encrypt' && sealed) value = decrypt(sealed);
+        if (policy === 'keep' && text) value = text.slice(start, end);
+        return { type, start, end, value };
+    });
+}
+
+/** The policy applied to new documents of `workspaceId`. */
+export async function getPiiPolicy(workspaceId) {
+    if (workspaceId === null || workspaceId === undefined) return DEFAULT_PII_POLICY;
+    await dbReady;
+    const row = await dbGet("SELECT pii_policy FROM workspaces WHERE id = ?", [workspaceId]);
+    return row?.pii_policy || DEFAULT_PII_POLICY;
+}
+
+/**
+ * Applies the policy of `workspaceId` (null: documents outside any workspace) to its
+ * documents stored before PII detection existed, and resolves to how many there were.
+ * Masking cannot be undone, so this only runs when an operator asks for it
+ * (`docanalyzer pii scan`), never on startup. Original files are left as they are.
+ */
+export async function scanStoredDocuments(workspaceId = null) {
+    await dbReady;
+    const policy = await getPiiPolicy(workspaceId);
+    const rows = await dbAll(
+        `SELECT id, content, clauses, risks, extracted_fields, normalized_fields, line_items, warnings
+         FROM documents WHERE pii_policy IS NULL AND content IS NOT NULL AND workspace_id IS ?`,
+        [workspaceId]
+    );
+    for (const row of rows) {
+        const values = Object.fromEntries(['extracted_fields', 'normalized_fields', 'line_items', 'warnings'].map(column => [column, JSON.parse(row[column] || 'null')]));
+        const result = protectAnalysis({ text: row.content, clauses: JSON.parse(row.clauses || '[]'), risks: JSON.parse(row.risks || '[]'), values }, policy);
+        await dbRun(
+            `UPDATE documents SET content = ?, pii = ?, pii_policy = ?, clauses = ?, risks = ?,
+                 extracted_fields = ?, normalized_fields = ?, line_items = ?, warnings = ? WHERE id = ?`,
+            [result.text, JSON.stringify(result.pii), policy, JSON.stringify(result.clauses), JSON.stringify(result.risks),
+                ...Object.values(result.values).map(value => JSON.stringify(value)), row.id]
+        );
+    }
+    return rows.length;
+}
+
+// --- Masking Values & Redacted Export ---
+
+// Every string in `value` with its own PII masked and, first, every `found` value
+// ({ type, value }, longest first) wherever it occurs.
+function redactStrings(value, found = []) {
+    if (typeof value === 'string') {
+        let masked = value;
+        for (const { type, value: original } of [...found].sort((a, b) => b.value.length - a.value.length)) {
+            masked = masked.split(original).join(maskValue(original, type));
+        }
+        return maskText(masked, detectPii(masked));
+    }
+    if (Array.isArray(value)) return value.map(item => redactStrings(item, found));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactStrings(item, found)]));
+    }
+    return value;
+}
+
+/** A parsed `documents` row with the PII in its stored text and analysis results masked. */
+export function redactDocument(row) {
+    return {
+        ...row,
+        content: row.content ? maskText(row.content, detectPii(row.content)) : row.content,
+        extracted_fields: redactStrings(row.extracted_fields),
+        normalized_fields: redactStrings(row.normalized_fields),
+        line_items: redactStrings(row.line_items),
+        warnings: redactStrings(row.warnings),
+        recommendations: redactStrings(row.recommendations),
+        clauses: redactStrings(row.clauses),
+        risks: redactStrings(row.risks)
+    };
+}
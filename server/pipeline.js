@@ -0,0 +1,179 @@
+import { dbRun } from './db.js';
+import { analyzeText, generateRecommendations } from './analysis.js';
+import { extractText } from './ingestion.js';
+import { storeFile, hashFile } from './storage.js';
+import { linkVersion } from './versions.js';
+import { emitEvent } from './webhooks.js';
+import { recordAudit } from './audit.js';
+import { fingerprint, findPossibleDuplicates, recordDuplicates } from './duplicates.js';
+import { getPiiPolicy, protectAnalysis } from './pii.js';
+import { splitExtraction, createUpload } from './splitting.js';
+
+// --- Document Pipeline ---
+// Shared by the synchronous /analyze route, the background batch worker and the
+// ingestion connectors:
+// extract text, split multi-document PDFs, analyze each document, keep the original
+// file, store the `documents` rows with their personal data masked or encrypted as
+// the workspace's policy says, look for possible duplicates, notify webhook
+// subscribers and build the API response. Everything after analysis (the rows, the
+// search index, duplicates, webhooks, the response) sees the protected values only.
+
+// Stores one analyzed document; `part` places it in a split upload.
+async function storeAnalysis(file, { text: formattedText, sourceFormat, extractionMethod, analysis }, { workspaceId, userId, source, sender, piiPolicy, part = null }) {
+    const docType = analysis.docType;
+    const confidence = analysis.confidence;
+    const missingFields = analysis.missingFields;
+    const { clauses, risks, riskScore, language } = analysis;
+    const recommendations = generateRecommendations(missingFields, docType, { risks, language });
+    const highlights = analysis.highlights;
+    // LLM providers classify the document themselves.
+    const classifier = analysis.classifier || analysis.engine;
+
+    const fileSha256 = await storeFile(file.buffer);
+    const { contentHash, simhash } = fingerprint(formattedText);
+    // Analysis saw the full text; what is stored follows the PII policy.
+    const stored = protectAnalysis({
+        text: formattedText,
+        clauses,
+        risks,
+        values: { extractedFields: analysis.extractedFields, normalizedFields: analysis.normalizedFields, lineItems: analysis.lineItems, warnings: analysis.warnings }
+    }, piiPolicy);
+    const { extractedFields, normalizedFields, lineItems, warnings } = stored.values;
+
+    const stmt = `INSERT INTO documents (filename, content, doc_type, confidence, missing_fields, recommendations, extracted_fields, normalized_fields, line_items, warnings, engine, source_format, extraction_method, workspace_id, uploaded_by, file_sha256, file_size, highlights, classifier, content_hash, simhash, clauses, risks, risk_score, language, locale, source, sender, pii, pii_policy, upload_id, page_start, page_end, split_reason) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    const { lastID } = await dbRun(stmt, [file.originalname, stored.text, docType, confidence, JSON.stringify(missingFields), JSON.stringify(recommendations), JSON.stringify(extractedFields), JSON.stringify(normalizedFields), JSON.stringify(lineItems), JSON.stringify(warnings), analysis.engine, sourceFormat, extractionMethod, workspaceId, userId, fileSha256, file.buffer.length, JSON.stringify(highlights), classifier, contentHash, simhash, JSON.stringify(stored.clauses), JSON.stringify(stored.risks), riskScore, language, analysis.locale, source, sender, JSON.stringify(stored.pii), piiPolicy,
+        part?.uploadId ?? null, part?.pageStart ?? null, part?.pageEnd ?? null, part?.reason ?? null]);
+    const version = await linkVersion(lastID, { workspaceId, docType, filename: file.originalname, normalizedFields, uploadId: part?.uploadId ?? null });
+    await recordAudit(lastID, { workspaceId, userId, action: 'analyzed', changes: [{ field: 'doc_type', from: null, to: docType }] });
+    // The parts of a split PDF share its bytes, so only their texts are compared.
+    const possibleDuplicates = await findPossibleDuplicates({ id: lastID, workspaceId, docType, fileSha256: part ? null : fileSha256, contentHash, simhash, normalizedFields });
+    await recordDuplicates(lastID, possibleDuplicates);
+
+    return {
+        id: lastID,
+        text: stored.text,
+        docType: { type: docType, confidence: confidence, probabilities: analysis.probabilities || null },
+        classifier,
+        missing: { missing_fields: missingFields },
+        recommendations: recommendations,
+        extractedFields: extractedFields,
+        normalizedFields,
+        lineItems,
+        warnings,
+        highlights,
+        clauses: stored.clauses,
+        risks: stored.risks,
+        riskScore,
+        language,
+        languageConfidence: analysis.languageConfidence,
+        locale: analysis.locale,
+        version,
+        possibleDuplicates,
+        reviewStatus: 'pending',
+        engine: analysis.engine,
+        fallbackReason: analysis.fallbackReason,
+        sourceFormat,
+        extractionMethod,
+        piiPolicy,
+        pii: stored.pii.map(({ type, start, end }) => ({ type, start, end })),
+        source,
+        sender,
+        uploadId: part?.uploadId ?? null,
+        pageStart: part?.pageStart ?? null,
+        pageEnd: part?.pageEnd ?? null
+    };
+}
+
+/**
+ * Extracts the file's text and analyzes it as one document or, for a multi-document
+ * PDF, as one per part. Every part is analyzed before any is stored, so a failure
+ * stores nothing. Resolves to the stored results in page order.
+ */
+async function analyzeAndStore(file, { engine, locale, split, ...rest }) {
+    const extracted = await extractText(file.buffer, file);
+    const parts = splitExtraction(extracted, { split });
+
+    const analyzed = [];
+    for (const part of parts || [extracted]) {
+        analyzed.push({ ...extracted, ...part, analysis: await analyzeText(part.text, engine, { layout: part.layout, locale }) });
+    }
+    const options = { ...rest, piiPolicy: await getPiiPolicy(rest.workspaceId) };
+    if (!parts) return [await storeAnalysis(file, analyzed[0], options)];
+
+    const uploadId = await createUpload({
+        workspaceId: options.workspaceId,
+        userId: options.userId,
+        filename: file.originalname,
+        fileSha256: hashFile(file.buffer),
+        pageCount: extracted.pages.length
+    });
+    const results = [];
+    for (const part of analyzed) {
+        results.push(await storeAnalysis(file, part, { ...options, part: { uploadId, pageStart: part.pageStart, pageEnd: part.pageEnd, reason: part.reason } }));
+    }
+    return results;
+}
+
+async function notifyAnalyzed(result, { workspaceId, filename, source, sender }) {
+    const docType = result.docType.type;
+    const data = {
+        documentId: result.id,
+        filename,
+        source,
+        sender,
+        uploadId: result.uploadId,
+        pageStart: result.pageStart,
+        pageEnd: result.pageEnd,
+        docType,
+        confidence: result.docType.confidence,
+        language: result.language,
+        locale: result.locale,
+        missingFields: result.missing.missing_fields,
+        extractedFields: result.extractedFields,
+        normalizedFields: result.normalizedFields,
+        warnings: result.warnings,
+        riskScore: result.riskScore,
+        risks: result.risks.map(({ rule, severity }) => ({ rule, severity })),
+        possibleDuplicates: result.possibleDuplicates.map(({ id, reasons }) => ({ documentId: id, reasons })),
+        engine: result.engine
+    };
+    await emitEvent('analysis.completed', { workspaceId, docType, data });
+    if (data.missingFields.length > 0) {
+        await emitEvent('document.missing_fields', { workspaceId, docType, data });
+    }
+}
+
+/**
+ * `file` is a multer-style object ({ buffer, originalname, mimetype }); the document
+ * is stored in `workspaceId`, attributed to `userId`. `locale` is the locale chosen
+ * for its numbers and dates, if any (see locale.js). `source` is one of
+ * DOCUMENT_SOURCES (history.js) and `sender` the email address a mailbox document came from.
+ * A PDF holding several documents is split into one per part unless `split` is
+ * false (PDF_SPLIT sets the default).
+ * Resolves to the analysis response of the (first) new document, including its `id`;
+ * `parts` lists every document stored from a split file ({ id, docType, pageStart, pageEnd })
+ * and is empty otherwise.
+ */
+export async function processDocument(file, { engine, locale = null, workspaceId = null, userId = null, source = 'upload', sender = null, split }) {
+    let results;
+    try {
+        results = await analyzeAndStore(file, { engine, locale, split, workspaceId, userId, source, sender });
+    } catch (error) {
+        await emitEvent('analysis.failed', {
+            workspaceId,
+            data: { filename: file.originalname, source, sender, error: error.message, errorType: error.name }
+        });
+        throw error;
+    }
+
+    for (const result of results) {
+        await notifyAnalyzed(result, { workspaceId, filename: file.originalname, source, sender });
+    }
+    const parts = results.length < 2 ? [] : results.map(result => ({
+        id: result.id,
+        docType: result.docType.type,
+        pageStart: result.pageStart,
+        pageEnd: result.pageEnd
+    }));
+    return { ...results[0], parts };
+}
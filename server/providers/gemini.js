@@ -0,0 +1,31 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// --- Google Gemini Provider ---
+
+async function generateContent(prompt) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is not set.');
+    }
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const model = genAI.getGenerativeModel({
+        model: process.env.GEMINI_MODEL || 'gemini-pro',
+        generationConfig: { temperature: 0 }
+    });
+
+    const result = await model.generateContent(prompt);
+    return result.response.text();
+}
+
+export const geminiProvider = {
+    name: 'gemini',
+
+    analyze(prompt) {
+        return generateContent(prompt);
+    },
+
+    generate(prompt) {
+        return generateContent(prompt);
+    }
+};
@@ -0,0 +1,169 @@
+import { geminiProvider } from './gemini.js';
+import { openaiProvider } from './openai.js';
+import { mockProvider } from './mock.js';
+
+// --- LLM Provider Registry ---
+// Every provider exposes `name`, `analyze(prompt, options)`, resolving to the raw
+// model output (a string or an already-parsed object), and `generate(prompt, options)`,
+// resolving to free text (used for document Q&A and summaries). Parsing and validation
+// of that output happen here so each provider only has to deal with its own transport.
+
+const PROVIDERS = {
+    gemini: geminiProvider,
+    openai: openaiProvider,
+    mock: mockProvider
+};
+
+// 'regex' is not a provider, it is the built-in pipeline the server falls back to.
+export const ENGINE_REGEX = 'regex';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+export function listProviders() {
+    return Object.keys(PROVIDERS);
+}
+
+/**
+ * Picks the engine for a request: an explicit per-request choice wins, then the
+ * LLM_PROVIDER env variable, and finally the regex pipeline.
+ */
+export function resolveEngine(requested) {
+    const name = (requested || process.env.LLM_PROVIDER || ENGINE_REGEX).toLowerCase();
+    if (name === ENGINE_REGEX || PROVIDERS[name]) {
+        return name;
+    }
+    throw new Error(`Unknown analysis engine '${name}'. Expected one of: ${[ENGINE_REGEX, ...listProviders()].join(', ')}.`);
+}
+
+export function buildPrompt(text, schema) {
+    const typeDescriptions = Object.entries(schema.fields)
+        .map(([type, fields]) => `- ${type}: ${fields.join(', ')}`)
+        .join('\n');
+
+    return `You are a document analysis engine. Classify the document below and extract its fields.
+
+Allowed document types: ${[...schema.docTypes, 'Other'].join(', ')}
+Required fields per document type:
+${typeDescriptions}
+
+Respond with a single JSON object and nothing else, using exactly this shape:
+{"docType": string, "confidence": number between 0 and 1, "missingFields": string[], "extractedFields": {field: string}}
+
+"missingFields" lists the required fields for the chosen type that are absent from the document.
+"extractedFields" maps each required field found in the document to its value as written.
+
+Document:
+"""
+${text}
+"""`;
+}
+
+function parseJsonOutput(raw) {
+    if (raw && typeof raw === 'object') return raw;
+    if (typeof raw !== 'string') {
+        throw new Error('Provider returned no output.');
+    }
+    // Models sometimes wrap JSON in a markdown code fence; take the outermost object.
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('Provider output did not contain a JSON object.');
+    }
+    return JSON.parse(raw.slice(start, end + 1));
+}
+
+/**
+ * Checks the parsed provider output against the expected shape and normalizes it.
+ * Throws on anything that cannot be trusted so the caller can fall back to regex.
+ */
+export function validateAnalysisResult(result, schema) {
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        throw new Error('Provider output must be a JSON object.');
+    }
+
+    const allowedTypes = [...schema.docTypes, 'Other'];
+    const docType = allowedTypes.find(type => type.toLowerCase() === String(result.docType || '').toLowerCase());
+    if (!docType) {
+        throw new Error(`Provider returned unknown document type '${result.docType}'.`);
+    }
+
+    const confidence = Number(result.confidence);
+    if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+        throw new Error(`Provider returned invalid confidence '${result.confidence}'.`);
+    }
+
+    const knownFields = schema.fields[docType] || [];
+    const missingFields = result.missingFields ?? [];
+    if (!Array.isArray(missingFields) || missingFields.some(field => typeof field !== 'string')) {
+        throw new Error('Provider returned invalid missingFields.');
+    }
+
+    const extractedFields = result.extractedFields ?? {};
+    if (typeof extractedFields !== 'object' || Array.isArray(extractedFields)) {
+        throw new Error('Provider returned invalid extractedFields.');
+    }
+
+    const cleanedFields = {};
+    for (const [field, value] of Object.entries(extractedFields)) {
+        if (value === null || value === undefined || value === '') continue;
+        if (typeof value === 'object') {
+            throw new Error(`Provider returned a non-scalar value for field '${field}'.`);
+        }
+        cleanedFields[field] = String(value).trim().replace(/\s+/g, ' ');
+    }
+
+    return {
+        docType,
+        confidence: parseFloat(confidence.toFixed(2)),
+        missingFields: missingFields.filter(field => knownFields.length === 0 || knownFields.includes(field)),
+        extractedFields: cleanedFields
+    };
+}
+
+function withTimeout(promise, ms, controller) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Provider timed out after ${ms}ms.`));
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs the named provider against the text and returns a validated result.
+ * `schema` describes the known document types and their required fields.
+ */
+export async function analyzeWithProvider(name, text, schema) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown provider '${name}'.`);
+    }
+
+    const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    const prompt = buildPrompt(text, schema);
+
+    const raw = await withTimeout(provider.analyze(prompt, { text, schema, signal: controller.signal }), timeoutMs, controller);
+    return validateAnalysisResult(parseJsonOutput(raw), schema);
+}
+
+/**
+ * Runs the named provider's free-text generation with the usual timeout. `context`
+ * is passed through to the provider (the mock provider answers from it offline).
+ */
+export async function generateWithProvider(name, prompt, context = {}) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown provider '${name}'.`);
+    }
+
+    const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    const output = await withTimeout(provider.generate(prompt, { ...context, signal: controller.signal }), timeoutMs, controller);
+    if (typeof output !== 'string' || output.trim() === '') {
+        throw new Error('Provider returned no text.');
+    }
+    return output.trim();
+}
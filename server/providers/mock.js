@@ -0,0 +1,69 @@
+// --- Mock Provider ---
+// Deterministic, offline stand-in for a real LLM. It picks the document type whose
+// name appears most often in the text and reports a required field as missing when
+// its name (with underscores read as spaces) does not occur in the text. For Q&A and
+// summaries it quotes the opening sentence of the passages it is given, citing each.
+// MOCK_PROVIDER_MODE=fail|timeout|invalid simulates provider errors so the regex
+// fallback can be exercised without network access.
+
+function countOccurrences(text, word) {
+    const matches = text.match(new RegExp(`\\b${word}\\b`, 'gi'));
+    return matches ? matches.length : 0;
+}
+
+// Resolves to the simulated output of a failing mode, or undefined when none is set.
+function simulateFailure(signal) {
+    switch (process.env.MOCK_PROVIDER_MODE) {
+        case 'fail':
+            throw new Error('Mock provider failure.');
+        case 'timeout':
+            return new Promise((_, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('Mock provider aborted.')));
+            });
+        case 'invalid':
+            return 'This is not JSON.';
+    }
+    return undefined;
+}
+
+function firstSentence(text) {
+    return (/[^.!?\n]+[.!?]?/.exec(text.trim())?.[0] || text).trim();
+}
+
+export const mockProvider = {
+    name: 'mock',
+
+    async analyze(prompt, { text, schema, signal }) {
+        const failure = simulateFailure(signal);
+        if (failure !== undefined) return failure;
+
+        let docType = 'Other';
+        let best = 0;
+        for (const type of schema.docTypes) {
+            const count = countOccurrences(text, type);
+            if (count > best) {
+                docType = type;
+                best = count;
+            }
+        }
+
+        const requiredFields = schema.fields[docType] || [];
+        const missingFields = requiredFields.filter(field => !new RegExp(field.replace(/_/g, '\\s?'), 'i').test(text));
+
+        return {
+            docType,
+            confidence: best > 0 ? 0.99 : 0.5,
+            missingFields,
+            extractedFields: {}
+        };
+    },
+
+    async generate(prompt, { task, passages = [], signal }) {
+        const failure = simulateFailure(signal);
+        if (failure !== undefined) return failure;
+
+        if (passages.length === 0) return 'The document does not say.';
+        const quoted = task === 'summary' ? passages.slice(0, 3) : passages.slice(0, 1);
+        return quoted.map(passage => `"${firstSentence(passage.text)}" [${passage.number}]`).join(' ');
+    }
+};
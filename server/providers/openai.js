@@ -0,0 +1,52 @@
+// --- OpenAI-Compatible Provider ---
+// Talks to any server implementing the `/chat/completions` endpoint (OpenAI, Azure,
+// vLLM, Ollama, LM Studio, ...). Point OPENAI_BASE_URL at it to switch backends.
+
+async function complete(messages, { signal, json }) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) {
+        headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        signal,
+        body: JSON.stringify({
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            temperature: 0,
+            ...(json ? { response_format: { type: 'json_object' } } : {}),
+            messages
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`OpenAI-compatible endpoint responded with ${response.status} ${response.statusText}.`);
+    }
+
+    const data = await response.json();
+    const content = data?.choices?.[0]?.message?.content;
+    if (!content) {
+        throw new Error('OpenAI-compatible endpoint returned an empty completion.');
+    }
+    return content;
+}
+
+export const openaiProvider = {
+    name: 'openai',
+
+    analyze(prompt, { signal }) {
+        return complete([
+            { role: 'system', content: 'You analyze business documents and reply only with JSON.' },
+            { role: 'user', content: prompt }
+        ], { signal, json: true });
+    },
+
+    generate(prompt, { signal }) {
+        return complete([
+            { role: 'system', content: 'You answer questions about business documents using only the passages provided.' },
+            { role: 'user', content: prompt }
+        ], { signal, json: false });
+    }
+};
@@ -0,0 +1,194 @@
+import { dbReady, dbGet } from './db.js';
+import { ENGINE_REGEX, generateWithProvider } from './providers/index.js';
+import { chunkText, retrieve, splitSentences, buildIndex, tokenize } from './retrieval.js';
+
+// --- Document Q&A and Summaries ---
+// Questions are answered from the stored text of one document: it is chunked, the
+// best passages are retrieved with BM25, and the chosen engine writes an answer that
+// cites passages as [n] (n is the chunk number, stable across questions). The regex
+// engine, and any provider that fails, answers extractively instead by quoting the
+// best-matching sentences, so Q&A works offline.
+
+export class QuestionValidationError extends Error {}
+
+export const EXTRACTIVE_ENGINE = 'extractive';
+
+const MAX_QUESTION_LENGTH = 500;
+const ASK_PASSAGES = 4;
+const SUMMARY_PASSAGES = 6;
+const SUMMARY_SENTENCES = 5;
+// A second sentence is quoted only when it scores nearly as well as the best one.
+const SECOND_SENTENCE_RATIO = 0.6;
+// Headings like "7. Governing Law." are not answers.
+const MIN_SENTENCE_TERMS = 3;
+
+async function loadDocument(id, workspaceId) {
+    await dbReady;
+    return dbGet(
+        "SELECT id, filename, doc_type, content FROM documents WHERE id = ? AND (? IS NULL OR workspace_id = ?)",
+        [id, workspaceId, workspaceId]
+    );
+}
+
+function formatPassages(passages) {
+    return passages.map(passage => `[${passage.number}] ${passage.text}`).join('\n\n');
+}
+
+function buildAskPrompt(document, question, passages) {
+    return `Answer the question using only the numbered passages from the document "${document.filename}" below.
+Cite every passage you rely on by its number in square brackets, e.g. [2].
+If the passages do not contain the answer, say that the document does not say.
+
+Question: ${question}
+
+Passages:
+${formatPassages(passages)}`;
+}
+
+function buildSummaryPrompt(document, passages) {
+    return `Summarize the ${document.doc_type === 'Other' ? 'document' : document.doc_type.toLowerCase()} "${document.filename}" in at most five sentences, using only the numbered passages below.
+Cover the parties, amounts, dates and obligations it states. Cite the passage behind each sentence by its number in square brackets, e.g. [2].
+
+Passages:
+${formatPassages(passages)}`;
+}
+
+// Sentences of the document that overlap `chunks`, each cited by the first chunk it overlaps.
+function sentencesOf(content, chunks) {
+    return splitSentences(content)
+        .map(sentence => ({
+            ...sentence,
+            number: chunks.find(chunk => sentence.start < chunk.end && sentence.end > chunk.start)?.number
+        }))
+        .filter(sentence => sentence.number !== undefined);
+}
+
+function answerExtractively(content, question, passages, idf) {
+    if (passages.length === 0) return 'The document does not appear to say.';
+    const terms = new Set(tokenize(question));
+    const scored = sentencesOf(content, passages)
+        .filter(sentence => tokenize(sentence.text).length >= MIN_SENTENCE_TERMS)
+        .map(sentence => ({
+            ...sentence,
+            score: [...new Set(tokenize(sentence.text))].reduce((sum, term) => sum + (terms.has(term) ? idf(term) : 0), 0)
+        }))
+        .filter(sentence => sentence.score > 0)
+        .sort((a, b) => b.score - a.score || a.start - b.start);
+    const chosen = scored.slice(0, 2).filter((sentence, i) => i === 0 || sentence.score >= scored[0].score * SECOND_SENTENCE_RATIO);
+    return chosen
+        .sort((a, b) => a.start - b.start)
+        .map(sentence => `${sentence.text} [${sentence.number}]`)
+        .join(' ');
+}
+
+// The document's most representative sentences: those dense in its most frequent terms.
+function keySentences(content, chunks) {
+    const frequency = new Map();
+    for (const chunk of chunks) {
+        for (const term of tokenize(chunk.text)) frequency.set(term, (frequency.get(term) || 0) + 1);
+    }
+    const maxFrequency = Math.max(1, ...frequency.values());
+    return sentencesOf(content, chunks)
+        .map(sentence => {
+            const terms = tokenize(sentence.text);
+            const weight = [...new Set(terms)].reduce((sum, term) => sum + (frequency.get(term) || 0) / maxFrequency, 0);
+            return { ...sentence, score: terms.length >= MIN_SENTENCE_TERMS ? weight / Math.sqrt(terms.length) : 0 };
+        })
+        .filter(sentence => sentence.score > 0)
+        .sort((a, b) => b.score - a.score || a.start - b.start)
+        .slice(0, SUMMARY_SENTENCES)
+        .sort((a, b) => a.start - b.start);
+}
+
+// Runs the engine, falling back to the extractive answer when it is the regex engine or fails.
+async function generate(engine, prompt, context, extractive) {
+    if (engine === ENGINE_REGEX) {
+        return { text: extractive(), engine: EXTRACTIVE_ENGINE };
+    }
+    try {
+        return { text: await generateWithProvider(engine, prompt, context), engine };
+    } catch (error) {
+        console.error(`Provider '${engine}' failed to answer; using extractive answer:`, error.message);
+        return { text: extractive(), engine: EXTRACTIVE_ENGINE, fallbackReason: error.message };
+    }
+}
+
+// The passages with a `cited` flag for every [n] (or [n, m]) marker found in the text.
+function markCitations(text, passages) {
+    const cited = new Set();
+    for (const match of text.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+        for (const number of match[1].split(',')) cited.add(Number(number));
+    }
+    return passages
+        .map(({ number, start, end, text: passageText, score }) => ({
+            number, start, end, text: passageText, ...(score !== undefined ? { score } : {}), cited: cited.has(number)
+        }))
+        .sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Answers `question` from document `id` with `engine` (a provider name or 'regex').
+ * Resolves to { documentId, question, answer, engine, fallbackReason?, passages }, where
+ * `passages` are the retrieved chunks and `cited` marks those the answer refers to;
+ * null when the document is not in the workspace.
+ */
+export async function askDocument(id, workspaceId, { question, engine }) {
+    if (typeof question !== 'string' || question.trim() === '') {
+        throw new QuestionValidationError('A question is required.');
+    }
+    if (question.length > MAX_QUESTION_LENGTH) {
+        throw new QuestionValidationError(`Questions are limited to ${MAX_QUESTION_LENGTH} characters.`);
+    }
+    const document = await loadDocument(id, workspaceId);
+    if (!document) return null;
+
+    const content = document.content || '';
+    const chunks = chunkText(content);
+    const passages = retrieve(chunks, question, ASK_PASSAGES);
+    const { idf } = buildIndex(chunks);
+    const result = await generate(
+        engine,
+        buildAskPrompt(document, question.trim(), passages),
+        { task: 'ask', question: question.trim(), passages },
+        () => answerExtractively(content, question, passages, idf)
+    );
+    return {
+        documentId: document.id,
+        question: question.trim(),
+        answer: result.text,
+        engine: result.engine,
+        ...(result.fallbackReason ? { fallbackReason: result.fallbackReason } : {}),
+        passages: markCitations(result.text, passages)
+    };
+}
+
+/**
+ * Summarizes document `id` with `engine`. Resolves to { documentId, summary, engine,
+ * fallbackReason?, passages } like askDocument(), or null when not found.
+ */
+export async function summarizeDocument(id, workspaceId, { engine }) {
+    const document = await loadDocument(id, workspaceId);
+    if (!document) return null;
+
+    const content = document.content || '';
+    const chunks = chunkText(content);
+    const sentences = keySentences(content, chunks);
+    // Long documents are represented by the chunks holding their key sentences (and the opening).
+    const numbers = new Set([1, ...sentences.map(sentence => sentence.number)]);
+    const passages = chunks.length <= SUMMARY_PASSAGES
+        ? chunks
+        : chunks.filter(chunk => numbers.has(chunk.number)).slice(0, SUMMARY_PASSAGES);
+    const result = await generate(
+        engine,
+        buildSummaryPrompt(document, passages),
+        { task: 'summary', passages },
+        () => sentences.map(sentence => `${sentence.text} [${sentence.number}]`).join(' ') || 'The document has no text to summarize.'
+    );
+    return {
+        documentId: document.id,
+        summary: result.text,
+        engine: result.engine,
+        ...(result.fallbackReason ? { fallbackReason: result.fallbackReason } : {}),
+        passages: markCitations(result.text, passages)
+    };
+}
@@ -0,0 +1,335 @@
+import PDFDocument from 'pdfkit';
+import ExcelJS from 'exceljs';
+import { redactDocument } from './pii.js';
+
+// --- Report Export ---
+// Turns stored analyses (parsed `documents` rows) into downloadable reports:
+// a branded PDF for people, JSON and CSV for machines, and XLSX for spreadsheets.
+
+export const REPORT_FORMATS = ['pdf', 'json', 'csv', 'xlsx'];
+// Bulk reports cover at most this many documents.
+export const MAX_REPORT_DOCUMENTS = 500;
+
+export class ReportFormatError extends Error {}
+
+const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const BRAND_NAME = process.env.REPORT_BRAND_NAME || 'LLM Document Analyzer';
+const BRAND_COLOR = process.env.REPORT_BRAND_COLOR || '#2563eb';
+
+const formatLabel = name => name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+// Normalized values are typed objects for money and parties; reduce them to one cell.
+function scalarValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'object') return value;
+    if ('amount' in value) return value.amount;
+    if ('name' in value) return value.address ? `${value.name}, ${value.address}` : value.name;
+    return JSON.stringify(value);
+}
+
+function displayValue(value) {
+    if (value && typeof value === 'object' && 'amount' in value) {
+        return `${value.amount.toFixed(2)}${value.currency ? ` ${value.currency}` : ''}`;
+    }
+    const scalar = scalarValue(value);
+    return scalar === null ? '' : String(scalar);
+}
+
+function reportEntry(doc) {
+    return {
+        id: doc.id,
+        filename: doc.filename,
+        docType: doc.doc_type,
+        confidence: doc.confidence,
+        engine: doc.engine,
+        reviewStatus: doc.review_status,
+        sourceFormat: doc.source_format,
+        language: doc.language,
+        locale: doc.locale,
+        analyzedAt: doc.analyzed_at,
+        extractedFields: doc.extracted_fields,
+        normalizedFields: doc.normalized_fields,
+        missingFields: doc.missing_fields,
+        recommendations: doc.recommendations,
+        warnings: doc.warnings,
+        lineItems: doc.line_items,
+        ...(doc.risk_score !== null ? { riskScore: doc.risk_score, risks: doc.risks } : {})
+    };
+}
+
+// --- Tabular layout shared by CSV and XLSX ---
+
+// One row per document. Every field seen in the set gets a column holding its
+// normalized value (money also gets a currency column), so mixed types line up.
+function documentTable(documents) {
+    const fieldColumns = [];
+    const currencyFields = new Set();
+    for (const doc of documents) {
+        for (const field of Object.keys({ ...doc.extracted_fields, ...doc.normalized_fields })) {
+            if (!fieldColumns.includes(field)) fieldColumns.push(field);
+            if (doc.normalized_fields[field]?.currency !== undefined) currencyFields.add(field);
+        }
+    }
+
+    const columns = ['id', 'filename', 'doc_type', 'confidence', 'review_status', 'analyzed_at', 'missing_fields'];
+    for (const field of fieldColumns) {
+        columns.push(field);
+        if (currencyFields.has(field)) columns.push(`${field}_currency`);
+    }
+
+    const rows = documents.map(doc => {
+        const row = {
+            id: doc.id,
+            filename: doc.filename,
+            doc_type: doc.doc_type,
+            confidence: doc.confidence,
+            review_status: doc.review_status,
+            analyzed_at: doc.analyzed_at,
+            missing_fields: doc.missing_fields.join('; ')
+        };
+        for (const field of fieldColumns) {
+            const normalized = doc.normalized_fields[field];
+            row[field] = normalized !== undefined && normalized !== null ? scalarValue(normalized) : (doc.extracted_fields[field] ?? null);
+            if (currencyFields.has(field)) row[`${field}_currency`] = normalized?.currency ?? null;
+        }
+        return row;
+    });
+    return { columns, rows };
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsv(documents) {
+    const { columns, rows } = documentTable(documents);
+    const lines = [columns.map(csvCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvCell(row[column])).join(','));
+    }
+    // The BOM makes Excel read the file as UTF-8.
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+async function buildXlsx(documents) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = BRAND_NAME;
+
+    const { columns, rows } = documentTable(documents);
+    const sheet = workbook.addWorksheet('Documents');
+    sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+    for (const row of rows) {
+        // ISO dates become real spreadsheet dates.
+        const cells = Object.fromEntries(Object.entries(row).map(([key, value]) => [
+            key,
+            typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : value
+        ]));
+        sheet.addRow(cells);
+    }
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    const items = workbook.addWorksheet('Line Items');
+    items.columns = [
+        { header: 'document_id', key: 'documentId', width: 12 },
+        { header: 'filename', key: 'filename', width: 24 },
+        { header: 'description', key: 'description', width: 36 },
+        { header: 'quantity', key: 'quantity', width: 10 },
+        { header: 'unit_price', key: 'unitPrice', width: 12 },
+        { header: 'tax', key: 'tax', width: 10 },
+        { header: 'total', key: 'total', width: 12 }
+    ];
+    for (const doc of documents) {
+        for (const item of doc.line_items) {
+            items.addRow({ documentId: doc.id, filename: doc.filename, ...item });
+        }
+    }
+    items.getRow(1).font = { bold: true };
+
+    const warnings = workbook.addWorksheet('Warnings');
+    warnings.columns = [
+        { header: 'document_id', key: 'documentId', width: 12 },
+        { header: 'code', key: 'code', width: 22 },
+        { header: 'fields', key: 'fields', width: 24 },
+        { header: 'message', key: 'message', width: 60 }
+    ];
+    for (const doc of documents) {
+        for (const warning of doc.warnings) {
+            warnings.addRow({ documentId: doc.id, code: warning.code, fields: warning.fields.join('; '), message: warning.message });
+        }
+    }
+    warnings.getRow(1).font = { bold: true };
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// --- PDF ---
+
+function pdfSection(pdf, title) {
+    if (pdf.y > pdf.page.height - 150) pdf.addPage();
+    pdf.moveDown(0.8);
+    pdf.font('Helvetica-Bold').fontSize(13).fillColor(BRAND_COLOR).text(title);
+    pdf.moveTo(pdf.page.margins.left, pdf.y + 2).lineTo(pdf.page.width - pdf.page.margins.right, pdf.y + 2)
+        .strokeColor('#d1d5db').lineWidth(0.5).stroke();
+    pdf.moveDown(0.4);
+    pdf.font('Helvetica').fontSize(10).fillColor('#111827');
+}
+
+function pdfKeyValue(pdf, key, value) {
+    const left = pdf.page.margins.left;
+    const labelWidth = 150;
+    if (pdf.y > pdf.page.height - pdf.page.margins.bottom - 40) pdf.addPage();
+    const top = pdf.y;
+    pdf.font('Helvetica-Bold').fillColor('#374151').text(key, left, top, { width: labelWidth - 10 });
+    const labelBottom = pdf.y;
+    pdf.font('Helvetica').fillColor('#111827').text(value || '—', left + labelWidth, top, {
+        width: pdf.page.width - pdf.page.margins.right - left - labelWidth
+    });
+    pdf.y = Math.max(pdf.y, labelBottom) + 3;
+    pdf.x = left;
+}
+
+function pdfDocument(pdf, doc) {
+    pdf.font('Helvetica-Bold').fontSize(18).fillColor('#111827').text('Document Analysis Report');
+    pdf.font('Helvetica').fontSize(10).fillColor('#6b7280').text(`${doc.filename} — analyzed ${doc.analyzed_at}`);
+
+    pdfSection(pdf, 'Summary');
+    pdfKeyValue(pdf, 'Document Type', doc.doc_type);
+    pdfKeyValue(pdf, 'Confidence', `${Math.round(doc.confidence * 100)}%`);
+    pdfKeyValue(pdf, 'Review Status', doc.review_status);
+    pdfKeyValue(pdf, 'Analyzed By', doc.engine);
+    pdfKeyValue(pdf, 'Source Format', doc.source_format);
+
+    const fields = Object.entries(doc.extracted_fields);
+    if (fields.length > 0) {
+        pdfSection(pdf, 'Extracted Details');
+        for (const [field, value] of fields) {
+            const normalized = displayValue(doc.normalized_fields[field]);
+            pdfKeyValue(pdf, formatLabel(field), normalized && normalized !== value ? `${value}  (${normalized})` : value);
+        }
+    }
+
+    if (doc.line_items.length > 0) {
+        pdfSection(pdf, 'Line Items');
+        for (const item of doc.line_items) {
+            const amounts = [
+                item.quantity !== null ? `qty ${item.quantity}` : null,
+                item.unitPrice !== null ? `@ ${item.unitPrice.toFixed(2)}` : null,
+                item.total !== null ? `= ${item.total.toFixed(2)}` : null
+            ].filter(Boolean).join(' ');
+            pdfKeyValue(pdf, item.description || 'Item', amounts);
+        }
+    }
+
+    if (doc.warnings.length > 0) {
+        pdfSection(pdf, 'Validation Warnings');
+        doc.warnings.forEach(warning => pdfKeyValue(pdf, formatLabel(warning.code), warning.message));
+    }
+
+    if (doc.risks.length > 0) {
+        pdfSection(pdf, `Contract Risks (score ${doc.risk_score}/100)`);
+        doc.risks.forEach(risk => pdfKeyValue(pdf, risk.severity.toUpperCase(), risk.excerpt ? `${risk.message} "${risk.excerpt}"` : risk.message));
+    }
+
+    pdfSection(pdf, 'Missing Fields');
+    pdf.text(doc.missing_fields.length > 0
+        ? doc.missing_fields.map(formatLabel).join(', ')
+        : 'All required fields appear to be present.');
+
+    if (doc.recommendations.length > 0) {
+        pdfSection(pdf, 'Improvement Checklist');
+        pdf.list(doc.recommendations, { bulletRadius: 2, textIndent: 12 });
+    }
+}
+
+// Branded header band and page numbers, drawn once all pages exist.
+function pdfDecorate(pdf) {
+    const { start, count } = pdf.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+        pdf.switchToPage(i);
+        const { width, height, margins } = pdf.page;
+        // Writing inside the bottom margin would otherwise start a new page.
+        const bottomMargin = margins.bottom;
+        margins.bottom = 0;
+        pdf.save();
+        pdf.rect(0, 0, width, 28).fill(BRAND_COLOR);
+        pdf.font('Helvetica-Bold').fontSize(10).fillColor('#ffffff').text(BRAND_NAME, margins.left, 9, { lineBreak: false });
+        pdf.font('Helvetica').fontSize(8).fillColor('#9ca3af')
+            .text(`Page ${i + 1} of ${count}`, margins.left, height - 30, { width: width - margins.left - margins.right, align: 'right', lineBreak: false });
+        pdf.restore();
+        margins.bottom = bottomMargin;
+    }
+}
+
+function buildPdf(documents) {
+    return new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({ size: 'A4', margins: { top: 50, bottom: 50, left: 50, right: 50 }, bufferPages: true });
+        const chunks = [];
+        pdf.on('data', chunk => chunks.push(chunk));
+        pdf.on('end', () => resolve(Buffer.concat(chunks)));
+        pdf.on('error', reject);
+
+        pdf.info.Title = documents.length === 1 ? `Analysis of ${documents[0].filename}` : 'Document Analysis Reports';
+        pdf.info.Creator = BRAND_NAME;
+
+        if (documents.length > 1) {
+            pdf.font('Helvetica-Bold').fontSize(20).fillColor('#111827').text('Document Analysis Reports');
+            pdf.font('Helvetica').fontSize(10).fillColor('#6b7280').text(`${documents.length} documents, generated ${new Date().toISOString().slice(0, 10)}`);
+            pdfSection(pdf, 'Contents');
+            documents.forEach(doc => pdfKeyValue(pdf, `#${doc.id} ${doc.doc_type}`, `${doc.filename} (${doc.missing_fields.length} missing)`));
+        }
+        documents.forEach((doc, index) => {
+            if (index > 0 || documents.length > 1) pdf.addPage();
+            pdfDocument(pdf, doc);
+        });
+
+        pdfDecorate(pdf);
+        pdf.end();
+    });
+}
+
+/**
+ * Builds a report over one or more parsed `documents` rows; `redact` masks the
+ * personal data in their fields, line items and findings (see pii.js).
+ * Resolves to { body, contentType, extension }.
+ */
+export async function buildReport(documents, format = 'pdf', { redact = false } = {}) {
+    if (!REPORT_FORMATS.includes(format)) {
+        throw new ReportFormatError(`'format' must be one of: ${REPORT_FORMATS.join(', ')}.`);
+    }
+    if (redact) documents = documents.map(redactDocument);
+
+    let body;
+    switch (format) {
+        case 'json': {
+            const entries = documents.map(reportEntry);
+            const payload = entries.length === 1
+                ? entries[0]
+                : { generatedAt: new Date().toISOString(), count: entries.length, documents: entries };
+            body = Buffer.from(JSON.stringify(payload, null, 2), 'utf8');
+            break;
+        }
+        case 'csv':
+            body = buildCsv(documents);
+            break;
+        case 'xlsx':
+            body = await buildXlsx(documents);
+            break;
+        case 'pdf':
+            body = await buildPdf(documents);
+            break;
+    }
+    return { body, contentType: CONTENT_TYPES[format], extension: format };
+}
@@ -0,0 +1,60 @@
+import { dbReady, dbAll, dbRun } from './db.js';
+import { releaseStoredFile } from './history.js';
+import { recordAudit } from './audit.js';
+
+// --- Content Retention ---
+// After a workspace's retention period (workspaces.retention_days, else
+// CONTENT_RETENTION_DAYS; unset keeps everything) a document's text, the clause text
+// and excerpts quoted from it, its PII spans and its original file are removed.
+// Type, extracted and normalized fields, line items, review state and risk findings
+// stay, so history, stats and reports keep working.
+
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.CONTENT_RETENTION_DAYS, 10) || null;
+const SWEEP_INTERVAL_MS = parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+/**
+ * Purges the content of every document past its workspace's retention period.
+ * Resolves to the number of documents purged.
+ */
+export async function purgeExpiredContent() {
+    await dbReady;
+    const rows = await dbAll(
+        `SELECT d.id, d.workspace_id, d.file_sha256, d.clauses, d.risks, LENGTH(d.content) AS length
+         FROM documents d LEFT JOIN workspaces w ON w.id = d.workspace_id
+         WHERE d.content_purged_at IS NULL
+           AND COALESCE(w.retention_days, ?) IS NOT NULL
+           AND d.analyzed_at < datetime('now', '-' || COALESCE(w.retention_days, ?) || ' days')`,
+        [DEFAULT_RETENTION_DAYS, DEFAULT_RETENTION_DAYS]
+    );
+    for (const row of rows) {
+        const clauses = JSON.parse(row.clauses || '[]').map(({ text, ...clause }) => clause);
+        const risks = JSON.parse(row.risks || '[]').map(({ excerpt, ...risk }) => risk);
+        await dbRun(
+            `UPDATE documents SET content = NULL, pii = '[]', highlights = '[]', clauses = ?, risks = ?,
+                 content_purged_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [JSON.stringify(clauses), JSON.stringify(risks), row.id]
+        );
+        if (row.file_sha256) await releaseStoredFile(row.file_sha256);
+        await recordAudit(row.id, {
+            workspaceId: row.workspace_id,
+            action: 'content_purged',
+            changes: [{ field: 'content', from: `${row.length || 0} characters`, to: null }]
+        });
+    }
+    return rows.length;
+}
+
+async function sweep() {
+    try {
+        const purged = await purgeExpiredContent();
+        if (purged > 0) console.log(`Retention: purged the content of ${purged} document(s).`);
+    } catch (error) {
+        console.error("Retention sweep failed:", error.message);
+    }
+}
+
+// Sweeps once at startup, then every RETENTION_SWEEP_INTERVAL_MS.
+export async function initRetention() {
+    await sweep();
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+}
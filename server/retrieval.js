@@ -0,0 +1,103 @@
+// --- Passage Retrieval ---
+// Splits stored document text into overlapping word-window chunks and ranks them
+// against a query with Okapi BM25. Pure functions; qa.js builds answers on top.
+
+const CHUNK_WORDS = 120;
+const CHUNK_OVERLAP = 30;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(`a an and are as at be by for from has have in is it its of on or that the this to was
+were will with what which who whom when where why how does do did can could should would shall may might
+any all there their them they than then these those such into over under about our your you we i me my`.split(/\s+/));
+
+// Common English endings, longest first; "termination", "terminated" and "terminate" all become "terminat".
+const SUFFIXES = ['ations', 'ation', 'ions', 'ion', 'ings', 'ing', 'ies', 'ed', 'es', 'ly', 's', 'e'];
+
+function stem(word) {
+    if (/^\p{N}+$/u.test(word) || word.endsWith('ss')) return word;
+    const suffix = SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= 4);
+    return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+// Lower-cased, stemmed content words.
+export function tokenize(text) {
+    return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => !STOPWORDS.has(word))
+        .map(stem);
+}
+
+/**
+ * Overlapping chunks of about CHUNK_WORDS words: [{ number, start, end, text }], where
+ * `number` is 1-based (the citation marker) and start/end are offsets into `text`.
+ */
+export function chunkText(text, { size = CHUNK_WORDS, overlap = CHUNK_OVERLAP } = {}) {
+    const words = [...String(text).matchAll(/\S+/g)];
+    const chunks = [];
+    for (let first = 0; first < words.length; first += size - overlap) {
+        const last = Math.min(first + size, words.length) - 1;
+        const start = words[first].index;
+        const end = words[last].index + words[last][0].length;
+        chunks.push({ number: chunks.length + 1, start, end, text: text.slice(start, end) });
+        if (last === words.length - 1) break;
+    }
+    return chunks;
+}
+
+/**
+ * Sentences of `text` with their offsets: [{ start, end, text }]. A sentence ends at
+ * a line break or at `.`, `!` or `?` followed by whitespace or the end of the text,
+ * so amounts ("$110.00") and dotted numbers stay whole.
+ */
+export function splitSentences(text) {
+    const sentences = [];
+    for (const match of String(text).matchAll(/(?:[^.!?\n]|[.!?]+(?!\s|$))+(?:[.!?]+(?=\s|$)|\n|$)/g)) {
+        const trimmed = match[0].trim();
+        if (!trimmed) continue;
+        const start = match.index + match[0].indexOf(trimmed);
+        sentences.push({ start, end: start + trimmed.length, text: trimmed });
+    }
+    return sentences;
+}
+
+/**
+ * BM25 index over `passages` (objects with `text`). `score(query)` returns one score
+ * per passage; `idf(term)` is exposed for sentence-level scoring.
+ */
+export function buildIndex(passages) {
+    const docs = passages.map(passage => {
+        const counts = new Map();
+        for (const term of tokenize(passage.text)) counts.set(term, (counts.get(term) || 0) + 1);
+        const length = [...counts.values()].reduce((a, b) => a + b, 0);
+        return { counts, length };
+    });
+    const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1;
+    const documentFrequency = new Map();
+    for (const doc of docs) {
+        for (const term of doc.counts.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+    const idf = term => {
+        const df = documentFrequency.get(term) || 0;
+        return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+    };
+
+    const score = query => {
+        const terms = [...new Set(tokenize(query))];
+        return docs.map(doc => terms.reduce((sum, term) => {
+            const tf = doc.counts.get(term) || 0;
+            if (tf === 0) return sum;
+            return sum + idf(term) * tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+        }, 0));
+    };
+    return { score, idf };
+}
+
+/** The `limit` best-matching chunks for `query`, best first, each with its `score`. Zero scores are dropped. */
+export function retrieve(chunks, query, limit = 4) {
+    const scores = buildIndex(chunks).score(query);
+    return chunks
+        .map((chunk, i) => ({ ...chunk, score: Math.round(scores[i] * 1000) / 1000 }))
+        .filter(chunk => chunk.score > 0)
+        .sort((a, b) => b.score - a.score || a.number - b.number)
+        .slice(0, limit);
+}
@@ -0,0 +1,168 @@
+import { dbReady, dbRun } from './db.js';
+import { getSchema } from './schemas/index.js';
+import { extractFieldMatches, generateRecommendations } from './analysis.js';
+import { normalizeAndValidate } from './validation.js';
+import { extractLineItems } from './lineItems.js';
+import { findHighlights } from './highlights.js';
+import { analyzeClauses } from './clauses.js';
+import { getDocument, REVIEW_STATUSES } from './history.js';
+import { recordAudit } from './audit.js';
+import { protectValues } from './pii.js';
+import { DEFAULT_LANGUAGE, resolveLocale } from './locale.js';
+
+// --- Human Review ---
+// Reviewers correct the document type and extracted fields of a stored analysis and
+// approve or reject it. Corrections re-run normalization, validation and the missing
+// field check on the corrected values, and every change is written to the audit log.
+
+export class ReviewValidationError extends Error {}
+
+const MAX_FIELD_LENGTH = 1000;
+const MAX_COMMENT_LENGTH = 2000;
+
+function validateCorrection(input, currentType) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ReviewValidationError('Request body must be a JSON object.');
+    }
+
+    let docType = currentType;
+    if (input.docType !== undefined) {
+        const schema = typeof input.docType === 'string' ? getSchema(input.docType) : null;
+        if (!schema && input.docType !== 'Other') {
+            throw new ReviewValidationError(`Unknown document type '${input.docType}'.`);
+        }
+        docType = schema ? schema.name : 'Other';
+    }
+
+    let fieldEdits = {};
+    if (input.extractedFields !== undefined) {
+        if (!input.extractedFields || typeof input.extractedFields !== 'object' || Array.isArray(input.extractedFields)) {
+            throw new ReviewValidationError("'extractedFields' must be an object of field names to values (null clears a field).");
+        }
+        const schema = getSchema(docType);
+        for (const [field, value] of Object.entries(input.extractedFields)) {
+            if (!schema?.fields[field]) {
+                throw new ReviewValidationError(`'${field}' is not a field of ${docType}.`);
+            }
+            if (value !== null && (typeof value !== 'string' || value.length > MAX_FIELD_LENGTH)) {
+                throw new ReviewValidationError(`'${field}' must be a string of at most ${MAX_FIELD_LENGTH} characters, or null.`);
+            }
+        }
+        fieldEdits = input.extractedFields;
+    }
+
+    if (input.reviewStatus !== undefined && !REVIEW_STATUSES.includes(input.reviewStatus)) {
+        throw new ReviewValidationError(`'reviewStatus' must be one of: ${REVIEW_STATUSES.join(', ')}.`);
+    }
+    if (input.comment !== undefined && input.comment !== null &&
+        (typeof input.comment !== 'string' || input.comment.length > MAX_COMMENT_LENGTH)) {
+        throw new ReviewValidationError(`'comment' must be a string of at most ${MAX_COMMENT_LENGTH} characters.`);
+    }
+
+    return { docType, fieldEdits, reviewStatus: input.reviewStatus, comment: input.comment?.trim() || null };
+}
+
+// Required fields without a value. Fields with no extraction pattern count as present
+// when their label is found, as in the regex analyzer.
+function findMissingFields(text, docType, extractedFields, language) {
+    const schema = getSchema(docType, language);
+    if (!schema) return [];
+    return Object.entries(schema.fields)
+        .filter(([field, { required, detect, extract }]) => required && !extractedFields[field] && (extract || !detect.test(text)))
+        .map(([field]) => field);
+}
+
+// Keeps the PDF boxes of highlights that did not move; the layout itself is not stored.
+function carryOverBoxes(highlights, previous) {
+    const boxes = new Map(previous.map(h => [`${h.kind}:${h.name}:${h.start}:${h.end}`, h.boxes]));
+    return highlights.map(h => ({ ...h, boxes: boxes.get(`${h.kind}:${h.name}:${h.start}:${h.end}`) || [] }));
+}
+
+/**
+ * Applies a reviewer's `input` to document `id`:
+ *   docType          corrected type; fields are re-extracted for the new type
+ *   extractedFields  { field: value | null } edits on top of the current fields
+ *   reviewStatus     pending | approved | rejected
+ *   comment          optional note stored with the audit entry
+ * Resolves to the updated document, or null when it does not exist in the workspace.
+ */
+export async function updateDocumentReview(id, workspaceId, userId, input) {
+    await dbReady;
+    const document = await getDocument(id, workspaceId);
+    if (!document) return null;
+
+    const { docType, fieldEdits, reviewStatus, comment } = validateCorrection(input, document.doc_type);
+    const text = document.content || '';
+    const typeChanged = docType !== document.doc_type;
+    // Documents analyzed before language detection are English.
+    const language = document.language || DEFAULT_LANGUAGE;
+    const { decimal, dateOrder } = resolveLocale(document.locale, language);
+
+    // A new type starts from what its own patterns find in the text.
+    const matches = extractFieldMatches(text, docType, language);
+    const baseFields = typeChanged
+        ? Object.fromEntries(Object.entries(matches).map(([field, { value }]) => [field, value]))
+        : document.extracted_fields;
+    const extractedFields = { ...baseFields };
+    for (const [field, value] of Object.entries(fieldEdits)) {
+        if (value === null || value.trim() === '') {
+            delete extractedFields[field];
+        } else {
+            // Entered values are stored under the document's PII policy, as analyzed ones.
+            extractedFields[field] = protectValues(value.trim().replace(/\s+/g, ' '), document.pii_policy);
+        }
+    }
+
+    const changes = [];
+    if (typeChanged) changes.push({ field: 'doc_type', from: document.doc_type, to: docType });
+    for (const field of new Set([...Object.keys(document.extracted_fields), ...Object.keys(extractedFields)])) {
+        const from = document.extracted_fields[field] ?? null;
+        const to = extractedFields[field] ?? null;
+        if (from !== to) changes.push({ field: `extracted_fields.${field}`, from, to });
+    }
+    const corrected = changes.length > 0;
+    if (reviewStatus && reviewStatus !== document.review_status) {
+        changes.push({ field: 'review_status', from: document.review_status, to: reviewStatus });
+    }
+    if (changes.length === 0 && !comment) return document;
+
+    if (corrected) {
+        const lineItems = typeChanged
+            ? (getSchema(docType)?.definition.lineItems ? extractLineItems({ text, layout: null, decimal }) : [])
+            : document.line_items;
+        // The regex match is only a valid context while the value is still the matched one.
+        const contexts = Object.fromEntries(Object.entries(extractedFields).map(([field, value]) => [
+            field,
+            matches[field]?.value === value ? matches[field].context : value
+        ]));
+        // A corrected amount typed without a symbol keeps the currency the field had.
+        const currencies = Object.fromEntries(Object.entries(document.normalized_fields)
+            .filter(([, value]) => value?.currency)
+            .map(([field, value]) => [field, value.currency]));
+        const { normalizedFields, warnings } = normalizeAndValidate(docType, extractedFields, { text, contexts, lineItems, dateOrder, decimal, language, currencies });
+        const missingFields = findMissingFields(text, docType, extractedFields, language);
+        const highlights = carryOverBoxes(findHighlights(text, { docType, extractedFields, language }), document.highlights);
+        // Clauses depend only on the text and type, so field corrections keep them.
+        const { clauses, risks, riskScore } = typeChanged
+            ? analyzeClauses(text, docType, language)
+            : { clauses: document.clauses, risks: document.risks, riskScore: document.risk_score };
+
+        await dbRun(
+            `UPDATE documents SET doc_type = ?, extracted_fields = ?, normalized_fields = ?, warnings = ?, line_items = ?,
+                 missing_fields = ?, recommendations = ?, highlights = ?, clauses = ?, risks = ?, risk_score = ? WHERE id = ?`,
+            [docType, JSON.stringify(extractedFields), JSON.stringify(normalizedFields), JSON.stringify(warnings), JSON.stringify(lineItems),
+                JSON.stringify(missingFields), JSON.stringify(generateRecommendations(missingFields, docType, { risks, language })), JSON.stringify(highlights),
+                JSON.stringify(clauses), JSON.stringify(risks), riskScore, document.id]
+        );
+    }
+    if (reviewStatus && reviewStatus !== document.review_status) {
+        const decided = reviewStatus !== 'pending';
+        await dbRun(
+            "UPDATE documents SET review_status = ?, reviewed_by = ?, reviewed_at = CASE WHEN ? THEN CURRENT_TIMESTAMP END WHERE id = ?",
+            [reviewStatus, decided ? userId : null, decided ? 1 : 0, document.id]
+        );
+    }
+
+    await recordAudit(document.id, { workspaceId: document.workspace_id, userId, action: corrected ? 'corrected' : changes.length > 0 ? 'reviewed' : 'commented', changes, comment });
+    return getDocument(document.id, workspaceId);
+}
@@ -0,0 +1,55 @@
+import express from 'express';
+import { ENGINE_REGEX, resolveEngine, listProviders } from '../providers/index.js';
+import { requireAuth, requireRole } from '../auth.js';
+import { upload } from '../upload.js';
+import { processDocument } from '../pipeline.js';
+import { canonicalLocale } from '../locale.js';
+import { getDocument, toAnalysisResource } from '../history.js';
+import { sendDocumentError } from '../api/errors.js';
+
+// --- Analysis Routes ---
+
+const router = express.Router();
+
+// A misconfigured LLM_PROVIDER leaves no default; the error says why.
+router.get('/engines', requireAuth, (req, res) => {
+    const engines = [ENGINE_REGEX, ...listProviders()];
+    try {
+        res.json({ engines, default: resolveEngine(), error: null });
+    } catch (error) {
+        res.json({ engines, default: null, error: error.message });
+    }
+});
+
+// Analyzes one uploaded file and stores it. Answers with the stored Document (as
+// GET /history/:id would) plus what is only known at analysis time. A PDF split into
+// several documents answers with the first, listing all of them in `parts`.
+router.post('/analyze', requireAuth, requireRole('analyst'), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded." });
+    }
+
+    let engine;
+    let locale;
+    try {
+        engine = resolveEngine(req.body.provider || req.query.provider);
+        // The upload's own locale wins over the workspace default.
+        locale = canonicalLocale(req.body.locale || req.query.locale) || req.workspace.locale;
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const splitParam = req.body.split || req.query.split;
+    const split = splitParam === 'true' ? true : splitParam === 'false' ? false : undefined;
+
+    try {
+        const result = await processDocument(req.file, { engine, locale, split, workspaceId: req.workspace.id, userId: req.user.id });
+        const document = await getDocument(result.id, req.workspace.id);
+        res.status(201).json(toAnalysisResource(document, result));
+    } catch (error) {
+        if (sendDocumentError(res, error)) return;
+        console.error("Error during analysis:", error);
+        res.status(500).json({ error: "Failed to analyze the document." });
+    }
+});
+
+export default router;
@@ -0,0 +1,130 @@
+import express from 'express';
+import {
+    AuthError, createUser, createWorkspace, listWorkspaces, login, logout, createSession,
+    listMembers, addMember, updateMemberRole, removeMember, updateWorkspaceSettings, requireAuth, requireRole
+} from '../auth.js';
+
+// --- Authentication & Workspace Routes ---
+
+const router = express.Router();
+
+const registrationEnabled = () => process.env.ALLOW_REGISTRATION !== 'false';
+
+function handleAuthError(res, error, fallbackMessage) {
+    if (error instanceof AuthError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Auth error:", error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+// Creates an account together with its own workspace, where the new user is admin.
+router.post('/auth/register', async (req, res) => {
+    if (!registrationEnabled()) {
+        return res.status(403).json({ error: "Registration is disabled. Ask a workspace admin to add you." });
+    }
+    try {
+        const { username, password, workspace } = req.body || {};
+        const user = await createUser(username, password);
+        await createWorkspace(workspace || `${user.username}'s workspace`, user.id);
+        const token = await createSession(user.id);
+        res.status(201).json({ token, user, workspaces: await listWorkspaces(user.id) });
+    } catch (error) {
+        handleAuthError(res, error, "Failed to register.");
+    }
+});
+
+router.post('/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const session = await login(username, password);
+        res.json({ ...session, workspaces: await listWorkspaces(session.user.id) });
+    } catch (error) {
+        handleAuthError(res, error, "Failed to log in.");
+    }
+});
+
+router.post('/auth/logout', requireAuth, async (req, res) => {
+    try {
+        await logout(req.token);
+        res.json({ message: 'Logged out.' });
+    } catch (error) {
+        handleAuthError(res, error, "Failed to log out.");
+    }
+});
+
+router.get('/auth/me', requireAuth, async (req, res) => {
+    try {
+        res.json({ user: req.user, workspaces: await listWorkspaces(req.user.id) });
+    } catch (error) {
+        handleAuthError(res, error, "Failed to load the current user.");
+    }
+});
+
+router.get('/workspaces', requireAuth, async (req, res) => {
+    try {
+        res.json(await listWorkspaces(req.user.id));
+    } catch (error) {
+        handleAuthError(res, error, "Failed to retrieve workspaces.");
+    }
+});
+
+router.post('/workspaces', requireAuth, async (req, res) => {
+    try {
+        res.status(201).json(await createWorkspace(req.body?.name, req.user.id));
+    } catch (error) {
+        handleAuthError(res, error, "Failed to create workspace.");
+    }
+});
+
+// Workspace settings: { locale, piiPolicy, retentionDays }, each optional (null to clear).
+router.patch('/workspaces/:workspaceId', requireAuth, requireRole('admin'), async (req, res) => {
+    try {
+        const settings = await updateWorkspaceSettings(req.workspace.id, req.body);
+        res.json({ ...req.workspace, ...settings });
+    } catch (error) {
+        handleAuthError(res, error, "Failed to update workspace.");
+    }
+});
+
+router.get('/workspaces/:workspaceId/members', requireAuth, requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await listMembers(req.workspace.id));
+    } catch (error) {
+        handleAuthError(res, error, "Failed to retrieve members.");
+    }
+});
+
+router.post('/workspaces/:workspaceId/members', requireAuth, requireRole('admin'), async (req, res) => {
+    try {
+        res.status(201).json(await addMember(req.workspace.id, req.body?.username, req.body?.role));
+    } catch (error) {
+        handleAuthError(res, error, "Failed to add member.");
+    }
+});
+
+router.patch('/workspaces/:workspaceId/members/:userId', requireAuth, requireRole('admin'), async (req, res) => {
+    try {
+        if (await updateMemberRole(req.workspace.id, req.params.userId, req.body?.role)) {
+            res.json({ message: 'Role updated.' });
+        } else {
+            res.status(404).json({ error: 'Member not found.' });
+        }
+    } catch (error) {
+        handleAuthError(res, error, "Failed to update member.");
+    }
+});
+
+router.delete('/workspaces/:workspaceId/members/:userId', requireAuth, requireRole('admin'), async (req, res) => {
+    try {
+        if (await removeMember(req.workspace.id, req.params.userId)) {
+            res.json({ message: 'Member removed.' });
+        } else {
+            res.status(404).json({ error: 'Member not found.' });
+        }
+    } catch (error) {
+        handleAuthError(res, error, "Failed to remove member.");
+    }
+});
+
+export default router;
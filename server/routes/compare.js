@@ -0,0 +1,29 @@
+import express from 'express';
+import { requireAuth, requireRole } from '../auth.js';
+import { getDocument } from '../history.js';
+import { compareDocuments } from '../compare.js';
+
+// --- Document Comparison Routes ---
+
+const router = express.Router();
+
+// GET /compare?a=<id>&b=<id> diffs analysis `a` (before) against `b` (after).
+router.get('/compare', requireAuth, requireRole('viewer'), async (req, res) => {
+    const { a, b } = req.query;
+    if (!a || !b) {
+        return res.status(400).json({ error: "Both 'a' and 'b' analysis ids are required." });
+    }
+
+    try {
+        const [before, after] = await Promise.all([getDocument(a, req.workspace.id), getDocument(b, req.workspace.id)]);
+        if (!before || !after) {
+            return res.status(404).json({ error: `Analysis ${before ? b : a} not found.` });
+        }
+        res.json(compareDocuments(before, after));
+    } catch (error) {
+        console.error("Comparison error:", error.message);
+        res.status(500).json({ error: "Failed to compare the analyses." });
+    }
+});
+
+export default router;
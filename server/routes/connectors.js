@@ -0,0 +1,15 @@
+import express from 'express';
+import { requireAuth, requireRole } from '../auth.js';
+import { listConnectors } from '../connectors/index.js';
+
+// --- Connector Routes ---
+
+const router = express.Router();
+router.use(requireAuth, requireRole('admin'));
+
+// The folder and mailbox connectors feeding the workspace, with their counters.
+router.get('/', (req, res) => {
+    res.json(listConnectors(req.workspace.id));
+});
+
+export default router;
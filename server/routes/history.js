@@ -0,0 +1,285 @@
+import express from 'express';
+import { requireAuth, requireRole, ROLES } from '../auth.js';
+import { listVersions } from '../versions.js';
+import {
+    searchHistory, getReviewQueue, getHistoryFacets, getDocument, getDocumentFile, getMatchingDocuments, deleteDocument,
+    toDocumentResource, HistoryQueryError
+} from '../history.js';
+import { updateDocumentReview, ReviewValidationError } from '../review.js';
+import { listAuditLog, recordAudit } from '../audit.js';
+import { listDuplicates } from '../duplicates.js';
+import { askDocument, summarizeDocument, QuestionValidationError } from '../qa.js';
+import { resolveEngine } from '../providers/index.js';
+import { buildReport, ReportFormatError, MAX_REPORT_DOCUMENTS } from '../reports.js';
+import { revealPii, PiiPolicyError } from '../pii.js';
+
+// --- Analysis History Routes ---
+
+const router = express.Router();
+router.use(requireAuth);
+
+function sendReport(res, report, basename) {
+    res.attachment(`${basename}.${report.extension}`);
+    res.type(report.contentType);
+    res.send(report.body);
+}
+
+function handleReportError(res, error) {
+    if (error instanceof ReportFormatError || error instanceof HistoryQueryError) {
+        return res.status(400).json({ error: error.message });
+    }
+    console.error("Report error:", error.message);
+    res.status(500).json({ error: "Failed to generate the report." });
+}
+
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await searchHistory(req.query, { workspaceId: req.workspace.id }));
+    } catch (error) {
+        if (error instanceof HistoryQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("Database select error:", error.message);
+        res.status(500).json({ error: "Failed to retrieve analysis history." });
+    }
+});
+
+router.get('/facets', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await getHistoryFacets(req.workspace.id));
+    } catch (error) {
+        console.error("Database select error:", error.message);
+        res.status(500).json({ error: "Failed to retrieve history filters." });
+    }
+});
+
+// Pending documents, lowest classification confidence first.
+router.get('/review-queue', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await getReviewQueue(req.query, { workspaceId: req.workspace.id }));
+    } catch (error) {
+        if (error instanceof HistoryQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("Database select error:", error.message);
+        res.status(500).json({ error: "Failed to retrieve the review queue." });
+    }
+});
+
+// One report over every analysis matching the same filters as GET /history.
+router.get('/report', requireRole('viewer'), async (req, res) => {
+    try {
+        const { format = 'pdf', redact, ...filters } = req.query;
+        const documents = await getMatchingDocuments(filters, { workspaceId: req.workspace.id, limit: MAX_REPORT_DOCUMENTS });
+        if (documents.length === 0) {
+            return res.status(404).json({ error: "No analyses match these filters." });
+        }
+        sendReport(res, await buildReport(documents, format, { redact: redact === 'true' }), `analysis-report-${new Date().toISOString().slice(0, 10)}`);
+    } catch (error) {
+        handleReportError(res, error);
+    }
+});
+
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const row = await getDocument(req.params.id, req.workspace.id);
+        if (row) {
+            res.json(toDocumentResource(row));
+        } else {
+            res.status(404).json({ error: "Analysis not found." });
+        }
+    } catch (error) {
+        console.error("Database select error:", error.message);
+        res.status(500).json({ error: "Failed to retrieve analysis details." });
+    }
+});
+
+// Reviewer corrections (docType, extractedFields) and decisions (reviewStatus).
+router.patch('/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        const row = await updateDocumentReview(req.params.id, req.workspace.id, req.user.id, req.body);
+        if (row) {
+            res.json(toDocumentResource(row));
+        } else {
+            res.status(404).json({ error: "Analysis not found." });
+        }
+    } catch (error) {
+        if (error instanceof ReviewValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("Database update error:", error.message);
+        res.status(500).json({ error: "Failed to update the analysis." });
+    }
+});
+
+// Who changed what, oldest first. Kept after the document is deleted.
+router.get('/:id/audit', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await listAuditLog(req.params.id, req.workspace.id));
+    } catch (error) {
+        console.error("Database select error:", error.message);
+        res.status(500).json({ error: "Failed to retrieve the audit log." });
+    }
+});
+
+router.get('/:id/report', requireRole('viewer'), async (req, res) => {
+    try {
+        const row = await getDocument(req.params.id, req.workspace.id);
+        if (!row) {
+            return res.status(404).json({ error: "Analysis not found." });
+        }
+        const basename = `${row.filename.replace(/\.[^.]+$/, '')}-report`;
+        sendReport(res, await buildReport([row], req.query.format || 'pdf', { redact: req.query.redact === 'true' }), basename);
+    } catch (error) {
+        handleReportError(res, error);
+    }
+});
+
+// The personal data found in the document, with the original values that can still
+// be recovered. Revealing encrypted values is recorded in the audit log.
+router.get('/:id/pii', requireRole('analyst'), async (req, res) => {
+    try {
+        const row = await getDocument(req.params.id, req.workspace.id);
+        if (!row) {
+            return res.status(404).json({ error: "Analysis not found." });
+        }
+        const spans = revealPii(row.content, row.pii, row.pii_policy);
+        if (row.pii_policy === 'encrypt' && spans.length > 0) {
+            await recordAudit(row.id, {
+                workspaceId: row.workspace_id,
+                userId: req.user.id,
+                action: 'pii_revealed',
+                changes: [{ field: 'pii', from: null, to: `${spans.length} value(s)` }]
+            });
+        }
+        res.json({ policy: row.pii_policy, purged: Boolean(row.content_purged_at), spans });
+    } catch (error) {
+        if (error instanceof PiiPolicyError) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error("PII reveal error:", error.message);
+        res.status(500).json({ error: "Failed to retrieve the document's personal data." });
+    }
+});
+
+// Every version of the document's group, oldest first.
+router.get('/:id/versions', requireRole('viewer'), async (req, res) => {
+    try {
+        const versions = await listVersions(req.params.id, req.workspace.id);
+        if (versions) {
+            res.json(versions);
+        } else {
+            res.status(404).json({ error: "Analysis not found." });
+        }
+    } catch (error) {
+        console.error("Database select error:", error.message);
+        res.status(500).json({ error: "Failed to retrieve document versions." });
+    }
+});
+
+// Possible duplicates found on upload, in both directions.
+router.get('/:id/duplicates', requireRole('viewer'), async (req, res) => {
+    try {
+        const duplicates = await listDuplicates(req.params.id, req.workspace.id);
+        if (duplicates) {
+            res.json(duplicates);
+        } else {
+            res.status(404).json({ error: "Analysis not found." });
+        }
+    } catch (error) {
+        console.error("Database select error:", error.message);
+        res.status(500).json({ error: "Failed to retrieve possible duplicates." });
+    }
+});
+
+// Answers a question about the document, citing the passages used. Body: { question, provider? }.
+router.post('/:id/ask', requireRole('viewer'), async (req, res) => {
+    let engine;
+    try {
+        engine = resolveEngine(req.body.provider || req.query.provider);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const answer = await askDocument(req.params.id, req.workspace.id, { question: req.body.question, engine });
+        if (answer) {
+            res.json(answer);
+        } else {
+            res.status(404).json({ error: "Analysis not found." });
+        }
+    } catch (error) {
+        if (error instanceof QuestionValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("Question answering error:", error.message);
+        res.status(500).json({ error: "Failed to answer the question." });
+    }
+});
+
+router.get('/:id/summary', requireRole('viewer'), async (req, res) => {
+    let engine;
+    try {
+        engine = resolveEngine(req.query.provider);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const summary = await summarizeDocument(req.params.id, req.workspace.id, { engine });
+        if (summary) {
+            res.json(summary);
+        } else {
+            res.status(404).json({ error: "Analysis not found." });
+        }
+    } catch (error) {
+        console.error("Summarization error:", error.message);
+        res.status(500).json({ error: "Failed to summarize the document." });
+    }
+});
+
+// The original upload. Served as an attachment unless `?inline=1` (used by the viewer).
+// An original holding masked or encrypted personal data is served to analysts only,
+// and each time it is served is recorded in the audit log, as revealing PII is.
+router.get('/:id/file', requireRole('viewer'), async (req, res) => {
+    try {
+        const file = await getDocumentFile(req.params.id, req.workspace.id);
+        if (!file) {
+            return res.status(404).json({ error: "The original file is not available." });
+        }
+        if (file.restricted) {
+            if (ROLES.indexOf(req.workspace.role) < ROLES.indexOf('analyst')) {
+                return res.status(403).json({ error: "The original file holds personal data; opening it requires the analyst role." });
+            }
+            await recordAudit(file.id, {
+                workspaceId: req.workspace.id,
+                userId: req.user.id,
+                action: 'original_downloaded',
+                changes: [{ field: 'file', from: null, to: file.filename }]
+            });
+        }
+        res.attachment(file.filename);
+        res.type(file.contentType);
+        if (req.query.inline) {
+            res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+        }
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.send(file.buffer);
+    } catch (error) {
+        console.error("File read error:", error.message);
+        res.status(500).json({ error: "Failed to read the original file." });
+    }
+});
+
+router.delete('/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        if (await deleteDocument(req.params.id, req.workspace.id, { userId: req.user.id })) {
+            res.status(200).json({ message: 'History item deleted successfully.' });
+        } else {
+            res.status(404).json({ error: 'History item not found.' });
+        }
+    } catch (error) {
+        console.error("Database delete error:", error.message);
+        res.status(500).json({ error: "Failed to delete history item." });
+    }
+});
+
+export default router;
@@ -0,0 +1,138 @@
+import express from 'express';
+import { batchUpload, MAX_BATCH_FILES, BatchLimitError } from '../upload.js';
+import { resolveEngine } from '../providers/index.js';
+import { canonicalLocale } from '../locale.js';
+import { requireAuth, requireRole } from '../auth.js';
+import { expandUploads, createJob, getJob, listJobs, retryFailedItems, jobEvents } from '../jobs.js';
+
+// --- Batch Upload & Job Routes ---
+
+const router = express.Router();
+
+const FINISHED_STATUSES = ['completed', 'completed_with_errors'];
+
+router.post('/batch', requireAuth, requireRole('analyst'), batchUpload.array('files', MAX_BATCH_FILES), async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: "No files uploaded." });
+    }
+
+    let engine;
+    let locale;
+    try {
+        engine = resolveEngine(req.body.provider || req.query.provider);
+        locale = canonicalLocale(req.body.locale || req.query.locale) || req.workspace.locale;
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    let documents;
+    try {
+        documents = expandUploads(req.files);
+    } catch (error) {
+        if (error instanceof BatchLimitError) {
+            return res.status(413).json({ error: error.message, code: error.code });
+        }
+        return res.status(400).json({ error: `Could not read ZIP archive: ${error.message}` });
+    }
+    if (documents.length === 0) {
+        return res.status(400).json({ error: "The upload did not contain any files to analyze." });
+    }
+
+    try {
+        const job = await createJob(documents, { engine, locale, workspaceId: req.workspace.id, userId: req.user.id });
+        res.status(202).json(job);
+    } catch (error) {
+        console.error("Error creating batch job:", error);
+        res.status(500).json({ error: "Failed to queue the batch." });
+    }
+});
+
+router.get('/jobs', requireAuth, requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await listJobs(req.workspace.id));
+    } catch (error) {
+        console.error("Database select error:", error.message);
+        res.status(500).json({ error: "Failed to retrieve jobs." });
+    }
+});
+
+router.get('/jobs/:id', requireAuth, requireRole('viewer'), async (req, res) => {
+    try {
+        const job = await getJob(req.params.id, req.workspace.id);
+        if (!job) {
+            return res.status(404).json({ error: "Job not found." });
+        }
+        res.json(job);
+    } catch (error) {
+        console.error("Database select error:", error.message);
+        res.status(500).json({ error: "Failed to retrieve job." });
+    }
+});
+
+// Server-Sent Events stream: a `progress` event with the full job snapshot whenever an
+// item changes, and a final `done` event once nothing is pending or processing.
+router.get('/jobs/:id/events', requireAuth, requireRole('viewer'), async (req, res) => {
+    const jobId = Number(req.params.id);
+    let job = await getJob(jobId, req.workspace.id).catch(() => null);
+    if (!job) {
+        return res.status(404).json({ error: "Job not found." });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        jobEvents.off('item', onChange);
+        jobEvents.off('job', onChange);
+    };
+
+    const onChange = async (changedJobId) => {
+        if (changedJobId !== jobId) return;
+        try {
+            job = await getJob(jobId);
+            send('progress', job);
+            if (FINISHED_STATUSES.includes(job.status)) {
+                send('done', { id: jobId, status: job.status });
+                cleanup();
+                res.end();
+            }
+        } catch (error) {
+            console.error("Error publishing job progress:", error.message);
+        }
+    };
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    jobEvents.on('item', onChange);
+    jobEvents.on('job', onChange);
+    req.on('close', cleanup);
+
+    send('progress', job);
+    if (FINISHED_STATUSES.includes(job.status)) {
+        send('done', { id: jobId, status: job.status });
+        cleanup();
+        res.end();
+    }
+});
+
+router.post('/jobs/:id/retry', requireAuth, requireRole('analyst'), async (req, res) => {
+    try {
+        const job = await getJob(req.params.id, req.workspace.id);
+        if (!job) {
+            return res.status(404).json({ error: "Job not found." });
+        }
+        const requeued = await retryFailedItems(job.id);
+        res.json({ requeued, job: await getJob(job.id) });
+    } catch (error) {
+        console.error("Error retrying job:", error.message);
+        res.status(500).json({ error: "Failed to retry job." });
+    }
+});
+
+export default router;
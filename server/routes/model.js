@@ -0,0 +1,76 @@
+import express from 'express';
+import { requireAuth, requireRole, requireOperator, listWorkspaces } from '../auth.js';
+import {
+    retrainModel, listModelVersions, getModelVersion, getActiveModelVersion, activateModelVersion, ModelTrainingError
+} from '../model.js';
+
+// --- Classifier Model Routes ---
+// The model is shared by every workspace, like the document types it predicts, so
+// retraining and switching versions are for instance operators only. A retrain
+// learns from the documents of the operator's own workspaces.
+
+const router = express.Router();
+router.use(requireAuth);
+
+function handleModelError(res, error, fallbackMessage) {
+    if (error instanceof ModelTrainingError) {
+        return res.status(409).json({ error: error.message });
+    }
+    console.error("Model error:", error);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+// The active version and its evaluation metrics; `active` is null while keyword scoring is used.
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ active: await getActiveModelVersion() });
+    } catch (error) {
+        handleModelError(res, error, "Failed to retrieve the model.");
+    }
+});
+
+router.get('/versions', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await listModelVersions());
+    } catch (error) {
+        handleModelError(res, error, "Failed to retrieve model versions.");
+    }
+});
+
+router.get('/versions/:version', requireRole('viewer'), async (req, res) => {
+    try {
+        const version = await getModelVersion(req.params.version);
+        if (version) {
+            res.json(version);
+        } else {
+            res.status(404).json({ error: "Model version not found." });
+        }
+    } catch (error) {
+        handleModelError(res, error, "Failed to retrieve the model version.");
+    }
+});
+
+// Trains a new version from the stored documents; `{ "activate": false }` only evaluates it.
+router.post('/retrain', requireOperator, async (req, res) => {
+    try {
+        const workspaceIds = (await listWorkspaces(req.user.id)).map(workspace => workspace.id);
+        const version = await retrainModel({ workspaceIds, userId: req.user.id, activate: req.body?.activate !== false });
+        res.status(201).json(version);
+    } catch (error) {
+        handleModelError(res, error, "Failed to retrain the model.");
+    }
+});
+
+router.post('/versions/:version/activate', requireOperator, async (req, res) => {
+    try {
+        if (await activateModelVersion(req.params.version)) {
+            res.json(await getModelVersion(req.params.version));
+        } else {
+            res.status(404).json({ error: "Model version not found." });
+        }
+    } catch (error) {
+        handleModelError(res, error, "Failed to activate the model version.");
+    }
+});
+
+export default router;
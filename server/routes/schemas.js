@@ -0,0 +1,80 @@
+import express from 'express';
+import { requireAuth, requireOperator } from '../auth.js';
+import { getSchemas, getSchema, saveSchema, deleteSchema, FIELD_TYPES, SchemaValidationError } from '../schemas/index.js';
+
+// --- Document-Type Schema Routes ---
+
+// Document types are shared by every workspace; any signed-in user may read them,
+// only instance operators may change them.
+const router = express.Router();
+router.use(requireAuth);
+
+function handleSchemaError(res, error, fallbackMessage) {
+    if (error instanceof SchemaValidationError) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ error: "A schema with that name already exists." });
+    }
+    console.error("Schema error:", error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+router.get('/', (req, res) => {
+    res.json({
+        fieldTypes: FIELD_TYPES,
+        schemas: getSchemas().map(schema => schema.definition)
+    });
+});
+
+router.get('/:name', (req, res) => {
+    const schema = getSchema(req.params.name);
+    if (!schema) {
+        return res.status(404).json({ error: "Schema not found." });
+    }
+    res.json(schema.definition);
+});
+
+router.post('/', requireOperator, async (req, res) => {
+    try {
+        const schema = await saveSchema(req.body, { replace: false });
+        res.status(201).json(schema);
+    } catch (error) {
+        handleSchemaError(res, error, "Failed to create schema.");
+    }
+});
+
+router.put('/:name', requireOperator, async (req, res) => {
+    const currentName = req.params.name;
+    if (!getSchema(currentName)) {
+        return res.status(404).json({ error: "Schema not found." });
+    }
+    const newName = typeof req.body?.name === 'string' ? req.body.name.trim() : currentName;
+
+    try {
+        // Renaming is a create under the new name followed by removal of the old one.
+        if (newName !== currentName) {
+            const schema = await saveSchema({ ...req.body, name: newName }, { replace: false });
+            await deleteSchema(currentName);
+            return res.json(schema);
+        }
+        const schema = await saveSchema({ ...req.body, name: currentName }, { replace: true });
+        res.json(schema);
+    } catch (error) {
+        handleSchemaError(res, error, "Failed to update schema.");
+    }
+});
+
+router.delete('/:name', requireOperator, async (req, res) => {
+    try {
+        if (await deleteSchema(req.params.name)) {
+            res.status(200).json({ message: 'Schema deleted successfully.' });
+        } else {
+            res.status(404).json({ error: 'Schema not found.' });
+        }
+    } catch (error) {
+        handleSchemaError(res, error, "Failed to delete schema.");
+    }
+});
+
+export default router;
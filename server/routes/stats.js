@@ -0,0 +1,23 @@
+import express from 'express';
+import { requireAuth, requireRole } from '../auth.js';
+import { getStats, StatsQueryError } from '../stats.js';
+
+// --- Analytics Routes ---
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Dashboard figures for the caller's workspace; query: from, to, interval, asOf.
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await getStats(req.query, { workspaceId: req.workspace.id }));
+    } catch (error) {
+        if (error instanceof StatsQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("Database select error:", error.message);
+        res.status(500).json({ error: "Failed to compute statistics." });
+    }
+});
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import { requireAuth, requireRole } from '../auth.js';
+import { getUpload } from '../splitting.js';
+
+// --- Upload Routes ---
+
+const router = express.Router();
+router.use(requireAuth, requireRole('viewer'));
+
+// A multi-document PDF with the documents it was split into and their page ranges.
+router.get('/:id', async (req, res) => {
+    try {
+        const upload = await getUpload(req.params.id, req.workspace.id);
+        if (upload) {
+            res.json(upload);
+        } else {
+            res.status(404).json({ error: "Upload not found." });
+        }
+    } catch (error) {
+        console.error("Database select error:", error.message);
+        res.status(500).json({ error: "Failed to retrieve the upload." });
+    }
+});
+
+export default router;
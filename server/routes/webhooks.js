@@ -0,0 +1,102 @@
+import express from 'express';
+import { requireAuth, requireRole } from '../auth.js';
+import {
+    WEBHOOK_EVENTS, WebhookValidationError, listWebhooks, getWebhook, createWebhook, updateWebhook,
+    deleteWebhook, listDeliveries, redeliver, sendTestEvent
+} from '../webhooks.js';
+
+// --- Webhook Subscription Routes ---
+// Subscriptions belong to the current workspace and are managed by its admins.
+
+const router = express.Router();
+router.use(requireAuth, requireRole('admin'));
+
+function handleWebhookError(res, error, fallbackMessage) {
+    if (error instanceof WebhookValidationError) {
+        return res.status(400).json({ error: error.message });
+    }
+    console.error("Webhook error:", error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+// Loads the subscription named in the URL into req.webhook, or answers 404.
+async function loadWebhook(req, res, next) {
+    try {
+        req.webhook = await getWebhook(req.params.id, req.workspace.id);
+        if (!req.webhook) {
+            return res.status(404).json({ error: "Webhook not found." });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+router.get('/', async (req, res) => {
+    try {
+        res.json({ events: WEBHOOK_EVENTS, webhooks: await listWebhooks(req.workspace.id) });
+    } catch (error) {
+        handleWebhookError(res, error, "Failed to retrieve webhooks.");
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        res.status(201).json(await createWebhook(req.workspace.id, req.body));
+    } catch (error) {
+        handleWebhookError(res, error, "Failed to create the webhook.");
+    }
+});
+
+router.get('/:id', loadWebhook, (req, res) => {
+    res.json(req.webhook);
+});
+
+router.patch('/:id', loadWebhook, async (req, res) => {
+    try {
+        res.json(await updateWebhook(req.webhook.id, req.workspace.id, req.body));
+    } catch (error) {
+        handleWebhookError(res, error, "Failed to update the webhook.");
+    }
+});
+
+router.delete('/:id', loadWebhook, async (req, res) => {
+    try {
+        await deleteWebhook(req.webhook.id, req.workspace.id);
+        res.json({ message: 'Webhook deleted.' });
+    } catch (error) {
+        handleWebhookError(res, error, "Failed to delete the webhook.");
+    }
+});
+
+// The delivery log, newest first.
+router.get('/:id/deliveries', loadWebhook, async (req, res) => {
+    try {
+        res.json(await listDeliveries(req.webhook.id));
+    } catch (error) {
+        handleWebhookError(res, error, "Failed to retrieve deliveries.");
+    }
+});
+
+router.post('/:id/deliveries/:deliveryId/redeliver', loadWebhook, async (req, res) => {
+    try {
+        if (await redeliver(req.params.deliveryId, req.webhook.id)) {
+            res.status(202).json({ message: 'Delivery queued.' });
+        } else {
+            res.status(404).json({ error: "Delivery not found." });
+        }
+    } catch (error) {
+        handleWebhookError(res, error, "Failed to queue the delivery.");
+    }
+});
+
+// Sends a `webhook.test` event so a receiver can be checked before real traffic.
+router.post('/:id/test', loadWebhook, async (req, res) => {
+    try {
+        res.status(202).json({ deliveryId: await sendTestEvent(req.webhook.id) });
+    } catch (error) {
+        handleWebhookError(res, error, "Failed to send the test event.");
+    }
+});
+
+export default router;
@@ -0,0 +1,434 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dbReady, dbAll, dbGet, dbRun } from '../db.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../locale.js';
+
+// --- Document-Type Schema Registry ---
+// Each document type is described by one declarative schema: classifier cues, per
+// field its value type, whether it is required, a detection pattern, an optional
+// extraction pattern (first capture group is the value) and recommendation text, an
+// optional list of cross-field validation rules, whether to extract a line-item table,
+// the fields that together identify a duplicate (`duplicateKey`), optionally the
+// clause types to segment the text into with risk rules scored over them (clauses.js),
+// and per-language packs (`languages`) adding classifier cues, detection and
+// extraction patterns and recommendation text for documents in that language. The
+// schema itself is English; a pack's patterns are tried alongside the English ones.
+// Schemas live in the `doc_schemas` table; the JSON files next to this module seed it
+// the first time the server runs against an empty table.
+
+const SCHEMA_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIELD_TYPES = ['text', 'money', 'date', 'party', 'identifier'];
+
+// Cross-field validation rules (implemented in validation.js) and the keys of each
+// rule that name a single field (`required`) or a list of fields (`lists`).
+const VALIDATION_RULE_REFS = {
+    date_order: { required: ['before', 'after'], optional: [], lists: [] },
+    total_matches: { required: ['total'], optional: [], lists: ['parts', 'extras'] },
+    tax_rate: { required: ['tax', 'total'], optional: ['base'], lists: [] },
+    same_currency: { required: [], optional: [], lists: ['fields'] }
+};
+
+export const RISK_SEVERITIES = ['low', 'medium', 'high'];
+
+// How a risk rule tests its clause type: the clause is not in the document, some
+// clause of the type matches `pattern`, or no clause of the type does. A clause
+// matching the optional `unless` pattern never triggers the rule.
+export const RISK_CONDITIONS = ['missing', 'matches', 'absent'];
+
+export class SchemaValidationError extends Error {}
+
+let compiledSchemas = [];
+
+function compilePattern(source, where) {
+    if (typeof source !== 'string' || source.trim() === '') {
+        throw new SchemaValidationError(`${where} must be a non-empty regular expression string.`);
+    }
+    try {
+        return new RegExp(source, 'i');
+    } catch (err) {
+        throw new SchemaValidationError(`${where} is not a valid regular expression: ${err.message}`);
+    }
+}
+
+/**
+ * Validates a raw schema definition and returns a normalized copy.
+ * Throws SchemaValidationError describing the first problem found.
+ */
+export function validateSchema(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new SchemaValidationError('Schema must be a JSON object.');
+    }
+
+    const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+    if (!/^[A-Za-z][\w ]{0,63}$/.test(name)) {
+        throw new SchemaValidationError('Schema name must start with a letter and contain only letters, digits, spaces or underscores.');
+    }
+    if (name.toLowerCase() === 'other') {
+        throw new SchemaValidationError("'Other' is reserved for unclassified documents.");
+    }
+
+    if (!Array.isArray(definition.classifier) || definition.classifier.length === 0) {
+        throw new SchemaValidationError('Schema needs at least one classifier cue.');
+    }
+    definition.classifier.forEach((cue, i) => compilePattern(cue, `classifier[${i}]`));
+
+    const fields = definition.fields ?? {};
+    if (typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new SchemaValidationError('Schema fields must be an object keyed by field name.');
+    }
+
+    const normalizedFields = {};
+    for (const [fieldName, field] of Object.entries(fields)) {
+        if (!/^[a-z][a-z0-9_]*$/.test(fieldName)) {
+            throw new SchemaValidationError(`Field name '${fieldName}' must be snake_case.`);
+        }
+        if (!field || typeof field !== 'object') {
+            throw new SchemaValidationError(`Field '${fieldName}' must be an object.`);
+        }
+        const type = field.type || 'text';
+        if (!FIELD_TYPES.includes(type)) {
+            throw new SchemaValidationError(`Field '${fieldName}' has unknown type '${type}'. Expected one of: ${FIELD_TYPES.join(', ')}.`);
+        }
+        compilePattern(field.detect, `fields.${fieldName}.detect`);
+        if (field.extract) {
+            checkExtract(field.extract, `fields.${fieldName}.extract`);
+        }
+        if (field.recommendation !== undefined && typeof field.recommendation !== 'string') {
+            throw new SchemaValidationError(`fields.${fieldName}.recommendation must be a string.`);
+        }
+
+        normalizedFields[fieldName] = {
+            type,
+            required: field.required !== false,
+            detect: field.detect,
+            ...(field.extract ? { extract: field.extract } : {}),
+            ...(field.recommendation ? { recommendation: field.recommendation } : {})
+        };
+    }
+
+    const validations = definition.validations ?? [];
+    if (!Array.isArray(validations)) {
+        throw new SchemaValidationError('Schema validations must be an array.');
+    }
+    validations.forEach((rule, i) => validateRule(rule, `validations[${i}]`, normalizedFields));
+
+    if (definition.lineItems !== undefined && typeof definition.lineItems !== 'boolean') {
+        throw new SchemaValidationError('Schema lineItems must be true or false.');
+    }
+
+    const duplicateKey = definition.duplicateKey ?? [];
+    if (!Array.isArray(duplicateKey)) {
+        throw new SchemaValidationError('Schema duplicateKey must be an array of field names.');
+    }
+    duplicateKey.forEach((field, i) => {
+        if (!normalizedFields[field]) {
+            throw new SchemaValidationError(`duplicateKey[${i}] refers to unknown field '${field}'.`);
+        }
+    });
+
+    const clauses = validateClauses(definition.clauses ?? {});
+    const risks = definition.risks ?? [];
+    if (!Array.isArray(risks)) {
+        throw new SchemaValidationError('Schema risks must be an array.');
+    }
+    const riskIds = new Set();
+    const normalizedRisks = risks.map((risk, i) => {
+        const normalized = validateRisk(risk, `risks[${i}]`, clauses);
+        if (riskIds.has(normalized.id)) {
+            throw new SchemaValidationError(`risks[${i}] repeats the id '${normalized.id}'.`);
+        }
+        riskIds.add(normalized.id);
+        return normalized;
+    });
+
+    const languages = validateLanguages(definition.languages ?? {}, normalizedFields);
+
+    return {
+        name,
+        classifier: [...definition.classifier],
+        fields: normalizedFields,
+        ...(validations.length > 0 ? { validations } : {}),
+        ...(definition.lineItems ? { lineItems: true } : {}),
+        ...(duplicateKey.length > 0 ? { duplicateKey: [...new Set(duplicateKey)] } : {}),
+        ...(Object.keys(clauses).length > 0 ? { clauses } : {}),
+        ...(normalizedRisks.length > 0 ? { risks: normalizedRisks } : {}),
+        ...(Object.keys(languages).length > 0 ? { languages } : {})
+    };
+}
+
+function checkExtract(source, where) {
+    const extract = compilePattern(source, where);
+    if (new RegExp(`${extract.source}|`).exec('').length < 2) {
+        throw new SchemaValidationError(`${where} needs a capture group around the value.`);
+    }
+}
+
+function validateLanguages(languages, fields) {
+    if (typeof languages !== 'object' || Array.isArray(languages)) {
+        throw new SchemaValidationError('Schema languages must be an object keyed by language code.');
+    }
+    const supported = Object.keys(LANGUAGES).filter(language => language !== DEFAULT_LANGUAGE);
+    const normalized = {};
+    for (const [language, pack] of Object.entries(languages)) {
+        if (!supported.includes(language)) {
+            throw new SchemaValidationError(`Language '${language}' is not supported. Expected one of: ${supported.join(', ')}.`);
+        }
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            throw new SchemaValidationError(`languages.${language} must be an object.`);
+        }
+        const classifier = pack.classifier ?? [];
+        if (!Array.isArray(classifier)) {
+            throw new SchemaValidationError(`languages.${language}.classifier must be an array of regular expressions.`);
+        }
+        classifier.forEach((cue, i) => compilePattern(cue, `languages.${language}.classifier[${i}]`));
+
+        const packFields = pack.fields ?? {};
+        if (typeof packFields !== 'object' || Array.isArray(packFields)) {
+            throw new SchemaValidationError(`languages.${language}.fields must be an object keyed by field name.`);
+        }
+        const normalizedPackFields = {};
+        for (const [fieldName, field] of Object.entries(packFields)) {
+            const where = `languages.${language}.fields.${fieldName}`;
+            if (!fields[fieldName]) {
+                throw new SchemaValidationError(`${where} refers to unknown field '${fieldName}'.`);
+            }
+            if (!field || typeof field !== 'object') {
+                throw new SchemaValidationError(`${where} must be an object.`);
+            }
+            if (field.detect !== undefined) compilePattern(field.detect, `${where}.detect`);
+            if (field.extract !== undefined) checkExtract(field.extract, `${where}.extract`);
+            if (field.recommendation !== undefined && typeof field.recommendation !== 'string') {
+                throw new SchemaValidationError(`${where}.recommendation must be a string.`);
+            }
+            normalizedPackFields[fieldName] = {
+                ...(field.detect !== undefined ? { detect: field.detect } : {}),
+                ...(field.extract !== undefined ? { extract: field.extract } : {}),
+                ...(field.recommendation ? { recommendation: field.recommendation } : {})
+            };
+        }
+        normalized[language] = { classifier: [...classifier], fields: normalizedPackFields };
+    }
+    return normalized;
+}
+
+function validateClauses(clauses) {
+    if (typeof clauses !== 'object' || Array.isArray(clauses)) {
+        throw new SchemaValidationError('Schema clauses must be an object keyed by clause type.');
+    }
+    const normalized = {};
+    for (const [type, clause] of Object.entries(clauses)) {
+        if (!/^[a-z][a-z0-9_]*$/.test(type)) {
+            throw new SchemaValidationError(`Clause type '${type}' must be snake_case.`);
+        }
+        if (!clause || typeof clause !== 'object') {
+            throw new SchemaValidationError(`Clause '${type}' must be an object.`);
+        }
+        if (clause.title !== undefined && typeof clause.title !== 'string') {
+            throw new SchemaValidationError(`clauses.${type}.title must be a string.`);
+        }
+        compilePattern(clause.heading, `clauses.${type}.heading`);
+        const keywords = clause.keywords ?? [];
+        if (!Array.isArray(keywords)) {
+            throw new SchemaValidationError(`clauses.${type}.keywords must be an array of regular expressions.`);
+        }
+        keywords.forEach((keyword, i) => compilePattern(keyword, `clauses.${type}.keywords[${i}]`));
+        normalized[type] = {
+            title: clause.title?.trim() || type.replace(/_/g, ' '),
+            heading: clause.heading,
+            keywords: [...keywords]
+        };
+    }
+    return normalized;
+}
+
+function validateRisk(risk, where, clauses) {
+    if (!risk || typeof risk !== 'object') {
+        throw new SchemaValidationError(`${where} must be an object.`);
+    }
+    if (typeof risk.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(risk.id)) {
+        throw new SchemaValidationError(`${where}.id must be a snake_case identifier.`);
+    }
+    if (!RISK_SEVERITIES.includes(risk.severity)) {
+        throw new SchemaValidationError(`${where}.severity must be one of: ${RISK_SEVERITIES.join(', ')}.`);
+    }
+    if (!clauses[risk.clause]) {
+        throw new SchemaValidationError(`${where}.clause refers to unknown clause type '${risk.clause}'.`);
+    }
+    if (!RISK_CONDITIONS.includes(risk.when)) {
+        throw new SchemaValidationError(`${where}.when must be one of: ${RISK_CONDITIONS.join(', ')}.`);
+    }
+    if (risk.when !== 'missing') {
+        compilePattern(risk.pattern, `${where}.pattern`);
+    }
+    if (risk.unless !== undefined) {
+        compilePattern(risk.unless, `${where}.unless`);
+    }
+    for (const key of ['message', 'recommendation']) {
+        if (typeof risk[key] !== 'string' || risk[key].trim() === '') {
+            throw new SchemaValidationError(`${where}.${key} must be a non-empty string.`);
+        }
+    }
+    return {
+        id: risk.id,
+        severity: risk.severity,
+        clause: risk.clause,
+        when: risk.when,
+        ...(risk.when !== 'missing' ? { pattern: risk.pattern } : {}),
+        ...(risk.unless !== undefined ? { unless: risk.unless } : {}),
+        message: risk.message.trim(),
+        recommendation: risk.recommendation.trim()
+    };
+}
+
+function validateRule(rule, where, fields) {
+    const refs = VALIDATION_RULE_REFS[rule?.rule];
+    if (!refs) {
+        throw new SchemaValidationError(`${where} has unknown rule '${rule?.rule}'. Expected one of: ${Object.keys(VALIDATION_RULE_REFS).join(', ')}.`);
+    }
+    const checkField = (field, key) => {
+        if (!fields[field]) {
+            throw new SchemaValidationError(`${where}.${key} refers to unknown field '${field}'.`);
+        }
+    };
+    for (const key of refs.required) {
+        checkField(rule[key], key);
+    }
+    for (const key of refs.optional) {
+        if (rule[key] !== undefined) checkField(rule[key], key);
+    }
+    for (const key of refs.lists) {
+        if (rule[key] === undefined) continue;
+        if (!Array.isArray(rule[key])) {
+            throw new SchemaValidationError(`${where}.${key} must be an array of field names.`);
+        }
+        rule[key].forEach(field => checkField(field, key));
+    }
+    if (rule.max !== undefined && !(typeof rule.max === 'number' && rule.max > 0)) {
+        throw new SchemaValidationError(`${where}.max must be a positive number.`);
+    }
+}
+
+// Pack patterns come first, so at the same position the document's own language wins.
+const eitherPattern = (pack, english) => new RegExp(english ? `(?:${pack})|(?:${english})` : pack, 'i');
+
+// The schema as seen by documents in `language`: the pack's cues added to the
+// classifier, and each field detected and extracted by its pack pattern or the
+// English one. An extraction match then holds the value in its first group that
+// took part in the match (see capturedValue()).
+function localizeSchema(schema, language, pack) {
+    const fields = {};
+    for (const [fieldName, field] of Object.entries(schema.fields)) {
+        const localized = pack.fields[fieldName] || {};
+        const english = schema.definition.fields[fieldName];
+        fields[fieldName] = {
+            ...field,
+            detect: localized.detect ? eitherPattern(localized.detect, english.detect) : field.detect,
+            extract: localized.extract ? eitherPattern(localized.extract, english.extract) : field.extract,
+            recommendation: localized.recommendation || field.recommendation
+        };
+    }
+    return {
+        ...schema,
+        language,
+        classifier: [...schema.classifier, ...pack.classifier.map(cue => new RegExp(cue, 'i'))],
+        fields
+    };
+}
+
+/** The value captured by a field's extraction `match`: its first participating group. */
+export function capturedValue(match) {
+    return match ? match.slice(1).find(group => group !== undefined) : undefined;
+}
+
+function compileSchema(definition) {
+    const fields = {};
+    for (const [fieldName, field] of Object.entries(definition.fields)) {
+        fields[fieldName] = {
+            ...field,
+            detect: new RegExp(field.detect, 'i'),
+            extract: field.extract ? new RegExp(field.extract, 'i') : null
+        };
+    }
+    const clauses = {};
+    for (const [type, clause] of Object.entries(definition.clauses || {})) {
+        clauses[type] = {
+            ...clause,
+            heading: new RegExp(clause.heading, 'i'),
+            keywords: clause.keywords.map(keyword => new RegExp(keyword, 'i'))
+        };
+    }
+    const schema = {
+        name: definition.name,
+        classifier: definition.classifier.map(cue => new RegExp(cue, 'i')),
+        fields,
+        clauses,
+        risks: (definition.risks || []).map(risk => ({
+            ...risk,
+            pattern: risk.pattern ? new RegExp(risk.pattern, 'i') : null,
+            unless: risk.unless ? new RegExp(risk.unless, 'i') : null
+        })),
+        language: DEFAULT_LANGUAGE,
+        definition
+    };
+    schema.localized = Object.fromEntries(Object.entries(definition.languages || {})
+        .map(([language, pack]) => [language, localizeSchema(schema, language, pack)]));
+    return schema;
+}
+
+function readSeedSchemas() {
+    return fs.readdirSync(SCHEMA_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => validateSchema(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'))));
+}
+
+/** Reloads the in-memory registry from the database. */
+export async function loadSchemas() {
+    await dbReady;
+    const rows = await dbAll("SELECT definition FROM doc_schemas ORDER BY name");
+    compiledSchemas = rows.map(row => compileSchema(JSON.parse(row.definition)));
+    return compiledSchemas;
+}
+
+/** Seeds the built-in schemas into an empty table and loads the registry. */
+export async function initSchemas() {
+    await dbReady;
+    const { count } = await dbGet("SELECT COUNT(*) AS count FROM doc_schemas");
+    if (count === 0) {
+        for (const schema of readSeedSchemas()) {
+            await dbRun("INSERT INTO doc_schemas (name, definition) VALUES (?, ?)", [schema.name, JSON.stringify(schema)]);
+        }
+    }
+    return loadSchemas();
+}
+
+// A compiled schema in `language`: its localized view when it has a pack for it.
+const inLanguage = (schema, language) => (language && schema.localized[language]) || schema;
+
+/** The compiled schemas currently in use by the analysis pipeline, as seen by documents in `language`. */
+export function getSchemas(language = DEFAULT_LANGUAGE) {
+    return compiledSchemas.map(schema => inLanguage(schema, language));
+}
+
+export function getSchema(name, language = DEFAULT_LANGUAGE) {
+    const schema = compiledSchemas.find(candidate => candidate.name === name);
+    return schema ? inLanguage(schema, language) : null;
+}
+
+export async function saveSchema(definition, { replace }) {
+    const schema = validateSchema(definition);
+    const sql = replace
+        ? "INSERT INTO doc_schemas (name, definition) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET definition = excluded.definition, updated_at = CURRENT_TIMESTAMP"
+        : "INSERT INTO doc_schemas (name, definition) VALUES (?, ?)";
+    await dbRun(sql, [schema.name, JSON.stringify(schema)]);
+    await loadSchemas();
+    return schema;
+}
+
+export async function deleteSchema(name) {
+    const { changes } = await dbRun("DELETE FROM doc_schemas WHERE name = ?", [name]);
+    await loadSchemas();
+    return changes > 0;
+}
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openApiDocument, API_BASE_PATH } from '../api/openapi.js';
+
+// --- API Client Generator ---
+// Writes the front end's API client from the OpenAPI document: one function per
+// operation, named by its operationId, taking the path parameters in order, then
+// the request body (if any), the query (if any) and an axios request config.
+//
+//   npm run generate-client [-- <output file>]
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_OUTPUT = path.join(here, '..', '..', 'frontend', 'LLM_doc_analyser', 'src', 'apiClient.js');
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function listOperations() {
+    const operations = [];
+    for (const [template, item] of Object.entries(openApiDocument.paths)) {
+        for (const method of METHODS) {
+            const operation = item[method];
+            if (!operation) continue;
+            operations.push({
+                template,
+                method,
+                id: operation.operationId,
+                summary: operation.summary,
+                pathParams: [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]),
+                hasBody: Boolean(operation.requestBody),
+                hasQuery: (operation.parameters || []).some(parameter => parameter.in === 'query')
+            });
+        }
+    }
+    return operations.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+function pathBuilder({ id, template, pathParams }) {
+    const url = template.replace(/\{(\w+)\}/g, (_, name) => `\${encodeURIComponent(${name})}`);
+    return `  ${id}: (${pathParams.join(', ')}) => \`${url}\`,`;
+}
+
+function clientFunction({ id, method, summary, template, pathParams, hasBody, hasQuery }) {
+    const args = [...pathParams, ...(hasBody ? ['body'] : []), ...(hasQuery ? ['query'] : []), 'config'];
+    const config = hasQuery ? '{ ...config, params: query }' : 'config';
+    const call = ['post', 'put', 'patch'].includes(method)
+        ? `http.${method}(paths.${id}(${pathParams.join(', ')}), ${hasBody ? 'body' : 'undefined'}, ${config})`
+        : `http.${method}(paths.${id}(${pathParams.join(', ')}), ${config})`;
+    return [
+        `  /** ${method.toUpperCase()} ${template}: ${summary}. */`,
+        `  ${id}: (${args.join(', ')}) => ${call},`
+    ].join('\n');
+}
+
+function generateClient() {
+    const operations = listOperations();
+    return [
+        `// Generated by server/scripts/generate-client.js from the OpenAPI document`,
+        `// (${openApiDocument.info.title} ${openApiDocument.info.version}). Do not edit by hand;`,
+        `// run \`npm run generate-client\` in server/ after changing the API.`,
+        '',
+        `export const API_BASE_PATH = "${API_BASE_PATH}";`,
+        '',
+        '// Path of each operation, relative to API_BASE_PATH.',
+        'export const paths = {',
+        ...operations.map(pathBuilder),
+        '};',
+        '',
+        '// Binds every operation to an axios instance. Each function resolves to the',
+        '// axios response; errors carry `{ error, code, details? }` as their data.',
+        'export const createApiClient = (http) => ({',
+        operations.map(clientFunction).join('\n'),
+        '});',
+        ''
+    ].join('\n');
+}
+
+const output = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_OUTPUT;
+fs.writeFileSync(output, generateClient());
+console.log(`Wrote ${listOperations().length} operations to ${output}`);
+process.exit(0);
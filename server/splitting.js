@@ -0,0 +1,165 @@
+import { dbReady, dbRun, dbGet, dbAll } from './db.js';
+import { classifyDocument, extractFieldsWithRegex, formatExtractedText } from './analysis.js';
+import { getSchema } from './schemas/index.js';
+import { detectLanguage } from './locale.js';
+
+// --- Multi-Document PDF Splitting ---
+// Scanned batches often arrive as one PDF holding several documents. Every page is
+// classified on its own, and a new document starts on a page that
+//   type_change     is confidently of another type than the document so far,
+//   new_identifier  carries another identifier (e.g. invoice number) than it, or
+//   new_header      opens with its type's heading, or says it is page 1 of n,
+// unless the page marks itself as a continuation ("Page 2 of 3", "continued").
+// Pages that classify as nothing in particular stay with the document before them.
+// Each part is stored as its own `documents` row, linked to an `uploads` row for
+// the PDF it came from.
+
+export const SPLIT_REASONS = ['type_change', 'new_identifier', 'new_header'];
+
+const SPLIT_ENABLED = process.env.PDF_SPLIT !== 'false';
+// Pages classified with less confidence do not start a document of a new type.
+const MIN_PAGE_CONFIDENCE = parseFloat(process.env.PDF_SPLIT_MIN_CONFIDENCE) || 0.3;
+// How many of a page's first non-empty lines count as its header.
+const HEADER_LINES = 3;
+
+const PAGE_MARKER = /\bpage\s+(\d+)\s*(?:of|\/)\s*\d+\b/i;
+const CONTINUED = /\(?\bcontinued\b\)?|\bcont(?:'|\.)d\b/i;
+
+function identifierFields(type) {
+    const schema = getSchema(type);
+    return schema ? Object.keys(schema.fields).filter(field => schema.fields[field].type === 'identifier') : [];
+}
+
+function describePage(page, language) {
+    const text = formatExtractedText(page.text || '');
+    const { type, confidence } = classifyDocument(text, language);
+    const typed = type !== 'Other' && confidence >= MIN_PAGE_CONFIDENCE;
+    const head = text.split('\n').filter(line => line.trim()).slice(0, HEADER_LINES).join('\n');
+    const marker = PAGE_MARKER.exec(text);
+    return {
+        number: page.number,
+        text,
+        type: typed ? type : null,
+        head,
+        firstPage: marker ? marker[1] === '1' : null,
+        continuation: (marker && marker[1] !== '1') || CONTINUED.test(head)
+    };
+}
+
+function identifiersOf(text, type, language) {
+    const fields = identifierFields(type);
+    if (fields.length === 0) return {};
+    const extracted = extractFieldsWithRegex(text, type, language);
+    return Object.fromEntries(fields.filter(field => extracted[field]).map(field => [field, extracted[field].toLowerCase()]));
+}
+
+function headerMatches(page, type) {
+    return Boolean(getSchema(type)?.classifier.some(cue => cue.test(page.head)));
+}
+
+// Why `page` starts a new document after `current` (the part so far), or null.
+function boundaryReason(current, page, language) {
+    if (page.continuation) return null;
+    if (page.type && current.type && page.type !== current.type) return 'type_change';
+
+    const type = current.type || page.type;
+    if (!type) return null;
+    const identifiers = identifiersOf(page.text, type, language);
+    const differing = Object.entries(identifiers).some(([field, value]) => current.identifiers[field] && current.identifiers[field] !== value);
+    if (differing) return 'new_identifier';
+    const sameIdentifier = Object.entries(identifiers).some(([field, value]) => current.identifiers[field] === value);
+    if (!sameIdentifier && (page.firstPage || (page.type === type && headerMatches(page, type)))) return 'new_header';
+    return null;
+}
+
+/**
+ * Plans how to split a PDF's pages ([{ number, text }] from extractText) into
+ * documents. Returns [{ pageStart, pageEnd, reason }] in page order, where `reason`
+ * is one of SPLIT_REASONS (null for the first part); a single entry means the PDF
+ * is one document.
+ */
+export function planSplit(pages, language) {
+    const parts = [];
+    let current = null;
+    for (const page of pages.map(page => describePage(page, language))) {
+        const reason = current ? boundaryReason(current, page, language) : null;
+        if (!current || reason) {
+            current = { pageStart: page.number, pageEnd: page.number, reason, type: page.type, identifiers: {} };
+            parts.push(current);
+        } else {
+            current.pageEnd = page.number;
+            current.type = current.type || page.type;
+        }
+        if (current.type) {
+            current.identifiers = { ...identifiersOf(page.text, current.type, language), ...current.identifiers };
+        }
+    }
+    return parts.map(({ pageStart, pageEnd, reason }) => ({ pageStart, pageEnd, reason }));
+}
+
+/**
+ * The documents in an extracted file (see extractText): null when it is not a
+ * multi-document PDF (or splitting is off), else one extraction per part, as
+ * { text, layout, pageStart, pageEnd, reason }, each covering only its pages.
+ */
+export function splitExtraction({ text, sourceFormat, layout, pages }, { split = SPLIT_ENABLED } = {}) {
+    if (!split || sourceFormat !== 'pdf' || !pages || pages.length < 2) return null;
+    const { language } = detectLanguage(text);
+    const parts = planSplit(pages, language);
+    if (parts.length < 2) return null;
+
+    return parts.map(part => {
+        const inPart = number => number >= part.pageStart && number <= part.pageEnd;
+        return {
+            ...part,
+            text: formatExtractedText(pages.filter(page => inPart(page.number)).map(page => page.text).join('\n\n')),
+            layout: layout ? layout.filter(item => inPart(item.page)) : null
+        };
+    });
+}
+
+// --- Uploads ---
+
+/** Records a PDF that was split into several documents. Resolves to its id. */
+export async function createUpload({ workspaceId, userId, filename, fileSha256, pageCount }) {
+    await dbReady;
+    const { lastID } = await dbRun(
+        "INSERT INTO uploads (workspace_id, uploaded_by, filename, file_sha256, page_count) VALUES (?, ?, ?, ?, ?)",
+        [workspaceId, userId, filename, fileSha256, pageCount]
+    );
+    return lastID;
+}
+
+/**
+ * An upload with the documents it was split into, in page order, or null.
+ * Resolves to { id, filename, pageCount, uploadedBy, createdAt, documents }.
+ */
+export async function getUpload(id, workspaceId = null) {
+    await dbReady;
+    const upload = await dbGet(
+        "SELECT id, filename, page_count, uploaded_by, created_at FROM uploads WHERE id = ? AND (? IS NULL OR workspace_id = ?)",
+        [id, workspaceId, workspaceId]
+    );
+    if (!upload) return null;
+    const documents = await dbAll(
+        `SELECT id, doc_type, confidence, page_start, page_end, split_reason, review_status
+         FROM documents WHERE upload_id = ? ORDER BY page_start`,
+        [upload.id]
+    );
+    return {
+        id: upload.id,
+        filename: upload.filename,
+        pageCount: upload.page_count,
+        uploadedBy: upload.uploaded_by,
+        createdAt: upload.created_at,
+        documents: documents.map(row => ({
+            id: row.id,
+            docType: row.doc_type,
+            confidence: row.confidence,
+            pageStart: row.page_start,
+            pageEnd: row.page_end,
+            splitReason: row.split_reason,
+            reviewStatus: row.review_status
+        }))
+    };
+}
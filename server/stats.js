@@ -0,0 +1,248 @@
+import { dbReady, dbAll, dbGet } from './db.js';
+import { getSchemas } from './schemas/index.js';
+
+// --- Analytics ---
+// Aggregates over the analyzed documents of a workspace, optionally limited to an
+// analysis date range: volume by type over time, the most often missing fields,
+// classification confidence, invoice totals by currency and vendor, and invoices
+// whose due date has passed. Invoices are the documents of any type whose schema
+// extracts a money `amount` and a date `due_date`. Rejected analyses are left out of
+// the invoice figures, since a reviewer has marked their extracted values as wrong,
+// and so are repeat uploads of a file or text already counted.
+
+export const STATS_INTERVALS = ['day', 'week', 'month'];
+
+const TOP_LIMIT = 10;
+const OVERDUE_LIMIT = 50;
+
+// SQL expression giving the period an `analyzed_at` timestamp falls in (weeks start on Monday).
+const PERIOD_SQL = {
+    day: "date(analyzed_at)",
+    week: "date(analyzed_at, '-6 days', 'weekday 1')",
+    month: "strftime('%Y-%m', analyzed_at)"
+};
+
+export class StatsQueryError extends Error {}
+
+function parseDateParam(value, name) {
+    if (value === undefined || value === '') return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new StatsQueryError(`'${name}' must be a date in YYYY-MM-DD format.`);
+    }
+    return value;
+}
+
+// Workspace and analysis-date conditions; `prefix` qualifies the columns ('d.').
+function documentFilter(prefix, { workspaceId, from, to }) {
+    const where = [`(? IS NULL OR ${prefix}workspace_id = ?)`];
+    const values = [workspaceId, workspaceId];
+    if (from) {
+        where.push(`${prefix}analyzed_at >= ?`);
+        values.push(from);
+    }
+    if (to) {
+        where.push(`${prefix}analyzed_at < date(?, '+1 day')`);
+        values.push(to);
+    }
+    return { sql: where.join(' AND '), values };
+}
+
+// Document types whose schema extracts an amount owed and when it falls due.
+function invoiceTypes() {
+    return getSchemas()
+        .filter(({ definition: { fields } }) => fields.amount?.type === 'money' && fields.due_date?.type === 'date')
+        .map(schema => schema.name);
+}
+
+// A document linked as an identical file or text of an earlier one that still counts.
+const REPEAT_UPLOAD_SQL = `EXISTS (
+    SELECT 1 FROM document_duplicates l JOIN documents o ON o.id = l.duplicate_of
+    WHERE l.document_id = documents.id AND o.review_status != 'rejected'
+      AND EXISTS (SELECT 1 FROM json_each(l.reasons) WHERE json_each.value IN ('identical_file', 'identical_text')))`;
+
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Daily buckets up to a month, weekly up to half a year, monthly beyond.
+function defaultInterval(from, to) {
+    const days = (Date.parse(to) - Date.parse(from)) / 86400000;
+    if (days <= 31) return 'day';
+    if (days <= 183) return 'week';
+    return 'month';
+}
+
+// Every period key from `from` to `to`, so the chart shows empty periods as zero.
+function listPeriods(interval, from, to) {
+    const periods = [];
+    const date = new Date(`${from}T00:00:00Z`);
+    if (interval === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    if (interval === 'month') date.setUTCDate(1);
+    const end = new Date(`${to}T00:00:00Z`);
+    while (date <= end && periods.length < 1000) {
+        const iso = date.toISOString().slice(0, 10);
+        periods.push(interval === 'month' ? iso.slice(0, 7) : iso);
+        if (interval === 'day') date.setUTCDate(date.getUTCDate() + 1);
+        if (interval === 'week') date.setUTCDate(date.getUTCDate() + 7);
+        if (interval === 'month') date.setUTCMonth(date.getUTCMonth() + 1);
+    }
+    return periods;
+}
+
+// Vendors are grouped ignoring case and punctuation ("ACME Ltd." is "Acme Ltd"), and per
+// currency, since amounts in different currencies don't add up.
+function totalsByVendor(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = `${row.vendor.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()}|${row.currency}`;
+        if (!groups.has(key)) groups.set(key, { vendor: row.vendor, currency: row.currency, total: 0, count: 0 });
+        const group = groups.get(key);
+        group.total += row.amount;
+        group.count++;
+    }
+    return [...groups.values()]
+        .map(group => ({ ...group, total: round(group.total) }))
+        .sort((a, b) => b.total - a.total)
+        .slice(0, TOP_LIMIT);
+}
+
+/**
+ * Dashboard figures for `workspaceId` (null: every workspace). `params` takes
+ * `from` and `to` (YYYY-MM-DD, on the analysis date) and `interval` (day, week or
+ * month; chosen from the range when omitted). Invoices count as overdue when their
+ * due date is before `asOf` (default today).
+ */
+export async function getStats(params = {}, { workspaceId = null } = {}) {
+    await dbReady;
+    const from = parseDateParam(params.from, 'from');
+    const to = parseDateParam(params.to, 'to');
+    if (from && to && from > to) {
+        throw new StatsQueryError("'from' must not be after 'to'.");
+    }
+    const asOf = parseDateParam(params.asOf, 'asOf') || today();
+    if (params.interval && !STATS_INTERVALS.includes(params.interval)) {
+        throw new StatsQueryError(`'interval' must be one of: ${STATS_INTERVALS.join(', ')}.`);
+    }
+
+    const { sql: whereSql, values } = documentFilter('', { workspaceId, from, to });
+    const types = invoiceTypes();
+    const invoiceSql = `${whereSql} AND doc_type IN (${types.map(() => '?').join(', ')})
+        AND review_status != 'rejected' AND NOT ${REPEAT_UPLOAD_SQL}`;
+    const invoiceValues = [...values, ...types];
+
+    const totals = await dbGet(
+        `SELECT COUNT(*) AS documents, AVG(confidence) AS averageConfidence,
+                date(MIN(analyzed_at)) AS first, date(MAX(analyzed_at)) AS last
+         FROM documents WHERE ${whereSql}`,
+        values
+    );
+
+    const rangeFrom = from || totals.first || asOf;
+    const rangeTo = to || (totals.last && totals.last > asOf ? totals.last : asOf);
+    const interval = params.interval || defaultInterval(rangeFrom, rangeTo);
+
+    const byType = await dbAll(
+        `SELECT doc_type AS type, COUNT(*) AS count, AVG(confidence) AS averageConfidence
+         FROM documents WHERE ${whereSql}
+         GROUP BY doc_type ORDER BY count DESC`,
+        values
+    );
+
+    const periodRows = await dbAll(
+        `SELECT ${PERIOD_SQL[interval]} AS period, doc_type AS type, COUNT(*) AS count, AVG(confidence) AS averageConfidence
+         FROM documents WHERE ${whereSql}
+         GROUP BY period, doc_type`,
+        values
+    );
+    const periods = new Map(listPeriods(interval, rangeFrom, rangeTo).map(period => [period, { period, total: 0, counts: {}, confidenceSum: 0 }]));
+    for (const row of periodRows) {
+        if (!periods.has(row.period)) periods.set(row.period, { period: row.period, total: 0, counts: {}, confidenceSum: 0 });
+        const entry = periods.get(row.period);
+        entry.counts[row.type] = row.count;
+        entry.total += row.count;
+        entry.confidenceSum += row.averageConfidence * row.count;
+    }
+
+    const missingFields = await dbAll(
+        `SELECT json_each.value AS field, d.doc_type AS type, COUNT(*) AS count
+         FROM documents d, json_each(d.missing_fields)
+         WHERE ${documentFilter('d.', { workspaceId, from, to }).sql}
+         GROUP BY json_each.value, d.doc_type
+         ORDER BY count DESC, field
+         LIMIT ?`,
+        [...values, TOP_LIMIT]
+    );
+    const typeCounts = new Map(byType.map(row => [row.type, row.count]));
+
+    const byCurrency = await dbAll(
+        `SELECT json_extract(normalized_fields, '$.amount.currency') AS currency,
+                SUM(json_extract(normalized_fields, '$.amount.amount')) AS total, COUNT(*) AS count
+         FROM documents
+         WHERE ${invoiceSql} AND json_extract(normalized_fields, '$.amount.amount') IS NOT NULL
+         GROUP BY currency ORDER BY total DESC`,
+        invoiceValues
+    );
+    const vendorRows = await dbAll(
+        `SELECT json_extract(normalized_fields, '$.bill_from.name') AS vendor,
+                json_extract(normalized_fields, '$.amount.currency') AS currency,
+                json_extract(normalized_fields, '$.amount.amount') AS amount
+         FROM documents
+         WHERE ${invoiceSql} AND json_extract(normalized_fields, '$.amount.amount') IS NOT NULL
+           AND json_extract(normalized_fields, '$.bill_from.name') IS NOT NULL`,
+        invoiceValues
+    );
+
+    const overdueSql = `${invoiceSql} AND json_extract(normalized_fields, '$.due_date') < ?`;
+    const overdueRows = await dbAll(
+        `SELECT id, filename, json_extract(normalized_fields, '$.invoice_number') AS invoiceNumber,
+                json_extract(normalized_fields, '$.bill_from.name') AS vendor,
+                json_extract(normalized_fields, '$.amount.amount') AS amount,
+                json_extract(normalized_fields, '$.amount.currency') AS currency,
+                json_extract(normalized_fields, '$.due_date') AS dueDate
+         FROM documents WHERE ${overdueSql}
+         ORDER BY dueDate, id LIMIT ?`,
+        [...invoiceValues, asOf, OVERDUE_LIMIT]
+    );
+    // Invoices without an amount are counted apart; they add nothing to any currency.
+    const overdueTotals = await dbAll(
+        `SELECT json_extract(normalized_fields, '$.amount.currency') AS currency,
+                SUM(json_extract(normalized_fields, '$.amount.amount')) AS total, COUNT(*) AS count
+         FROM documents WHERE ${overdueSql} AND json_extract(normalized_fields, '$.amount.amount') IS NOT NULL
+         GROUP BY currency ORDER BY total DESC`,
+        [...invoiceValues, asOf]
+    );
+    const { withoutAmount } = await dbGet(
+        `SELECT COUNT(*) AS withoutAmount FROM documents
+         WHERE ${overdueSql} AND json_extract(normalized_fields, '$.amount.amount') IS NULL`,
+        [...invoiceValues, asOf]
+    );
+
+    return {
+        range: { from, to, interval, asOf },
+        totals: { documents: totals.documents, averageConfidence: round(totals.averageConfidence, 4) },
+        byType: byType.map(row => ({ ...row, averageConfidence: round(row.averageConfidence, 4) })),
+        overTime: {
+            types: byType.map(row => row.type),
+            periods: [...periods.values()]
+                .sort((a, b) => (a.period < b.period ? -1 : 1))
+                .map(({ confidenceSum, ...entry }) => ({
+                    ...entry,
+                    averageConfidence: entry.total ? round(confidenceSum / entry.total, 4) : null
+                }))
+        },
+        missingFields: missingFields.map(row => ({ ...row, share: round(row.count / typeCounts.get(row.type), 4) })),
+        invoices: {
+            byCurrency: byCurrency.map(row => ({ ...row, total: round(row.total) })),
+            byVendor: totalsByVendor(vendorRows),
+            overdue: {
+                count: overdueTotals.reduce((sum, row) => sum + row.count, withoutAmount),
+                withoutAmount,
+                byCurrency: overdueTotals.map(row => ({ ...row, total: round(row.total) })),
+                items: overdueRows.map(row => ({
+                    ...row,
+                    daysOverdue: Math.round((Date.parse(asOf) - Date.parse(row.dueDate)) / 86400000)
+                }))
+            }
+        }
+    };
+}
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// --- Original File Storage ---
+// Uploaded files are kept on disk under STORAGE_DIR, content-addressed by their
+// SHA-256 digest (`ab/cd/abcd…`), so uploading the same bytes twice stores them once.
+
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || './uploads');
+
+const DIGEST_PATTERN = /^[0-9a-f]{64}$/;
+
+export function hashFile(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function storedFilePath(digest) {
+    if (!DIGEST_PATTERN.test(digest)) {
+        throw new Error(`Invalid file digest: ${digest}`);
+    }
+    return path.join(STORAGE_DIR, digest.slice(0, 2), digest.slice(2, 4), digest);
+}
+
+/** Writes `buffer` unless identical content is already stored. Resolves to its digest. */
+export async function storeFile(buffer) {
+    const digest = hashFile(buffer);
+    const target = storedFilePath(digest);
+    try {
+        await fs.access(target);
+        return digest;
+    } catch {
+        // Not stored yet.
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    // Write to a temporary name first so a crash never leaves a truncated file behind.
+    const temporary = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temporary, buffer);
+    await fs.rename(temporary, target);
+    return digest;
+}
+
+/** Resolves to the stored bytes, or null when the file is not (or no longer) on disk. */
+export async function readStoredFile(digest) {
+    try {
+        return await fs.readFile(storedFilePath(digest));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+export async function removeStoredFile(digest) {
+    await fs.rm(storedFilePath(digest), { force: true });
+}
@@ -0,0 +1,63 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Accounts live in the database, which opens on import.
+process.env.DATABASE_PATH = ':memory:';
+process.env.INSTANCE_OPERATORS = 'root, ops';
+const { createUser, createWorkspace, login, isOperator, assignLegacyData, AuthError } = await import('../auth.js');
+const { dbReady, dbRun, dbGet } = await import('../db.js');
+
+async function timed(action) {
+    const start = process.hrtime.bigint();
+    await action().catch(() => {});
+    return Number(process.hrtime.bigint() - start);
+}
+
+describe('login', () => {
+    before(() => createUser('alice', 'correct horse'));
+
+    test('returns a session for the right password only', async () => {
+        const { token, user } = await login('alice', 'correct horse');
+        assert.ok(token);
+        assert.deepEqual(user, { id: user.id, username: 'alice', operator: false });
+        await assert.rejects(login('alice', 'wrong password'), AuthError);
+        await assert.rejects(login('nobody', 'correct horse'), { message: 'Invalid username or password.' });
+    });
+
+    test('takes as long for an unknown username as for a wrong password', async () => {
+        let known = 0;
+        let unknown = 0;
+        for (let i = 0; i < 3; i++) {
+            known += await timed(() => login('alice', 'wrong password'));
+            unknown += await timed(() => login(`nobody${i}`, 'wrong password'));
+        }
+        assert.ok(unknown > known / 2, `unknown ${unknown} ns, known ${known} ns`);
+    });
+});
+
+describe('isOperator', () => {
+    test('is granted by INSTANCE_OPERATORS only', async () => {
+        assert.equal(isOperator('ops'), true);
+        assert.equal(isOperator('alice'), false);
+        assert.equal(isOperator(''), false);
+        assert.equal((await createUser('root', 'password123')).operator, true);
+    });
+});
+
+describe('data from before workspaces', () => {
+    test('stays unassigned when workspaces are created and moves only when assigned', async () => {
+        await dbReady;
+        const { lastID: documentId } = await dbRun("INSERT INTO documents (filename, content, doc_type) VALUES ('old.txt', 'text', 'Other')");
+        const { lastID: jobId } = await dbRun("INSERT INTO jobs (engine) VALUES ('regex')");
+
+        const first = await createWorkspace('First sign-up', (await createUser('mallory', 'password123')).id);
+        const named = await createWorkspace('Archive', (await createUser('archivist', 'password123')).id);
+        assert.equal((await dbGet("SELECT workspace_id FROM documents WHERE id = ?", [documentId])).workspace_id, null);
+        assert.equal((await dbGet("SELECT workspace_id FROM jobs WHERE id = ?", [jobId])).workspace_id, null);
+
+        assert.deepEqual(await assignLegacyData(named.id), { documents: 1, jobs: 1 });
+        assert.equal((await dbGet("SELECT workspace_id FROM documents WHERE id = ?", [documentId])).workspace_id, named.id);
+        assert.equal((await dbGet("SELECT workspace_id FROM jobs WHERE id = ?", [jobId])).workspace_id, named.id);
+        assert.notEqual(first.id, named.id);
+    });
+});
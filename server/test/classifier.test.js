@@ -0,0 +1,48 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { train, loadArtifact, predict, tokenize } from '../classifier.js';
+
+const invoice = i => `INVOICE\nInvoice Number: INV-${i}\nBill To: Acme Corp\nDue Date: 2024-05-${10 + i}\nSubtotal: 100.00\nTotal Amount Due: 110.00`;
+const contract = i => `SERVICE AGREEMENT ${i}\nThis Agreement is entered into by the parties.\nTerm: 12 months\nGoverning Law: New York\nTermination with notice.`;
+const examples = Array.from({ length: 6 }, (_, i) => [
+    { text: invoice(i), label: 'Invoice', weight: 1, confirmed: true },
+    { text: contract(i), label: 'Contract', weight: 1, confirmed: i % 2 === 0 }
+]).flat();
+
+describe('tokenize', () => {
+    test('lowercases words, folds numbers and adds bigrams', () => {
+        assert.deepEqual(tokenize('Invoice No 123'), ['invoice', 'no', '#num', 'invoice no', 'no #num']);
+    });
+});
+
+describe('train and predict', () => {
+    const { artifact, metrics } = train(examples, { epochs: 20, folds: 3 });
+    const model = loadArtifact(artifact);
+
+    test('separates the classes it was trained on', () => {
+        assert.deepEqual(artifact.classes, ['Contract', 'Invoice']);
+        const forInvoice = predict(model, invoice(99));
+        const forContract = predict(model, contract(99));
+        assert.ok(forInvoice.Invoice > 0.5, `Invoice scored ${forInvoice.Invoice}`);
+        assert.ok(forContract.Contract > 0.5, `Contract scored ${forContract.Contract}`);
+        assert.ok(Math.abs(forInvoice.Invoice + forInvoice.Contract - 1) < 1e-9);
+    });
+
+    test('reports cross-validated metrics', () => {
+        assert.equal(metrics.folds, 3);
+        assert.equal(metrics.evaluatedDocuments, examples.length);
+        assert.equal(metrics.confirmedDocuments, 9);
+        assert.equal(metrics.accuracy, 1);
+        assert.deepEqual(metrics.confusionMatrix.labels, ['Contract', 'Invoice']);
+    });
+
+    test('trains the same model from the same data', () => {
+        assert.deepEqual(train(examples, { epochs: 20, folds: 3 }).artifact, artifact);
+    });
+
+    test('survives a JSON round trip and rejects unknown artifacts', () => {
+        const reloaded = loadArtifact(JSON.parse(JSON.stringify(artifact)));
+        assert.deepEqual(predict(reloaded, invoice(7)), predict(model, invoice(7)));
+        assert.throws(() => loadArtifact({ format: 'other' }), /Unsupported model artifact format/);
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The clause types and risk rules come from the schemas, loaded from the database.
+process.env.DATABASE_PATH = ':memory:';
+const { analyzeClauses, scoreRisks } = await import('../clauses.js');
+const { initSchemas } = await import('../schemas/index.js');
+
+const agreement = `SERVICE AGREEMENT
+1. Term. This Agreement renews automatically for successive one-year terms.
+2. Payment. The Client shall pay each invoice within 90 days.
+3. Liability. The Provider's liability shall not be limited.
+4. Termination. Either party may terminate on 30 days' notice for breach.
+5. Governing Law. This Agreement is governed by the laws of New York.
+6. Confidentiality. Each party keeps the other's information confidential.`;
+
+describe('analyzeClauses', () => {
+    before(() => initSchemas());
+
+    test('labels numbered sections by their headings', () => {
+        const { clauses } = analyzeClauses(agreement, 'Contract');
+        assert.deepEqual(clauses.map(clause => [clause.title, clause.types]), [
+            ['Term', ['renewal']],
+            ['Payment', ['payment']],
+            ['Liability', ['liability']],
+            ['Termination', ['termination']],
+            ['Governing Law', ['governing_law']],
+            ['Confidentiality', ['confidentiality']]
+        ]);
+        assert.ok(agreement.slice(clauses[2].start, clauses[2].end).startsWith('3. Liability.'));
+    });
+
+    test('points each finding at the offending sentence, most severe first', () => {
+        const { risks, riskScore } = analyzeClauses(agreement, 'Contract');
+        assert.deepEqual(risks.map(risk => risk.rule), ['unlimited_liability', 'auto_renewal_without_notice', 'long_payment_terms']);
+        const [liability] = risks;
+        assert.equal(liability.excerpt, "The Provider's liability shall not be limited.");
+        assert.equal(agreement.slice(liability.start, liability.end), liability.excerpt);
+        assert.equal(riskScore, 100);
+    });
+
+    test('reports the clauses a contract lacks', () => {
+        const { clauses, risks, riskScore } = analyzeClauses('SERVICE AGREEMENT\nThe parties agree to work together.', 'Contract');
+        assert.deepEqual(clauses, []);
+        assert.deepEqual(risks.map(risk => [risk.rule, risk.clauseId]), [
+            ['missing_liability', null],
+            ['missing_governing_law', null],
+            ['missing_termination', null],
+            ['missing_confidentiality', null]
+        ]);
+        assert.equal(riskScore, 85);
+    });
+
+    test('scores nothing for types without clauses or other languages', () => {
+        assert.deepEqual(analyzeClauses(agreement, 'Invoice'), { clauses: [], risks: [], riskScore: null });
+        assert.deepEqual(analyzeClauses(agreement, 'Contract', 'de'), { clauses: [], risks: [], riskScore: null });
+    });
+});
+
+describe('scoreRisks', () => {
+    test('sums severity weights up to 100', () => {
+        assert.equal(scoreRisks([]), 0);
+        assert.equal(scoreRisks([{ severity: 'low' }, { severity: 'medium' }]), 35);
+        assert.equal(scoreRisks([{ severity: 'high' }, { severity: 'high' }, { severity: 'low' }]), 100);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Each run is its own process, against a database and storage directory in `dir`.
+const CLI = fileURLToPath(new URL('../cli/index.js', import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docanalyzer-cli-'));
+const env = { ...process.env, DATABASE_PATH: path.join(dir, 'cli.db'), STORAGE_DIR: path.join(dir, 'files'), LLM_PROVIDER: '' };
+
+function run(...args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { env, cwd: dir }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+const write = (name, text) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+};
+
+describe('docanalyzer', () => {
+    let complete;
+    let incomplete;
+
+    before(() => {
+        complete = write('complete.txt', 'INVOICE\nInvoice Number: INV-42\nBill From: Widget Co\nBill To: Acme Corp\nDue Date: 2024-05-01\nTax: $10.00\nTotal Amount Due: $110.00');
+        incomplete = write('incomplete.txt', 'INVOICE\nBill To: Acme Corp\nTotal Amount Due: $110.00');
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('prints the usage and exits 2 without a command', async () => {
+        const { code, stderr } = await run();
+        assert.equal(code, 2);
+        assert.match(stderr, /^Usage: docanalyzer <command>/);
+        assert.equal((await run('frobnicate')).code, 2);
+        assert.equal((await run('analyze', '--bogus')).code, 2);
+    });
+
+    test('analyzes files and exits by what they lack', async () => {
+        const ok = await run('analyze', complete);
+        assert.equal(ok.code, 0, ok.stderr);
+        const [result] = JSON.parse(ok.stdout);
+        assert.equal(result.docType, 'Invoice');
+        assert.deepEqual(result.missingFields, []);
+
+        const missing = await run('analyze', complete, incomplete, '--format', 'csv');
+        assert.equal(missing.code, 3);
+        assert.match(missing.stdout, /^file,id,pages,docType/);
+        assert.match(missing.stderr, /1 of 2 documents lack required fields/);
+
+        const failed = await run('analyze', complete, path.join(dir, 'absent.txt'));
+        assert.equal(failed.code, 1);
+        assert.match(failed.stderr, /1 of 2 files could not be analyzed/);
+    });
+
+    test('lists, shows and deletes stored documents', async () => {
+        const list = await run('history', 'list', '--type', 'Invoice', '--missing', 'invoice_number');
+        assert.equal(list.code, 0, list.stderr);
+        const page = JSON.parse(list.stdout);
+        assert.equal(page.total, 1);
+        const [{ id }] = page.items;
+
+        assert.equal(JSON.parse((await run('history', 'show', String(id))).stdout).id, id);
+        assert.equal((await run('history', 'show', 'abc')).code, 2);
+
+        const removed = await run('history', 'delete', String(id), '9999');
+        assert.equal(removed.code, 1);
+        assert.match(removed.stderr, new RegExp(`Deleted document ${id}.\nDocument 9999 not found.`));
+        assert.equal((await run('history', 'show', String(id))).code, 1);
+    });
+
+    test('needs a workspace to move legacy data into', async () => {
+        const { code, stderr } = await run('legacy', 'assign');
+        assert.equal(code, 2);
+        assert.match(stderr, /needs the receiving workspace/);
+    });
+});
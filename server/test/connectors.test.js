@@ -0,0 +1,67 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The connectors read their settings and open the database on import.
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'docanalyzer-watch-'));
+process.env.DATABASE_PATH = ':memory:';
+process.env.MAX_UPLOAD_MB = '1';
+process.env.WATCH_FOLDER = folder;
+process.env.WATCH_FOLDER_WORKSPACE_ID = '1';
+const { startFolderConnector } = await import('../connectors/folder.js');
+const { handleMessage } = await import('../connectors/imap.js');
+const { dbReady, dbRun } = await import('../db.js');
+
+// An IMAP client whose fetches fail, recording the flags it is asked to set.
+function brokenClient(error) {
+    const flagged = [];
+    return {
+        flagged,
+        fetchOne: async () => { throw error; },
+        messageFlagsAdd: async (uid, flags) => { flagged.push([uid, flags]); }
+    };
+}
+
+describe('mailbox connector', () => {
+    test('flags a message it cannot fetch and goes on', async () => {
+        const client = brokenClient(new Error('Connection reset'));
+        const state = { processed: 0, failed: 0 };
+        await handleMessage(client, 7, 1, state);
+        await handleMessage(client, 8, 1, state);
+        assert.deepEqual(client.flagged, [[7, ['\\Seen', '\\Flagged']], [8, ['\\Seen', '\\Flagged']]]);
+        assert.deepEqual(state, { processed: 0, failed: 2 });
+    });
+
+    test('flags a message whose source is missing', async () => {
+        const client = { ...brokenClient(), fetchOne: async () => false };
+        const state = { processed: 0, failed: 0 };
+        await handleMessage(client, 9, 1, state);
+        assert.deepEqual(client.flagged, [[9, ['\\Seen', '\\Flagged']]]);
+    });
+});
+
+describe('folder connector', () => {
+    before(async () => {
+        await dbReady;
+        await dbRun("INSERT INTO workspaces (name) VALUES ('Inbox')");
+    });
+
+    after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+    test('fails files over the upload limit by their size', async () => {
+        const file = path.join(folder, 'huge.txt');
+        fs.writeFileSync(file, 'x'.repeat(1100 * 1024));
+        // Settled long ago.
+        fs.utimesSync(file, new Date(0), new Date(0));
+
+        const connector = await startFolderConnector();
+        for (let i = 0; i < 100 && connector.status().failed === 0; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assert.equal(connector.status().failed, 1);
+        assert.ok(fs.existsSync(path.join(folder, 'failed', 'huge.txt')));
+        assert.match(fs.readFileSync(path.join(folder, 'failed', 'huge.txt.error.txt'), 'utf8'), /exceeds the 1 MB upload limit/);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Documents live in the database, which opens on import.
+process.env.DATABASE_PATH = ':memory:';
+const { fingerprint, findPossibleDuplicates, recordDuplicates, listDuplicates } = await import('../duplicates.js');
+const { initSchemas } = await import('../schemas/index.js');
+const { dbRun } = await import('../db.js');
+
+// Long enough for one edited word to move its SimHash by only a few bits.
+const report = Array.from({ length: 200 }, (_, i) => `finding${i}`).join(' ');
+const edited = report.replace('finding100', 'observation100');
+
+describe('fingerprint', () => {
+    test('hashes the words of the text, ignoring case and spacing', () => {
+        assert.equal(fingerprint('Invoice  INV-1\nTotal: 110').contentHash, fingerprint('invoice inv 1 total 110').contentHash);
+        assert.notEqual(fingerprint('Invoice INV-1').contentHash, fingerprint('Invoice INV-2').contentHash);
+    });
+
+    test('leaves texts too short to compare without a SimHash', () => {
+        assert.equal(fingerprint('Invoice INV-1').simhash, null);
+        assert.match(fingerprint(report).simhash, /^[0-9a-f]{16}$/);
+    });
+});
+
+describe('findPossibleDuplicates', () => {
+    let workspaceId;
+    let otherWorkspaceId;
+    const ids = {};
+    const invoiceFields = { invoice_number: 'INV-7', bill_from: { name: 'Widget Co.' }, amount: { amount: 110, currency: 'USD' } };
+
+    const store = async (name, { workspace = workspaceId, docType = 'Invoice', fileSha256 = null, text = name, normalizedFields = {} }) => {
+        const { contentHash, simhash } = fingerprint(text);
+        const { lastID } = await dbRun(
+            `INSERT INTO documents (filename, content, doc_type, workspace_id, file_sha256, content_hash, simhash, normalized_fields)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [`${name}.pdf`, text, docType, workspace, fileSha256, contentHash, simhash, JSON.stringify(normalizedFields)]
+        );
+        ids[name] = lastID;
+    };
+
+    before(async () => {
+        await initSchemas();
+        ({ lastID: workspaceId } = await dbRun("INSERT INTO workspaces (name) VALUES ('Team')"));
+        ({ lastID: otherWorkspaceId } = await dbRun("INSERT INTO workspaces (name) VALUES ('Other')"));
+        await store('scan', { fileSha256: 'abc', normalizedFields: invoiceFields });
+        await store('emailed', { text: 'different words entirely', normalizedFields: { ...invoiceFields, bill_from: { name: 'WIDGET CO' } } });
+        await store('draft', { docType: 'Report', text: edited });
+        await store('elsewhere', { workspace: otherWorkspaceId, fileSha256: 'abc' });
+    });
+
+    test('matches by file, fields and text within the workspace, strongest first', async () => {
+        const { contentHash, simhash } = fingerprint(report);
+        const matches = await findPossibleDuplicates({
+            workspaceId, docType: 'Invoice', fileSha256: 'abc', contentHash, simhash, normalizedFields: invoiceFields
+        });
+        assert.deepEqual(matches.map(match => [match.id, match.reasons]), [
+            [ids.scan, ['identical_file', 'matching_fields']],
+            [ids.emailed, ['matching_fields']],
+            [ids.draft, ['similar_text']]
+        ]);
+        assert.deepEqual(matches[1].matchedFields, ['invoice_number', 'bill_from', 'amount']);
+    });
+
+    test('needs every field of the duplicate key', async () => {
+        const matches = await findPossibleDuplicates({
+            workspaceId, docType: 'Invoice', ...fingerprint('a new invoice'), normalizedFields: { ...invoiceFields, amount: null }
+        });
+        assert.deepEqual(matches, []);
+    });
+
+    test('lists the links from both sides', async () => {
+        await store('again', { text: 'scan', normalizedFields: invoiceFields });
+        await recordDuplicates(ids.again, await findPossibleDuplicates({ id: ids.again, workspaceId, docType: 'Invoice', ...fingerprint('scan') }));
+        const links = await listDuplicates(ids.scan, workspaceId);
+        assert.deepEqual(links.duplicateOf, []);
+        assert.deepEqual(links.duplicatedBy.map(link => [link.id, link.reasons, link.similarity]), [[ids.again, ['identical_text'], 1]]);
+        assert.equal(await listDuplicates(ids.scan, otherWorkspaceId), null);
+    });
+});
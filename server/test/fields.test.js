@@ -0,0 +1,55 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNumber, normalizeDate, normalizeMoney } from '../fields.js';
+
+describe('parseNumber', () => {
+    test('reads grouped numbers written either way', () => {
+        assert.equal(parseNumber('$1,234.50'), 1234.5);
+        assert.equal(parseNumber('€1.234,50'), 1234.5);
+        assert.equal(parseNumber('1 234,50'), 1234.5);
+        assert.equal(parseNumber("1'234.50"), 1234.5);
+        assert.equal(parseNumber('1,23,456'), 123456);
+    });
+
+    test('lets the locale decide a lone separator before three digits', () => {
+        assert.equal(parseNumber('1,234'), 1234);
+        assert.equal(parseNumber('1,234', { decimal: ',' }), 1.234);
+        assert.equal(parseNumber('1.234', { decimal: ',' }), 1234);
+        assert.equal(parseNumber('12,5', { decimal: '.' }), 12.5);
+    });
+
+    test('returns null without a number', () => {
+        assert.equal(parseNumber('n/a'), null);
+        assert.equal(parseNumber(''), null);
+    });
+});
+
+describe('normalizeDate', () => {
+    test('reads ISO and numeric dates by the locale order', () => {
+        assert.equal(normalizeDate('2024-03-01'), '2024-03-01');
+        assert.equal(normalizeDate('03/04/2024'), '2024-03-04');
+        assert.equal(normalizeDate('03/04/2024', { dateOrder: 'DMY' }), '2024-04-03');
+        // A first number above 12 can only be the day.
+        assert.equal(normalizeDate('25/12/2024'), '2024-12-25');
+    });
+
+    test('reads month names in the supported languages', () => {
+        assert.equal(normalizeDate('March 5th, 2024'), '2024-03-05');
+        assert.equal(normalizeDate('15. März 2024'), '2024-03-15');
+        assert.equal(normalizeDate('1er mars 2024'), '2024-03-01');
+        assert.equal(normalizeDate('15 de marzo de 2024'), '2024-03-15');
+    });
+
+    test('rejects impossible and unknown dates', () => {
+        assert.equal(normalizeDate('2024-02-30'), null);
+        assert.equal(normalizeDate('next Tuesday'), null);
+    });
+});
+
+describe('normalizeMoney', () => {
+    test('finds the currency in the value or its context', () => {
+        assert.deepEqual(normalizeMoney('55.00', 'Total Due: $55.00'), { amount: 55, currency: 'USD' });
+        assert.deepEqual(normalizeMoney('Rs. 1,200'), { amount: 1200, currency: 'INR' });
+        assert.deepEqual(normalizeMoney('12.50'), { amount: 12.5, currency: null });
+    });
+});
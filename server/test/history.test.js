@@ -0,0 +1,75 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+// The database opens and the storage directory is resolved on import.
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docanalyzer-test-'));
+process.env.DATABASE_PATH = ':memory:';
+process.env.STORAGE_DIR = storageDir;
+const { createApiRouter } = await import('../api/index.js');
+const { initSchemas } = await import('../schemas/index.js');
+const { createUser, createWorkspace, createSession, addMember, updateWorkspaceSettings } = await import('../auth.js');
+const { processDocument } = await import('../pipeline.js');
+
+const textFile = (name, text) => ({ originalname: name, mimetype: 'text/plain', buffer: Buffer.from(text) });
+const invoice = contact => `INVOICE\nInvoice Number: INV-7\nBill To: Acme Corp\nContact: ${contact}\nTotal Amount Due: $110.00`;
+
+describe('original files', () => {
+    let server;
+    let base;
+    let workspace;
+    let analyst;
+    let viewer;
+
+    const get = (url, token) => fetch(`${base}${url}`, { headers: { Authorization: `Bearer ${token}` } });
+
+    before(async () => {
+        await initSchemas();
+        server = express().use('/api/v1', createApiRouter()).listen(0);
+        base = `http://localhost:${server.address().port}/api/v1`;
+        const owner = await createUser('owner', 'password123');
+        workspace = await createWorkspace('Team', owner.id);
+        const reader = await createUser('reader', 'password123');
+        await addMember(workspace.id, 'reader', 'viewer');
+        analyst = await createSession(owner.id);
+        viewer = await createSession(reader.id);
+    });
+
+    after(() => {
+        server.close();
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    test('are kept when the text holds masked personal data, for analysts only', async () => {
+        const { id } = await processDocument(textFile('pii.txt', invoice('jane@example.com')), { engine: 'regex', workspaceId: workspace.id });
+
+        const document = await (await get(`/history/${id}`, viewer)).json();
+        assert.equal(document.piiPolicy, 'mask');
+        assert.equal(document.originalAvailable, true);
+        assert.equal(document.originalRestricted, true);
+        assert.doesNotMatch(document.text, /jane@example\.com/);
+
+        assert.equal((await get(`/history/${id}/file`, viewer)).status, 403);
+        const response = await get(`/history/${id}/file`, analyst);
+        assert.equal(response.status, 200);
+        assert.match(await response.text(), /jane@example\.com/);
+
+        const audit = await (await get(`/history/${id}/audit`, analyst)).json();
+        assert.ok(audit.some(entry => entry.action === 'original_downloaded'));
+    });
+
+    test('are open to viewers without personal data or under the keep policy', async () => {
+        const plain = await processDocument(textFile('plain.txt', invoice('the front desk')), { engine: 'regex', workspaceId: workspace.id });
+        await updateWorkspaceSettings(workspace.id, { piiPolicy: 'keep' });
+        const kept = await processDocument(textFile('kept.txt', invoice('john@example.com')), { engine: 'regex', workspaceId: workspace.id });
+
+        for (const { id } of [plain, kept]) {
+            const document = await (await get(`/history/${id}`, viewer)).json();
+            assert.equal(document.originalRestricted, false);
+            assert.equal((await get(`/history/${id}/file`, viewer)).status, 200);
+        }
+    });
+});
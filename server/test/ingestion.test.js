@@ -0,0 +1,22 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToText, extractText } from '../ingestion.js';
+
+describe('htmlToText', () => {
+    test('keeps line structure and decodes entities', () => {
+        assert.equal(htmlToText('<p>Total&nbsp;&amp; tax</p><p>&#8364;110 &#x2713; &copy;</p>'), 'Total & tax\n€110 ✓ &copy;\n');
+    });
+
+    test('replaces numeric entities that are not characters', () => {
+        assert.equal(htmlToText('a&#99999999;b&#xD800;c&#0;d&#x110000;e'), 'a�b�c�d�e');
+    });
+});
+
+describe('extractText', () => {
+    test('reads an HTML upload with an out-of-range entity', async () => {
+        const html = Buffer.from('<html><body><h1>Invoice</h1><p>Invoice Number: INV-9 &#99999999;</p></body></html>');
+        const { text, sourceFormat } = await extractText(html, { originalname: 'invoice.html', mimetype: 'text/html' });
+        assert.equal(sourceFormat, 'html');
+        assert.match(text, /Invoice Number: INV-9 �/);
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import express from 'express';
+
+// Jobs live in the database, which opens on import; the upload limits are read then too.
+process.env.DATABASE_PATH = ':memory:';
+process.env.MAX_UPLOAD_MB = '1';
+process.env.MAX_BATCH_MB = '2';
+const { expandUploads } = await import('../jobs.js');
+const { BatchLimitError } = await import('../upload.js');
+const { createApiRouter } = await import('../api/index.js');
+const { createUser, createWorkspace, createSession } = await import('../auth.js');
+
+// Entries are stored uncompressed, so their bytes (such as a DOCX's word/document.xml)
+// appear in the archive as they are.
+function zipOf(entries) {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(entries)) zip.addFile(name, Buffer.from(content));
+    for (const entry of zip.getEntries()) entry.header.method = 0;
+    return zip.toBuffer();
+}
+
+const docx = () => zipOf({ '[Content_Types].xml': '<Types/>', 'word/document.xml': '<w:document>Invoice</w:document>' });
+const upload = (originalname, buffer) => ({ originalname, mimetype: '', buffer });
+
+describe('expandUploads', () => {
+    test('keeps DOCX files whole, however their entries are stored', () => {
+        const documents = expandUploads([upload('letter.docx', docx())]);
+        assert.deepEqual(documents.map(document => document.originalname), ['letter.docx']);
+    });
+
+    test('expands archives holding uncompressed DOCX files', () => {
+        const archive = zipOf({ 'report.docx': docx(), 'notes/readme.txt': 'hello', '__MACOSX/._report.docx': 'x', '.hidden': 'x' });
+        const documents = expandUploads([upload('batch.zip', archive)]);
+        assert.deepEqual(documents.map(document => document.originalname).sort(), ['readme.txt', 'report.docx']);
+        const report = new AdmZip(documents.find(document => document.originalname === 'report.docx').buffer);
+        assert.ok(report.getEntry('word/document.xml'));
+    });
+
+    test('counts archive entries against the size limits', () => {
+        const archive = zipOf({ 'a.txt': 'a'.repeat(800 * 1024), 'b.txt': 'b'.repeat(800 * 1024), 'c.txt': 'c'.repeat(800 * 1024) });
+        assert.throws(() => expandUploads([upload('batch.zip', archive)]), error => error instanceof BatchLimitError && error.code === 'file_too_large');
+        assert.throws(() => expandUploads([upload('big.zip', zipOf({ 'big.txt': 'x'.repeat(1100 * 1024) }))]), /exceeds the 1 MB limit/);
+    });
+});
+
+describe('POST /batch', () => {
+    let server;
+    let base;
+    let token;
+
+    before(async () => {
+        server = express().use('/api/v1', createApiRouter()).listen(0);
+        base = `http://localhost:${server.address().port}/api/v1`;
+        const user = await createUser('analyst', 'password123');
+        await createWorkspace('Team', user.id);
+        token = await createSession(user.id);
+    });
+
+    after(() => server.close());
+
+    test('stops an upload once its files pass the batch limit', async () => {
+        const form = new FormData();
+        for (const name of ['a', 'b', 'c']) form.append('files', new Blob(['x'.repeat(800 * 1024)]), `${name}.txt`);
+        const response = await fetch(`${base}/batch`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form });
+        assert.equal(response.status, 413);
+        assert.deepEqual(await response.json(), { error: 'A batch may hold at most 2 MB.', code: 'file_too_large' });
+
+        const jobs = await fetch(`${base}/jobs`, { headers: { Authorization: `Bearer ${token}` } });
+        assert.deepEqual(await jobs.json(), []);
+    });
+});
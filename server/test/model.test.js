@@ -0,0 +1,52 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Versions live in the database, which opens on import; artifacts go to MODEL_DIR.
+const modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docanalyzer-models-'));
+process.env.DATABASE_PATH = ':memory:';
+process.env.MODEL_DIR = modelDir;
+const { retrainModel, classifyWithModel } = await import('../model.js');
+const { initSchemas } = await import('../schemas/index.js');
+const { dbRun } = await import('../db.js');
+
+const invoice = i => `INVOICE\nInvoice Number: INV-${i}\nBill To: Acme Corp\nDue Date: 2024-05-${10 + i}\nTotal Amount Due: 110.00`;
+const contract = i => `SERVICE AGREEMENT ${i}\nThis Agreement is entered into by the parties.\nTerm: 12 months\nGoverning Law: New York`;
+
+describe('retrainModel', () => {
+    let workspaceId;
+
+    before(async () => {
+        await initSchemas();
+        ({ lastID: workspaceId } = await dbRun("INSERT INTO workspaces (name) VALUES ('Team')"));
+        const store = (content, docType, reviewStatus = 'approved') => dbRun(
+            "INSERT INTO documents (filename, content, doc_type, review_status, workspace_id) VALUES ('doc.txt', ?, ?, ?, ?)",
+            [content, docType, reviewStatus, workspaceId]
+        );
+        for (let i = 0; i < 6; i++) {
+            await store(invoice(i), 'Invoice');
+            await store(contract(i), 'Contract');
+        }
+        await store(null, 'Invoice');
+        await store(invoice(9), 'Contract', 'rejected');
+        await store(invoice(10), 'Receipt');
+    });
+
+    after(() => fs.rmSync(modelDir, { recursive: true, force: true }));
+
+    test('reports the documents it left out, by reason', async () => {
+        const version = await retrainModel({ workspaceIds: [workspaceId] });
+        assert.equal(version.documents, 12);
+        assert.deepEqual(version.excluded, { purged: 1, rejected: 1, unknownType: 1, unreviewed: 0, overLimit: 0 });
+    });
+
+    test('classifies text with personal data as it would the masked text', () => {
+        const text = `${invoice(3)}\nContact: jane@example.com, Phone: +1 415 555 0134`;
+        const masked = `${invoice(3)}\nContact: j***@example.com, Phone: +* *** *** ****`;
+        const result = classifyWithModel(text);
+        assert.equal(result.type, 'Invoice');
+        assert.deepEqual(result, classifyWithModel(masked));
+    });
+});
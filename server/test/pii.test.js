@@ -0,0 +1,88 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// pii.js reads workspace policies from the database, which opens on import.
+process.env.DATABASE_PATH = ':memory:';
+const { detectPii, maskValue, protectText, protectAnalysis, scanStoredDocuments } = await import('../pii.js');
+const { dbReady, dbRun, dbGet } = await import('../db.js');
+
+const typesIn = text => detectPii(text).map(span => span.type);
+
+describe('detectPii', () => {
+    test('accepts card numbers that pass the Luhn check only', () => {
+        assert.deepEqual(typesIn('Card 4111 1111 1111 1111'), ['card_number']);
+        assert.deepEqual(typesIn('Card 4111 1111 1111 1112'), []);
+    });
+
+    test('accepts IBANs whose mod-97 check holds only', () => {
+        assert.deepEqual(typesIn('IBAN: GB82 WEST 1234 5698 7654 32'), ['iban']);
+        assert.deepEqual(typesIn('IBAN: DE89370400440532013000'), ['iban']);
+        assert.deepEqual(typesIn('IBAN: GB82 WEST 1234 5698 7654 33'), []);
+    });
+
+    test('accepts Aadhaar numbers with a valid Verhoeff check digit only', () => {
+        assert.deepEqual(typesIn('Aadhaar 2341 2341 2346'), ['aadhaar']);
+        assert.deepEqual(typesIn('Aadhaar 2341 2341 2347'), []);
+    });
+
+    test('finds labelled values and reports spans in document order', () => {
+        const text = 'Mail jane@example.com, Phone: +91 98765 43210, Account No: 123456789012, PAN ABCPE1234F';
+        const spans = detectPii(text);
+        assert.deepEqual(spans.map(span => span.type), ['email', 'phone', 'account_number', 'pan']);
+        assert.equal(text.slice(spans[2].start, spans[2].end), '123456789012');
+    });
+});
+
+describe('masking', () => {
+    test('keeps the layout and the last digits of banking identifiers', () => {
+        assert.equal(maskValue('4111 1111 1111 1111', 'card_number'), '**** **** **** 1111');
+        assert.equal(maskValue('jane.doe@example.com', 'email'), 'j***.***@example.com');
+    });
+
+    test('masked text keeps its length, so offsets stay valid', () => {
+        const text = 'Card 4111 1111 1111 1111 due';
+        const { text: masked, pii } = protectText(text, 'mask');
+        assert.equal(masked.length, text.length);
+        assert.equal(masked.slice(pii[0].start, pii[0].end), '**** **** **** 1111');
+        assert.deepEqual(protectText(text, 'keep').text, text);
+    });
+
+    test('masks values taken from the text wherever they repeat', () => {
+        const text = 'Bill To: Jane\nAccount No: 123456789012';
+        const { values } = protectAnalysis({
+            text,
+            values: { extractedFields: { account: '123456789012', bill_to: 'Jane' }, warnings: [{ message: "Could not read '123456789012'." }] }
+        }, 'mask');
+        assert.deepEqual(values.extractedFields, { account: '********9012', bill_to: 'Jane' });
+        assert.equal(values.warnings[0].message, "Could not read '********9012'.");
+    });
+
+    test('leaves values alone under the keep policy', () => {
+        const values = { extractedFields: { email: 'jane@example.com' } };
+        assert.deepEqual(protectAnalysis({ text: 'jane@example.com', values }, 'keep').values, values);
+    });
+});
+
+describe('scanStoredDocuments', () => {
+    test('protects documents stored before detection only when asked, per workspace', async () => {
+        await dbReady;
+        const { lastID: workspaceId } = await dbRun("INSERT INTO workspaces (name) VALUES ('Legacy')");
+        const insert = workspace => dbRun(
+            "INSERT INTO documents (filename, content, doc_type, extracted_fields, workspace_id) VALUES ('old.txt', 'Mail jane@example.com', 'Other', ?, ?)",
+            [JSON.stringify({ email: 'jane@example.com' }), workspace]
+        );
+        const { lastID: inWorkspace } = await insert(workspaceId);
+        const { lastID: outside } = await insert(null);
+
+        assert.equal(await scanStoredDocuments(workspaceId), 1);
+        const scanned = await dbGet("SELECT content, pii, pii_policy, extracted_fields FROM documents WHERE id = ?", [inWorkspace]);
+        assert.equal(scanned.pii_policy, 'mask');
+        assert.equal(scanned.content, 'Mail j***@example.com');
+        assert.equal(JSON.parse(scanned.pii)[0].type, 'email');
+        assert.deepEqual(JSON.parse(scanned.extracted_fields), { email: 'j***@example.com' });
+
+        const untouched = await dbGet("SELECT content, pii_policy FROM documents WHERE id = ?", [outside]);
+        assert.deepEqual(untouched, { content: 'Mail jane@example.com', pii_policy: null });
+        assert.equal(await scanStoredDocuments(workspaceId), 0);
+    });
+});
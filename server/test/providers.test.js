@@ -0,0 +1,111 @@
+import { describe, test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+// The document types are loaded from the database, which opens on import.
+process.env.DATABASE_PATH = ':memory:';
+const { validateAnalysisResult, resolveEngine } = await import('../providers/index.js');
+const { initSchemas } = await import('../schemas/index.js');
+const { analyzeText } = await import('../analysis.js');
+const { createApiRouter } = await import('../api/index.js');
+const { createUser, createSession } = await import('../auth.js');
+
+const schema = {
+    docTypes: ['Invoice', 'Contract'],
+    fields: { Invoice: ['invoice_number', 'amount'], Contract: ['party_1'] }
+};
+
+describe('validateAnalysisResult', () => {
+    test('normalizes type case, confidence and field values', () => {
+        const result = validateAnalysisResult({
+            docType: 'invoice',
+            confidence: '0.876',
+            missingFields: ['amount', 'not_a_field'],
+            extractedFields: { invoice_number: '  INV-1 \n 2 ', note: null, empty: '' }
+        }, schema);
+        assert.deepEqual(result, {
+            docType: 'Invoice',
+            confidence: 0.88,
+            missingFields: ['amount'],
+            extractedFields: { invoice_number: 'INV-1 2' }
+        });
+    });
+
+    test('accepts Other and defaults missing lists', () => {
+        assert.deepEqual(validateAnalysisResult({ docType: 'Other', confidence: 0.4 }, schema), {
+            docType: 'Other', confidence: 0.4, missingFields: [], extractedFields: {}
+        });
+    });
+
+    test('rejects output that cannot be trusted', () => {
+        assert.throws(() => validateAnalysisResult([], schema), /must be a JSON object/);
+        assert.throws(() => validateAnalysisResult({ docType: 'Receipt', confidence: 0.9 }, schema), /unknown document type/);
+        assert.throws(() => validateAnalysisResult({ docType: 'Invoice', confidence: 1.5 }, schema), /invalid confidence/);
+        assert.throws(() => validateAnalysisResult({ docType: 'Invoice', confidence: 0.9, missingFields: 'amount' }, schema), /invalid missingFields/);
+        assert.throws(() => validateAnalysisResult({ docType: 'Invoice', confidence: 0.9, extractedFields: { amount: { value: 1 } } }, schema), /non-scalar/);
+    });
+});
+
+describe('resolveEngine', () => {
+    test('prefers the requested engine and rejects unknown ones', () => {
+        assert.equal(resolveEngine('MOCK'), 'mock');
+        assert.throws(() => resolveEngine('nope'), /Unknown analysis engine 'nope'/);
+    });
+});
+
+describe('GET /engines', () => {
+    let server;
+    let get;
+
+    before(async () => {
+        server = express().use('/api/v1', createApiRouter()).listen(0);
+        const user = await createUser('engines', 'password123');
+        const token = await createSession(user.id);
+        get = () => fetch(`http://localhost:${server.address().port}/api/v1/engines`, { headers: { Authorization: `Bearer ${token}` } });
+    });
+
+    after(() => server.close());
+    afterEach(() => { delete process.env.LLM_PROVIDER; });
+
+    test('names the default engine', async () => {
+        process.env.LLM_PROVIDER = 'mock';
+        const body = await (await get()).json();
+        assert.equal(body.default, 'mock');
+        assert.equal(body.error, null);
+    });
+
+    test('reports a misconfigured default instead of failing', async () => {
+        process.env.LLM_PROVIDER = 'nope';
+        const response = await get();
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        assert.ok(body.engines.includes('regex'));
+        assert.equal(body.default, null);
+        assert.match(body.error, /Unknown analysis engine 'nope'/);
+    });
+});
+
+describe('provider fallback', () => {
+    const text = 'INVOICE\nInvoice Number: INV-42\nBill To: Acme Corp\nDue Date: 2024-05-01\nTotal Amount Due: $110.00';
+
+    before(() => initSchemas());
+    afterEach(() => { delete process.env.MOCK_PROVIDER_MODE; });
+
+    test('uses the provider when its output is valid', async () => {
+        const result = await analyzeText(text, 'mock');
+        assert.equal(result.engine, 'mock');
+        assert.equal(result.docType, 'Invoice');
+        assert.equal(result.fallbackReason, undefined);
+    });
+
+    for (const [mode, reason] of [['invalid', /did not contain a JSON object/], ['fail', /Mock provider failure/]]) {
+        test(`falls back to the regex pipeline when the provider output is ${mode}`, async () => {
+            process.env.MOCK_PROVIDER_MODE = mode;
+            const result = await analyzeText(text, 'mock');
+            assert.equal(result.engine, 'regex');
+            assert.match(result.fallbackReason, reason);
+            assert.equal(result.docType, 'Invoice');
+            assert.equal(result.extractedFields.invoice_number, 'INV-42');
+        });
+    }
+});
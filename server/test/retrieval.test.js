@@ -0,0 +1,45 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, splitSentences, retrieve } from '../retrieval.js';
+
+describe('splitSentences', () => {
+    test('keeps decimal amounts and dotted numbers whole', () => {
+        const text = 'Total due is $110.00 by Friday. Version 1.2.3 ships!';
+        assert.deepEqual(splitSentences(text).map(sentence => sentence.text), ['Total due is $110.00 by Friday.', 'Version 1.2.3 ships!']);
+    });
+
+    test('ends sentences at line breaks and reports their offsets', () => {
+        const text = 'Invoice INV-1\n  Pay within 30 days?  Yes.';
+        const sentences = splitSentences(text);
+        assert.deepEqual(sentences.map(sentence => sentence.text), ['Invoice INV-1', 'Pay within 30 days?', 'Yes.']);
+        for (const { start, end, text: sentence } of sentences) assert.equal(text.slice(start, end), sentence);
+    });
+});
+
+describe('chunkText', () => {
+    test('overlaps consecutive chunks and covers every word', () => {
+        const text = Array.from({ length: 25 }, (_, i) => `w${i}`).join(' ');
+        const chunks = chunkText(text, { size: 10, overlap: 3 });
+        assert.deepEqual(chunks.map(chunk => chunk.number), [1, 2, 3, 4]);
+        assert.equal(chunks[0].text.split(' ').at(-1), 'w9');
+        assert.equal(chunks[1].text.split(' ')[0], 'w7');
+        assert.equal(chunks.at(-1).text.split(' ').at(-1), 'w24');
+    });
+});
+
+describe('retrieve', () => {
+    const chunks = [
+        { number: 1, text: 'The supplier shall deliver the goods within ten days.' },
+        { number: 2, text: 'Either party may terminate this agreement with thirty days notice.' },
+        { number: 3, text: 'This agreement is governed by the laws of New York.' }
+    ];
+
+    test('ranks the passage sharing the rarest terms first', () => {
+        const [best] = retrieve(chunks, 'How can the agreement be terminated?');
+        assert.equal(best.number, 2);
+    });
+
+    test('drops passages that share nothing with the question', () => {
+        assert.deepEqual(retrieve(chunks, 'invoice total'), []);
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The database opens and the storage directory is resolved on import.
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docanalyzer-review-'));
+process.env.DATABASE_PATH = ':memory:';
+process.env.STORAGE_DIR = storageDir;
+const { updateDocumentReview, ReviewValidationError } = await import('../review.js');
+const { listAuditLog } = await import('../audit.js');
+const { initSchemas } = await import('../schemas/index.js');
+const { createUser, createWorkspace } = await import('../auth.js');
+const { processDocument } = await import('../pipeline.js');
+
+const textFile = (name, text) => ({ originalname: name, mimetype: 'text/plain', buffer: Buffer.from(text) });
+const invoice = 'INVOICE\nInvoice Number: INV-7\nBill From: Widget Co\nBill To: Acme Corp\nTax: $10.00\nTotal Amount Due: $110.00\nPayment is due in May.';
+
+describe('updateDocumentReview', () => {
+    let workspace;
+    let reviewer;
+    let documentId;
+
+    before(async () => {
+        await initSchemas();
+        reviewer = await createUser('reviewer', 'password123');
+        workspace = await createWorkspace('Team', reviewer.id);
+        ({ id: documentId } = await processDocument(textFile('invoice.txt', invoice), { engine: 'regex', workspaceId: workspace.id }));
+    });
+
+    after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+    test('re-validates corrected fields and logs the change', async () => {
+        const document = await updateDocumentReview(documentId, workspace.id, reviewer.id, {
+            extractedFields: { due_date: '2024-05-31' },
+            comment: ' Read from the payment terms. '
+        });
+        assert.ok(!document.missing_fields.includes('due_date'));
+        assert.equal(document.normalized_fields.due_date, '2024-05-31');
+
+        const entry = (await listAuditLog(documentId, workspace.id)).at(-1);
+        assert.equal(entry.action, 'corrected');
+        assert.deepEqual(entry.changes, [{ field: 'extracted_fields.due_date', from: null, to: '2024-05-31' }]);
+        assert.equal(entry.comment, 'Read from the payment terms.');
+        assert.deepEqual(entry.user, { id: reviewer.id, username: 'reviewer' });
+    });
+
+    test('records who approved a document', async () => {
+        const document = await updateDocumentReview(documentId, workspace.id, reviewer.id, { reviewStatus: 'approved' });
+        assert.equal(document.review_status, 'approved');
+        assert.equal(document.reviewed_by, reviewer.id);
+        const entries = await listAuditLog(documentId, workspace.id);
+        assert.deepEqual(entries.at(-1).changes, [{ field: 'review_status', from: 'pending', to: 'approved' }]);
+        assert.equal(entries.at(-1).action, 'reviewed');
+    });
+
+    test('re-extracts the fields of a corrected type', async () => {
+        const document = await updateDocumentReview(documentId, workspace.id, reviewer.id, { docType: 'Contract' });
+        assert.equal(document.doc_type, 'Contract');
+        assert.equal(document.extracted_fields.invoice_number, undefined);
+        const { changes } = (await listAuditLog(documentId, workspace.id)).at(-1);
+        assert.deepEqual(changes[0], { field: 'doc_type', from: 'Invoice', to: 'Contract' });
+        assert.ok(changes.some(change => change.field === 'extracted_fields.invoice_number' && change.to === null));
+    });
+
+    test('rejects corrections that do not fit the type', async () => {
+        const review = input => updateDocumentReview(documentId, workspace.id, reviewer.id, input);
+        await assert.rejects(review({ docType: 'Memo' }), ReviewValidationError);
+        await assert.rejects(review({ extractedFields: { invoice_number: 'INV-8' } }), /'invoice_number' is not a field of Contract/);
+        await assert.rejects(review({ extractedFields: { party_1: 42 } }), ReviewValidationError);
+        await assert.rejects(review({ reviewStatus: 'done' }), /'reviewStatus' must be one of/);
+    });
+
+    test('finds no document outside the workspace', async () => {
+        const other = await createWorkspace('Other', reviewer.id);
+        assert.equal(await updateDocumentReview(documentId, other.id, reviewer.id, { reviewStatus: 'rejected' }), null);
+    });
+});
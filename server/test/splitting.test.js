@@ -0,0 +1,52 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The document types are loaded from the database, which opens on import.
+process.env.DATABASE_PATH = ':memory:';
+const { planSplit, splitExtraction } = await import('../splitting.js');
+const { initSchemas } = await import('../schemas/index.js');
+
+const invoice = number => `INVOICE\nInvoice Number: ${number}\nBill To: Acme Corp\nDue Date: 2024-05-01\nTotal Amount Due: $110.00`;
+const contract = 'SERVICE AGREEMENT\nThis Agreement is entered into by the parties.\nTerm: 12 months\nGoverning Law: New York';
+const pages = texts => texts.map((text, i) => ({ number: i + 1, text }));
+
+describe('planSplit', () => {
+    before(() => initSchemas());
+
+    test('starts a document on a new identifier or type', () => {
+        const plan = planSplit(pages([invoice('INV-1'), 'Line items, Page 2 of 2', invoice('INV-2'), contract]));
+        assert.deepEqual(plan, [
+            { pageStart: 1, pageEnd: 2, reason: null },
+            { pageStart: 3, pageEnd: 3, reason: 'new_identifier' },
+            { pageStart: 4, pageEnd: 4, reason: 'type_change' }
+        ]);
+    });
+
+    test('keeps continuation and untyped pages with the document before them', () => {
+        const plan = planSplit(pages([invoice('INV-1'), `INVOICE (continued)\n${invoice('INV-9')}`, 'Thank you for your business.']));
+        assert.deepEqual(plan, [{ pageStart: 1, pageEnd: 3, reason: null }]);
+    });
+
+    test('starts a document on a page that says it is the first', () => {
+        const plan = planSplit(pages([invoice('INV-1'), 'Delivery note\nPage 1 of 1']));
+        assert.deepEqual(plan.map(part => part.reason), [null, 'new_header']);
+    });
+});
+
+describe('splitExtraction', () => {
+    const extraction = texts => ({ text: texts.join('\n\n'), sourceFormat: 'pdf', layout: null, pages: pages(texts) });
+
+    test('gives each part only its own pages', () => {
+        const parts = splitExtraction(extraction([invoice('INV-1'), contract]));
+        assert.deepEqual(parts.map(part => [part.pageStart, part.pageEnd]), [[1, 1], [2, 2]]);
+        assert.match(parts[0].text, /INV-1/);
+        assert.doesNotMatch(parts[0].text, /Agreement/);
+        assert.match(parts[1].text, /^SERVICE AGREEMENT/);
+    });
+
+    test('leaves single documents, other formats and unsplit uploads alone', () => {
+        assert.equal(splitExtraction(extraction([invoice('INV-1'), 'Page 2 of 2'])), null);
+        assert.equal(splitExtraction({ ...extraction([invoice('INV-1'), contract]), sourceFormat: 'docx' }), null);
+        assert.equal(splitExtraction(extraction([invoice('INV-1'), contract]), { split: false }), null);
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Documents and schemas live in the database, which opens on import.
+process.env.DATABASE_PATH = ':memory:';
+const { getStats } = await import('../stats.js');
+const { initSchemas, saveSchema } = await import('../schemas/index.js');
+const { dbRun } = await import('../db.js');
+
+describe('invoice figures', () => {
+    let workspaceId;
+    const ids = {};
+
+    const store = async (name, docType, { amount, dueDate, reviewStatus = 'approved' }) => {
+        const fields = { amount: { amount, currency: 'USD' }, due_date: dueDate, bill_from: { name: 'Acme Corp' } };
+        const { lastID } = await dbRun(
+            "INSERT INTO documents (filename, doc_type, normalized_fields, review_status, workspace_id) VALUES (?, ?, ?, ?, ?)",
+            [`${name}.pdf`, docType, JSON.stringify(fields), reviewStatus, workspaceId]
+        );
+        ids[name] = lastID;
+    };
+    const link = (name, original, reasons) => dbRun(
+        "INSERT INTO document_duplicates (document_id, duplicate_of, reasons) VALUES (?, ?, ?)",
+        [ids[name], ids[original], JSON.stringify(reasons)]
+    );
+
+    before(async () => {
+        await initSchemas();
+        await saveSchema({
+            name: 'Utility Bill',
+            classifier: ['utility'],
+            fields: { amount: { type: 'money', detect: 'amount' }, due_date: { type: 'date', detect: 'due' } }
+        }, { replace: false });
+        ({ lastID: workspaceId } = await dbRun("INSERT INTO workspaces (name) VALUES ('Team')"));
+
+        await store('march', 'Invoice', { amount: 100, dueDate: '2024-01-10' });
+        await store('march-again', 'Invoice', { amount: 100, dueDate: '2024-01-10' });
+        await link('march-again', 'march', ['identical_file']);
+        await store('april', 'Invoice', { amount: 50, dueDate: '2024-03-01' });
+        await link('april', 'march', ['similar_text']);
+        await store('power', 'Utility Bill', { amount: 30, dueDate: '2024-01-20' });
+        await store('lease', 'Contract', { amount: 999, dueDate: '2024-01-01' });
+        await store('wrong', 'Invoice', { amount: 70, dueDate: '2024-01-25', reviewStatus: 'rejected' });
+        await store('corrected', 'Invoice', { amount: 70, dueDate: '2024-01-25' });
+        await link('corrected', 'wrong', ['identical_text']);
+    });
+
+    test('counts the types whose schema has an amount and a due date, once per file', async () => {
+        const { invoices } = await getStats({ asOf: '2024-02-01' }, { workspaceId });
+        assert.deepEqual(invoices.byCurrency, [{ currency: 'USD', total: 250, count: 4 }]);
+        assert.deepEqual(invoices.byVendor, [{ vendor: 'Acme Corp', currency: 'USD', total: 250, count: 4 }]);
+    });
+
+    test('lists each overdue invoice once', async () => {
+        const { overdue } = (await getStats({ asOf: '2024-02-01' }, { workspaceId })).invoices;
+        assert.equal(overdue.count, 3);
+        assert.deepEqual(overdue.byCurrency, [{ currency: 'USD', total: 200, count: 3 }]);
+        assert.deepEqual(overdue.items.map(item => item.id), [ids.march, ids.power, ids.corrected]);
+    });
+});
@@ -0,0 +1,40 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Version groups live in the database, which opens on import.
+process.env.DATABASE_PATH = ':memory:';
+const { versionKey, linkVersion } = await import('../versions.js');
+const { dbReady, dbRun } = await import('../db.js');
+
+describe('versionKey', () => {
+    test('drops revision markers, copies and status words', () => {
+        assert.equal(versionKey('Lease Agreement v2 (1).PDF'), 'lease agreement');
+        assert.equal(versionKey('lease_agreement-final.pdf'), 'lease agreement');
+        assert.equal(versionKey('Contract rev 3 signed.docx'), 'contract');
+        assert.equal(versionKey('Report r2.txt'), 'report');
+    });
+
+    test('leaves words that merely end like a marker alone', () => {
+        assert.equal(versionKey('Quarter 3.pdf'), 'quarter 3');
+        assert.equal(versionKey('Invoice Nov 2024.pdf'), 'invoice nov 2024');
+        assert.equal(versionKey('Order 17.pdf'), 'order 17');
+        assert.equal(versionKey('Chapter 1.docx'), 'chapter 1');
+        assert.equal(versionKey('Photocopy.pdf'), 'photocopy');
+    });
+});
+
+describe('linkVersion', () => {
+    async function store(filename) {
+        const { lastID } = await dbRun("INSERT INTO documents (filename, content, doc_type) VALUES (?, 'text', 'Other')", [filename]);
+        return linkVersion(lastID, { workspaceId: null, docType: 'Other', filename, normalizedFields: {} });
+    }
+
+    test('groups revisions of one file but not numbered documents', async () => {
+        await dbReady;
+        const first = await store('Order 17.pdf');
+        assert.deepEqual(await store('Order 18.pdf'), { group: first.group + 1, number: 1, previousId: null });
+        assert.equal((await store('Chapter 1.pdf')).number, 1);
+        assert.equal((await store('Chapter 2.pdf')).number, 1);
+        assert.deepEqual(await store('Order 17 v2.pdf'), { group: first.group, number: 2, previousId: first.group });
+    });
+});
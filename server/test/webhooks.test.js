@@ -0,0 +1,84 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// Subscriptions live in the database, which opens on import; the allowed hosts and
+// the attempt limit are read then too.
+process.env.DATABASE_PATH = ':memory:';
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+const { createWebhook, updateWebhook, sendTestEvent, listDeliveries, isPrivateAddress, WebhookValidationError } = await import('../webhooks.js');
+const { dbReady, dbRun } = await import('../db.js');
+
+async function settledDelivery(webhookId) {
+    for (let i = 0; i < 100; i++) {
+        const [delivery] = await listDeliveries(webhookId);
+        if (delivery && delivery.status !== 'pending') return delivery;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('The delivery was not attempted.');
+}
+
+describe('isPrivateAddress', () => {
+    test('covers loopback, private, link-local and mapped addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+        for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111']) {
+            assert.equal(isPrivateAddress(address), false, address);
+        }
+    });
+});
+
+describe('webhook receivers', () => {
+    let workspaceId;
+    let server;
+    let port;
+    const received = [];
+
+    before(async () => {
+        await dbReady;
+        ({ lastID: workspaceId } = await dbRun("INSERT INTO workspaces (name) VALUES ('Team')"));
+        server = http.createServer((req, res) => {
+            received.push(req.url);
+            if (req.url === '/redirect') {
+                res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' }).end();
+            } else {
+                res.writeHead(200).end();
+            }
+        }).listen(0);
+        port = server.address().port;
+    });
+
+    after(() => server.close());
+
+    test('must not resolve to private addresses unless their host is allowed', async () => {
+        for (const url of ['http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data/', 'http://10.0.0.5/hook', 'http://[::1]:8080/']) {
+            await assert.rejects(createWebhook(workspaceId, { url, events: ['analysis.completed'] }), WebhookValidationError, url);
+        }
+        const webhook = await createWebhook(workspaceId, { url: `http://localhost:${port}/hook`, events: ['analysis.completed'] });
+        await assert.rejects(updateWebhook(webhook.id, workspaceId, { url: 'http://192.168.0.10/' }), /private, loopback or link-local/);
+    });
+
+    test('are checked again before each delivery', async () => {
+        // Stored directly, as by a version that did not check receivers.
+        const { lastID } = await dbRun(
+            "INSERT INTO webhooks (workspace_id, url, secret, events, doc_types) VALUES (?, ?, 'whsec_test', '[\"analysis.completed\"]', '[]')",
+            [workspaceId, `http://127.0.0.1:${port}/internal`]
+        );
+        await sendTestEvent(lastID);
+        const delivery = await settledDelivery(lastID);
+        assert.equal(delivery.status, 'failed');
+        assert.match(delivery.error, /private, loopback or link-local/);
+        assert.ok(!received.includes('/internal'));
+    });
+
+    test('do not get redirects followed', async () => {
+        const webhook = await createWebhook(workspaceId, { url: `http://localhost:${port}/redirect`, events: ['analysis.completed'] });
+        await sendTestEvent(webhook.id);
+        const delivery = await settledDelivery(webhook.id);
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.responseStatus, 302);
+        assert.match(delivery.error, /redirects are not followed/);
+    });
+});
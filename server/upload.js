@@ -0,0 +1,93 @@
+import path from 'path';
+import multer from 'multer';
+import { ACCEPTED_EXTENSIONS, UnsupportedFormatError } from './ingestion.js';
+
+// --- Configure Multer for in-memory file storage ---
+// Uploads over the limits, or of a type we never read, are rejected by multer before
+// any analysis starts (see api/errors.js for the responses). The content itself is
+// still checked by its leading bytes during ingestion.
+export const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_MB || 25) * 1024 * 1024;
+export const MAX_BATCH_FILES = Number(process.env.MAX_BATCH_FILES || 500);
+// What a batch may add up to, as uploaded and once its ZIP archives are expanded (see
+// expandUploads).
+export const MAX_BATCH_BYTES = Number(process.env.MAX_BATCH_MB || 200) * 1024 * 1024;
+
+// A batch over the upload limits; `code` is the API error code (file_too_large or
+// too_many_files), as for multer's own limits.
+export class BatchLimitError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+const ACCEPTED_MIMETYPES = [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'text/',
+    'image/png',
+    'image/jpeg'
+];
+const ARCHIVE_EXTENSIONS = ['.zip'];
+const ARCHIVE_MIMETYPES = ['application/zip', 'application/x-zip-compressed'];
+
+// Accepts a file when either its extension or its declared type is one we read.
+function acceptFiles(extensions, mimetypes) {
+    return (req, file, callback) => {
+        const extension = path.extname(file.originalname || '').toLowerCase();
+        if (extensions.includes(extension) || mimetypes.some(type => (file.mimetype || '').startsWith(type))) {
+            return callback(null, true);
+        }
+        callback(new UnsupportedFormatError(`Unsupported file type '${file.mimetype || extension || 'unknown'}' for '${file.originalname}'.`));
+    };
+}
+
+const storage = multer.memoryStorage();
+const limits = { fileSize: MAX_UPLOAD_BYTES, files: MAX_BATCH_FILES, fields: 20 };
+
+// Keeps batch files in memory like memoryStorage, but keeps a running total of the
+// request's files as they stream in and fails the upload as soon as it passes
+// MAX_BATCH_BYTES, instead of after the whole batch has been buffered.
+const batchStorage = {
+    _handleFile(req, file, callback) {
+        let chunks = [];
+        let size = 0;
+        let failed = false;
+        file.stream.on('data', chunk => {
+            if (failed) return;
+            req.batchBytes = (req.batchBytes || 0) + chunk.length;
+            if (req.batchBytes > MAX_BATCH_BYTES) {
+                failed = true;
+                chunks = [];
+                return callback(new BatchLimitError('file_too_large', `A batch may hold at most ${Math.round(MAX_BATCH_BYTES / 1024 / 1024)} MB.`));
+            }
+            chunks.push(chunk);
+            size += chunk.length;
+        });
+        file.stream.on('error', error => {
+            if (failed) return;
+            failed = true;
+            callback(error);
+        });
+        file.stream.on('end', () => {
+            if (!failed) callback(null, { buffer: Buffer.concat(chunks, size), size });
+        });
+    },
+    _removeFile(req, file, callback) {
+        delete file.buffer;
+        callback(null);
+    }
+};
+
+export const upload = multer({
+    storage: storage,
+    limits,
+    fileFilter: acceptFiles(ACCEPTED_EXTENSIONS, ACCEPTED_MIMETYPES)
+});
+
+// Batch uploads may also carry ZIP archives of documents.
+export const batchUpload = multer({
+    storage: batchStorage,
+    limits,
+    fileFilter: acceptFiles([...ACCEPTED_EXTENSIONS, ...ARCHIVE_EXTENSIONS], [...ACCEPTED_MIMETYPES, ...ARCHIVE_MIMETYPES])
+});
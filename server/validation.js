@@ -0,0 +1,178 @@
+import { getSchema } from './schemas/index.js';
+import { normalizeField } from './fields.js';
+
+// --- Field Validation ---
+// Normalizes the extracted values of a document and checks them against the rules
+// declared in its schema's `validations` list. Problems are returned as structured
+// warnings ({ code, fields, message }) instead of failing the analysis.
+
+// Amounts within this distance of each other are considered equal.
+const MONEY_TOLERANCE = 0.01;
+
+export const VALIDATION_RULES = {
+    // `before` must not be later than `after` (e.g. invoice date before due date).
+    date_order(rule, values) {
+        const before = values[rule.before];
+        const after = values[rule.after];
+        if (!before || !after || before <= after) return [];
+        return [{
+            code: 'date_order',
+            fields: [rule.before, rule.after],
+            message: `${label(rule.after)} (${after}) is earlier than ${label(rule.before)} (${before}).`
+        }];
+    },
+
+    // The total must equal the sum of the line items (when known) or of `parts`.
+    total_matches(rule, values, { lineItems }) {
+        const total = values[rule.total];
+        if (!total) return [];
+
+        let expected;
+        let source;
+        if (Array.isArray(lineItems) && lineItems.length > 0) {
+            expected = lineItems.reduce((sum, item) => sum + (item.total ?? 0), 0);
+            for (const extra of rule.extras || []) {
+                expected += values[extra]?.amount ?? 0;
+            }
+            source = 'line items';
+        } else if (rule.parts && rule.parts.every(part => values[part])) {
+            expected = rule.parts.reduce((sum, part) => sum + values[part].amount, 0);
+            source = rule.parts.map(label).join(' + ');
+        } else {
+            return [];
+        }
+
+        if (Math.abs(roundMoney(expected) - total.amount) <= MONEY_TOLERANCE) return [];
+        return [{
+            code: 'total_mismatch',
+            fields: [rule.total],
+            message: `${label(rule.total)} is ${total.amount.toFixed(2)} but ${source} add up to ${roundMoney(expected).toFixed(2)}.`
+        }];
+    },
+
+    // The effective tax rate must lie within [0, max], and match a rate stated next
+    // to the tax amount (e.g. "Tax (10%): 5.00") if there is one.
+    tax_rate(rule, values, { contexts }) {
+        const tax = values[rule.tax];
+        const total = values[rule.total];
+        if (!tax || !total) return [];
+
+        const base = values[rule.base]?.amount ?? total.amount - tax.amount;
+        if (base <= 0) return [];
+        const rate = tax.amount / base;
+        const max = rule.max ?? 0.3;
+
+        if (rate < 0 || rate > max) {
+            return [{
+                code: 'tax_rate_out_of_range',
+                fields: [rule.tax],
+                message: `Tax is ${(rate * 100).toFixed(1)}% of the pre-tax amount, outside the expected 0-${(max * 100).toFixed(0)}% range.`
+            }];
+        }
+
+        const stated = /(\d+(?:[.,]\d+)?)\s*%/.exec(contexts[rule.tax] || '');
+        if (stated && Math.abs(parseFloat(stated[1].replace(',', '.')) / 100 - rate) > 0.005) {
+            return [{
+                code: 'tax_rate_mismatch',
+                fields: [rule.tax],
+                message: `Tax is stated as ${stated[1]}% but the amounts imply ${(rate * 100).toFixed(1)}%.`
+            }];
+        }
+        return [];
+    },
+
+    // Every money field listed must use the same currency.
+    same_currency(rule, values) {
+        const currencies = new Set(rule.fields.map(field => values[field]?.currency).filter(Boolean));
+        if (currencies.size <= 1) return [];
+        return [{
+            code: 'currency_mismatch',
+            fields: rule.fields.filter(field => values[field]),
+            message: `Amounts use different currencies: ${[...currencies].join(', ')}.`
+        }];
+    }
+};
+
+// Each line's total should be quantity × unit price (optionally plus its tax).
+function checkLineItems(lineItems) {
+    const warnings = [];
+    lineItems.forEach((item, index) => {
+        if (item.quantity === null || item.unitPrice === null || item.total === null) return;
+        const net = roundMoney(item.quantity * item.unitPrice);
+        const gross = roundMoney(net + (item.tax ?? 0));
+        if (Math.abs(net - item.total) > MONEY_TOLERANCE && Math.abs(gross - item.total) > MONEY_TOLERANCE) {
+            warnings.push({
+                code: 'line_total_mismatch',
+                fields: ['line_items'],
+                message: `Line ${index + 1}${item.description ? ` (${item.description})` : ''}: ${item.quantity} × ${item.unitPrice.toFixed(2)} is ${net.toFixed(2)}, not ${item.total.toFixed(2)}.`
+            });
+        }
+    });
+    return warnings;
+}
+
+function label(field) {
+    return field.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * `extractedFields` maps field names to raw strings. `options.contexts` holds the
+ * full regex match for each field, `options.text` the document text and
+ * `options.lineItems` any extracted line items. `options.dateOrder` and
+ * `options.decimal` are the locale's conventions (see locale.js) and
+ * `options.language` the document's, whose pack patterns detect empty labels.
+ * `options.currencies` maps money fields to a currency for amounts without one.
+ * Returns { normalizedFields, warnings }.
+ */
+export function normalizeAndValidate(type, extractedFields, { text = '', contexts = {}, lineItems, dateOrder, decimal, language, currencies: fallbackCurrencies = {} } = {}) {
+    const schema = getSchema(type, language);
+    if (!schema) return { normalizedFields: {}, warnings: [] };
+
+    const normalizedFields = {};
+    const warnings = [];
+
+    for (const [field, definition] of Object.entries(schema.fields)) {
+        const raw = extractedFields[field];
+        if (raw === undefined) {
+            // The label is there but nothing usable follows it, e.g. "Due Date:" alone.
+            if (definition.extract && definition.detect.test(text)) {
+                warnings.push({ code: 'empty_value', fields: [field], message: `${label(field)} is labelled but has no value.` });
+            }
+            continue;
+        }
+
+        const value = normalizeField(definition.type, raw, { context: contexts[field], dateOrder, decimal });
+        if (value === null) {
+            warnings.push({ code: 'invalid_value', fields: [field], message: `Could not read '${raw}' as a ${definition.type} for ${label(field)}.` });
+        } else {
+            normalizedFields[field] = value;
+        }
+    }
+
+    // Amounts written without a symbol take their fallback currency, else the one used
+    // elsewhere in the document.
+    const moneyFields = Object.keys(normalizedFields).filter(field => schema.fields[field].type === 'money');
+    for (const field of moneyFields) {
+        normalizedFields[field].currency ??= fallbackCurrencies[field] ?? null;
+    }
+    const currencies = new Set(moneyFields.map(field => normalizedFields[field].currency).filter(Boolean));
+    if (currencies.size === 1) {
+        const [currency] = currencies;
+        for (const field of moneyFields) {
+            normalizedFields[field].currency ??= currency;
+        }
+    }
+
+    for (const rule of schema.definition.validations || []) {
+        warnings.push(...VALIDATION_RULES[rule.rule](rule, normalizedFields, { contexts, lineItems }));
+    }
+    if (Array.isArray(lineItems)) {
+        warnings.push(...checkLineItems(lineItems));
+    }
+
+    return { normalizedFields, warnings };
+}
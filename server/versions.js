@@ -0,0 +1,115 @@
+import { dbReady, dbAll, dbGet, dbRun } from './db.js';
+import { getSchema } from './schemas/index.js';
+
+// --- Document Versions ---
+// A re-upload of the same document (same file name once revision markers are
+// removed, or the same parties) joins the earlier upload's version group, unless an
+// identifier such as invoice_number shows they are different documents. Groups are
+// identified by the id of their first document; `version` counts from 1.
+
+// Only the most recent documents of a type are considered as earlier versions.
+const CANDIDATE_LIMIT = 200;
+
+/**
+ * Reduces a file name to what stays the same across revisions:
+ * "Lease Agreement v2 (1).PDF" and "lease_agreement-final.pdf" both become
+ * "lease agreement".
+ */
+export function versionKey(filename) {
+    let key = String(filename || '').toLowerCase().replace(/\.[a-z0-9]{1,5}$/, '');
+    key = key.replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ').trim();
+    let previous;
+    do {
+        previous = key;
+        key = key
+            .replace(/\s*\(\d+\)$/, '')
+            // Markers are whole words: "quarter 3" and "invoice nov 2024" keep their endings.
+            .replace(/\s*\b(?:v|ver|version|rev|revision|r)\s?\d+$/, '')
+            .replace(/\s*\b(?:final|draft|signed|copy|updated|revised)$/, '')
+            .trim();
+    } while (key !== previous);
+    return key;
+}
+
+function fieldNamesOfType(schema, type) {
+    return Object.entries(schema?.definition.fields || {})
+        .filter(([, field]) => field.type === type)
+        .map(([name]) => name);
+}
+
+function comparable(value) {
+    if (value === null || value === undefined) return null;
+    const text = typeof value === 'object' ? value.name : String(value);
+    return text ? text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim() : null;
+}
+
+function sameParties(schema, a, b) {
+    const parties = fieldNamesOfType(schema, 'party');
+    return parties.length > 0 &&
+        parties.every(field => comparable(a[field]) && comparable(a[field]) === comparable(b[field]));
+}
+
+// Two invoices between the same companies are different documents, not versions.
+function identifiersConflict(schema, a, b) {
+    return fieldNamesOfType(schema, 'identifier')
+        .some(field => comparable(a[field]) && comparable(b[field]) && comparable(a[field]) !== comparable(b[field]));
+}
+
+/**
+ * Puts a newly stored document into a version group, joining the latest matching
+ * document of the same type in the same workspace, or starting a new group. The
+ * documents split from one upload (`uploadId`) are never versions of each other.
+ * Resolves to { group, number, previousId }.
+ */
+export async function linkVersion(documentId, { workspaceId, docType, filename, normalizedFields, uploadId = null }) {
+    await dbReady;
+    const schema = getSchema(docType);
+    const key = versionKey(filename);
+    const candidates = await dbAll(
+        `SELECT id, filename, normalized_fields, version_group FROM documents
+         WHERE workspace_id IS ? AND doc_type = ? AND id != ? AND (? IS NULL OR upload_id IS NOT ?)
+         ORDER BY id DESC LIMIT ?`,
+        [workspaceId, docType, documentId, uploadId, uploadId, CANDIDATE_LIMIT]
+    );
+    const fields = normalizedFields || {};
+    const previous = candidates.find(candidate => {
+        const candidateFields = JSON.parse(candidate.normalized_fields || '{}');
+        return !identifiersConflict(schema, fields, candidateFields) &&
+            ((key && versionKey(candidate.filename) === key) || sameParties(schema, fields, candidateFields));
+    });
+
+    if (!previous) {
+        await dbRun("UPDATE documents SET version_group = ?, version = 1 WHERE id = ?", [documentId, documentId]);
+        return { group: documentId, number: 1, previousId: null };
+    }
+
+    const group = previous.version_group ?? previous.id;
+    const { latest } = await dbGet("SELECT MAX(version) AS latest FROM documents WHERE version_group = ?", [group]);
+    const number = (latest ?? 1) + 1;
+    await dbRun("UPDATE documents SET version_group = ?, version = ? WHERE id = ?", [group, number, documentId]);
+    return { group, number, previousId: previous.id };
+}
+
+/** Every version of the document's group, oldest first, or null if it is not found. */
+export async function listVersions(documentId, workspaceId = null) {
+    await dbReady;
+    const document = await dbGet(
+        "SELECT id, version_group FROM documents WHERE id = ? AND (? IS NULL OR workspace_id = ?)",
+        [documentId, workspaceId, workspaceId]
+    );
+    if (!document) return null;
+    if (document.version_group === null) return [];
+    const rows = await dbAll(
+        `SELECT id, filename, doc_type, confidence, version, analyzed_at FROM documents
+         WHERE version_group = ? ORDER BY version, id`,
+        [document.version_group]
+    );
+    return rows.map(row => ({
+        id: row.id,
+        filename: row.filename,
+        docType: row.doc_type,
+        confidence: row.confidence,
+        version: row.version,
+        analyzedAt: row.analyzed_at
+    }));
+}
@@ -0,0 +1,45 @@
+import http from 'http';
+import { verifySignature } from './webhookSignature.js';
+
+// --- Local Webhook Receiver ---
+// A stand-in for ERP/ticketing endpoints while testing subscriptions:
+//   WEBHOOK_RECEIVER_SECRET=whsec_... npm run webhook-receiver
+// then, with WEBHOOK_ALLOWED_HOSTS=localhost on the server, subscribe
+// http://localhost:9000/ (or WEBHOOK_RECEIVER_PORT). Each delivery is
+// logged with its signature check. WEBHOOK_RECEIVER_FAIL=<n> answers the first n
+// deliveries with 500 to exercise the retry schedule.
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 9000;
+const SECRET = process.env.WEBHOOK_RECEIVER_SECRET || '';
+let failuresLeft = parseInt(process.env.WEBHOOK_RECEIVER_FAIL, 10) || 0;
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = req.headers['x-webhook-signature'];
+        const verified = SECRET ? verifySignature(SECRET, body, signature) : null;
+
+        let payload = null;
+        try {
+            payload = JSON.parse(body);
+        } catch {
+            // Logged as raw text below.
+        }
+
+        const status = verified === false ? 401 : failuresLeft > 0 ? 500 : 200;
+        if (status === 500) failuresLeft--;
+
+        console.log(`[${new Date().toISOString()}] ${req.headers['x-webhook-event'] || '-'} delivery=${req.headers['x-webhook-delivery'] || '-'} signature=${verified === null ? 'unchecked' : verified ? 'valid' : 'INVALID'} -> ${status}`);
+        console.log(payload ? JSON.stringify(payload.data, null, 2) : body);
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: status === 200 }));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+    if (!SECRET) console.log('WEBHOOK_RECEIVER_SECRET is not set; signatures will not be checked.');
+});
@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+// --- Webhook Signatures ---
+// Kept free of database imports so receivers (see webhookReceiver.js) can use it.
+
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Checks a signature header against the raw request body, for receivers. Rejects
+ * signatures older than `toleranceSeconds` to limit replays.
+ */
+export function verifySignature(secret, body, header, { toleranceSeconds = 300 } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!parts.v1 || !Number.isInteger(timestamp)) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
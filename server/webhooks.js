@@ -0,0 +1,354 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { dbReady, dbRun, dbGet, dbAll } from './db.js';
+import { signPayload } from './webhookSignature.js';
+
+// --- Outbound Webhooks ---
+// Workspaces subscribe URLs to analysis events. Each matching event is stored as a
+// delivery and POSTed as JSON, signed with the subscription's secret:
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Failed deliveries are retried with exponential backoff; the dispatcher picks up
+// pending deliveries again after a restart. Receivers must resolve to public
+// addresses (checked on subscribing and again before each attempt) unless their host
+// is in WEBHOOK_ALLOWED_HOSTS, and redirects are never followed, so a subscription
+// cannot reach the server's own network.
+
+export const WEBHOOK_EVENTS = ['analysis.completed', 'analysis.failed', 'document.missing_fields'];
+
+// Sent by POST /webhooks/:id/test only; not subscribable.
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Host names (or IP addresses) that may resolve to private addresses, e.g. a receiver
+// on the local network.
+const ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+
+export class WebhookValidationError extends Error {}
+
+// --- Receiver Addresses ---
+
+// Loopback, private, carrier-grade NAT, link-local (cloud metadata), multicast and
+// reserved ranges. IPv4-mapped IPv6 addresses are checked as IPv4.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+export function isPrivateAddress(address) {
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Rejects a receiver URL whose host resolves to a private address (any of them, as
+ * the connection may use any) unless the host is allowed by WEBHOOK_ALLOWED_HOSTS.
+ */
+export async function checkReceiver(url) {
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (ALLOWED_HOSTS.has(host)) return;
+    let addresses;
+    try {
+        addresses = await dns.lookup(host, { all: true, verbatim: true });
+    } catch {
+        throw new WebhookValidationError(`The receiver host '${host}' could not be resolved.`);
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new WebhookValidationError(`The receiver host '${host}' resolves to a private, loopback or link-local address; add it to WEBHOOK_ALLOWED_HOSTS to allow it.`);
+    }
+}
+
+// --- Subscriptions ---
+
+function parseWebhookRow(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: JSON.parse(row.events),
+        docTypes: JSON.parse(row.doc_types),
+        active: row.active === 1,
+        createdAt: row.created_at
+    };
+}
+
+function validateWebhook(input, { partial = false } = {}) {
+    const values = {};
+    if (!partial || input.url !== undefined) {
+        let url;
+        try {
+            url = new URL(input.url);
+        } catch {
+            throw new WebhookValidationError("'url' must be an absolute http(s) URL.");
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new WebhookValidationError("'url' must be an absolute http(s) URL.");
+        }
+        values.url = url.toString();
+    }
+    if (!partial || input.events !== undefined) {
+        const events = input.events;
+        if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+            throw new WebhookValidationError(`'events' must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}.`);
+        }
+        values.events = [...new Set(events)];
+    }
+    if (input.docTypes !== undefined) {
+        if (!Array.isArray(input.docTypes) || input.docTypes.some(type => typeof type !== 'string' || !type.trim())) {
+            throw new WebhookValidationError("'docTypes' must be a list of document type names (empty for all types).");
+        }
+        values.docTypes = input.docTypes.map(type => type.trim());
+    }
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') {
+            throw new WebhookValidationError("'active' must be true or false.");
+        }
+        values.active = input.active;
+    }
+    return values;
+}
+
+export async function listWebhooks(workspaceId) {
+    await dbReady;
+    const rows = await dbAll("SELECT * FROM webhooks WHERE workspace_id = ? ORDER BY id", [workspaceId]);
+    return rows.map(parseWebhookRow);
+}
+
+export async function getWebhook(id, workspaceId) {
+    await dbReady;
+    const row = await dbGet("SELECT * FROM webhooks WHERE id = ? AND workspace_id = ?", [id, workspaceId]);
+    return row ? parseWebhookRow(row) : null;
+}
+
+/** Creates a subscription. The signing secret is only ever returned here. */
+export async function createWebhook(workspaceId, input = {}) {
+    const values = validateWebhook(input);
+    await checkReceiver(values.url);
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    await dbReady;
+    const { lastID } = await dbRun(
+        "INSERT INTO webhooks (workspace_id, url, secret, events, doc_types, active) VALUES (?, ?, ?, ?, ?, ?)",
+        [workspaceId, values.url, secret, JSON.stringify(values.events), JSON.stringify(values.docTypes || []), values.active === false ? 0 : 1]
+    );
+    return { ...(await getWebhook(lastID, workspaceId)), secret };
+}
+
+// Re-enabling a subscription sends its deliveries that were held while it was off.
+export async function updateWebhook(id, workspaceId, input = {}) {
+    const values = validateWebhook(input, { partial: true });
+    if (values.url) await checkReceiver(values.url);
+    const columns = {
+        url: values.url,
+        events: values.events && JSON.stringify(values.events),
+        doc_types: values.docTypes && JSON.stringify(values.docTypes),
+        active: values.active === undefined ? undefined : (values.active ? 1 : 0)
+    };
+    const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+    if (updates.length > 0) {
+        await dbRun(
+            `UPDATE webhooks SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ? AND workspace_id = ?`,
+            [...updates.map(([, value]) => value), id, workspaceId]
+        );
+        if (values.active) runDispatcher();
+    }
+    return getWebhook(id, workspaceId);
+}
+
+export async function deleteWebhook(id, workspaceId) {
+    await dbReady;
+    const { changes } = await dbRun("DELETE FROM webhooks WHERE id = ? AND workspace_id = ?", [id, workspaceId]);
+    if (changes > 0) {
+        await dbRun("DELETE FROM webhook_deliveries WHERE webhook_id = ?", [id]);
+    }
+    return changes > 0;
+}
+
+// --- Deliveries ---
+
+function parseDeliveryRow(row) {
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        event: row.event,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.status === 'pending' && row.next_attempt_at ? new Date(row.next_attempt_at).toISOString() : null,
+        responseStatus: row.response_status,
+        error: row.error,
+        payload: JSON.parse(row.payload),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/** The latest deliveries of a subscription, newest first. */
+export async function listDeliveries(webhookId, { limit = 50 } = {}) {
+    await dbReady;
+    const rows = await dbAll("SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?", [webhookId, limit]);
+    return rows.map(parseDeliveryRow);
+}
+
+async function queueDelivery(webhookId, event, data) {
+    const payload = { event, createdAt: new Date().toISOString(), data };
+    const { lastID } = await dbRun(
+        "INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES (?, ?, ?, ?)",
+        [webhookId, event, JSON.stringify(payload), Date.now()]
+    );
+    return lastID;
+}
+
+/** Sends a delivery again from scratch, whatever its current status. */
+export async function redeliver(deliveryId, webhookId) {
+    const { changes } = await dbRun(
+        `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, error = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND webhook_id = ?`,
+        [Date.now(), deliveryId, webhookId]
+    );
+    if (changes > 0) runDispatcher();
+    return changes > 0;
+}
+
+export async function sendTestEvent(webhookId) {
+    const deliveryId = await queueDelivery(webhookId, TEST_EVENT, { message: 'Webhook test from the document analyzer.' });
+    runDispatcher();
+    return deliveryId;
+}
+
+/**
+ * Queues `event` for every active subscription in the workspace that listens to it
+ * and whose doc-type filter (if any) includes `docType`, ignoring case. Events with
+ * no doc type (failed analyses) skip the filter. Never throws: a broken
+ * subscription must not fail the analysis that triggered it.
+ */
+export async function emitEvent(event, { workspaceId, docType = null, data }) {
+    try {
+        await dbReady;
+        const rows = await dbAll("SELECT * FROM webhooks WHERE workspace_id IS ? AND active = 1", [workspaceId]);
+        let queued = 0;
+        for (const webhook of rows.map(parseWebhookRow)) {
+            if (!webhook.events.includes(event)) continue;
+            const matchesDocType = webhook.docTypes.length === 0 || docType === null ||
+                webhook.docTypes.some(type => type.toLowerCase() === String(docType).toLowerCase());
+            if (!matchesDocType) continue;
+            await queueDelivery(webhook.id, event, data);
+            queued++;
+        }
+        if (queued > 0) runDispatcher();
+    } catch (error) {
+        console.error(`Failed to queue '${event}' webhooks:`, error.message);
+    }
+}
+
+async function attemptDelivery(delivery) {
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+    try {
+        // The host may resolve elsewhere now than when the subscription was made.
+        await checkReceiver(delivery.url);
+        const body = JSON.stringify({ id: delivery.id, ...JSON.parse(delivery.payload) });
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'doc-analyzer-webhooks',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': String(delivery.id),
+                'X-Webhook-Signature': signPayload(delivery.secret, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        responseStatus = response.status;
+        if (response.status >= 300 && response.status < 400) {
+            error = `Receiver redirected with HTTP ${response.status}; redirects are not followed.`;
+        } else if (!response.ok) {
+            error = `Receiver responded with HTTP ${response.status}.`;
+        }
+    } catch (err) {
+        error = err.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS} ms.` : err.message;
+    }
+
+    if (!error) {
+        await dbRun(
+            "UPDATE webhook_deliveries SET status = 'succeeded', attempts = ?, response_status = ?, error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [attempts, responseStatus, delivery.id]
+        );
+    } else if (attempts >= MAX_ATTEMPTS) {
+        await dbRun(
+            "UPDATE webhook_deliveries SET status = 'failed', attempts = ?, response_status = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [attempts, responseStatus, error, delivery.id]
+        );
+    } else {
+        // 1x, 2x, 4x, 8x … the base delay.
+        const nextAttemptAt = Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1);
+        await dbRun(
+            "UPDATE webhook_deliveries SET attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [attempts, responseStatus, error, nextAttemptAt, delivery.id]
+        );
+    }
+}
+
+// --- Dispatcher ---
+
+let dispatcherRunning = false;
+let wakeRequested = false;
+let retryTimer = null;
+
+// Sleeps until the earliest pending retry is due.
+async function scheduleRetry() {
+    clearTimeout(retryTimer);
+    const { due } = await dbGet(
+        `SELECT MIN(d.next_attempt_at) AS due FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+         WHERE d.status = 'pending' AND w.active = 1`
+    );
+    if (due !== null) {
+        retryTimer = setTimeout(runDispatcher, Math.max(0, due - Date.now()));
+        retryTimer.unref();
+    }
+}
+
+/** Sends every due delivery, unless the dispatcher is already doing so. */
+export function runDispatcher() {
+    wakeRequested = true;
+    if (dispatcherRunning) return;
+    dispatcherRunning = true;
+
+    (async () => {
+        try {
+            while (wakeRequested) {
+                wakeRequested = false;
+                let delivery;
+                while ((delivery = await dbGet(
+                    `SELECT d.*, w.url, w.secret FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+                     WHERE d.status = 'pending' AND w.active = 1 AND d.next_attempt_at <= ? ORDER BY d.next_attempt_at, d.id LIMIT 1`,
+                    [Date.now()]
+                ))) {
+                    await attemptDelivery(delivery);
+                }
+            }
+            await scheduleRetry();
+        } catch (error) {
+            console.error("Webhook dispatcher error:", error);
+        } finally {
+            dispatcherRunning = false;
+            // Woken while scheduling the retry timer: go round again.
+            if (wakeRequested) runDispatcher();
+        }
+    })();
+}
+
+export async function initWebhooks() {
+    await dbReady;
+    runDispatcher();
+}